@@ -0,0 +1,93 @@
+// WebSocket relay for head-to-head races (Node only; see ../src/race/raceProtocol.js)
+// Reference: https://github.com/websockets/ws
+//
+// This module exports:
+// - createRaceRelay({ port, host, countdownMs, generateScramble }) => relay
+//     relay.listen() => Promise<{ host, port }>   (port 0 picks a free one)
+//     relay.close() => Promise<void>
+//     relay.getRooms() => [room snapshot]
+//
+// Every connection starts with a "join"; rooms are created on first join
+// and dropped when their last player leaves. Scrambles default to the app's
+// random-state scrambler, whose tables are built before the relay listens.
+// It binds to localhost unless told otherwise: races need no outside service.
+
+import { WebSocketServer } from "ws";
+import { DEFAULT_RELAY_PORT, encodeMessage, parseMessage } from "../src/race/raceProtocol.js";
+import { generateScramble as generateRandomState, initScrambler } from "../src/scramble/scrambler.js";
+import { createRaceRoom } from "./raceRoom.js";
+
+const MAX_ROOM_NAME = 32;
+
+export function createRaceRelay({
+  port = DEFAULT_RELAY_PORT,
+  host = "127.0.0.1",
+  countdownMs,
+  generateScramble = null,
+} = {}) {
+  const rooms = new Map();
+  let server = null;
+
+  const drawScramble = generateScramble || (() => generateRandomState().scramble);
+
+  function getRoom(name) {
+    if (!rooms.has(name)) {
+      rooms.set(name, createRaceRoom({ id: name, generateScramble: drawScramble, countdownMs }));
+    }
+    return rooms.get(name);
+  }
+
+  function handleConnection(socket) {
+    let room = null;
+    let roomName = null;
+    let playerId = null;
+    const send = (message) => {
+      if (socket.readyState === socket.OPEN) socket.send(encodeMessage(message));
+    };
+
+    socket.on("message", (data) => {
+      const message = parseMessage(data);
+      if (!message) {
+        send({ type: "error", message: "Malformed message" });
+        return;
+      }
+      if (!room) {
+        const name = String(message.room || "").trim().slice(0, MAX_ROOM_NAME);
+        if (message.type !== "join" || !name) {
+          send({ type: "error", message: "Join a room first" });
+          return;
+        }
+        roomName = name;
+        room = getRoom(name);
+        playerId = room.addPlayer(message.name, send);
+        return;
+      }
+      room.handleMessage(playerId, message);
+    });
+
+    socket.on("close", () => {
+      if (!room) return;
+      room.removePlayer(playerId);
+      if (room.isEmpty()) rooms.delete(roomName);
+    });
+  }
+
+  return {
+    async listen() {
+      if (!generateScramble) await initScrambler();
+      server = new WebSocketServer({ port, host });
+      server.on("connection", handleConnection);
+      await new Promise((resolve, reject) => {
+        server.once("listening", resolve);
+        server.once("error", reject);
+      });
+      return { host, port: server.address().port };
+    },
+    close() {
+      if (!server) return Promise.resolve();
+      server.clients.forEach((socket) => socket.terminate());
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+    getRooms: () => [...rooms.values()].map((room) => room.getSnapshot()),
+  };
+}
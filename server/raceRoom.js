@@ -0,0 +1,224 @@
+// One race room on the relay: who is in it, the round being raced and past results
+//
+// This module exports:
+// - createRaceRoom({ id, generateScramble, countdownMs, now, setTimer, clearTimer }) => room
+//     room.addPlayer(name, send) => playerId      send(message) delivers to that player
+//     room.removePlayer(playerId)
+//     room.handleMessage(playerId, message)       client messages of ../src/race/raceProtocol.js
+//     room.isEmpty() / room.getSnapshot()
+//
+// A round races everyone in the room when it is drawn; later arrivals watch.
+// Each player's state is tracked from their moves, so someone joining late
+// sees every opponent cube as it is. Solve times are measured by the clients
+// (from their own "go"), the relay only ranks them, but it does check what it
+// can: "ready" needs the round's scrambled state and "finish" (other than a
+// DNF) a cube the relay has tracked back to solved. While racing, a cube only
+// changes through single moves, and moves only count while scrambling or racing.
+
+import { parseMove } from "../src/cube/notation.js";
+import { createNxNCube } from "../src/cube/nxnCube.js";
+import { COUNTDOWN_MS, RACE_PHASES, rankResults } from "../src/race/raceProtocol.js";
+
+export function createRaceRoom({
+  id,
+  generateScramble,
+  countdownMs = COUNTDOWN_MS,
+  now = Date.now,
+  setTimer = setTimeout,
+  clearTimer = clearTimeout,
+}) {
+  const players = new Map();
+  let nextPlayerId = 1;
+  let phase = RACE_PHASES.LOBBY;
+  let round = 0;
+  let scramble = null;
+  // facelets every racer must report when ready
+  let scrambledFacelets = null;
+  let countdownTimer = null;
+  // players who left mid-race: their DNF still goes into the results
+  let leavers = [];
+  const rounds = [];
+
+  function publicPlayer(player) {
+    return {
+      id: player.id,
+      name: player.name,
+      ready: player.ready,
+      racing: player.racing,
+      result: player.result,
+      facelets: player.cube.asString(),
+    };
+  }
+
+  function broadcast(message, exceptId = null) {
+    players.forEach((player) => {
+      if (player.id !== exceptId) player.send(message);
+    });
+  }
+
+  function broadcastPlayers() {
+    broadcast({ type: "players", players: [...players.values()].map(publicPlayer) });
+  }
+
+  const racers = () => [...players.values()].filter((p) => p.racing);
+
+  function addPlayer(name, send) {
+    const player = {
+      id: nextPlayerId++,
+      name: String(name || "").trim().slice(0, 32) || `Player ${nextPlayerId - 1}`,
+      send,
+      ready: false,
+      racing: false,
+      result: null,
+      moves: 0,
+      cube: createNxNCube(3),
+    };
+    players.set(player.id, player);
+    send({
+      type: "welcome",
+      room: id,
+      playerId: player.id,
+      players: [...players.values()].map(publicPlayer),
+      phase,
+      round,
+      scramble,
+      rounds,
+    });
+    broadcastPlayers();
+    return player.id;
+  }
+
+  function removePlayer(playerId) {
+    const player = players.get(playerId);
+    if (!player) return;
+    players.delete(playerId);
+    if (player.racing && phase === RACE_PHASES.RACING) {
+      if (!player.result) recordResult(player, { time: null, dnf: true });
+      leavers.push(player);
+    }
+    broadcastPlayers();
+    if (phase !== RACE_PHASES.LOBBY) checkRound();
+  }
+
+  function startRound() {
+    if (phase !== RACE_PHASES.LOBBY) throw new Error("A round is already running");
+    if (players.size < 2) throw new Error("Waiting for an opponent to join");
+    round++;
+    scramble = generateScramble();
+    scrambledFacelets = createNxNCube(3).move(scramble).asString();
+    phase = RACE_PHASES.SCRAMBLING;
+    players.forEach((player) => {
+      player.ready = false;
+      player.racing = true;
+      player.result = null;
+      player.moves = 0;
+    });
+    broadcast({ type: "round", round, scramble });
+    broadcastPlayers();
+  }
+
+  function startCountdown() {
+    phase = RACE_PHASES.COUNTDOWN;
+    broadcast({ type: "countdown", startsIn: countdownMs });
+    countdownTimer = setTimer(() => {
+      countdownTimer = null;
+      phase = RACE_PHASES.RACING;
+      racers().forEach((player) => {
+        player.moves = 0;
+      });
+      broadcast({ type: "go" });
+    }, countdownMs);
+  }
+
+  function recordResult(player, { time, dnf }) {
+    player.result = {
+      time: dnf || !Number.isFinite(time) ? null : Math.max(0, Math.round(time)),
+      dnf: Boolean(dnf) || !Number.isFinite(time),
+      moves: player.moves,
+    };
+  }
+
+  function finishRound() {
+    const results = rankResults(
+      [...players.values(), ...leavers]
+        .filter((p) => p.racing && p.result)
+        .map((p) => ({ playerId: p.id, name: p.name, ...p.result }))
+    );
+    rounds.push({ round, scramble, results, finishedAt: now() });
+    phase = RACE_PHASES.LOBBY;
+    leavers = [];
+    broadcast({ type: "results", round, scramble, results });
+    players.forEach((player) => {
+      player.racing = false;
+      player.ready = false;
+    });
+    broadcastPlayers();
+  }
+
+  // After someone leaves or finishes: start, end or abandon the round
+  function checkRound() {
+    const active = racers();
+    if (!active.length && !(phase === RACE_PHASES.RACING && leavers.length)) {
+      // everyone left before the start: nothing to rank
+      if (countdownTimer) clearTimer(countdownTimer);
+      countdownTimer = null;
+      phase = RACE_PHASES.LOBBY;
+      return;
+    }
+    if (phase === RACE_PHASES.SCRAMBLING && active.length && active.every((p) => p.ready)) startCountdown();
+    if (phase === RACE_PHASES.RACING && active.every((p) => p.result)) finishRound();
+  }
+
+  function handleMessage(playerId, message) {
+    const player = players.get(playerId);
+    if (!player) return;
+    try {
+      switch (message.type) {
+        case "newRound":
+          startRound();
+          break;
+        case "state":
+        case "ready": {
+          const readying = message.type === "ready" && phase === RACE_PHASES.SCRAMBLING && player.racing;
+          // a racer's cube only changes through moves until the round is over
+          if (player.racing && !readying) throw new Error("Your cube follows your moves during a round");
+          player.cube = createNxNCube(3, message.facelets);
+          broadcast({ type: "state", playerId, facelets: player.cube.asString() }, playerId);
+          if (readying) {
+            if (player.cube.asString() !== scrambledFacelets) throw new Error("Your cube does not match the scramble");
+            player.ready = true;
+            broadcastPlayers();
+            checkRound();
+          }
+          break;
+        }
+        case "move":
+          if (phase !== RACE_PHASES.SCRAMBLING && phase !== RACE_PHASES.RACING) break;
+          if (!parseMove(message.move)) throw new Error(`Invalid move: ${message.move}`);
+          player.cube.move(message.move);
+          player.moves++;
+          broadcast({ type: "move", playerId, move: message.move, time: message.time }, playerId);
+          break;
+        case "finish":
+          if (phase !== RACE_PHASES.RACING || !player.racing || player.result) break;
+          if (!message.dnf && !player.cube.isSolved()) throw new Error("Your cube is not solved");
+          recordResult(player, message);
+          broadcastPlayers();
+          checkRound();
+          break;
+        default:
+          throw new Error(`Unknown message: ${message.type}`);
+      }
+    } catch (err) {
+      player.send({ type: "error", message: err.message });
+    }
+  }
+
+  return {
+    addPlayer,
+    removePlayer,
+    handleMessage,
+    isEmpty: () => players.size === 0,
+    getSnapshot: () => ({ id, phase, round, scramble, players: [...players.values()].map(publicPlayer), rounds }),
+  };
+}
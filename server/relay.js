@@ -0,0 +1,22 @@
+// Starts the race relay: `npm run relay` (RELAY_PORT / RELAY_HOST override localhost:8787)
+
+import { createRaceRelay } from "./raceRelay.js";
+
+const relay = createRaceRelay({
+  port: Number(process.env.RELAY_PORT) || undefined,
+  host: process.env.RELAY_HOST || undefined,
+});
+
+relay
+  .listen()
+  .then(({ host, port }) => {
+    console.log(`Race relay listening on ws://${host}:${port}`);
+  })
+  .catch((err) => {
+    console.error("Race relay could not start:", err.message);
+    process.exitCode = 1;
+  });
+
+process.on("SIGINT", () => {
+  relay.close().then(() => process.exit(0));
+});
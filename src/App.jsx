@@ -1,7 +1,46 @@
-import React, { useState, useRef, useEffect } from "react";
-import { connectToGanCube, disconnectGanCube } from "./bluetooth/gan";
+import React, { useState, useRef, useEffect, useCallback } from "react";
+import { CONNECTION_STATES, createCubeConnection } from "./bluetooth/connection";
 import Cube3D from "./cube/Cube3D";
-import { applyMoveToCubeJS, getCubeNotation } from "./cube/cubeState";
+import { createGyroOrientation } from "./cube/gyroOrientation";
+import { MAX_PUZZLE_SIZE, MIN_PUZZLE_SIZE, getMoveLayers } from "./cube/nxnCube";
+import { CUBE_EVENTS } from "./session/eventBus";
+import { connectionCallbacks, createCubeSession } from "./session/cubeSession";
+import { followerPlugin, racePlugin, rendererPlugin, timerPlugin } from "./session/plugins";
+import { formatMove, parseAlgorithm } from "./cube/notation";
+import { createSolveTimer } from "./timer/solveTimer";
+import TimerPanel from "./timer/TimerPanel";
+import { generateScramble, initScrambler } from "./scramble/scrambler";
+import { createScrambleTracker } from "./scramble/scrambleTracker";
+import ScramblePanel from "./scramble/ScramblePanel";
+import { createTrainer } from "./trainer/trainer";
+import TrainerPanel from "./trainer/TrainerPanel";
+import { createSolverClient } from "./solver/solverClient";
+import { createSolveGuide } from "./solver/solveGuide";
+import SolverPanel from "./solver/SolverPanel";
+import StateEditor from "./editor/StateEditor";
+import DiagramPanel from "./diagrams/DiagramPanel";
+import { createRaceClient } from "./race/raceClient";
+import { RACE_PHASES } from "./race/raceProtocol";
+import RacePanel from "./race/RacePanel";
+import AppearancePanel from "./appearance/AppearancePanel";
+import { applyTheme, loadAppearanceSettings, subscribeToAppearanceSettings } from "./appearance/appearance";
+import KeyboardPanel from "./keyboard/KeyboardPanel";
+import KeyHints from "./keyboard/KeyHints";
+import { loadKeyboardSettings, moveForKey, subscribeToKeyboardSettings } from "./keyboard/keymap";
+import { addSolve, updateSolve } from "./history/solveStore";
+import HistoryPanel from "./history/HistoryPanel";
+import DevicePanel from "./devices/DevicePanel";
+import {
+  cubeDisplayName,
+  findKnownCubeByDeviceId,
+  getKnownCube,
+  rememberCube,
+  subscribeToKnownCubes,
+} from "./devices/knownCubes";
+
+const SESSION_KEY = "gan-cube-app:session";
+const PUZZLE_SIZE_KEY = "gan-cube-app:puzzle-size";
+const PUZZLE_SIZES = Array.from({ length: MAX_PUZZLE_SIZE - MIN_PUZZLE_SIZE + 1 }, (_, i) => MIN_PUZZLE_SIZE + i);
 
 /*
   References (used in comments and for implementation guidance):
@@ -13,73 +52,406 @@ import { applyMoveToCubeJS, getCubeNotation } from "./cube/cubeState";
 
 export default function App() {
   const [status, setStatus] = useState("Disconnected");
-  const [deviceName, setDeviceName] = useState(null);
+  const [connectionState, setConnectionState] = useState(CONNECTION_STATES.IDLE);
+  // Connected cube: { mac, brand, deviceId, deviceName, hardwareName, hardwareVersion, softwareVersion,
+  // batteryLevel }; mac is null for cubes that do not need it (Giiker)
+  const [deviceInfo, setDeviceInfo] = useState(null);
+  const deviceName = deviceInfo ? cubeDisplayName(getKnownCube(deviceInfo.mac)) || deviceInfo.deviceName : null;
+  // re-render when a nickname changes
+  const [, setKnownCubesVersion] = useState(0);
+  useEffect(() => subscribeToKnownCubes(() => setKnownCubesVersion((v) => v + 1)), []);
+  // true once the cube streams gyro data; otherwise the 3D view uses orbit controls
+  const [gyroActive, setGyroActive] = useState(false);
+  // Facelets reported by the cube when they disagree with the session
+  const [drift, setDrift] = useState(null);
+  // "<cube>|<app>" pair the user chose to keep, so polling does not re-raise it
+  const dismissedDriftRef = useRef(null);
+  const gyroRef = useRef(null);
+  if (!gyroRef.current) gyroRef.current = createGyroOrientation();
+  const [algorithm, setAlgorithm] = useState("");
+  const [algorithmError, setAlgorithmError] = useState(null);
   const cubeRef = useRef(null);
+  // 2x2 up to 7x7; scrambles, the trainer, the solver, the state editor and races are 3x3 only
+  const [puzzleSize, setSelectedPuzzleSize] = useState(() => {
+    const stored = Number(localStorage.getItem(PUZZLE_SIZE_KEY));
+    return PUZZLE_SIZES.includes(stored) ? stored : 3;
+  });
+  // State of the cube being turned; every feature following it is a plugin of this session
+  const sessionRef = useRef(null);
+  if (!sessionRef.current) sessionRef.current = createCubeSession({ size: puzzleSize });
+  const session = sessionRef.current;
+  const timerRef = useRef(null);
+  if (!timerRef.current) timerRef.current = createSolveTimer();
+  const scrambleTrackerRef = useRef(null);
+  const [scrambleState, setScrambleState] = useState(null);
+  const [scramblerReady, setScramblerReady] = useState(false);
+  const [keyboardSettings, setKeyboardSettings] = useState(() => loadKeyboardSettings());
+  useEffect(() => subscribeToKeyboardSettings(setKeyboardSettings), []);
+  // Cube colors and styles (every Cube3D follows them) and the app theme
+  const [appearance, setAppearance] = useState(() => loadAppearanceSettings());
+  useEffect(() => subscribeToAppearanceSettings(setAppearance), []);
+  useEffect(() => applyTheme(appearance.theme), [appearance.theme]);
+  // last key that turned the virtual cube, highlighted in the key overlay
+  const [lastKeyCode, setLastKeyCode] = useState(null);
+  const trainerRef = useRef(null);
+  const [trainerState, setTrainerState] = useState(null);
+  // Solver worker, started on the first Solve
+  const solverRef = useRef(null);
+  const solveGuideRef = useRef(null);
+  const [solveGuideState, setSolveGuideState] = useState(null);
+  const [solving, setSolving] = useState(false);
+  const [solverError, setSolverError] = useState(null);
+  const raceRef = useRef(null);
+  if (!raceRef.current) raceRef.current = createRaceClient();
+  const [raceState, setRaceState] = useState(() => raceRef.current.getState());
+  useEffect(() => raceRef.current.subscribe(setRaceState), []);
+  // scramble tracker of the current race round, and the tracker state "ready" was last sent for
+  const raceTrackerRef = useRef(null);
+  const raceReadySentRef = useRef(null);
+  const [sessionId, setSessionId] = useState(() => Number(localStorage.getItem(SESSION_KEY)) || null);
+  // Latest values for the timer subscription below
+  const solveContextRef = useRef({});
+  solveContextRef.current = { sessionId, deviceName, scramble: scrambleState ? scrambleState.scramble : "" };
+
+  // Moves reach the features in this order, after the session applied them
+  useEffect(() => {
+    const unmounts = [
+      // guide the scramble (next move / corrections) until the cube matches it
+      followerPlugin("scrambleTracker", () => scrambleTrackerRef.current),
+      // case setup, recognition and execution timing in training mode
+      followerPlugin("trainer", () => trainerRef.current),
+      // step through the solver's solution
+      followerPlugin("solveGuide", () => solveGuideRef.current),
+      racePlugin(() => raceRef.current),
+      timerPlugin(timerRef.current),
+      rendererPlugin(() => cubeRef.current),
+    ].map((plugin) => session.use(plugin));
+    return () => unmounts.forEach((unmount) => unmount());
+  }, []);
+
+  // Guide the cube from its current state to `scramble`
+  const trackScramble = (scramble) => {
+    const tracker = createScrambleTracker({ scramble, startFacelets: session.getState() });
+    tracker.subscribe(setScrambleState);
+    scrambleTrackerRef.current = tracker;
+    setScrambleState(tracker.getState());
+    return tracker;
+  };
+
+  // Start tracking a fresh random-state scramble from the current cube state
+  const handleNewScramble = () => {
+    if (!scramblerReady) return;
+    trackScramble(generateScramble().scramble);
+  };
+
+  // Each race round: scramble with the shared scramble, report ready once the cube matches
+  useEffect(() => {
+    if (raceState.phase !== RACE_PHASES.SCRAMBLING || !raceState.scramble) return;
+    raceTrackerRef.current = trackScramble(raceState.scramble);
+  }, [raceState.round]);
+
+  useEffect(() => {
+    const race = raceRef.current;
+    const me = raceState.players.find((p) => p.id === raceState.playerId);
+    if (raceState.phase !== RACE_PHASES.SCRAMBLING || !me || !me.racing || me.ready) return;
+    // I'm ready once the relay lists me so; after a rejected "ready" the next matching state tries again
+    if (raceReadySentRef.current === scrambleState) return;
+    if (scrambleTrackerRef.current !== raceTrackerRef.current || !scrambleState || !scrambleState.ready) return;
+    raceReadySentRef.current = scrambleState;
+    race.ready(session.getState());
+  }, [raceState, scrambleState]);
+
+  useEffect(() => () => raceRef.current.leave(), []);
+
+  // Without a smart cube: scramble the virtual cube in one go and start inspection
+  const handleScrambleKeyboardCube = () => {
+    const tracker = trackScramble(generateScramble().scramble);
+    tracker.getState().plan.forEach(({ move }) => tracker.handleMove(move));
+    session.setState(tracker.getState().targetFacelets, "scramble");
+    timerRef.current.startInspection();
+  };
+
+  // Drill the chosen cases of an algorithm set, starting from the current cube state
+  const handleStartTrainer = (set, caseNames) => {
+    const trainer = createTrainer({ set, caseNames, getFacelets: session.getState });
+    trainer.subscribe(setTrainerState);
+    trainerRef.current = trainer;
+    trainer.next();
+  };
+
+  const handleStopTrainer = () => {
+    if (trainerRef.current) trainerRef.current.stop();
+    trainerRef.current = null;
+    setTrainerState(null);
+  };
+
+  // Solve the cube as the app sees it, then guide through it. When the cube
+  // reports another state the drift warning stays up: adopting it is the
+  // user's call ("Use cube state" drops the guide found for the app state).
+  const handleSolve = () => {
+    if (!solverRef.current) solverRef.current = createSolverClient();
+    const solver = solverRef.current;
+    const facelets = session.getState();
+    setSolving(true);
+    setSolverError(null);
+    solver
+      .solve(facelets)
+      .then((solution) => {
+        const guide = createSolveGuide({ facelets, solution, solve: (f) => solver.solve(f) });
+        guide.subscribe(setSolveGuideState);
+        solveGuideRef.current = guide;
+        setSolveGuideState(guide.getState());
+      })
+      .catch((err) => setSolverError(`Cannot solve this state: ${err.message}`))
+      .finally(() => setSolving(false));
+  };
+
+  const handleStopSolveGuide = () => {
+    solveGuideRef.current = null;
+    setSolveGuideState(null);
+    setSolverError(null);
+  };
+
+  useEffect(
+    () => () => {
+      if (solverRef.current) solverRef.current.terminate();
+    },
+    []
+  );
+
+  // A position set up in the state editor replaces the virtual cube's state
+  const handleLoadState = (facelets) => {
+    session.setState(facelets);
+    scrambleTrackerRef.current = null;
+    setScrambleState(null);
+    handleStopTrainer();
+    handleStopSolveGuide();
+  };
+
+  // Another puzzle starts solved, without the previous puzzle's scramble or drill
+  const switchPuzzle = (size) => {
+    localStorage.setItem(PUZZLE_SIZE_KEY, String(size));
+    setSelectedPuzzleSize(size);
+    if (session.getPuzzleSize() === size) return;
+    session.setPuzzleSize(size);
+    scrambleTrackerRef.current = null;
+    setScrambleState(null);
+    handleStopTrainer();
+    handleStopSolveGuide();
+    raceRef.current.leave();
+    setDrift(null);
+  };
+
+  // Solver tables take a few seconds to build; do it once after first paint
+  useEffect(() => {
+    let cancelled = false;
+    initScrambler().then(() => {
+      if (!cancelled) setScramblerReady(true);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleSessionChange = useCallback((id) => {
+    setSessionId(id);
+    if (id == null) localStorage.removeItem(SESSION_KEY);
+    else localStorage.setItem(SESSION_KEY, String(id));
+  }, []);
+
+  // Save every finished solve; later penalty changes update the saved record
+  useEffect(() => {
+    let saved = null; // { result, id: Promise<id> }
+    return timerRef.current.subscribe(({ result }) => {
+      if (!result) return;
+      if (saved && saved.result.finishedAt === result.finishedAt) {
+        if (saved.result.penalty !== result.penalty) {
+          saved.result = result;
+          saved.id.then((id) => updateSolve(id, { penalty: result.penalty })).catch((err) => {
+            console.error("Failed to update solve:", err);
+          });
+        }
+        return;
+      }
+      const { sessionId: currentSession, deviceName: device, scramble } = solveContextRef.current;
+      if (currentSession == null) return;
+      const id = addSolve({
+        sessionId: currentSession,
+        time: result.time,
+        penalty: result.penalty,
+        scramble,
+        moves: result.moves,
+        // every solve move has already been applied to the cube state
+        startFacelets: session.getStateBefore(result.moves.map((m) => m.move).join(" ")),
+        deviceName: device,
+      });
+      saved = { result, id };
+      id.catch((err) => console.error("Failed to save solve:", err));
+    });
+  }, []);
+
+  // Apply a pasted algorithm (full WCA notation, brackets, repetitions, comments)
+  const handleApplyAlgorithm = (e) => {
+    e.preventDefault();
+    let moves;
+    try {
+      moves = parseAlgorithm(algorithm);
+    } catch (err) {
+      setAlgorithmError(err.message);
+      return;
+    }
+    const unsupported = moves.find((m) => !getMoveLayers(m, puzzleSize));
+    if (unsupported) {
+      setAlgorithmError(`${formatMove(unsupported)} cannot be turned on a ${puzzleSize}x${puzzleSize}`);
+      return;
+    }
+    setAlgorithmError(null);
+    session.applyAlgorithm(moves);
+  };
+
+  // The cube missed nothing, we did: after a dropout adopt the state it reports
+  const handleResync = (facelets) => {
+    setDrift(null);
+    if (facelets === session.getState()) return;
+    setStatus("Adopted the state reported by the cube");
+    session.setState(facelets, "resync");
+    // the solution was found for the state we had
+    if (solveGuideRef.current) handleStopSolveGuide();
+  };
+
+  // Periodic check against the hardware: on mismatch offer to adopt its state
+  const handleFacelets = (facelets) => {
+    const appFacelets = session.getState();
+    if (facelets === appFacelets) {
+      setDrift(null);
+      return;
+    }
+    if (dismissedDriftRef.current === `${facelets}|${appFacelets}`) return;
+    setDrift({ facelets, appFacelets });
+  };
+
+  const handleMoveGap = ({ missing, recovered }) => {
+    if (missing) setStatus(`${missing} move(s) lost, checking cube state...`);
+    else if (recovered) setStatus(`Recovered ${recovered} dropped move(s) from the cube's history`);
+  };
+
+  const handleDismissDrift = () => {
+    dismissedDriftRef.current = `${drift.facelets}|${drift.appFacelets}`;
+    setDrift(null);
+  };
 
-  // Called when Bluetooth module receives a parsed notation move (like "R", "R'", "U2")
-  const handleIncomingMove = (moveNotation) => {
-    // normalize notation
-    const notation = getCubeNotation(moveNotation) || moveNotation;
-    // Update internal cubejs state
-    applyMoveToCubeJS(notation);
-    // Notify 3D cube to animate the move
-    if (cubeRef.current) {
-      cubeRef.current.enqueueMove(notation);
+  const handleOrientation = (quaternion) => {
+    const q = gyroRef.current.update(quaternion);
+    if (cubeRef.current) cubeRef.current.setTargetOrientation(q);
+    setGyroActive(true);
+  };
+
+  const handleConnectionState = (s) => {
+    setConnectionState(s);
+    if (s !== CONNECTION_STATES.CONNECTED && s !== CONNECTION_STATES.RECONNECTING) {
+      gyroRef.current.reset();
+      setGyroActive(false);
     }
   };
 
+  // Identity of the cube the connection is talking to
+  const currentDevice = () => {
+    const device = connectionRef.current.getDevice();
+    const driver = connectionRef.current.getDriver();
+    if (!device || !driver) return null;
+    const mac = connectionRef.current.getMacAddress();
+    return { mac, brand: driver.name, deviceId: device.id, deviceName: device.name || device.id };
+  };
+
+  // Merge device details into the panel state and the known-cubes list
+  // (cubes are remembered by MAC address). Replies to the queries sent on
+  // connect may arrive before connect() returns.
+  const updateDeviceInfo = (changes) => {
+    setDeviceInfo((info) => {
+      const base = info || currentDevice();
+      if (!base) return info;
+      if (base.mac) rememberCube(base.mac, info ? changes : { ...base, ...changes });
+      return { ...base, ...changes };
+    });
+  };
+
+  const connectionRef = useRef(null);
+  if (!connectionRef.current) {
+    connectionRef.current = createCubeConnection({
+      // moves go to the session, everything else onto its bus
+      ...connectionCallbacks(session),
+      // A cube connected before needs neither advertisements nor a prompt
+      lookupMacAddress: (device) => {
+        const known = findKnownCubeByDeviceId(device.id);
+        return known ? known.mac : null;
+      },
+      // Fallback when the browser cannot read advertisements (chrome://flags
+      // "Experimental Web Platform features" is required for that).
+      onMacAddressRequest: (device) =>
+        window.prompt(`Enter the MAC address of ${device.name || "your cube"} (e.g. AB:12:CD:34:EF:56)`),
+    });
+  }
+
+  // What the cube reports besides its moves
+  useEffect(() => {
+    const { bus } = session;
+    const offs = [
+      bus.on(CUBE_EVENTS.ORIENTATION, ({ quaternion }) => handleOrientation(quaternion)),
+      bus.on(CUBE_EVENTS.BATTERY, ({ level }) => updateDeviceInfo({ batteryLevel: level })),
+      bus.on(CUBE_EVENTS.HARDWARE, ({ hardwareName, hardwareVersion, softwareVersion }) =>
+        updateDeviceInfo({ hardwareName, hardwareVersion, softwareVersion })
+      ),
+      bus.on(CUBE_EVENTS.STATUS, ({ message }) => setStatus(message)),
+      bus.on(CUBE_EVENTS.CONNECTION, ({ state }) => handleConnectionState(state)),
+      bus.on(CUBE_EVENTS.RESYNC, ({ facelets }) => handleResync(facelets)),
+      bus.on(CUBE_EVENTS.FACELETS, ({ facelets }) => handleFacelets(facelets)),
+      bus.on(CUBE_EVENTS.MOVE_GAP, (gap) => handleMoveGap(gap)),
+    ];
+    return () => offs.forEach((off) => off());
+  }, []);
+
   const handleConnectClick = async () => {
-    setStatus("Connecting");
     try {
-      const device = await connectToGanCube({
-        onMove: handleIncomingMove,
-        onStatus: (s) => setStatus(s),
-      });
-      if (device) {
-        setDeviceName(device.name || device.id);
-        setStatus("Connected");
-      } else {
-        setStatus("Disconnected");
+      const device = await connectionRef.current.connect();
+      if (!device) return;
+      const base = currentDevice();
+      const known = base.mac ? rememberCube(base.mac, base) : base;
+      // a smart cube decides the puzzle (a GAN 2x2 reports 24 facelets)
+      const size = connectionRef.current.getPuzzleSize();
+      if (size !== session.getPuzzleSize()) {
+        switchPuzzle(size);
+        // compare the new puzzle with the cube's own state
+        connectionRef.current.sendCommand("facelets").catch((err) => console.warn("Cube facelets query failed:", err));
       }
+      // the stored battery level is from last time: wait for a fresh one
+      setDeviceInfo((info) => ({ ...known, batteryLevel: null, ...info }));
     } catch (err) {
       console.error("Connect error:", err);
-      setStatus("Disconnected");
     }
   };
 
   const handleDisconnectClick = async () => {
-    setStatus("Disconnecting");
-    await disconnectGanCube();
-    setStatus("Disconnected");
-    setDeviceName(null);
+    await connectionRef.current.disconnect();
+    setDeviceInfo(null);
+    setDrift(null);
   };
 
-  // For demo: allow keyboard to perform moves locally
+  // Drop the link when the app goes away
+  useEffect(() => () => connectionRef.current.disconnect(), []);
+
+  // Keyboard virtual cube (csTimer layout unless customized)
   useEffect(() => {
+    if (!keyboardSettings.enabled) return undefined;
     function onKey(e) {
-      const keyMap = {
-        r: "R",
-        R: "R",
-        u: "U",
-        U: "U",
-        f: "F",
-        F: "F",
-        l: "L",
-        L: "L",
-        d: "D",
-        D: "D",
-        b: "B",
-        B: "B",
-      };
-      const move = keyMap[e.key];
-      if (move) {
-        const parsed = getCubeNotation(move); // default single turn
-        handleIncomingMove(parsed);
-      }
+      const move = moveForKey(keyboardSettings.keymap, e);
+      if (!move) return;
+      e.preventDefault();
+      setLastKeyCode(e.code);
+      session.applyMove(move, { source: "keyboard" });
     }
     window.addEventListener("keydown", onKey);
     return () => window.removeEventListener("keydown", onKey);
-  }, []);
+  }, [keyboardSettings]);
 
   return (
     <div className="app">
@@ -90,7 +462,7 @@ export default function App() {
             onClick={handleConnectClick}
             className="btn"
           >
-            Connect GAN Cube
+            Connect Cube
           </button>
           <button
             onClick={handleDisconnectClick}
@@ -99,6 +471,19 @@ export default function App() {
           >
             Disconnect
           </button>
+          <select
+            className="puzzle-size"
+            value={puzzleSize}
+            onChange={(e) => switchPuzzle(Number(e.target.value))}
+            disabled={connectionState === CONNECTION_STATES.CONNECTED}
+            title="Puzzle"
+          >
+            {PUZZLE_SIZES.map((n) => (
+              <option key={n} value={n}>
+                {n}x{n}
+              </option>
+            ))}
+          </select>
           <div className="status">
             <strong>Status:</strong> {status}
             {deviceName ? ` — ${deviceName}` : ""}
@@ -106,10 +491,98 @@ export default function App() {
         </div>
       </div>
 
+      <form className="algorithm-form" onSubmit={handleApplyAlgorithm}>
+        <textarea
+          className="algorithm-input"
+          value={algorithm}
+          onChange={(e) => setAlgorithm(e.target.value)}
+          placeholder="Paste an algorithm, e.g. [R U R', D] (R U R' U')3"
+          rows={2}
+        />
+        <button type="submit" className="btn">
+          Apply
+        </button>
+        {algorithmError && <div className="algorithm-error">{algorithmError}</div>}
+      </form>
+
+      <DevicePanel info={deviceInfo} connected={connectionState === CONNECTION_STATES.CONNECTED} />
+
+      {drift && (
+        <div className="sync-warning">
+          <span>The cube reports a different state than the app (moves were missed or the cube was turned offline).</span>
+          <button className="control-button" onClick={() => handleResync(drift.facelets)}>
+            Use cube state
+          </button>
+          <button className="control-button" onClick={handleDismissDrift}>
+            Keep app state
+          </button>
+        </div>
+      )}
+
+      {puzzleSize === 3 && (
+        <>
+          <ScramblePanel state={scrambleState} preparing={!scramblerReady} onNewScramble={handleNewScramble} />
+
+          <TrainerPanel
+            state={trainerState}
+            onStart={handleStartTrainer}
+            onStop={handleStopTrainer}
+            onSkip={() => trainerRef.current && trainerRef.current.skip()}
+            onRetry={() => trainerRef.current && trainerRef.current.retry()}
+          />
+
+          <SolverPanel
+            state={solveGuideState}
+            solving={solving}
+            error={solverError}
+            onSolve={handleSolve}
+            onStop={handleStopSolveGuide}
+          />
+
+          <RacePanel client={raceRef.current} state={raceState} getFacelets={session.getState} />
+
+          <StateEditor
+            getCurrent={session.getState}
+            onLoad={handleLoadState}
+            canLoad={connectionState !== CONNECTION_STATES.CONNECTED}
+            appearance={appearance}
+          />
+        </>
+      )}
+
+      <AppearancePanel settings={appearance} />
+
+      <KeyboardPanel
+        settings={keyboardSettings}
+        onScramble={
+          scramblerReady && puzzleSize === 3 && connectionState !== CONNECTION_STATES.CONNECTED
+            ? handleScrambleKeyboardCube
+            : null
+        }
+      />
+
+      {/* the keyboard cube drives the timer like a smart cube */}
+      <TimerPanel
+        timer={timerRef.current}
+        connected={connectionState === CONNECTION_STATES.CONNECTED || keyboardSettings.enabled}
+      />
+
       <div className="canvas-container">
-        <Cube3D ref={cubeRef} />
+        <Cube3D ref={cubeRef} size={puzzleSize} orbitControls={!gyroActive} />
+        {keyboardSettings.enabled && keyboardSettings.showHints && (
+          <KeyHints keymap={keyboardSettings.keymap} activeCode={lastKeyCode} className="key-hints-overlay" />
+        )}
+        {gyroActive && (
+          <button className="control-button gyro-calibrate" onClick={() => gyroRef.current.calibrate()}>
+            Reset heading
+          </button>
+        )}
       </div>
 
+      <DiagramPanel session={session} appearance={appearance} />
+
+      <HistoryPanel sessionId={sessionId} onSessionChange={handleSessionChange} appearance={appearance} />
+
       <div className="footer">
         <small>
           Uses Web Bluetooth; works only on HTTPS and compatible Chromium browsers.
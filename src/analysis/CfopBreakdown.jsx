@@ -0,0 +1,61 @@
+import React, { useMemo } from "react";
+import { formatTime } from "../timer/solveTimer";
+import { faceletColorName } from "../appearance/appearance";
+import { analyzeCfop } from "./cfop";
+
+/*
+  CFOP split of one recorded solve: time, move count and TPS per step, with
+  the F2L slot and the recognized OLL / PLL case.
+  `solve` is a history record ({ moves, startFacelets, scramble }); the cross
+  color is named after the `appearance` settings' color scheme.
+*/
+export default function CfopBreakdown({ solve, appearance }) {
+  const analysis = useMemo(
+    () => analyzeCfop({ moves: solve.moves, startFacelets: solve.startFacelets, scramble: solve.scramble }),
+    [solve]
+  );
+
+  if (!solve.moves || !solve.moves.length) {
+    return <div className="cfop-empty">No moves recorded for this solve.</div>;
+  }
+  if (solve.startFacelets && solve.startFacelets.length !== 54) {
+    return <div className="cfop-empty">CFOP splits are only available for 3x3 solves.</div>;
+  }
+  if (!analysis.steps.length) {
+    return <div className="cfop-empty">No cross found in this solve.</div>;
+  }
+
+  return (
+    <table className="cfop-breakdown">
+      <thead>
+        <tr>
+          <th>Step</th>
+          <th>Time</th>
+          <th>Moves</th>
+          <th>TPS</th>
+          <th />
+        </tr>
+      </thead>
+      <tbody>
+        {analysis.steps.map((step) => (
+          <tr key={step.id}>
+            <td>{step.label}</td>
+            <td>{formatTime(step.time)}</td>
+            <td>{step.moves}</td>
+            <td>{step.time > 0 ? (step.moves / (step.time / 1000)).toFixed(2) : "-"}</td>
+            <td className="cfop-detail">
+              {step.id === "cross" ? `${faceletColorName(appearance, analysis.crossColor)} cross` : step.case || step.slot || ""}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+      {!analysis.complete && (
+        <tfoot>
+          <tr>
+            <td colSpan={5}>Cube was not solved at the end of the recording.</td>
+          </tr>
+        </tfoot>
+      )}
+    </table>
+  );
+}
@@ -0,0 +1,77 @@
+import React, { useMemo } from "react";
+import { formatTime } from "../timer/solveTimer";
+import { PAUSE_MS, analyzeExecution } from "./execution";
+import TurnIntervalChart from "./TurnIntervalChart";
+
+const formatTps = (tps) => (tps == null ? "-" : tps.toFixed(2));
+
+/*
+  Turn timing of one recorded solve: TPS with and without pauses, regrips and
+  cancelled moves, overall and per CFOP step, and the chart of turn intervals.
+  `solve` is a history record ({ moves, startFacelets, scramble }).
+*/
+export default function ExecutionBreakdown({ solve }) {
+  const analysis = useMemo(
+    () => analyzeExecution({ moves: solve.moves, startFacelets: solve.startFacelets, scramble: solve.scramble }),
+    [solve]
+  );
+
+  if (analysis.moves < 2) return null;
+
+  return (
+    <div className="execution-breakdown">
+      <div className="execution-summary">
+        <span>
+          <strong>{formatTps(analysis.tps)}</strong> TPS
+        </span>
+        <span>
+          <strong>{formatTps(analysis.executionTps)}</strong> without pauses
+        </span>
+        <span>
+          Pauses <strong>{analysis.pauses.length}</strong> ({formatTime(analysis.recognitionTime)})
+        </span>
+        <span>
+          Regrips <strong>{analysis.regrips.length}</strong>
+        </span>
+        <span title={analysis.cancellations.map((c) => c.moves).join(", ")}>
+          Cancellations <strong>{analysis.cancellations.length}</strong>
+        </span>
+        {analysis.timingSource === "local" && <small>timed by the app, not the cube</small>}
+      </div>
+
+      <TurnIntervalChart analysis={analysis} pauseMs={PAUSE_MS} />
+      <div className="interval-legend">
+        <span className="turn">turn</span>
+        <span className="regrip">regrip</span>
+        <span className="pause">pause ≥ {PAUSE_MS} ms</span>
+      </div>
+
+      {analysis.steps.length > 0 && (
+        <table className="cfop-breakdown">
+          <thead>
+            <tr>
+              <th>Step</th>
+              <th>Recognition</th>
+              <th>Execution</th>
+              <th>Exec. TPS</th>
+              <th>Regrips</th>
+              <th>Cancellations</th>
+            </tr>
+          </thead>
+          <tbody>
+            {analysis.steps.map((step) => (
+              <tr key={step.id}>
+                <td>{step.label}</td>
+                <td>{formatTime(step.recognitionTime)}</td>
+                <td>{formatTime(step.executionTime)}</td>
+                <td>{formatTps(step.executionTps)}</td>
+                <td>{step.regrips.length}</td>
+                <td>{step.cancellations.length}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+import React from "react";
+import { INTERVAL_KINDS } from "./execution";
+
+const WIDTH = 600;
+const HEIGHT = 120;
+const TOP = 14;
+// Longer gaps are clipped so one long pause does not flatten the chart
+const MAX_SCALE_MS = 2000;
+
+const KIND_COLORS = {
+  [INTERVAL_KINDS.TURN]: "#64b5f6",
+  [INTERVAL_KINDS.REGRIP]: "#ffb300",
+  [INTERVAL_KINDS.PAUSE]: "#ef5350",
+};
+
+/*
+  Bar per move: the gap since the previous move, colored by what it was
+  (turn, regrip, pause), with the CFOP steps marked along the solve.
+  `analysis` comes from analyzeExecution(); `pauseMs` draws the pause line.
+*/
+export default function TurnIntervalChart({ analysis, pauseMs }) {
+  const { intervals, steps } = analysis;
+  if (!intervals.length) return null;
+  const scale = Math.min(MAX_SCALE_MS, Math.max(pauseMs, ...intervals.map((i) => i.interval)));
+  const barWidth = WIDTH / intervals.length;
+  const y = (ms) => HEIGHT - (Math.min(ms, scale) / scale) * (HEIGHT - TOP);
+
+  return (
+    <svg className="interval-chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none" role="img">
+      {steps.map((step) => (
+        <g key={step.id} className="interval-step">
+          <line x1={step.startIndex * barWidth} x2={step.startIndex * barWidth} y1={0} y2={HEIGHT} />
+          <text x={step.startIndex * barWidth + 2} y={10}>
+            {step.label}
+          </text>
+        </g>
+      ))}
+      {intervals.map((i) => (
+        <rect
+          key={i.index}
+          x={i.index * barWidth + barWidth * 0.1}
+          y={y(i.interval)}
+          width={barWidth * 0.8}
+          height={HEIGHT - y(i.interval)}
+          fill={KIND_COLORS[i.kind]}
+        >
+          <title>{`${i.index + 1}. ${i.move}: ${Math.round(i.interval)} ms (${i.kind})`}</title>
+        </rect>
+      ))}
+      {pauseMs <= scale && <line className="interval-threshold" x1={0} x2={WIDTH} y1={y(pauseMs)} y2={y(pauseMs)} />}
+    </svg>
+  );
+}
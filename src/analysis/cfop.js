@@ -0,0 +1,200 @@
+// CFOP step splitting for recorded solves
+//
+// Replays a solve's moves from its starting state and finds where the cross,
+// each F2L pair, OLL and PLL were completed. Works for any cross color: the
+// cross face is the first face whose cross is solved, preferring the one with
+// the most solved F2L slots when several crosses complete on the same move.
+// Whole-cube rotations and slice moves are handled because pieces are checked
+// against the current centers, not against fixed faces.
+//
+// This module exports:
+// - analyzeCfop({ moves, startFacelets, scramble }) => analysis (see below)
+// - orientCrossDown(facelets, crossFace) => facelets re-labelled with the cross on D
+// - CFOP_STEPS: step ids in order
+//
+// `moves` is the timer's move list [{ move, time }] (time in ms from the start).
+// analysis = {
+//   crossFace: "D", crossColor: "D" (solved-state face letter of the cross color),
+//   complete: true when the cube ended solved,
+//   steps: [{ id, label, slot?, case?, moves, time, startTime, endTime, startIndex, endIndex }]
+// }
+// Steps that were never reached are omitted; skipped steps (e.g. an OLL skip)
+// appear with 0 moves and 0 ms. Solves of other puzzles than the 3x3 get no steps.
+
+import Cube from "cubejs";
+import { FACES } from "../bluetooth/protocols/common.js";
+import { getSequenceStates } from "../cube/cubeState.js";
+import { puzzleSizeOf } from "../cube/faceletGeometry.js";
+import { createNxNCube } from "../cube/nxnCube.js";
+import { recognizeOll, recognizePll } from "./lastLayerCases.js";
+
+export const CFOP_STEPS = ["cross", "f2l1", "f2l2", "f2l3", "f2l4", "oll", "pll"];
+
+// cubejs facelet indices of each edge and corner
+const EDGES = [
+  [5, 10], [7, 19], [3, 37], [1, 46],
+  [32, 16], [28, 25], [30, 43], [34, 52],
+  [23, 12], [21, 41], [50, 39], [48, 14],
+];
+const CORNERS = [
+  [8, 9, 20], [6, 18, 38], [0, 36, 47], [2, 45, 11],
+  [29, 26, 15], [27, 44, 24], [33, 53, 42], [35, 17, 51],
+];
+
+const faceOf = (index) => Math.floor(index / 9);
+const centerOf = (facelets, face) => facelets[face * 9 + 4];
+const opposite = (face) => (face + 3) % 6;
+
+function isPieceSolved(facelets, piece) {
+  return piece.every((i) => facelets[i] === centerOf(facelets, faceOf(i)));
+}
+
+function isFaceSolved(facelets, face) {
+  const center = centerOf(facelets, face);
+  for (let i = face * 9; i < face * 9 + 9; i++) {
+    if (facelets[i] !== center) return false;
+  }
+  return true;
+}
+
+function isCubeSolved(facelets) {
+  return [0, 1, 2, 3, 4, 5].every((face) => isFaceSolved(facelets, face));
+}
+
+// Cross edges and F2L slots (corner + middle edge) around each face
+const LAYOUT = [0, 1, 2, 3, 4, 5].map((face) => {
+  const touches = (piece) => piece.some((i) => faceOf(i) === face);
+  const slots = CORNERS.filter(touches).map((corner) => {
+    const sides = corner.map(faceOf).filter((f) => f !== face);
+    const edge = EDGES.find((e) => e.every((i) => sides.includes(faceOf(i))));
+    return { corner, edge, sides };
+  });
+  return { cross: EDGES.filter(touches), slots };
+});
+
+function isCrossSolved(facelets, face) {
+  return LAYOUT[face].cross.every((edge) => isPieceSolved(facelets, edge));
+}
+
+// Solved slots, named by their side colors (e.g. "FR") so names survive rotations
+function solvedSlots(facelets, face) {
+  return LAYOUT[face].slots
+    .filter((s) => isPieceSolved(facelets, s.corner) && isPieceSolved(facelets, s.edge))
+    .map((s) => s.sides.map((f) => centerOf(facelets, f)).join(""));
+}
+
+// Whole-cube rotation bringing each face (by position) to D
+const CROSS_DOWN_ROTATION = { U: "x2", R: "z", F: "x'", D: "", L: "z'", B: "x" };
+
+export function orientCrossDown(facelets, crossFace) {
+  const cube = Cube.fromString(facelets);
+  const rotation = CROSS_DOWN_ROTATION[crossFace];
+  if (rotation) cube.move(rotation);
+  const rotated = cube.asString();
+  // Relabel stickers by the face their color's center now sits on
+  const relabel = {};
+  FACES.split("").forEach((face, f) => {
+    relabel[centerOf(rotated, f)] = face;
+  });
+  return rotated
+    .split("")
+    .map((c) => relabel[c])
+    .join("");
+}
+
+export function analyzeCfop({ moves = [], startFacelets = null, scramble = "" } = {}) {
+  // states[i] = facelets after the first i moves
+  const states = getSequenceStates({ moves, startFacelets, scramble });
+  const last = states[states.length - 1];
+  if (last.length !== 54) {
+    return { crossFace: null, crossColor: null, complete: createNxNCube(puzzleSizeOf(last), last).isSolved(), steps: [] };
+  }
+  const timeAt = (i) => (i === 0 ? 0 : moves[i - 1].time);
+
+  // Cross: first state with any solved cross
+  let crossFace = -1;
+  let crossIndex = -1;
+  for (let i = 0; i < states.length && crossFace < 0; i++) {
+    let bestSlots = -1;
+    for (let face = 0; face < 6; face++) {
+      if (!isCrossSolved(states[i], face)) continue;
+      const slots = solvedSlots(states[i], face).length;
+      if (slots > bestSlots) {
+        bestSlots = slots;
+        crossFace = face;
+        crossIndex = i;
+      }
+    }
+  }
+
+  const analysis = {
+    crossFace: crossFace >= 0 ? FACES[crossFace] : null,
+    crossColor: crossFace >= 0 ? centerOf(states[crossIndex], crossFace) : null,
+    complete: isCubeSolved(states[states.length - 1]),
+    steps: [],
+  };
+  if (crossFace < 0) return analysis;
+
+  let previous = 0;
+  const pushStep = (step, index) => {
+    analysis.steps.push({
+      ...step,
+      moves: index - previous,
+      time: timeAt(index) - timeAt(previous),
+      startTime: timeAt(previous),
+      endTime: timeAt(index),
+      startIndex: previous,
+      endIndex: index,
+    });
+    previous = index;
+  };
+  pushStep({ id: "cross", label: "Cross" }, crossIndex);
+
+  // The cross face is tracked by position: rotations move it, so follow its center
+  const crossColor = analysis.crossColor;
+  const faceWithColor = (facelets) => {
+    for (let face = 0; face < 6; face++) {
+      if (centerOf(facelets, face) === crossColor) return face;
+    }
+    return crossFace;
+  };
+
+  const pairsDone = [];
+  let phase = "f2l";
+  let ollCase = null;
+  let pllCase = null;
+  for (let i = crossIndex; i < states.length && phase !== "done"; i++) {
+    const facelets = states[i];
+    const face = faceWithColor(facelets);
+    if (!isCrossSolved(facelets, face)) continue;
+    const top = opposite(face);
+
+    if (phase === "f2l") {
+      const slots = solvedSlots(facelets, face);
+      // a newly solved slot completes the next pair; several may finish at once
+      while (pairsDone.length < slots.length) {
+        const slot = slots.find((s) => !pairsDone.includes(s)) || slots[pairsDone.length];
+        pairsDone.push(slot);
+        pushStep({ id: `f2l${pairsDone.length}`, label: `F2L ${pairsDone.length}`, slot }, i);
+      }
+      if (slots.length < 4) continue;
+      phase = "oll";
+      // the last layer as it was when F2L finished is what had to be recognized
+      const oriented = orientCrossDown(facelets, FACES[face]);
+      ollCase = recognizeOll(oriented);
+    }
+
+    if (phase === "oll") {
+      if (solvedSlots(facelets, face).length < 4 || !isFaceSolved(facelets, top)) continue;
+      pushStep({ id: "oll", label: "OLL", case: ollCase }, i);
+      phase = "pll";
+      pllCase = recognizePll(orientCrossDown(facelets, FACES[face]));
+    }
+
+    if (phase === "pll" && isCubeSolved(facelets)) {
+      pushStep({ id: "pll", label: "PLL", case: pllCase }, i);
+      phase = "done";
+    }
+  }
+  return analysis;
+}
@@ -0,0 +1,134 @@
+// Turn timing and execution quality of recorded solves
+//
+// Reads the gaps between a solve's timestamped moves: turns per second
+// overall and per CFOP step, pauses (counted as recognition time, the rest
+// being execution), regrips inferred from shorter hitches, and cancellations
+// (moves undone right away, like `R R'` or `R U U' R'`).
+//
+// This module exports:
+// - analyzeExecution({ moves, startFacelets, scramble, pauseMs, regripFactor, minRegripMs }) => analysis
+// - INTERVAL_KINDS: "turn" | "regrip" | "pause"
+// - PAUSE_MS, REGRIP_FACTOR, MIN_REGRIP_MS: default thresholds
+//
+// `moves` is the timer's move list [{ move, time, cubeTimestamp }]. Gaps come
+// from the cube's own clock when both moves carry a `cubeTimestamp`, from
+// `time` otherwise, never from when the UI thread saw the move.
+// analysis = {
+//   moves, time, tps, recognitionTime, executionTime, executionTps,
+//   timingSource: "device" | "local",
+//   medianInterval,
+//   intervals: [{ index, move, time, interval, kind }]   one per move, gap since the previous one
+//   pauses, regrips: [{ index, move, time, interval }]   the intervals of that kind
+//   cancellations: [{ index, undoneIndex, moves: "R R'" }]
+//   steps: CFOP steps (see cfop.js), each with the same fields as the whole solve
+// }
+// A gap of at least `pauseMs` is a pause; a gap of at least `regripFactor`
+// times the solve's median gap (and `minRegripMs`) but shorter than a pause
+// is a regrip.
+
+import { getSequenceStates } from "../cube/cubeState.js";
+import { analyzeCfop } from "./cfop.js";
+
+export const PAUSE_MS = 500;
+export const REGRIP_FACTOR = 2.5;
+export const MIN_REGRIP_MS = 150;
+
+export const INTERVAL_KINDS = {
+  TURN: "turn",
+  REGRIP: "regrip",
+  PAUSE: "pause",
+};
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const turnsPerSecond = (count, ms) => (ms > 0 ? count / (ms / 1000) : null);
+
+// Moves undone right away: a move bringing the cube back to the state before
+// the previous (not yet undone) move cancels it, so nested pairs are found too
+function findCancellations(moves, states) {
+  const cancellations = [];
+  const kept = [0]; // indices into `states` of the moves still standing
+  moves.forEach((m, i) => {
+    const state = states[i + 1];
+    if (kept.length > 1 && states[kept[kept.length - 2]] === state) {
+      const undoneIndex = kept.pop() - 1;
+      cancellations.push({ index: i, undoneIndex, moves: `${moves[undoneIndex].move} ${m.move}` });
+    } else {
+      kept.push(i + 1);
+    }
+  });
+  return cancellations;
+}
+
+// Totals over the moves in [start, end)
+function summarize(intervals, cancellations, start, end) {
+  const slice = intervals.slice(start, end);
+  const time = slice.reduce((sum, i) => sum + i.interval, 0);
+  const pauses = slice.filter((i) => i.kind === INTERVAL_KINDS.PAUSE);
+  const recognitionTime = pauses.reduce((sum, i) => sum + i.interval, 0);
+  const executionTime = time - recognitionTime;
+  return {
+    moves: slice.length,
+    time,
+    tps: turnsPerSecond(slice.length, time),
+    recognitionTime,
+    executionTime,
+    executionTps: turnsPerSecond(slice.length, executionTime),
+    pauses,
+    regrips: slice.filter((i) => i.kind === INTERVAL_KINDS.REGRIP),
+    cancellations: cancellations.filter((c) => c.index >= start && c.index < end),
+  };
+}
+
+export function analyzeExecution({
+  moves = [],
+  startFacelets = null,
+  scramble = "",
+  pauseMs = PAUSE_MS,
+  regripFactor = REGRIP_FACTOR,
+  minRegripMs = MIN_REGRIP_MS,
+} = {}) {
+  let deviceGaps = 0;
+  const gaps = moves.map((m, i) => {
+    if (i === 0) return Math.max(0, m.time || 0);
+    const previous = moves[i - 1];
+    if (m.cubeTimestamp != null && previous.cubeTimestamp != null) {
+      deviceGaps++;
+      return Math.max(0, m.cubeTimestamp - previous.cubeTimestamp);
+    }
+    return Math.max(0, (m.time || 0) - (previous.time || 0));
+  });
+
+  // the first gap is the wait before the first turn (0 when that turn started the timer)
+  const medianInterval = median(gaps.slice(1));
+  const regripMs = Math.max(minRegripMs, regripFactor * medianInterval);
+  let clock = 0;
+  const intervals = moves.map((m, index) => {
+    const interval = gaps[index];
+    clock += interval;
+    let kind = INTERVAL_KINDS.TURN;
+    if (interval >= pauseMs) kind = INTERVAL_KINDS.PAUSE;
+    else if (index > 0 && interval >= regripMs) kind = INTERVAL_KINDS.REGRIP;
+    return { index, move: m.move, time: clock, interval, kind };
+  });
+
+  const states = getSequenceStates({ moves, startFacelets, scramble });
+  const cancellations = findCancellations(moves, states);
+  const cfop = analyzeCfop({ moves, startFacelets, scramble });
+
+  return {
+    ...summarize(intervals, cancellations, 0, moves.length),
+    timingSource: moves.length > 1 && deviceGaps === moves.length - 1 ? "device" : "local",
+    medianInterval,
+    intervals,
+    steps: cfop.steps.map((step) => ({
+      ...step,
+      ...summarize(intervals, cancellations, step.startIndex, step.endIndex),
+    })),
+  };
+}
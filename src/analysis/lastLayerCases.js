@@ -0,0 +1,153 @@
+// OLL / PLL case recognition
+// Reference: https://www.speedsolving.com/wiki/index.php/OLL and /PLL
+//
+// This module exports:
+// - OLL_CASES / PLL_CASES: [{ name, algorithm }]
+// - recognizeOll(facelets) => case name ("OLL 21", ...), "OLL skip" or null
+// - recognizePll(facelets) => case name ("T", "Ua", ...), "PLL skip" or null
+//
+// `facelets` must be in standard orientation with the solved first two layers
+// on the bottom (see orientCrossDown in cfop.js). Each case is stored with
+// every pre-AUF (and, for PLL, post-AUF) so any U-layer angle is recognized.
+
+import Cube from "cubejs";
+import { toCubejsAlgorithm } from "../cube/cubeState.js";
+
+export const OLL_CASES = [
+  "R U2 R2 F R F' U2 R' F R F'",
+  "F R U R' U' F' f R U R' U' f'",
+  "f R U R' U' f' U' F R U R' U' F'",
+  "f R U R' U' f' U F R U R' U' F'",
+  "r' U2 R U R' U r",
+  "r U2 R' U' R U' r'",
+  "r U R' U R U2 r'",
+  "l' U' L U' L' U2 l",
+  "R U R' U' R' F R2 U R' U' F'",
+  "R U R' U R' F R F' R U2 R'",
+  "r U R' U R' F R F' R U2 r'",
+  "M' R' U' R U' R' U2 R U' M",
+  "r U' r' U' r U r' F' U F",
+  "R' F R U R' F' R F U' F'",
+  "l' U' l L' U' L U l' U l",
+  "r U r' R U R' U' r U' r'",
+  "R U R' U R' F R F' U2 R' F R F'",
+  "r U R' U R U2 r2 U' R U' R' U2 r",
+  "M U R U R' U' M' R' F R F'",
+  "r U R' U' M2 U R U' R' U' M'",
+  "R U2 R' U' R U R' U' R U' R'",
+  "R U2 R2 U' R2 U' R2 U2 R",
+  "R2 D' R U2 R' D R U2 R",
+  "r U R' U' r' F R F'",
+  "F' r U R' U' r' F R",
+  "R U2 R' U' R U' R'",
+  "R U R' U R U2 R'",
+  "r U R' U' M U R U' R'",
+  "R U R' U' R U' R' F' U' F R U R'",
+  "F R' F R2 U' R' U' R U R' F2",
+  "R' U' F U R U' R' F' R",
+  "L U F' U' L' U L F L'",
+  "R U R' U' R' F R F'",
+  "R U R2 U' R' F R U R U' F'",
+  "R U2 R2 F R F' R U2 R'",
+  "L' U' L U' L' U L U L F' L' F",
+  "F R' F' R U R U' R'",
+  "R U R' U R U' R' U' R' F R F'",
+  "L F' L' U' L U F U' L'",
+  "R' F R U R' U' F' U R",
+  "R U R' U R U2 R' F R U R' U' F'",
+  "R' U' R U' R' U2 R F R U R' U' F'",
+  "F' U' L' U L F",
+  "F U R U' R' F'",
+  "F R U R' U' F'",
+  "R' U' R' F R F' U R",
+  "R' U' R' F R F' R' F R F' U R",
+  "F R U R' U' R U R' U' F'",
+  "r U' r2 U r2 U r2 U' r",
+  "r' U r2 U' r2 U' r2 U r'",
+  "F U R U' R' U R U' R' F'",
+  "R U R' U R U' B U' B' R'",
+  "l' U2 L U L' U' L U L' U l",
+  "r U2 R' U' R U R' U' R U' r'",
+  "R' F R U R U' R2 F' R2 U' R' U R U R'",
+  "r' U' r U' R' U R U' R' U R r' U r",
+  "R U R' U' M' U R U' r'",
+].map((algorithm, i) => ({ name: `OLL ${i + 1}`, algorithm }));
+
+export const PLL_CASES = [
+  ["Aa", "x R' U R' D2 R U' R' D2 R2 x'"],
+  ["Ab", "x R2 D2 R U R' D2 R U' R x'"],
+  ["E", "x' R U' R' D R U R' D' R U R' D R U' R' D' x"],
+  ["F", "R' U' F' R U R' U' R' F R2 U' R' U' R U R' U R"],
+  ["Ga", "R2 U R' U R' U' R U' R2 U' D R' U R D'"],
+  ["Gb", "R' U' R U D' R2 U R' U R U' R U' R2 D"],
+  ["Gc", "R2 U' R U' R U R' U R2 U D' R U' R' D"],
+  ["Gd", "R U R' U' D R2 U' R U' R' U R' U R2 D'"],
+  ["H", "M2 U M2 U2 M2 U M2"],
+  ["Ja", "R' U L' U2 R U' R' U2 R L U'"],
+  ["Jb", "R U R' F' R U R' U' R' F R2 U' R' U'"],
+  ["Na", "R U R' U R U R' F' R U R' U' R' F R2 U' R' U2 R U' R'"],
+  ["Nb", "R' U R U' R' F' U' F R U R' F R' F' R U' R"],
+  ["Ra", "R U' R' U' R U R D R' U' R D' R' U2 R' U'"],
+  ["Rb", "R2 F R U R U' R' F' R U2 R' U2 R"],
+  ["T", "R U R' U' R' F R2 U' R' U' R U R' F'"],
+  ["Ua", "M2 U M U2 M' U M2"],
+  ["Ub", "M2 U' M U2 M' U' M2"],
+  ["V", "R U' R U R' D R D' R U' D R2 U R2 D' R2"],
+  ["Y", "F R U' R' U' R U R' F' R U R' U' R' F R F'"],
+  ["Z", "M' U M2 U M2 U M' U2 M2"],
+].map(([name, algorithm]) => ({ name, algorithm }));
+
+const AUF = ["", "U", "U2", "U'"];
+
+// Facelets of the U face plus the top row of R, F, L and B (cubejs order)
+const LAST_LAYER = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 18, 19, 20, 36, 37, 38, 45, 46, 47];
+
+// Which last-layer stickers show the U color: identifies the OLL case
+function orientationKey(facelets) {
+  return LAST_LAYER.map((i) => (facelets[i] === "U" ? 1 : 0)).join("");
+}
+
+function permutationKey(facelets) {
+  return LAST_LAYER.map((i) => facelets[i]).join("");
+}
+
+// States solved by "AUF algorithm", optionally followed by a final AUF
+function caseStates(algorithm, finalAuf) {
+  const inverse = Cube.inverse(toCubejsAlgorithm(algorithm));
+  const states = [];
+  (finalAuf ? AUF : [""]).forEach((pre) => {
+    AUF.forEach((post) => {
+      const cube = new Cube();
+      if (pre) cube.move(pre);
+      cube.move(inverse);
+      if (post) cube.move(post);
+      states.push(cube.asString());
+    });
+  });
+  return states;
+}
+
+let ollTable = null;
+let pllTable = null;
+
+function buildTable(cases, keyOf, finalAuf, skipName) {
+  const table = new Map();
+  caseStates("", finalAuf).forEach((s) => table.set(keyOf(s), skipName));
+  cases.forEach(({ name, algorithm }) => {
+    caseStates(algorithm, finalAuf).forEach((s) => {
+      const key = keyOf(s);
+      if (!table.has(key)) table.set(key, name);
+    });
+  });
+  return table;
+}
+
+export function recognizeOll(facelets) {
+  if (!ollTable) ollTable = buildTable(OLL_CASES, orientationKey, false, "OLL skip");
+  return ollTable.get(orientationKey(facelets)) || null;
+}
+
+export function recognizePll(facelets) {
+  if (!pllTable) pllTable = buildTable(PLL_CASES, permutationKey, true, "PLL skip");
+  return pllTable.get(permutationKey(facelets)) || null;
+}
@@ -0,0 +1,60 @@
+import React from "react";
+import {
+  COLOR_SCHEMES,
+  PALETTES,
+  STICKER_STYLES,
+  THEMES,
+  faceletColors,
+  saveAppearanceSettings,
+} from "./appearance";
+
+const FACES = ["U", "F", "R", "D", "B", "L"];
+
+function Choice({ label, table, value, onChange }) {
+  return (
+    <label className="timer-option">
+      {label}{" "}
+      <select value={value} onChange={(e) => onChange(e.target.value)}>
+        {Object.entries(table).map(([id, entry]) => (
+          <option key={id} value={id}>
+            {entry.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+/*
+  Cube colors (scheme and palette), sticker style, rounded cubies and the app
+  theme. `settings` comes from loadAppearanceSettings(); changes are saved
+  (and broadcast, so every Cube3D restyles itself) through saveAppearanceSettings().
+*/
+export default function AppearancePanel({ settings }) {
+  const update = (changes) => saveAppearanceSettings({ ...settings, ...changes });
+  const colors = faceletColors(settings);
+
+  return (
+    <div className="appearance-panel">
+      <strong>Appearance</strong>
+      <Choice label="Colors" table={COLOR_SCHEMES} value={settings.scheme} onChange={(scheme) => update({ scheme })} />
+      <Choice label="Palette" table={PALETTES} value={settings.palette} onChange={(palette) => update({ palette })} />
+      <span className="appearance-swatches" title="U F R D B L">
+        {FACES.map((f) => (
+          <span key={f} style={{ background: colors[f] }} />
+        ))}
+      </span>
+      <Choice
+        label="Style"
+        table={STICKER_STYLES}
+        value={settings.stickerStyle}
+        onChange={(stickerStyle) => update({ stickerStyle })}
+      />
+      <label className="timer-option">
+        <input type="checkbox" checked={settings.rounded} onChange={(e) => update({ rounded: e.target.checked })} />
+        Rounded cubies
+      </label>
+      <Choice label="Theme" table={THEMES} value={settings.theme} onChange={(theme) => update({ theme })} />
+    </div>
+  );
+}
@@ -0,0 +1,123 @@
+// Cube and app appearance: color schemes, palettes, sticker styles and the app theme
+//
+// This module exports:
+// - COLOR_SCHEMES: { [id]: { label, faces: { U: "white", ... } } }   which color goes on which face
+// - PALETTES: { [id]: { label, colors: { white: "#ffffff", ... } } }  the shade of each color
+// - STICKER_STYLES: { [id]: { label, stickerSize, body } }
+// - THEMES: { [id]: { label, sceneBackground } }
+// - DEFAULT_APPEARANCE: { scheme, palette, stickerStyle, rounded, theme }
+// - faceletColors(settings) => { U: "#ffffff", R: ..., F, D, L, B }
+// - faceletColorName(settings, letter) => "white"
+// - applyTheme(theme, root = document.documentElement)   sets data-theme for styles.css
+// - loadAppearanceSettings() / saveAppearanceSettings(settings) / subscribeToAppearanceSettings(listener)
+//
+// Settings are ids into the tables above plus `rounded` (rounded cubie
+// bodies); unknown ids fall back to the defaults. Cube3D follows the saved
+// settings live, recoloring its meshes in place.
+
+const STORAGE_KEY = "gan-cube-app:appearance";
+
+export const COLOR_SCHEMES = {
+  standard: {
+    label: "Standard",
+    faces: { U: "white", R: "orange", F: "blue", D: "yellow", L: "red", B: "green" },
+  },
+  // white opposite blue, yellow opposite green
+  japanese: {
+    label: "Japanese",
+    faces: { U: "white", R: "orange", F: "green", D: "blue", L: "red", B: "yellow" },
+  },
+};
+
+export const PALETTES = {
+  classic: {
+    label: "Classic",
+    colors: { white: "#ffffff", yellow: "#ffff00", red: "#ff0000", orange: "#ffa500", blue: "#0000ff", green: "#00aa00" },
+  },
+  // Okabe & Ito's palette, told apart with red-green color blindness; red
+  // becomes reddish purple so it does not merge with orange
+  okabeIto: {
+    label: "Colorblind safe (Okabe–Ito)",
+    colors: { white: "#ffffff", yellow: "#f0e442", red: "#cc79a7", orange: "#e69f00", blue: "#0072b2", green: "#009e73" },
+  },
+  // Colors far apart in lightness, for any kind of color vision
+  highContrast: {
+    label: "High contrast",
+    colors: { white: "#ffffff", yellow: "#ffe600", red: "#a50021", orange: "#ff7a00", blue: "#1e3cff", green: "#00c853" },
+  },
+};
+
+// stickerSize: share of the cubie face covered by its sticker; body: plastic color
+export const STICKER_STYLES = {
+  bordered: { label: "Bordered", stickerSize: 0.94, body: "#151515" },
+  stickered: { label: "Black with stickers", stickerSize: 0.84, body: "#151515" },
+  stickerless: { label: "Stickerless", stickerSize: 1, body: "#2e2e2e" },
+};
+
+export const THEMES = {
+  dark: { label: "Dark", sceneBackground: "#1a1a1a" },
+  light: { label: "Light", sceneBackground: "#e6e6e6" },
+};
+
+export const DEFAULT_APPEARANCE = {
+  scheme: "standard",
+  palette: "classic",
+  stickerStyle: "bordered",
+  rounded: false,
+  theme: "dark",
+};
+
+export function faceletColors(settings) {
+  const { faces } = COLOR_SCHEMES[settings.scheme] || COLOR_SCHEMES[DEFAULT_APPEARANCE.scheme];
+  const { colors } = PALETTES[settings.palette] || PALETTES[DEFAULT_APPEARANCE.palette];
+  const result = {};
+  Object.entries(faces).forEach(([letter, name]) => {
+    result[letter] = colors[name];
+  });
+  return result;
+}
+
+export function faceletColorName(settings, letter) {
+  const { faces } = COLOR_SCHEMES[settings.scheme] || COLOR_SCHEMES[DEFAULT_APPEARANCE.scheme];
+  return faces[letter];
+}
+
+export function applyTheme(theme, root = document.documentElement) {
+  root.dataset.theme = THEMES[theme] ? theme : DEFAULT_APPEARANCE.theme;
+}
+
+let listeners = [];
+
+export function loadAppearanceSettings() {
+  try {
+    const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    const pick = (table, id, fallback) => (Object.prototype.hasOwnProperty.call(table, id) ? id : fallback);
+    return {
+      scheme: pick(COLOR_SCHEMES, data.scheme, DEFAULT_APPEARANCE.scheme),
+      palette: pick(PALETTES, data.palette, DEFAULT_APPEARANCE.palette),
+      stickerStyle: pick(STICKER_STYLES, data.stickerStyle, DEFAULT_APPEARANCE.stickerStyle),
+      rounded: data.rounded === true,
+      theme: pick(THEMES, data.theme, DEFAULT_APPEARANCE.theme),
+    };
+  } catch (e) {
+    return { ...DEFAULT_APPEARANCE };
+  }
+}
+
+export function saveAppearanceSettings(settings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  listeners.forEach((l) => {
+    try {
+      l(settings);
+    } catch (e) {
+      console.warn("appearance settings listener error", e);
+    }
+  });
+}
+
+export function subscribeToAppearanceSettings(listener) {
+  listeners.push(listener);
+  return () => {
+    listeners = listeners.filter((l) => l !== listener);
+  };
+}
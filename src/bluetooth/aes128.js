@@ -0,0 +1,139 @@
+// Minimal AES-128 block cipher used by the GAN protocol drivers.
+// Reference: FIPS-197 (https://csrc.nist.gov/publications/detail/fips/197/final)
+//
+// GAN cubes encrypt every 16-byte chunk with AES-128-CBC using a fixed IV and
+// no padding. Web Crypto only offers padded CBC (and is async), which does not
+// fit a notification handler, so we carry a tiny synchronous implementation.
+//
+// This module exports:
+// - createAes128(key) => { encryptBlock(block), decryptBlock(block) }
+
+const SBOX = new Uint8Array(256);
+const INV_SBOX = new Uint8Array(256);
+
+/*
+  Build the S-boxes at load time instead of shipping two 256-entry tables.
+  Walks the multiplicative group of GF(2^8) with generator 3 and applies the
+  affine transform to each inverse.
+*/
+(function buildSboxes() {
+  let p = 1;
+  let q = 1;
+  do {
+    // p *= 3
+    p = p ^ ((p << 1) & 0xff) ^ (p & 0x80 ? 0x1b : 0);
+    // q /= 3
+    q ^= q << 1;
+    q ^= q << 2;
+    q ^= q << 4;
+    q &= 0xff;
+    if (q & 0x80) q ^= 0x09;
+    const rotl = (x, s) => ((x << s) | (x >> (8 - s))) & 0xff;
+    const s = q ^ rotl(q, 1) ^ rotl(q, 2) ^ rotl(q, 3) ^ rotl(q, 4) ^ 0x63;
+    SBOX[p] = s;
+    INV_SBOX[s] = p;
+  } while (p !== 1);
+  SBOX[0] = 0x63;
+  INV_SBOX[0x63] = 0;
+})();
+
+function xtime(b) {
+  return ((b << 1) ^ (b & 0x80 ? 0x1b : 0)) & 0xff;
+}
+
+function mul(a, b) {
+  let r = 0;
+  while (b) {
+    if (b & 1) r ^= a;
+    a = xtime(a);
+    b >>= 1;
+  }
+  return r;
+}
+
+function expandKey(key) {
+  if (!key || key.length !== 16) {
+    throw new Error("AES-128 key must be 16 bytes");
+  }
+  const w = new Uint8Array(176);
+  w.set(key);
+  let rcon = 1;
+  for (let i = 16; i < 176; i += 4) {
+    let t0 = w[i - 4];
+    let t1 = w[i - 3];
+    let t2 = w[i - 2];
+    let t3 = w[i - 1];
+    if (i % 16 === 0) {
+      const tmp = t0;
+      t0 = SBOX[t1] ^ rcon;
+      t1 = SBOX[t2];
+      t2 = SBOX[t3];
+      t3 = SBOX[tmp];
+      rcon = xtime(rcon);
+    }
+    w[i] = w[i - 16] ^ t0;
+    w[i + 1] = w[i - 15] ^ t1;
+    w[i + 2] = w[i - 14] ^ t2;
+    w[i + 3] = w[i - 13] ^ t3;
+  }
+  return w;
+}
+
+function addRoundKey(state, w, round) {
+  for (let i = 0; i < 16; i++) state[i] ^= w[round * 16 + i];
+}
+
+// State is column-major, as in FIPS-197: byte (row r, column c) lives at 4c + r.
+function shiftRows(state, inverse) {
+  const t = state.slice();
+  for (let r = 1; r < 4; r++) {
+    for (let c = 0; c < 4; c++) {
+      const from = inverse ? (c - r + 4) % 4 : (c + r) % 4;
+      state[4 * c + r] = t[4 * from + r];
+    }
+  }
+}
+
+function mixColumns(state, inverse) {
+  const m = inverse ? [14, 11, 13, 9] : [2, 3, 1, 1];
+  for (let c = 0; c < 4; c++) {
+    const col = state.slice(4 * c, 4 * c + 4);
+    for (let r = 0; r < 4; r++) {
+      state[4 * c + r] =
+        mul(col[0], m[(4 - r) % 4]) ^
+        mul(col[1], m[(5 - r) % 4]) ^
+        mul(col[2], m[(6 - r) % 4]) ^
+        mul(col[3], m[(7 - r) % 4]);
+    }
+  }
+}
+
+export function createAes128(key) {
+  const w = expandKey(key);
+
+  function encryptBlock(block) {
+    const state = Uint8Array.from(block);
+    addRoundKey(state, w, 0);
+    for (let round = 1; round <= 10; round++) {
+      for (let i = 0; i < 16; i++) state[i] = SBOX[state[i]];
+      shiftRows(state, false);
+      if (round !== 10) mixColumns(state, false);
+      addRoundKey(state, w, round);
+    }
+    return state;
+  }
+
+  function decryptBlock(block) {
+    const state = Uint8Array.from(block);
+    addRoundKey(state, w, 10);
+    for (let round = 9; round >= 0; round--) {
+      shiftRows(state, true);
+      for (let i = 0; i < 16; i++) state[i] = INV_SBOX[state[i]];
+      addRoundKey(state, w, round);
+      if (round !== 0) mixColumns(state, true);
+    }
+    return state;
+  }
+
+  return { encryptBlock, decryptBlock };
+}
@@ -0,0 +1,402 @@
+// Smart cube connection over Web Bluetooth, for every brand in ./drivers
+//
+// This module exports:
+// - createCubeConnection(options) => connection
+//     connection.connect() => BluetoothDevice (null if the chooser was cancelled)
+//     connection.disconnect()
+//     connection.sendCommand(name, ...args) where name is "facelets" | "hardware" | "battery" |
+//       "reset" | "moveHistory" (serial, count), as far as the cube supports them
+//     connection.getState() => one of CONNECTION_STATES
+//     connection.getDevice() / connection.getDriver() / connection.getProtocol() /
+//       connection.getMacAddress() / connection.getPuzzleSize() (2 for a 2x2, else 3)
+// - CONNECTION_STATES
+// - reconnectDelay(attempt, { baseDelay, maxDelay }) => ms before reconnect attempt `attempt`
+//
+// options: { drivers, onMove, onOrientation, onBattery, onHardware, onEvent, onStatus,
+//            onStateChange, onResync, onFacelets, onMoveGap, macAddress, lookupMacAddress,
+//            onMacAddressRequest, reconnect: { maxAttempts, baseDelay, maxDelay } }
+// `drivers` defaults to SMART_CUBE_DRIVERS: the chooser offers every brand
+// and the driver is picked by device name, then by the services found.
+// Moves are delivered in move-counter order. Moves lost over the air are
+// fetched from the cube's move history (GAN Gen3/Gen4) and passed to onMove
+// with `event.backfilled`; onMoveGap({ missing, recovered }) reports every
+// gap. Cubes without a move counter deliver moves as they arrive.
+// onFacelets(facelets, event) gets the cube's own facelet state, queried on
+// connect and every FACELETS_POLL_MS, but only when it is consistent with the
+// moves delivered so far (same move counter, no gap pending).
+// onOrientation(quaternion, event) receives the gyro quaternion { x, y, z, w }
+// (sensor frame) of cubes that have a gyroscope.
+// onBattery(level, event) gets the charge in percent: queried on connect and
+// every BATTERY_POLL_MS while connected (or whenever the cube reports it).
+// onHardware({ hardwareName, hardwareVersion, softwareVersion, gyroSupported },
+// event) answers the hardware query sent on connect.
+// Drivers that encrypt with the MAC address get it from `macAddress`, then
+// lookupMacAddress(device) (e.g. cubes seen before), then the device name or
+// the advertisements, then onMacAddressRequest(device).
+// After a dropped link the same BluetoothDevice is reconnected with exponential
+// backoff; the first facelets packet afterwards is passed to onResync(facelets)
+// so the app can replace the cube state that missed moves while offline.
+//
+// IMPORTANT: This is browser-side Web Bluetooth code and must run under HTTPS
+// or on localhost in supported Chromium browsers.
+
+import { SMART_CUBE_DRIVERS, findDriverByName, findDriverByServices, getRequestOptions } from "./drivers/index.js";
+import { createMoveSequencer } from "./moveSequencer.js";
+
+const MAC_ADVERTISEMENT_TIMEOUT = 5000;
+const BATTERY_POLL_MS = 60000;
+const FACELETS_POLL_MS = 30000;
+
+/*
+  Connection states:
+    idle         -> requesting (device chooser) -> connecting -> connected
+    connected    -> reconnecting (link lost)    -> connected | disconnected
+    any          -> disconnected (disconnect() or the cube switched itself off)
+    requesting / connecting -> failed (error during the first connection)
+*/
+export const CONNECTION_STATES = {
+  IDLE: "idle",
+  REQUESTING: "requesting",
+  CONNECTING: "connecting",
+  CONNECTED: "connected",
+  RECONNECTING: "reconnecting",
+  DISCONNECTED: "disconnected",
+  FAILED: "failed",
+};
+
+const DEFAULT_RECONNECT = { maxAttempts: 8, baseDelay: 500, maxDelay: 30000 };
+
+function safeCall(fn, ...args) {
+  try {
+    if (typeof fn === "function") return fn(...args);
+  } catch (e) {
+    console.warn("Cube callback error", e);
+  }
+  return undefined;
+}
+
+// Resolve the MAC address from advertisements; null if unavailable or timed out.
+async function readMacAddress(device, macFromAdvertisement, timeout = MAC_ADVERTISEMENT_TIMEOUT) {
+  if (typeof device.watchAdvertisements !== "function") return null;
+  const abort = new AbortController();
+  return new Promise((resolve) => {
+    const finish = (mac) => {
+      device.removeEventListener("advertisementreceived", onAdvertisement);
+      clearTimeout(timer);
+      abort.abort();
+      resolve(mac);
+    };
+    const onAdvertisement = (ev) => finish(macFromAdvertisement(ev.manufacturerData));
+    const timer = setTimeout(() => finish(null), timeout);
+    device.addEventListener("advertisementreceived", onAdvertisement);
+    device.watchAdvertisements({ signal: abort.signal }).catch(() => finish(null));
+  });
+}
+
+// Delay before reconnect attempt `attempt` (0-based): base * 2^attempt, capped
+export function reconnectDelay(attempt, { baseDelay, maxDelay } = DEFAULT_RECONNECT) {
+  return Math.min(maxDelay, baseDelay * 2 ** attempt);
+}
+
+export function createCubeConnection({
+  drivers = SMART_CUBE_DRIVERS,
+  onMove,
+  onOrientation,
+  onBattery,
+  onHardware,
+  onEvent,
+  onStatus,
+  onStateChange,
+  onResync,
+  onFacelets,
+  onMoveGap,
+  macAddress = null,
+  lookupMacAddress,
+  onMacAddressRequest,
+  reconnect = {},
+} = {}) {
+  const reconnectOptions = { ...DEFAULT_RECONNECT, ...reconnect };
+  let state = CONNECTION_STATES.IDLE;
+  let device = null;
+  let driver = null;
+  let mac = macAddress;
+  let session = null;
+  let sessionGeneration = 0;
+  let reconnectTimer = null;
+  let reconnectAttempt = 0;
+  // Bumped by connect() and disconnect(): a connect or reconnect that finds it
+  // changed after an await has been cancelled
+  let linkAttempt = 0;
+  let pollTimers = [];
+  // Set when the next FACELETS event should replace the app's cube state
+  let resyncPending = false;
+  const sequencer = createMoveSequencer({
+    onMove: (event) => safeCall(onMove, event.move, event),
+    onGap: (gap) => {
+      safeCall(onMoveGap, gap);
+      // Whatever could not be recovered shows up as drift in the next facelets
+      if (gap.missing) sendCommand("facelets").catch((err) => console.warn("Cube facelets query failed:", err));
+    },
+    requestHistory: (serial, count) => {
+      if (!session || !session.supports("moveHistory")) return false;
+      sendCommand("moveHistory", serial, count).catch((err) => console.warn("Cube move history query failed:", err));
+      return true;
+    },
+  });
+
+  function setState(next, status) {
+    state = next;
+    if (next === CONNECTION_STATES.CONNECTED) startPolling();
+    else stopPolling();
+    safeCall(onStateChange, next);
+    if (status) safeCall(onStatus, status);
+  }
+
+  function describe() {
+    const protocolName = session && session.protocol.name;
+    return protocolName && protocolName !== driver.name ? `${driver.name} ${protocolName}` : driver.name;
+  }
+
+  function handleEvents(events) {
+    events.forEach((event) => {
+      safeCall(onEvent, event);
+      if (event.type === "MOVE") {
+        // Cubes without a move counter: nothing to order or backfill
+        if (event.serial == null) safeCall(onMove, event.move, event);
+        else sequencer.push(event);
+      } else if (event.type === "MOVE_HISTORY") {
+        sequencer.addHistory(event);
+      } else if (event.type === "GYRO") {
+        safeCall(onOrientation, event.quaternion, event);
+      } else if (event.type === "BATTERY") {
+        safeCall(onBattery, event.batteryLevel, event);
+      } else if (event.type === "HARDWARE") {
+        const { hardwareName, hardwareVersion, softwareVersion, gyroSupported } = event;
+        safeCall(onHardware, { hardwareName, hardwareVersion, softwareVersion, gyroSupported }, event);
+      } else if (event.type === "FACELETS") {
+        if (event.serial != null) sequencer.seed(event.serial);
+        if (resyncPending) {
+          resyncPending = false;
+          safeCall(onResync, event.facelets, event);
+        } else if (event.serial == null || sequencer.isInSync(event.serial)) {
+          safeCall(onFacelets, event.facelets, event);
+        }
+      } else if (event.type === "DISCONNECT") {
+        // The cube is switching itself off: do not try to get it back
+        clearReconnect();
+        setState(CONNECTION_STATES.DISCONNECTED, "Cube switched off");
+      }
+    });
+  }
+
+  // Send the queries the cube understands; failures are only logged
+  async function query(names) {
+    for (const name of names) {
+      if (session && session.supports(name)) await sendCommand(name);
+    }
+  }
+
+  function startPolling() {
+    if (pollTimers.length) return;
+    const poll = (name, interval) =>
+      setInterval(() => {
+        query([name]).catch((err) => console.warn(`Cube ${name} query failed:`, err));
+      }, interval);
+    pollTimers = [poll("battery", BATTERY_POLL_MS), poll("facelets", FACELETS_POLL_MS)];
+  }
+
+  function stopPolling() {
+    pollTimers.forEach((timer) => clearInterval(timer));
+    pollTimers = [];
+  }
+
+  function closeSession() {
+    const closing = session;
+    session = null;
+    sessionGeneration += 1;
+    return closing ? closing.close() : Promise.resolve();
+  }
+
+  // Close what a failed or cancelled attempt opened (state is already set, so no reconnect starts)
+  async function dropLink() {
+    await closeSession().catch((e) => console.warn("Closing the cube session failed:", e));
+    if (device && device.gatt && device.gatt.connected) device.gatt.disconnect();
+  }
+
+  function handleGattDisconnected() {
+    if (state !== CONNECTION_STATES.CONNECTED) return;
+    closeSession();
+    reconnectAttempt = 0;
+    scheduleReconnect();
+  }
+
+  function clearReconnect() {
+    if (reconnectTimer) clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+
+  function scheduleReconnect() {
+    if (reconnectAttempt >= reconnectOptions.maxAttempts) {
+      setState(CONNECTION_STATES.DISCONNECTED, "Disconnected (cube out of reach)");
+      return;
+    }
+    const delay = reconnectDelay(reconnectAttempt, reconnectOptions);
+    reconnectAttempt += 1;
+    setState(
+      CONNECTION_STATES.RECONNECTING,
+      `Connection lost, reconnecting in ${(delay / 1000).toFixed(1)}s (attempt ${reconnectAttempt}/${reconnectOptions.maxAttempts})`
+    );
+    reconnectTimer = setTimeout(async () => {
+      reconnectTimer = null;
+      if (state !== CONNECTION_STATES.RECONNECTING) return;
+      const attempt = linkAttempt;
+      const cancelled = () => attempt !== linkAttempt || state !== CONNECTION_STATES.RECONNECTING;
+      try {
+        await openSession();
+        if (cancelled()) {
+          await dropLink();
+          return;
+        }
+        // Moves made while the link was down are lost: adopt the cube's own state
+        resyncPending = true;
+        setState(CONNECTION_STATES.CONNECTED, `Reconnected (${describe()})`);
+      } catch (err) {
+        console.warn("Cube reconnect attempt failed:", err);
+        if (!cancelled()) scheduleReconnect();
+        return;
+      }
+      // The link is up: a failed query must not count as a failed attempt
+      await query(["facelets", "battery"]).catch((err) => console.warn("Cube query after reconnect failed:", err));
+    }, delay);
+  }
+
+  // The MAC address for drivers that need it (see the header for the order)
+  async function resolveMacAddress() {
+    if (mac || !driver.needsMacAddress) return;
+    safeCall(onStatus, "Reading MAC address...");
+    mac = safeCall(lookupMacAddress, device) || null;
+    if (!mac && driver.macFromDeviceName) mac = driver.macFromDeviceName(device.name);
+    if (!mac && driver.macFromAdvertisement) mac = await readMacAddress(device, driver.macFromAdvertisement);
+    if (!mac) mac = await safeCall(onMacAddressRequest, device);
+    if (!mac) throw new Error("Unable to determine cube MAC address (needed for decryption)");
+  }
+
+  // GATT connect, driver session and notifications for `device`
+  async function openSession() {
+    await closeSession();
+    const server = await device.gatt.connect();
+    const services = await server.getPrimaryServices();
+    if (!driver) {
+      driver = findDriverByServices(drivers, services.map((s) => s.uuid));
+      if (!driver) throw new Error("Unsupported cube: no known protocol service found");
+    }
+    await resolveMacAddress();
+    sequencer.reset();
+    // Events of a session that has since been closed are dropped
+    const generation = sessionGeneration;
+    session = await driver.openSession({
+      device,
+      services,
+      macAddress: mac,
+      emit: (events) => {
+        if (generation === sessionGeneration) handleEvents(events);
+      },
+    });
+    // The cube may have confirmed a different MAC address (MoYu)
+    if (session.macAddress) mac = session.macAddress;
+  }
+
+  async function connect() {
+    if (state === CONNECTION_STATES.CONNECTED || state === CONNECTION_STATES.CONNECTING) return device;
+    if (!navigator.bluetooth) {
+      setState(CONNECTION_STATES.FAILED, "Web Bluetooth not supported");
+      throw new Error("Web Bluetooth not supported in this browser");
+    }
+    clearReconnect();
+    const attempt = ++linkAttempt;
+    const cancelled = () => attempt !== linkAttempt;
+    setState(CONNECTION_STATES.REQUESTING, "Requesting device");
+
+    try {
+      const selected = await navigator.bluetooth.requestDevice(getRequestOptions(drivers));
+      if (cancelled()) return null;
+      if (!selected) {
+        setState(CONNECTION_STATES.IDLE, "No device selected");
+        return null;
+      }
+      if (device !== selected) {
+        if (device) device.removeEventListener("gattserverdisconnected", handleGattDisconnected);
+        device = selected;
+        mac = macAddress;
+        device.addEventListener("gattserverdisconnected", handleGattDisconnected);
+      }
+      driver = findDriverByName(drivers, device.name);
+
+      setState(CONNECTION_STATES.CONNECTING, "Connecting...");
+      // Read the MAC address before connecting: some cubes stop advertising once connected
+      if (driver) await resolveMacAddress();
+
+      safeCall(onStatus, "Connecting to GATT server...");
+      await openSession();
+      if (cancelled()) {
+        await dropLink();
+        return null;
+      }
+
+      setState(CONNECTION_STATES.CONNECTED, `Connected (${describe()})`);
+      // Initial facelets also seed the move counter; the cube stays connected if they fail
+      await query(["facelets", "hardware", "battery"]).catch((err) => console.warn("Cube initial query failed:", err));
+      return device;
+    } catch (err) {
+      if (cancelled()) {
+        // disconnect() ran meanwhile: the failure no longer matters
+        await dropLink();
+        return null;
+      }
+      if (err && err.name === "NotFoundError") {
+        // chooser dismissed
+        setState(CONNECTION_STATES.IDLE, "No device selected");
+        return null;
+      }
+      setState(CONNECTION_STATES.FAILED, "Connection failed");
+      console.error("Cube connect error:", err);
+      // Don't leave a half-open link behind
+      await dropLink();
+      throw err;
+    }
+  }
+
+  async function sendCommand(name, ...args) {
+    if (!session) throw new Error("Cube not connected");
+    if (!session.supports(name)) throw new Error(`Unsupported ${driver.name} command: ${name}`);
+    await session.sendCommand(name, ...args);
+  }
+
+  async function disconnect() {
+    clearReconnect();
+    linkAttempt += 1;
+    // set first so the gattserverdisconnected event does not trigger a reconnect
+    setState(CONNECTION_STATES.DISCONNECTED, "Disconnected");
+    resyncPending = false;
+    sequencer.reset();
+    await closeSession();
+    if (device && device.gatt && device.gatt.connected) {
+      device.gatt.disconnect();
+    }
+  }
+
+  return {
+    connect,
+    disconnect,
+    sendCommand,
+    getState: () => state,
+    getDevice: () => device,
+    getDriver: () => driver,
+    getProtocol: () => (session ? session.protocol : null),
+    getPuzzleSize: () => (session && session.puzzleSize) || 3,
+    getMacAddress: () => mac,
+  };
+}
+
+/* Export helpers for unit testing or debug if needed */
+export const _internal = { readMacAddress };
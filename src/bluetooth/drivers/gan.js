@@ -0,0 +1,91 @@
+// GAN smart cube driver (Gen2, Gen3 and Gen4 protocols, GAN 2x2, MoYu AI 2023)
+// References:
+// - GAN cube protocol (reverse-engineered): https://github.com/cubing/gancube
+// - gan-web-bluetooth example: https://github.com/afedotov/gan-web-bluetooth
+//
+// This module exports:
+// - ganDriver: smart cube driver (see ./index.js for the driver interface)
+// - parseGanNotification(dataView, { encrypter, decoder }, localTimestamp) => events[]
+//
+// GAN cubes talk over a vendor service whose UUID identifies the protocol
+// generation. Every packet is AES-128 encrypted with a key salted by the
+// cube's MAC address, which Web Bluetooth does not expose directly: the
+// connection reads it from the advertisement manufacturer data, or asks the
+// caller. Decoded packets become events (see ../protocols/index.js).
+
+import {
+  GAN_SERVICE_UUIDS,
+  GAN_CIC_LIST,
+  createGanEncrypter,
+  detectGanProtocol,
+  getGanKeyIndex,
+  getGanPuzzleSize,
+  macFromManufacturerData,
+} from "../protocols/index.js";
+
+const NAME_PREFIXES = ["GAN", "MG", "AiCube"];
+
+export const ganDriver = {
+  name: "GAN",
+  filters: NAME_PREFIXES.map((namePrefix) => ({ namePrefix })),
+  optionalServices: GAN_SERVICE_UUIDS,
+  optionalManufacturerData: GAN_CIC_LIST,
+  serviceUuids: GAN_SERVICE_UUIDS,
+  needsMacAddress: true,
+  macFromAdvertisement: macFromManufacturerData,
+  openSession,
+};
+
+async function openSession({ device, services, macAddress, emit }) {
+  const protocol = detectGanProtocol(services.map((s) => s.uuid));
+  if (!protocol) throw new Error("Unsupported GAN cube: no known protocol service found");
+  const service = services.find((s) => s.uuid === protocol.serviceUuid);
+  const encrypter = createGanEncrypter(macAddress, getGanKeyIndex(device.name));
+  const commandCharacteristic = await service.getCharacteristic(protocol.commandCharacteristicUuid);
+  const stateCharacteristic = await service.getCharacteristic(protocol.stateCharacteristicUuid);
+  // A fresh decoder: Gen2 move counters restart from the next facelets packet
+  const puzzleSize = getGanPuzzleSize(device.name);
+  const decoder = protocol.createDecoder({ puzzleSize });
+  const handleNotification = (ev) => emit(parseGanNotification(ev.target.value, { encrypter, decoder }));
+  stateCharacteristic.addEventListener("characteristicvaluechanged", handleNotification);
+  await stateCharacteristic.startNotifications();
+
+  return {
+    protocol,
+    macAddress,
+    puzzleSize,
+    supports: (name) => !!protocol.commands[name],
+    async sendCommand(name, ...args) {
+      const command = protocol.commands[name];
+      if (!command) throw new Error(`Unknown GAN command: ${name}`);
+      // parameterised commands (moveHistory) build their packets from the arguments
+      const packets = typeof command === "function" ? command(...args) : command;
+      for (const packet of packets) {
+        await commandCharacteristic.writeValue(encrypter.encrypt(packet));
+      }
+    },
+    async close() {
+      stateCharacteristic.removeEventListener("characteristicvaluechanged", handleNotification);
+      try {
+        await stateCharacteristic.stopNotifications();
+      } catch (e) {
+        // already gone
+      }
+    },
+  };
+}
+
+/*
+  Parsing function: decrypt the raw notification with the session key, then
+  hand the plaintext to the generation-specific decoder. Malformed packets
+  (short, or with out-of-range payload lengths) are dropped.
+*/
+export function parseGanNotification(dataView, { encrypter, decoder }, localTimestamp = Date.now()) {
+  const raw = new Uint8Array(dataView.buffer, dataView.byteOffset, dataView.byteLength);
+  try {
+    return decoder.decode(encrypter.decrypt(raw), localTimestamp);
+  } catch (e) {
+    console.warn("Dropping malformed GAN packet:", e);
+    return [];
+  }
+}
@@ -0,0 +1,192 @@
+// Giiker / Xiaomi Mi smart cube driver
+// References:
+// - cubing.js GiiKER support: https://github.com/cubing/cubing.js (src/cubing/bluetooth/smart-puzzle/giiker.ts)
+// - csTimer giiker.js (battery query)
+//
+// This module exports:
+// - giikerDriver: smart cube driver (see ./index.js for the driver interface)
+// - decodeGiikerPacket(bytes) => plaintext 20-byte state packet
+// - giikerToFacelets(bytes) => 54-char facelet string (cubejs/Kociemba order)
+//
+// The cube exposes its whole state in one 20-byte characteristic value (read
+// on demand, notified after every turn) with the last turn in nibbles 32/33.
+// There is no MAC-salted encryption, no move counter and no cube clock:
+// moves carry only the local timestamp, and a turn missed over the air shows
+// up as drift in the next facelets check.
+
+import { FACES, toFacelets } from "../protocols/common.js";
+
+const CUBE_SERVICE = "0000aadb-0000-1000-8000-00805f9b34fb";
+const CUBE_CHARACTERISTIC = "0000aadc-0000-1000-8000-00805f9b34fb";
+// Command channel (battery query)
+const RW_SERVICE = "0000aaaa-0000-1000-8000-00805f9b34fb";
+const READ_CHARACTERISTIC = "0000aaab-0000-1000-8000-00805f9b34fb";
+const WRITE_CHARACTERISTIC = "0000aaac-0000-1000-8000-00805f9b34fb";
+const BATTERY_OPCODE = 0xb5;
+
+const PACKET_SIZE = 20;
+const MOVE_FACES = ["?", "B", "D", "L", "U", "R", "F"];
+
+// Newer firmware obfuscates the packet with this table, offsets in the last byte
+const LOOKUP = [
+  176, 81, 104, 224, 86, 137, 237, 119, 38, 26, 193, 161, 210, 126, 150, 81, 93, 13, 236, 249, 89, 235, 88, 24, 113,
+  81, 214, 131, 130, 199, 2, 169, 39, 165, 171, 41,
+];
+
+// Piece numbering: Giiker slot <-> Reid order (cubing.js), Reid <-> cubejs
+const EP_GIIKER_TO_REID = [4, 8, 0, 9, 5, 1, 3, 7, 6, 10, 2, 11];
+const EP_REID_TO_GIIKER = [2, 5, 10, 6, 0, 4, 8, 7, 1, 3, 9, 11];
+const PRE_EO = [1, 0, 1, 0, 1, 0, 1, 0, 0, 0, 0, 0];
+const POST_EO = [1, 0, 1, 0, 1, 0, 1, 0, 0, 0, 0, 0];
+const CP_GIIKER_TO_REID = [4, 0, 3, 5, 7, 1, 2, 6];
+const CP_REID_TO_GIIKER = [1, 5, 6, 2, 0, 3, 7, 4];
+const PRE_CO = [1, 2, 1, 2, 2, 1, 2, 1];
+const POST_CO = [2, 1, 2, 1, 1, 2, 1, 2];
+const CO_FLIP = [-1, 1, -1, 1, 1, -1, 1, -1];
+// Reid UFR URB UBL ULF DRF DFL DLB DBR / UF UR UB UL DF DR DB DL FR FL BR BL
+const CORNER_REID_TO_CUBEJS = [0, 3, 2, 1, 4, 5, 6, 7];
+const EDGE_REID_TO_CUBEJS = [1, 0, 3, 2, 5, 4, 7, 6, 8, 9, 11, 10];
+
+export const giikerDriver = {
+  name: "Giiker",
+  filters: [{ namePrefix: "Gi" }, { namePrefix: "Mi" }, { namePrefix: "Hi-" }],
+  optionalServices: [CUBE_SERVICE, RW_SERVICE],
+  serviceUuids: [CUBE_SERVICE],
+  needsMacAddress: false,
+  openSession,
+};
+
+function getNibble(bytes, i) {
+  return i % 2 ? bytes[i >> 1] & 0x0f : bytes[i >> 1] >> 4;
+}
+
+function getBit(bytes, i) {
+  return (bytes[i >> 3] >> (7 - (i % 8))) & 1;
+}
+
+export function decodeGiikerPacket(bytes) {
+  if (bytes[18] !== 0xa7) return Uint8Array.from(bytes.subarray(0, PACKET_SIZE));
+  const offset1 = getNibble(bytes, 38);
+  const offset2 = getNibble(bytes, 39);
+  const out = new Uint8Array(PACKET_SIZE);
+  for (let i = 0; i < PACKET_SIZE; i++) out[i] = bytes[i] + LOOKUP[offset1 + i] + LOOKUP[offset2 + i];
+  return out;
+}
+
+export function giikerToFacelets(bytes) {
+  const cp = [];
+  const co = [];
+  const ep = [];
+  const eo = [];
+  for (let i = 0; i < 8; i++) {
+    const gi = CP_REID_TO_GIIKER[i];
+    const piece = CP_GIIKER_TO_REID[getNibble(bytes, gi) - 1];
+    const twist = getNibble(bytes, gi + 8) * CO_FLIP[gi] + PRE_CO[piece] + POST_CO[i];
+    cp[CORNER_REID_TO_CUBEJS[i]] = CORNER_REID_TO_CUBEJS[piece];
+    co[CORNER_REID_TO_CUBEJS[i]] = ((twist % 3) + 3) % 3;
+  }
+  for (let i = 0; i < 12; i++) {
+    const gi = EP_REID_TO_GIIKER[i];
+    const piece = EP_GIIKER_TO_REID[getNibble(bytes, gi + 16) - 1];
+    ep[EDGE_REID_TO_CUBEJS[i]] = EDGE_REID_TO_CUBEJS[piece];
+    eo[EDGE_REID_TO_CUBEJS[i]] = getBit(bytes, gi + 112) ^ PRE_EO[piece] ^ POST_EO[i];
+  }
+  if (cp.some((p) => p === undefined) || ep.some((p) => p === undefined)) {
+    throw new RangeError("Invalid Giiker piece numbers");
+  }
+  return toFacelets({ cp, co, ep, eo });
+}
+
+// Quarter turns for the move in nibbles 32/33 (amount 1 cw, 3 ccw, 2 or 9 double)
+function decodeMoves(bytes, localTimestamp) {
+  const family = MOVE_FACES[getNibble(bytes, 32)];
+  const amount = getNibble(bytes, 33);
+  const face = FACES.indexOf(family);
+  if (face < 0) return [];
+  const direction = amount === 3 || amount === 9 ? 1 : 0;
+  const count = amount === 2 || amount === 9 ? 2 : 1;
+  const move = { type: "MOVE", localTimestamp, face, direction, move: family + (direction ? "'" : "") };
+  return Array.from({ length: count }, () => ({ ...move }));
+}
+
+function sameState(a, b) {
+  if (!a || !b) return false;
+  for (let i = 0; i < PACKET_SIZE - 2; i++) if (a[i] !== b[i]) return false;
+  return true;
+}
+
+async function openSession({ services, emit }) {
+  const service = services.find((s) => s.uuid === CUBE_SERVICE);
+  if (!service) throw new Error("Giiker cube service not found");
+  const characteristic = await service.getCharacteristic(CUBE_CHARACTERISTIC);
+  const rwService = services.find((s) => s.uuid === RW_SERVICE);
+  let readCharacteristic = null;
+  let writeCharacteristic = null;
+  if (rwService) {
+    readCharacteristic = await rwService.getCharacteristic(READ_CHARACTERISTIC);
+    writeCharacteristic = await rwService.getCharacteristic(WRITE_CHARACTERISTIC);
+  }
+  // The first notification repeats the value read on connect
+  let lastState = null;
+
+  const toBytes = (dataView) => new Uint8Array(dataView.buffer, dataView.byteOffset, dataView.byteLength);
+
+  function handleState(ev) {
+    const localTimestamp = Date.now();
+    const bytes = decodeGiikerPacket(toBytes(ev.target.value));
+    if (sameState(bytes, lastState)) return;
+    lastState = bytes;
+    emit(decodeMoves(bytes, localTimestamp));
+  }
+
+  function handleReply(ev) {
+    const bytes = toBytes(ev.target.value);
+    if (bytes[0] === BATTERY_OPCODE) {
+      emit([{ type: "BATTERY", localTimestamp: Date.now(), batteryLevel: Math.min(bytes[1], 100) }]);
+    }
+  }
+
+  characteristic.addEventListener("characteristicvaluechanged", handleState);
+  await characteristic.startNotifications();
+  if (readCharacteristic) {
+    readCharacteristic.addEventListener("characteristicvaluechanged", handleReply);
+    await readCharacteristic.startNotifications();
+  }
+
+  const commands = {
+    async facelets() {
+      const localTimestamp = Date.now();
+      const bytes = decodeGiikerPacket(toBytes(await characteristic.readValue()));
+      lastState = bytes;
+      try {
+        emit([{ type: "FACELETS", localTimestamp, facelets: giikerToFacelets(bytes) }]);
+      } catch (e) {
+        console.warn("Dropping malformed Giiker state:", e);
+      }
+    },
+    async battery() {
+      await writeCharacteristic.writeValue(Uint8Array.of(BATTERY_OPCODE));
+    },
+  };
+
+  const supports = (name) => name === "facelets" || (name === "battery" && !!writeCharacteristic);
+
+  return {
+    protocol: { name: "Giiker" },
+    macAddress: null,
+    supports,
+    async sendCommand(name) {
+      if (!supports(name)) throw new Error(`Unknown Giiker command: ${name}`);
+      await commands[name]();
+    },
+    async close() {
+      characteristic.removeEventListener("characteristicvaluechanged", handleState);
+      if (readCharacteristic) readCharacteristic.removeEventListener("characteristicvaluechanged", handleReply);
+      try {
+        await characteristic.stopNotifications();
+      } catch (e) {
+        // already gone
+      }
+    },
+  };
+}
@@ -0,0 +1,59 @@
+// Smart cube driver registry.
+//
+// Each driver describes one cube brand:
+// - name: brand shown in the UI
+// - filters, optionalServices, optionalManufacturerData: its part of the
+//   requestDevice() options
+// - serviceUuids: primary services that identify the brand once connected
+// - needsMacAddress: packets are encrypted with a key salted by the MAC address
+// - macFromAdvertisement(manufacturerData) / macFromDeviceName(name): optional
+//   ways of finding that MAC address (see ../connection.js)
+// - openSession({ device, services, macAddress, emit }) => session, called on
+//   every GATT connection with the device's primary services
+//
+// A session decodes notifications into events and hands them to emit(events):
+//   session.protocol            { name, ... } of the protocol spoken
+//   session.macAddress          the MAC address in use (confirmed by the cube)
+//   session.puzzleSize          2 for a 2x2 (24-char facelets); 3 when absent
+//   session.supports(name)      whether sendCommand(name) is available
+//   session.sendCommand(name, ...args)  "facelets" | "hardware" | "battery" |
+//                               "reset" | "moveHistory" (serial, count)
+//   session.close()             stop listening (the link may already be gone)
+//
+// Events are plain objects with a `type` of MOVE, MOVE_HISTORY, FACELETS,
+// GYRO, BATTERY, HARDWARE or DISCONNECT (see ../protocols/index.js). Moves and
+// facelets carry an 8-bit `serial` when the cube counts its moves; without it
+// moves are delivered as they come and facelets are taken as up to date.
+
+import { ganDriver } from "./gan.js";
+import { giikerDriver } from "./giiker.js";
+import { moyuDriver } from "./moyu.js";
+import { qiyiDriver } from "./qiyi.js";
+
+export { ganDriver, giikerDriver, moyuDriver, qiyiDriver };
+
+// Checked in order: "Gi" (Giiker) would also match other brands' names
+export const SMART_CUBE_DRIVERS = [ganDriver, moyuDriver, qiyiDriver, giikerDriver];
+
+const unique = (values) => Array.from(new Set(values));
+
+// requestDevice() options offering the cubes of all `drivers`
+export function getRequestOptions(drivers) {
+  return {
+    filters: drivers.flatMap((d) => d.filters),
+    optionalServices: unique(drivers.flatMap((d) => d.optionalServices || [])),
+    optionalManufacturerData: unique(drivers.flatMap((d) => d.optionalManufacturerData || [])),
+  };
+}
+
+// Driver whose name filters match the device, null if none does
+export function findDriverByName(drivers, deviceName) {
+  const name = deviceName || "";
+  return drivers.find((d) => d.filters.some((f) => f.namePrefix && name.startsWith(f.namePrefix))) || null;
+}
+
+// Driver owning one of the primary services, null if none does
+export function findDriverByServices(drivers, serviceUuids) {
+  const uuids = new Set((serviceUuids || []).map((u) => String(u).toLowerCase()));
+  return drivers.find((d) => d.serviceUuids.some((uuid) => uuids.has(uuid))) || null;
+}
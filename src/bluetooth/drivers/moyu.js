@@ -0,0 +1,197 @@
+// MoYu WeiLong AI (WCU_MY32) smart cube driver
+// Reference: https://github.com/poliva/btcube-web (moyu protocol)
+//
+// This module exports:
+// - moyuDriver: smart cube driver (see ./index.js for the driver interface)
+// - MOYU_KEY: base AES key/iv pair
+// - createMoyuDecoder() => { decode(decryptedBytes, localTimestamp) => events[] }
+// - moyuMacCandidates(macAddress) => MAC addresses to try, in order
+//
+// Decrypted 20-byte packets start with an opcode:
+//   0xA0 disconnect   0xA1 info      0xA3 facelets   0xA4 battery
+//   0xA5 move (last 5 moves, 8-bit step counter)
+// Packets use the GAN encryption scheme (AES-128 salted with the MAC address)
+// with MoYu's own base key. The MAC is derived from the device name, but the
+// fifth byte is 00 or 01 depending on the batch: both are tried and the one
+// whose answer decrypts to the cube info is kept.
+
+import { createBitReader, createSaltedEncrypter, makeCommand, readAscii } from "../protocols/common.js";
+
+const SERVICE = "0783b03e-7735-b5a0-1760-a305d2795cb0";
+const READ_CHARACTERISTIC = "0783b03e-7735-b5a0-1760-a305d2795cb1";
+const WRITE_CHARACTERISTIC = "0783b03e-7735-b5a0-1760-a305d2795cb2";
+const NAME_PATTERN = /^WCU_MY32_([0-9A-F]{2})([0-9A-F]{2})$/i;
+const MAC_CHECK_TIMEOUT = 3000;
+
+const PACKET_SIZE = 20;
+const MOVES = ["F", "F'", "B", "B'", "U", "U'", "D", "D'", "L", "L'", "R", "R'"];
+const OPCODES = { DISCONNECT: 0xa0, INFO: 0xa1, RESET: 0xa2, FACELETS: 0xa3, BATTERY: 0xa4, MOVE: 0xa5 };
+// Sticker colours in packets, and the packet face for each face of URFDLB
+const COLORS = "FBUDLR";
+const FACE_ORDER = [2, 5, 0, 3, 4, 1];
+
+export const MOYU_KEY = {
+  key: [21, 119, 58, 92, 103, 14, 45, 31, 23, 103, 42, 19, 155, 103, 82, 87],
+  iv: [17, 35, 38, 37, 134, 42, 44, 59, 85, 6, 127, 49, 126, 103, 33, 87],
+};
+
+const COMMANDS = {
+  hardware: makeCommand(PACKET_SIZE, [OPCODES.INFO]),
+  facelets: makeCommand(PACKET_SIZE, [OPCODES.FACELETS]),
+  battery: makeCommand(PACKET_SIZE, [OPCODES.BATTERY]),
+  reset: makeCommand(PACKET_SIZE, [
+    OPCODES.RESET, 0, 0, 0, 36, 146, 73, 73, 36, 146, 109, 182, 219, 146, 73, 36, 182, 219, 109,
+  ]),
+};
+
+export const moyuDriver = {
+  name: "MoYu",
+  filters: [{ namePrefix: "WCU_MY32" }],
+  optionalServices: [SERVICE],
+  serviceUuids: [SERVICE],
+  needsMacAddress: true,
+  macFromDeviceName(name) {
+    const match = NAME_PATTERN.exec(name || "");
+    return match ? `CF:30:16:00:${match[1]}:${match[2]}`.toUpperCase() : null;
+  },
+  openSession,
+};
+
+export function moyuMacCandidates(macAddress) {
+  const match = /^CF:30:16:0([01]):(.*)$/i.exec(macAddress);
+  if (!match) return [macAddress];
+  return [macAddress, `CF:30:16:0${match[1] === "0" ? 1 : 0}:${match[2]}`.toUpperCase()];
+}
+
+export function createMoyuDecoder() {
+  let lastStep = -1;
+  let cubeClock = 0;
+
+  function decode(bytes, localTimestamp = Date.now()) {
+    const msg = createBitReader(bytes);
+    const opcode = msg.getBitWord(0, 8);
+
+    if (opcode === OPCODES.MOVE) {
+      const step = msg.getBitWord(88, 8);
+      const diff = lastStep === -1 ? 1 : Math.min((step - lastStep) & 0xff, 5);
+      lastStep = step;
+      const events = [];
+      // oldest first: slot 0 is the most recent move
+      for (let i = diff - 1; i >= 0; i--) {
+        const move = MOVES[msg.getBitWord(96 + 5 * i, 5)];
+        if (!move) continue;
+        cubeClock += msg.getBitWord(8 + 16 * i, 16);
+        events.push({ type: "MOVE", localTimestamp, cubeTimestamp: cubeClock, serial: (step - i) & 0xff, move });
+      }
+      return events;
+    }
+
+    if (opcode === OPCODES.FACELETS) {
+      const step = msg.getBitWord(152, 8);
+      if (lastStep === -1) lastStep = step;
+      let facelets = "";
+      FACE_ORDER.forEach((face, i) => {
+        for (let j = 0; j < 8; j++) {
+          facelets += COLORS[msg.getBitWord(8 + (face * 8 + j) * 3, 3)];
+          if (j === 3) facelets += "URFDLB"[i];
+        }
+      });
+      return [{ type: "FACELETS", localTimestamp, serial: step, facelets }];
+    }
+
+    if (opcode === OPCODES.INFO) {
+      return [
+        {
+          type: "HARDWARE",
+          localTimestamp,
+          hardwareName: readAscii(msg, 8, 8),
+          hardwareVersion: `${msg.getBitWord(72, 8)}.${msg.getBitWord(80, 8)}`,
+          softwareVersion: `${msg.getBitWord(88, 8)}.${msg.getBitWord(96, 8)}`,
+          gyroSupported: !!msg.getBitWord(105, 1),
+        },
+      ];
+    }
+
+    if (opcode === OPCODES.BATTERY) {
+      return [{ type: "BATTERY", localTimestamp, batteryLevel: Math.min(msg.getBitWord(8, 8), 100) }];
+    }
+
+    if (opcode === OPCODES.DISCONNECT) {
+      return [{ type: "DISCONNECT", localTimestamp }];
+    }
+
+    return [];
+  }
+
+  return { decode };
+}
+
+async function openSession({ services, macAddress, emit }) {
+  const service = services.find((s) => s.uuid === SERVICE);
+  if (!service) throw new Error("MoYu cube service not found");
+  const readCharacteristic = await service.getCharacteristic(READ_CHARACTERISTIC);
+  const writeCharacteristic = await service.getCharacteristic(WRITE_CHARACTERISTIC);
+  const candidates = moyuMacCandidates(macAddress).map((mac) => ({ mac, encrypter: createSaltedEncrypter(MOYU_KEY, mac) }));
+  let confirmed = candidates.length === 1 ? candidates[0] : null;
+  let onConfirmed = null;
+  const decoder = createMoyuDecoder();
+  const session = {
+    protocol: { name: "WCU_MY32" },
+    macAddress,
+    supports: (name) => !!COMMANDS[name],
+    async sendCommand(name) {
+      const command = COMMANDS[name];
+      if (!command) throw new Error(`Unknown MoYu command: ${name}`);
+      await writeCharacteristic.writeValue(confirmed.encrypter.encrypt(command));
+    },
+    async close() {
+      readCharacteristic.removeEventListener("characteristicvaluechanged", handleNotification);
+      try {
+        await readCharacteristic.stopNotifications();
+      } catch (e) {
+        // already gone
+      }
+    },
+  };
+
+  function handleNotification(ev) {
+    const { value } = ev.target;
+    const raw = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    try {
+      if (!confirmed) {
+        // the first answer is the cube info we asked for
+        confirmed = candidates.find((c) => c.encrypter.decrypt(raw)[0] === OPCODES.INFO);
+        if (!confirmed) return;
+        session.macAddress = confirmed.mac;
+        if (onConfirmed) onConfirmed();
+      }
+      emit(decoder.decode(confirmed.encrypter.decrypt(raw)));
+    } catch (e) {
+      console.warn("Dropping malformed MoYu packet:", e);
+    }
+  }
+
+  readCharacteristic.addEventListener("characteristicvaluechanged", handleNotification);
+  await readCharacteristic.startNotifications();
+
+  if (!confirmed) {
+    // Ask for the cube info once per candidate MAC; only the right key gets an answer
+    const answered = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error("MoYu cube did not answer: unknown MAC address")), MAC_CHECK_TIMEOUT);
+      onConfirmed = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+    for (const { encrypter } of candidates) {
+      await writeCharacteristic.writeValue(encrypter.encrypt(COMMANDS.hardware));
+    }
+    try {
+      await answered;
+    } catch (err) {
+      await session.close();
+      throw err;
+    }
+  }
+  return session;
+}
@@ -0,0 +1,187 @@
+// QiYi smart cube driver (QY-QYSC protocol)
+// Reference: https://github.com/poliva/btcube-web (qysc protocol)
+//
+// This module exports:
+// - qiyiDriver: smart cube driver (see ./index.js for the driver interface)
+// - qiyiPacket(message) => encrypted packet (framing, CRC and AES-128-ECB)
+// - readQiyiPacket(bytes) => decrypted message bytes, or null when malformed
+// - createQiyiDecoder() => { decode(message, localTimestamp) => events[] }
+//
+// Both directions use the same framing: 0xFE, total length, message, CRC-16
+// (Modbus, little-endian), zero padded to whole 16-byte AES-ECB blocks.
+// Cube messages carry an opcode and a 32-bit big-endian timestamp:
+//   0x02 hello (answer to our hello, facelets and battery)
+//   0x03 state change (move, facelets, battery and the 11 previous moves)
+//   0x04 sync        0x05 fresh state (answer to our facelets query)
+// Hello and some state changes must be acknowledged, or the cube repeats them.
+// There is no move counter: moves missed over the air are recovered from the
+// previous-moves list by their timestamps.
+
+import { createAes128 } from "../aes128.js";
+import { parseMacAddress } from "../protocols/common.js";
+
+const SERVICE = "0000fff0-0000-1000-8000-00805f9b34fb";
+const CHARACTERISTIC = "0000fff6-0000-1000-8000-00805f9b34fb";
+const NAME_PREFIX = "QY-QYSC";
+const MAGIC = 0xfe;
+const AES = createAes128([87, 177, 249, 171, 205, 90, 232, 167, 156, 185, 140, 231, 87, 140, 81, 8]);
+
+const OPCODES = { HELLO: 0x02, STATE: 0x03, SYNC: 0x04, FRESH_STATE: 0x05 };
+const MOVES = [null, "L'", "L", "R'", "R", "D'", "D", "U'", "U", "F'", "F", "B'", "B"];
+const COLORS = "LRDUFB";
+const FRESH_STATE_REQUEST = [5, 5, 5, 5, 5];
+
+export const qiyiDriver = {
+  name: "QiYi",
+  filters: [{ namePrefix: NAME_PREFIX }],
+  optionalServices: [SERVICE],
+  serviceUuids: [SERVICE],
+  needsMacAddress: true,
+  // The name ends with the last two MAC bytes
+  macFromDeviceName(name) {
+    const match = /([0-9A-F]{2})([0-9A-F]{2})$/i.exec((name || "").trim());
+    if (!match || !(name || "").startsWith(NAME_PREFIX)) return null;
+    return `CC:A3:00:00:${match[1]}:${match[2]}`.toUpperCase();
+  },
+  openSession,
+};
+
+function crc16modbus(bytes) {
+  let crc = 0xffff;
+  for (const b of bytes) {
+    crc ^= b;
+    for (let i = 0; i < 8; i++) crc = crc & 1 ? (crc >> 1) ^ 0xa001 : crc >> 1;
+  }
+  return crc;
+}
+
+export function qiyiPacket(message) {
+  const length = message.length + 4;
+  const packet = new Uint8Array(Math.ceil(length / 16) * 16);
+  packet.set([MAGIC, length]);
+  packet.set(message, 2);
+  const crc = crc16modbus(packet.subarray(0, length - 2));
+  packet.set([crc & 0xff, crc >> 8], length - 2);
+  for (let i = 0; i < packet.length; i += 16) packet.set(AES.encryptBlock(packet.slice(i, i + 16)), i);
+  return packet;
+}
+
+export function readQiyiPacket(bytes) {
+  if (!bytes.length || bytes.length % 16) return null;
+  const packet = new Uint8Array(bytes.length);
+  for (let i = 0; i < bytes.length; i += 16) packet.set(AES.decryptBlock(bytes.slice(i, i + 16)), i);
+  const length = packet[1];
+  if (packet[0] !== MAGIC || length < 4 || length > packet.length) return null;
+  const crc = crc16modbus(packet.subarray(0, length - 2));
+  if (packet[length - 2] !== (crc & 0xff) || packet[length - 1] !== crc >> 8) return null;
+  return packet.slice(0, length);
+}
+
+// Hello and state changes flagged by the cube must be acknowledged
+function needsAck(message) {
+  return message[2] === OPCODES.HELLO || (message[2] === OPCODES.STATE && message[91] === 1);
+}
+
+function readTimestamp(message, offset) {
+  return ((message[offset] << 24) | (message[offset + 1] << 16) | (message[offset + 2] << 8) | message[offset + 3]) >>> 0;
+}
+
+// 27 bytes, two stickers each (low nibble first), in URFDLB facelet order
+function toFacelets(message) {
+  let facelets = "";
+  for (let i = 7; i < 34; i++) facelets += COLORS[message[i] & 0x0f] + COLORS[(message[i] >> 4) & 0x0f];
+  return facelets;
+}
+
+export function createQiyiDecoder() {
+  let lastTimestamp = null;
+  let batteryLevel = null;
+
+  function battery(message, localTimestamp) {
+    const level = Math.min(message[35], 100);
+    if (level === batteryLevel) return [];
+    batteryLevel = level;
+    return [{ type: "BATTERY", localTimestamp, batteryLevel: level }];
+  }
+
+  function decode(message, localTimestamp = Date.now()) {
+    const opcode = message[2];
+    const timestamp = readTimestamp(message, 3);
+
+    if (opcode === OPCODES.STATE) {
+      const moves = [];
+      // previous moves: 11 x (timestamp, move), 255 for empty slots
+      if (lastTimestamp !== null) {
+        for (let i = 36; i + 5 <= 91; i += 5) {
+          const cubeTimestamp = readTimestamp(message, i);
+          const move = MOVES[message[i + 4]];
+          if (move && cubeTimestamp > lastTimestamp && cubeTimestamp < timestamp) moves.push({ cubeTimestamp, move });
+        }
+        moves.sort((a, b) => a.cubeTimestamp - b.cubeTimestamp);
+      }
+      if (MOVES[message[34]]) moves.push({ cubeTimestamp: timestamp, move: MOVES[message[34]] });
+      lastTimestamp = timestamp;
+      return [...moves.map((m) => ({ type: "MOVE", localTimestamp, ...m })), ...battery(message, localTimestamp)];
+    }
+
+    if (opcode === OPCODES.HELLO || opcode === OPCODES.SYNC || opcode === OPCODES.FRESH_STATE) {
+      lastTimestamp = timestamp;
+      return [{ type: "FACELETS", localTimestamp, facelets: toFacelets(message) }, ...battery(message, localTimestamp)];
+    }
+
+    return [];
+  }
+
+  return { decode };
+}
+
+async function openSession({ services, macAddress, emit }) {
+  const service = services.find((s) => s.uuid === SERVICE);
+  if (!service) throw new Error("QiYi cube service not found");
+  const characteristic = await service.getCharacteristic(CHARACTERISTIC);
+  const decoder = createQiyiDecoder();
+  // Writes are queued: acknowledgements must not overlap other commands
+  let queue = Promise.resolve();
+  const write = (packet) => {
+    const written = queue.then(() => characteristic.writeValue(packet));
+    queue = written.catch(() => {});
+    return written;
+  };
+
+  function handleNotification(ev) {
+    const { value } = ev.target;
+    const message = readQiyiPacket(new Uint8Array(value.buffer, value.byteOffset, value.byteLength));
+    if (!message) {
+      console.warn("Dropping malformed QiYi packet");
+      return;
+    }
+    if (needsAck(message)) {
+      write(qiyiPacket(message.slice(2, 7))).catch((err) => console.warn("QiYi acknowledgement failed:", err));
+    }
+    emit(decoder.decode(message));
+  }
+
+  characteristic.addEventListener("characteristicvaluechanged", handleNotification);
+  await characteristic.startNotifications();
+  const hello = new Uint8Array(17);
+  hello.set(parseMacAddress(macAddress).reverse(), 11);
+  await write(qiyiPacket(hello));
+
+  return {
+    protocol: { name: "QY-QYSC" },
+    macAddress,
+    supports: (name) => name === "facelets",
+    async sendCommand(name) {
+      if (name !== "facelets") throw new Error(`Unknown QiYi command: ${name}`);
+      await write(qiyiPacket(FRESH_STATE_REQUEST));
+    },
+    async close() {
+      characteristic.removeEventListener("characteristicvaluechanged", handleNotification);
+      try {
+        await characteristic.stopNotifications();
+      } catch (e) {
+        // already gone
+      }
+    },
+  };
+}
@@ -0,0 +1,332 @@
+// Plaintext GAN packet encoders, the mirror image of the protocol decoders
+// (see ../protocols/). Used by the simulated cube to answer commands and to
+// turn a move script into notifications.
+//
+// This module exports:
+// - createBitWriter(size) => { setBitWord(startBit, bitLength, value, littleEndian), bytes }
+// - encodeQuaternion(value) / encodeVelocity(value): inverse of decodeQuaternion/decodeVelocity
+// - getGanPacketEncoder(protocolName) => encoder for "Gen2" | "Gen3" | "Gen4"
+//     encoder.move({ serial, cubeTimestamp, face, direction, elapsed, previous })
+//     encoder.facelets({ serial, cp, co, ep, eo })
+//     encoder.history({ startSerial, moves })     moves newest first, null for unknown serials
+//     encoder.hardware({ hardwareName, hardwareVersion, softwareVersion, gyroSupported })
+//     encoder.battery(level) / encoder.gyro({ quaternion, velocity }) / encoder.disconnect()
+//     encoder.parseCommand(bytes) => { name, serial?, count? } | null
+//   Every encoder function returns an array of plaintext packets (Gen4 sends
+//   hardware info as three); gyro() returns [] on cubes without a gyroscope.
+// - toHex(bytes) / fromHex(text)
+
+const HISTORY_FACES = [1, 5, 3, 0, 4, 2];
+const FACE_MASKS = [2, 32, 8, 1, 16, 4];
+// 3-bit history code for "nothing recorded at this serial" (skipped by the decoder)
+const HISTORY_EMPTY = 7;
+
+/*
+  Bit-packed, MSB first, like createBitReader. Multi-byte words are written
+  big-endian unless `littleEndian` is set.
+*/
+export function createBitWriter(size) {
+  const bytes = new Uint8Array(size);
+
+  function setBit(bit, value) {
+    const mask = 0x80 >> bit % 8;
+    if (value) bytes[bit >> 3] |= mask;
+    else bytes[bit >> 3] &= ~mask;
+  }
+
+  function setBitWord(startBit, bitLength, value, littleEndian = false) {
+    if (startBit + bitLength > size * 8) {
+      throw new RangeError(`Bit range ${startBit}+${bitLength} out of packet bounds`);
+    }
+    let word = value;
+    if (littleEndian && bitLength > 8) {
+      // reverse the byte order of the word
+      word = 0;
+      for (let i = 0; i < bitLength / 8; i++) word = word * 256 + (Math.floor(value / 256 ** i) & 0xff);
+    }
+    for (let i = 0; i < bitLength; i++) {
+      setBit(startBit + i, Math.floor(word / 2 ** (bitLength - 1 - i)) % 2);
+    }
+  }
+
+  return { bytes, setBitWord };
+}
+
+export function encodeQuaternion(value) {
+  const magnitude = Math.min(Math.round(Math.abs(value) * 0x7fff), 0x7fff);
+  return (value < 0 ? 0x8000 : 0) | magnitude;
+}
+
+export function encodeVelocity(value) {
+  const magnitude = Math.min(Math.round(Math.abs(value)), 0x7);
+  return (value < 0 ? 0x8 : 0) | magnitude;
+}
+
+function writeAscii(writer, startBit, text, count) {
+  for (let i = 0; i < count; i++) {
+    writer.setBitWord(startBit + i * 8, 8, i < text.length ? text.charCodeAt(i) & 0xff : 0);
+  }
+}
+
+// "1.2" => [1, 2]
+function versionParts(version) {
+  const [major, minor] = String(version || "0.0").split(".").map((n) => parseInt(n, 10) || 0);
+  return [major || 0, minor || 0];
+}
+
+function writeCubieState(writer, { cp, co, ep, eo }, layout) {
+  for (let i = 0; i < 7; i++) {
+    writer.setBitWord(layout.cp + i * 3, 3, cp[i]);
+    writer.setBitWord(layout.co + i * 2, 2, co[i]);
+  }
+  for (let i = 0; i < 11; i++) {
+    writer.setBitWord(layout.ep + i * 4, 4, ep[i]);
+    writer.setBitWord(layout.eo + i, 1, eo[i]);
+  }
+}
+
+function writeHistory(writer, firstMoveBit, moves) {
+  moves.forEach((move, i) => {
+    const code = move ? HISTORY_FACES.indexOf(move.face) : HISTORY_EMPTY;
+    writer.setBitWord(firstMoveBit + 4 * i, 3, code);
+    writer.setBitWord(firstMoveBit + 4 * i + 3, 1, move ? move.direction : 1);
+  });
+}
+
+// History payloads are whole bytes: two moves per byte
+function evenLength(moves) {
+  return moves.length % 2 ? [...moves, null] : moves;
+}
+
+function writeGyro(writer, { bits, quaternion, velocity = { x: 0, y: 0, z: 0 } }) {
+  writer.setBitWord(bits.w, 16, encodeQuaternion(quaternion.w));
+  writer.setBitWord(bits.x, 16, encodeQuaternion(quaternion.x));
+  writer.setBitWord(bits.y, 16, encodeQuaternion(quaternion.y));
+  writer.setBitWord(bits.z, 16, encodeQuaternion(quaternion.z));
+  writer.setBitWord(bits.vx, 4, encodeVelocity(velocity.x));
+  writer.setBitWord(bits.vy, 4, encodeVelocity(velocity.y));
+  writer.setBitWord(bits.vz, 4, encodeVelocity(velocity.z));
+}
+
+const gen2 = {
+  size: 20,
+  // Slot 0 is the newest move; `previous` holds the moves before it, newest first
+  move({ serial, face, direction, elapsed = 0, previous = [] }) {
+    const w = createBitWriter(gen2.size);
+    w.setBitWord(0, 4, 0x02);
+    w.setBitWord(4, 8, serial & 0xff);
+    const slots = [{ face, direction, elapsed }, ...previous].slice(0, 7);
+    for (let i = 0; i < 7; i++) {
+      const slot = slots[i];
+      // unused slots hold an out-of-range face code
+      w.setBitWord(12 + 5 * i, 4, slot ? slot.face : 0xf);
+      w.setBitWord(16 + 5 * i, 1, slot ? slot.direction : 0);
+      w.setBitWord(47 + 16 * i, 16, slot ? Math.min(slot.elapsed || 0, 0xffff) : 0);
+    }
+    return [w.bytes];
+  },
+  facelets(state) {
+    const w = createBitWriter(gen2.size);
+    w.setBitWord(0, 4, 0x04);
+    w.setBitWord(4, 8, state.serial & 0xff);
+    writeCubieState(w, state, { cp: 12, co: 33, ep: 47, eo: 91 });
+    return [w.bytes];
+  },
+  history() {
+    return [];
+  },
+  hardware({ hardwareName = "", hardwareVersion, softwareVersion, gyroSupported = false }) {
+    const w = createBitWriter(gen2.size);
+    const [hwMajor, hwMinor] = versionParts(hardwareVersion);
+    const [swMajor, swMinor] = versionParts(softwareVersion);
+    w.setBitWord(0, 4, 0x05);
+    w.setBitWord(8, 8, hwMajor);
+    w.setBitWord(16, 8, hwMinor);
+    w.setBitWord(24, 8, swMajor);
+    w.setBitWord(32, 8, swMinor);
+    writeAscii(w, 40, hardwareName, 8);
+    w.setBitWord(104, 1, gyroSupported ? 1 : 0);
+    return [w.bytes];
+  },
+  battery(level) {
+    const w = createBitWriter(gen2.size);
+    w.setBitWord(0, 4, 0x09);
+    w.setBitWord(8, 8, level);
+    return [w.bytes];
+  },
+  gyro({ quaternion, velocity }) {
+    const w = createBitWriter(gen2.size);
+    w.setBitWord(0, 4, 0x01);
+    writeGyro(w, { bits: { w: 4, x: 20, y: 36, z: 52, vx: 68, vy: 72, vz: 76 }, quaternion, velocity });
+    return [w.bytes];
+  },
+  disconnect() {
+    const w = createBitWriter(gen2.size);
+    w.setBitWord(0, 4, 0x0d);
+    return [w.bytes];
+  },
+  parseCommand(bytes) {
+    const names = { 0x04: "facelets", 0x05: "hardware", 0x09: "battery", 0x0a: "reset" };
+    return names[bytes[0]] ? { name: names[bytes[0]] } : null;
+  },
+};
+
+const gen3 = {
+  size: 16,
+  // the cubie state does not fit in 16 bytes: facelets notifications are longer
+  faceletsSize: 19,
+  header(w, eventType, dataLength) {
+    w.setBitWord(0, 8, 0x55);
+    w.setBitWord(8, 8, eventType);
+    w.setBitWord(16, 8, dataLength);
+  },
+  move({ serial, cubeTimestamp = 0, face, direction }) {
+    const w = createBitWriter(gen3.size);
+    gen3.header(w, 0x01, 6);
+    w.setBitWord(24, 32, cubeTimestamp >>> 0, true);
+    w.setBitWord(56, 16, serial & 0xffff, true);
+    w.setBitWord(72, 2, direction);
+    w.setBitWord(74, 6, FACE_MASKS[face]);
+    return [w.bytes];
+  },
+  facelets(state) {
+    const w = createBitWriter(gen3.faceletsSize);
+    gen3.header(w, 0x02, 14);
+    w.setBitWord(24, 16, state.serial & 0xffff, true);
+    writeCubieState(w, state, { cp: 40, co: 61, ep: 77, eo: 121 });
+    return [w.bytes];
+  },
+  // At most 24 moves fit in a 16-byte packet
+  history({ startSerial, moves }) {
+    const w = createBitWriter(gen3.size);
+    const listed = evenLength(moves.slice(0, 24));
+    gen3.header(w, 0x06, listed.length / 2 + 1);
+    w.setBitWord(24, 8, startSerial & 0xff);
+    writeHistory(w, 32, listed);
+    return [w.bytes];
+  },
+  hardware({ hardwareName = "", hardwareVersion, softwareVersion }) {
+    const w = createBitWriter(gen3.size);
+    const [hwMajor, hwMinor] = versionParts(hardwareVersion);
+    const [swMajor, swMinor] = versionParts(softwareVersion);
+    gen3.header(w, 0x07, 8);
+    writeAscii(w, 24, hardwareName, 5);
+    w.setBitWord(72, 4, swMajor);
+    w.setBitWord(76, 4, swMinor);
+    w.setBitWord(80, 4, hwMajor);
+    w.setBitWord(84, 4, hwMinor);
+    return [w.bytes];
+  },
+  battery(level) {
+    const w = createBitWriter(gen3.size);
+    gen3.header(w, 0x10, 2);
+    w.setBitWord(24, 8, level);
+    return [w.bytes];
+  },
+  gyro() {
+    return [];
+  },
+  disconnect() {
+    const w = createBitWriter(gen3.size);
+    gen3.header(w, 0x11, 0);
+    return [w.bytes];
+  },
+  parseCommand(bytes) {
+    if (bytes[0] !== 0x68) return null;
+    if (bytes[1] === 0x03) return { name: "moveHistory", serial: bytes[2], count: bytes[4] };
+    const names = { 0x01: "facelets", 0x04: "hardware", 0x07: "battery", 0x05: "reset" };
+    return names[bytes[1]] ? { name: names[bytes[1]] } : null;
+  },
+};
+
+const gen4 = {
+  size: 20,
+  header(w, eventType, dataLength) {
+    w.setBitWord(0, 8, eventType);
+    w.setBitWord(8, 8, dataLength);
+  },
+  move({ serial, cubeTimestamp = 0, face, direction }) {
+    const w = createBitWriter(gen4.size);
+    gen4.header(w, 0x01, 7);
+    w.setBitWord(16, 32, cubeTimestamp >>> 0, true);
+    w.setBitWord(48, 16, serial & 0xffff, true);
+    w.setBitWord(64, 2, direction);
+    w.setBitWord(66, 6, FACE_MASKS[face]);
+    return [w.bytes];
+  },
+  facelets(state) {
+    const w = createBitWriter(gen4.size);
+    gen4.header(w, 0xed, 16);
+    w.setBitWord(16, 16, state.serial & 0xffff, true);
+    writeCubieState(w, state, { cp: 32, co: 53, ep: 69, eo: 113 });
+    return [w.bytes];
+  },
+  // At most 34 moves fit in a 20-byte packet
+  history({ startSerial, moves }) {
+    const w = createBitWriter(gen4.size);
+    const listed = evenLength(moves.slice(0, 34));
+    gen4.header(w, 0xd1, listed.length / 2 + 1);
+    w.setBitWord(16, 8, startSerial & 0xff);
+    writeHistory(w, 24, listed);
+    return [w.bytes];
+  },
+  hardware({ hardwareName = "", hardwareVersion = "", softwareVersion = "" }) {
+    return [
+      [0xfc, hardwareName],
+      [0xfd, softwareVersion],
+      [0xfe, hardwareVersion],
+    ].map(([eventType, text]) => {
+      const w = createBitWriter(gen4.size);
+      const value = String(text).slice(0, 17);
+      gen4.header(w, eventType, value.length + 1);
+      writeAscii(w, 24, value, value.length);
+      return w.bytes;
+    });
+  },
+  battery(level) {
+    const w = createBitWriter(gen4.size);
+    gen4.header(w, 0xef, 1);
+    w.setBitWord(16, 8, level);
+    return [w.bytes];
+  },
+  gyro({ quaternion, velocity }) {
+    const w = createBitWriter(gen4.size);
+    gen4.header(w, 0xec, 11);
+    writeGyro(w, { bits: { w: 16, x: 32, y: 48, z: 64, vx: 80, vy: 84, vz: 88 }, quaternion, velocity });
+    return [w.bytes];
+  },
+  disconnect() {
+    const w = createBitWriter(gen4.size);
+    gen4.header(w, 0xea, 0);
+    return [w.bytes];
+  },
+  parseCommand(bytes) {
+    if (bytes[0] === 0xd1) return { name: "moveHistory", serial: bytes[2], count: bytes[4] };
+    if (bytes[0] === 0xd2) return { name: "reset" };
+    // the first of the four hardware packets stands for the whole query
+    if (bytes[0] === 0xdf) return { name: "hardware" };
+    if (bytes[0] !== 0xdd) return null;
+    if (bytes[3] === 0xed) return { name: "facelets" };
+    if (bytes[3] === 0xef) return { name: "battery" };
+    // 0xfc/0xfd/0xfe field queries: answered together with 0xdf
+    return { name: "hardwareField" };
+  },
+};
+
+const ENCODERS = { Gen2: gen2, Gen3: gen3, Gen4: gen4 };
+
+export function getGanPacketEncoder(protocolName) {
+  const encoder = ENCODERS[protocolName];
+  if (!encoder) throw new Error(`No packet encoder for GAN protocol: ${protocolName}`);
+  return encoder;
+}
+
+export function toHex(bytes) {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export function fromHex(text) {
+  const clean = String(text).replace(/[\s:]/g, "");
+  if (clean.length % 2 || /[^0-9a-f]/i.test(clean)) throw new Error(`Invalid hex packet: ${text}`);
+  return Uint8Array.from(clean.match(/../g) || [], (b) => parseInt(b, 16));
+}
@@ -0,0 +1,77 @@
+// Simulated `navigator.bluetooth` for offline development and tests
+//
+// This module exports:
+// - createMockBluetooth({ devices, chooseDevice }) => bluetooth
+//     bluetooth.requestDevice(options)   resolves with the device picked from the
+//                                        ones matching `options.filters`
+//     bluetooth.getAvailability() / bluetooth.addDevice(device) / bluetooth.removeDevice(device)
+//     bluetooth.requests                 every requestDevice() options object, in order
+// - installMockBluetooth(bluetooth, target = globalThis) => uninstall()
+//     makes `navigator.bluetooth` the mock (creating `navigator` where it does
+//     not exist, e.g. in Node)
+//
+// chooseDevice(candidates, options) stands in for the browser's chooser: it
+// returns the device to connect to, or null as if the user cancelled it
+// (requestDevice then rejects with a NotFoundError). Defaults to the first
+// matching device. Devices are normally created by createMockGanDevice().
+
+function notFound(message) {
+  return typeof DOMException === "function" ? new DOMException(message, "NotFoundError") : new Error(message);
+}
+
+// Web Bluetooth filter semantics: every key given in a filter must match
+function matchesFilter(device, filter) {
+  if (filter.name != null && device.name !== filter.name) return false;
+  if (filter.namePrefix != null && !(device.name || "").startsWith(filter.namePrefix)) return false;
+  if (filter.services && !filter.services.every((uuid) => (device.serviceUuids || []).includes(uuid))) return false;
+  return true;
+}
+
+export function createMockBluetooth({ devices = [], chooseDevice = (candidates) => candidates[0] || null } = {}) {
+  const available = devices.slice();
+  const requests = [];
+
+  async function requestDevice(options = {}) {
+    requests.push(options);
+    const { filters, acceptAllDevices } = options;
+    if (!acceptAllDevices && !(filters && filters.length)) {
+      throw new TypeError("requestDevice() needs either filters or acceptAllDevices");
+    }
+    const candidates = acceptAllDevices ? available.slice() : available.filter((d) => filters.some((f) => matchesFilter(d, f)));
+    const chosen = await chooseDevice(candidates, options);
+    if (!chosen) throw notFound("User cancelled the requestDevice() chooser.");
+    return chosen;
+  }
+
+  return {
+    requests,
+    requestDevice,
+    getAvailability: async () => true,
+    addDevice: (device) => {
+      if (!available.includes(device)) available.push(device);
+    },
+    removeDevice: (device) => {
+      const index = available.indexOf(device);
+      if (index >= 0) available.splice(index, 1);
+    },
+  };
+}
+
+export function installMockBluetooth(bluetooth, target = globalThis) {
+  const createdNavigator = !target.navigator;
+  if (createdNavigator) {
+    Object.defineProperty(target, "navigator", { value: {}, configurable: true, writable: true });
+  }
+  const navigator = target.navigator;
+  const previous = Object.getOwnPropertyDescriptor(navigator, "bluetooth");
+  Object.defineProperty(navigator, "bluetooth", { value: bluetooth, configurable: true, writable: true });
+
+  return function uninstall() {
+    if (createdNavigator) {
+      delete target.navigator;
+      return;
+    }
+    if (previous) Object.defineProperty(navigator, "bluetooth", previous);
+    else delete navigator.bluetooth;
+  };
+}
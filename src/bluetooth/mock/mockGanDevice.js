@@ -0,0 +1,297 @@
+// Simulated GAN smart cube for offline development and tests
+//
+// This module exports:
+// - createMockGanDevice(options) => device, a stand-in for a Web Bluetooth
+//   BluetoothDevice that speaks the encrypted GAN protocol (see ../protocols/)
+//     device.turn(algorithm, { interval, dropped })   turn the cube (quarter turns are
+//                                   notified one by one; `dropped` moves never reach the app)
+//     device.setOrientation(quaternion, velocity)     gyro packet (Gen2/Gen4 only)
+//     device.setBatteryLevel(level)  charge reported by the next battery query
+//     device.setInRange(inRange)     out of range drops the link and fails reconnects
+//     device.switchOff()             disconnect packet, then the link goes down for good
+//     device.replay(capture, { speed }) => Promise   play back a packet capture
+//     device.getFacelets() / device.getSerial() / device.commandLog
+//     device.notify(plaintext)       encrypt and send an arbitrary packet
+//
+// options: { protocol: "Gen2" | "Gen3" | "Gen4", macAddress, name, id, facelets, serial,
+//            batteryLevel, hardware, advertiseMacAddress, latency }
+// `facelets` and `serial` are the cube state and move counter at power-on.
+// A `name` starting with "GAN251" makes the app treat the device as GAN's 2x2:
+// the simulated state stays a 3x3, whose corners are the 2x2.
+//
+// Notifications are dispatched synchronously when `latency` is 0 (the
+// default), so tests can assert right after turn(); with a latency they are
+// delivered in order after that many milliseconds, like a real radio link.
+//
+// Captures are plain JSON: { protocol, macAddress, packets: [{ t, data } | { t, plain }] }
+// with `t` in ms from the start of the recording, `data` the encrypted
+// notification as received from the cube and `plain` a decrypted packet (it is
+// encrypted with this device's key before it is sent). Encrypted captures only
+// decode when the device has the capture's MAC address. Replayed packets do
+// not change the simulated cube state.
+
+import Cube from "cubejs";
+import { parseAlgorithm } from "../../cube/notation.js";
+import { FACES, moveHistoryWindow, parseMacAddress } from "../protocols/common.js";
+import { GAN_PROTOCOLS, createGanEncrypter, getGanKeyIndex } from "../protocols/index.js";
+import { fromHex, getGanPacketEncoder } from "./ganPackets.js";
+
+const DEFAULT_HARDWARE = {
+  Gen2: { hardwareName: "GANi3", hardwareVersion: "1.2", softwareVersion: "2.3", gyroSupported: true },
+  Gen3: { hardwareName: "GANic", hardwareVersion: "1.0", softwareVersion: "1.1", gyroSupported: false },
+  Gen4: { hardwareName: "GAN12uiM", hardwareVersion: "1.0", softwareVersion: "2.1", gyroSupported: true },
+};
+// Gen2 counts moves in 8 bits, Gen3/Gen4 in 16
+const SERIAL_MASKS = { Gen2: 0xff, Gen3: 0xffff, Gen4: 0xffff };
+const MANUFACTURER_CIC = 0x0001;
+
+function notFound(message) {
+  return typeof DOMException === "function" ? new DOMException(message, "NotFoundError") : new Error(message);
+}
+
+function networkError(message) {
+  return typeof DOMException === "function" ? new DOMException(message, "NetworkError") : new Error(message);
+}
+
+function toBytes(value) {
+  if (value instanceof Uint8Array) return value;
+  if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+  return new Uint8Array(value);
+}
+
+// GAN cubes only report quarter turns of the outer faces
+function toQuarterTurns(algorithm) {
+  const turns = [];
+  parseAlgorithm(algorithm).forEach(({ family, amount, layer }) => {
+    const face = layer ? -1 : FACES.indexOf(family);
+    if (face < 0) throw new Error(`A GAN cube cannot report "${layer || ""}${family}" moves`);
+    const n = ((amount % 4) + 4) % 4;
+    if (n === 3) turns.push({ face, direction: 1 });
+    else for (let i = 0; i < n; i++) turns.push({ face, direction: 0 });
+  });
+  return turns;
+}
+
+class MockCharacteristic extends EventTarget {
+  constructor(uuid, { onWrite } = {}) {
+    super();
+    this.uuid = uuid;
+    this.value = null;
+    this.notifying = false;
+    this.onWrite = onWrite;
+  }
+
+  async startNotifications() {
+    this.notifying = true;
+    return this;
+  }
+
+  async stopNotifications() {
+    this.notifying = false;
+    return this;
+  }
+
+  async writeValue(value) {
+    if (!this.onWrite) throw new Error(`Characteristic ${this.uuid} is not writable`);
+    this.onWrite(toBytes(value));
+  }
+
+  emit(bytes) {
+    this.value = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.dispatchEvent(new Event("characteristicvaluechanged"));
+  }
+}
+
+export function createMockGanDevice({
+  protocol: protocolName = "Gen3",
+  macAddress = "AB:12:CD:34:EF:56",
+  name,
+  id,
+  facelets = null,
+  serial: initialSerial = 0,
+  batteryLevel = 80,
+  hardware = {},
+  advertiseMacAddress = true,
+  latency = 0,
+} = {}) {
+  const protocol = GAN_PROTOCOLS.find((p) => p.name === protocolName);
+  if (!protocol) throw new Error(`Unknown GAN protocol: ${protocolName}`);
+  const encoder = getGanPacketEncoder(protocol.name);
+  const macBytes = parseMacAddress(macAddress);
+  const deviceName = name || `GAN-${macAddress.replace(/:/g, "").slice(-4)}`;
+  const encrypter = createGanEncrypter(macAddress, getGanKeyIndex(deviceName));
+  const hardwareInfo = { ...DEFAULT_HARDWARE[protocol.name], ...hardware };
+  const serialMask = SERIAL_MASKS[protocol.name];
+
+  const cube = facelets ? Cube.fromString(facelets) : new Cube();
+  let serial = initialSerial & serialMask;
+  let cubeClock = 0;
+  let battery = batteryLevel;
+  let inRange = true;
+  // moves by 8-bit serial (a ring buffer, like the cube's), for move-history
+  // queries and the last-7-moves slots of Gen2 move packets
+  const history = new Map();
+  const commandLog = [];
+
+  const device = new EventTarget();
+  const stateCharacteristic = new MockCharacteristic(protocol.stateCharacteristicUuid);
+  const commandCharacteristic = new MockCharacteristic(protocol.commandCharacteristicUuid, {
+    onWrite: (bytes) => handleCommand(encrypter.decrypt(bytes)),
+  });
+  const service = {
+    uuid: protocol.serviceUuid,
+    isPrimary: true,
+    async getCharacteristic(uuid) {
+      const found = [stateCharacteristic, commandCharacteristic].find((c) => c.uuid === uuid);
+      if (!found) throw notFound(`No characteristic ${uuid}`);
+      return found;
+    },
+  };
+  const server = {
+    device,
+    get connected() {
+      return gatt.connected;
+    },
+    async getPrimaryServices() {
+      return [service];
+    },
+    async getPrimaryService(uuid) {
+      if (uuid !== service.uuid) throw notFound(`No service ${uuid}`);
+      return service;
+    },
+  };
+  const gatt = {
+    device,
+    connected: false,
+    async connect() {
+      if (!inRange) throw networkError("Bluetooth device is no longer in range");
+      gatt.connected = true;
+      return server;
+    },
+    disconnect() {
+      dropLink();
+    },
+  };
+
+  function dropLink() {
+    if (!gatt.connected) return;
+    gatt.connected = false;
+    stateCharacteristic.notifying = false;
+    device.dispatchEvent(new Event("gattserverdisconnected"));
+  }
+
+  // Encrypted bytes straight onto the state characteristic
+  function send(bytes) {
+    const deliver = () => {
+      if (gatt.connected && stateCharacteristic.notifying) stateCharacteristic.emit(bytes);
+    };
+    if (latency > 0) setTimeout(deliver, latency);
+    else deliver();
+  }
+
+  function notify(plaintext) {
+    send(encrypter.encrypt(plaintext));
+  }
+
+  function cubieState() {
+    return { serial, cp: cube.cp.slice(0, 7), co: cube.co.slice(0, 7), ep: cube.ep.slice(0, 11), eo: cube.eo.slice(0, 11) };
+  }
+
+  function historyWindow(startSerial, count) {
+    const moves = [];
+    for (let i = 0; i < count; i++) moves.push(history.get((startSerial - i) & 0xff) || null);
+    return moves;
+  }
+
+  function handleCommand(plaintext) {
+    const command = encoder.parseCommand(plaintext);
+    if (!command) return;
+    commandLog.push(command);
+    let packets = [];
+    if (command.name === "facelets") packets = encoder.facelets(cubieState());
+    else if (command.name === "hardware") packets = encoder.hardware(hardwareInfo);
+    else if (command.name === "battery") packets = encoder.battery(battery);
+    else if (command.name === "reset") cube.identity();
+    else if (command.name === "moveHistory") {
+      const window = moveHistoryWindow(command.serial, command.count);
+      packets = encoder.history({ startSerial: window.serial, moves: historyWindow(window.serial, window.count) });
+    }
+    packets.forEach(notify);
+  }
+
+  function turn(algorithm, { interval = 150, dropped = false } = {}) {
+    const turns = toQuarterTurns(algorithm);
+    turns.forEach(({ face, direction }) => {
+      cube.move(FACES[face] + (direction ? "'" : ""));
+      serial = (serial + 1) & serialMask;
+      cubeClock += interval;
+      const move = { serial, face, direction, elapsed: interval, cubeTimestamp: cubeClock };
+      const previous = [];
+      for (let i = 1; i < 7 && history.has((serial - i) & 0xff); i++) previous.push(history.get((serial - i) & 0xff));
+      history.set(serial & 0xff, move);
+      if (!dropped) encoder.move({ ...move, previous }).forEach(notify);
+    });
+    return turns.length;
+  }
+
+  function setOrientation(quaternion, velocity) {
+    const packets = encoder.gyro({ quaternion, velocity });
+    packets.forEach(notify);
+    return packets.length > 0;
+  }
+
+  function setInRange(value) {
+    inRange = !!value;
+    if (!inRange) dropLink();
+  }
+
+  function switchOff() {
+    encoder.disconnect().forEach(notify);
+    setInRange(false);
+  }
+
+  async function replay(capture, { speed = 1 } = {}) {
+    const packets = (capture.packets || []).slice().sort((a, b) => (a.t || 0) - (b.t || 0));
+    let last = packets.length ? packets[0].t || 0 : 0;
+    for (const packet of packets) {
+      const wait = ((packet.t || 0) - last) / speed;
+      last = packet.t || 0;
+      if (wait > 0 && Number.isFinite(wait)) await new Promise((resolve) => setTimeout(resolve, wait));
+      if (packet.data) send(fromHex(packet.data));
+      else if (packet.plain) notify(fromHex(packet.plain));
+    }
+  }
+
+  // Advertisements carry the MAC address reversed at the end of the manufacturer data
+  async function watchAdvertisements() {
+    if (!advertiseMacAddress) return;
+    const data = new DataView(Uint8Array.from([0x00, 0x00, ...macBytes.slice().reverse()]).buffer);
+    const event = new Event("advertisementreceived");
+    event.manufacturerData = new Map([[MANUFACTURER_CIC, data]]);
+    device.watchingAdvertisements = true;
+    device.dispatchEvent(event);
+  }
+
+  return Object.assign(device, {
+    id: id || `mock-${macAddress}`,
+    name: deviceName,
+    gatt,
+    watchingAdvertisements: false,
+    watchAdvertisements,
+    serviceUuids: [protocol.serviceUuid],
+    protocol,
+    macAddress,
+    commandLog,
+    turn,
+    setOrientation,
+    setBatteryLevel: (level) => {
+      battery = level;
+    },
+    setInRange,
+    switchOff,
+    replay,
+    notify,
+    getFacelets: () => cube.asString(),
+    getSerial: () => serial,
+  });
+}
@@ -0,0 +1,154 @@
+// Ordering of GAN move events by their serial number
+//
+// This module exports:
+// - createMoveSequencer(options) => sequencer
+//     sequencer.push(moveEvent)        MOVE event from the decoder
+//     sequencer.addHistory(event)      MOVE_HISTORY event (answer to requestHistory)
+//     sequencer.seed(serial)           serial of a FACELETS event, if no move was seen yet
+//     sequencer.isInSync(serial)       true when `serial` is the last delivered move, no gap pending
+//     sequencer.reset()                forget everything (new session)
+//
+// options: { onMove(event), onGap({ missing, recovered }), requestHistory(serial, count),
+//            historyTimeout }
+//
+// Every move carries the cube's move counter (only the low 8 bits are
+// compared: Gen2 counts to 255 and history packets use 8-bit serials).
+// When a move arrives with a jump in the counter, it is held back and the
+// skipped moves are requested from the cube's move-history buffer with
+// requestHistory(serial, count), ending at the move that revealed the gap
+// (history windows are aligned down to an odd serial, so a window ending at
+// an even newest skipped move would leave that move out). Recovered moves
+// are delivered in order before the held-back ones, flagged `backfilled: true`
+// and stamped with the time of the move that revealed the gap (their real
+// time is unknown). If requestHistory returns false (no history support) or
+// the answer does not come within `historyTimeout`, the held-back moves are
+// delivered anyway and onGap reports what is missing.
+
+const DEFAULT_HISTORY_TIMEOUT = 1000;
+// A counter that goes back by at most this much is a duplicate, not a wrap
+const MAX_SERIAL_JUMP = 128;
+
+function serialDistance(from, to) {
+  return (to - from) & 0xff;
+}
+
+export function createMoveSequencer({
+  onMove,
+  onGap,
+  requestHistory,
+  historyTimeout = DEFAULT_HISTORY_TIMEOUT,
+} = {}) {
+  let lastSerial = null;
+  // held-back moves, in arrival order
+  let pending = [];
+  // recovered moves by serial
+  let recovered = new Map();
+  let recoveredCount = 0;
+  let timer = null;
+
+  function deliver(event) {
+    lastSerial = event.serial & 0xff;
+    if (typeof onMove === "function") onMove(event);
+  }
+
+  function clearTimer() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+  }
+
+  // Deliver what can be delivered in order; true when nothing is missing anymore
+  function drain() {
+    while (pending.length) {
+      const next = (lastSerial + 1) & 0xff;
+      const head = pending[0];
+      if ((head.serial & 0xff) === next) {
+        pending.shift();
+        deliver(head);
+      } else if (recovered.has(next)) {
+        const move = recovered.get(next);
+        recovered.delete(next);
+        recoveredCount += 1;
+        deliver({
+          ...move,
+          type: "MOVE",
+          localTimestamp: head.localTimestamp,
+          cubeTimestamp: head.cubeTimestamp,
+          backfilled: true,
+        });
+      } else {
+        return false;
+      }
+    }
+    recovered.clear();
+    return true;
+  }
+
+  function finishGap() {
+    clearTimer();
+    let missing = 0;
+    while (pending.length) {
+      const head = pending.shift();
+      missing += serialDistance(lastSerial, head.serial & 0xff) - 1;
+      deliver(head);
+      drain();
+    }
+    const report = { missing, recovered: recoveredCount };
+    recovered.clear();
+    recoveredCount = 0;
+    if (typeof onGap === "function" && (missing || report.recovered)) onGap(report);
+  }
+
+  function push(event) {
+    const serial = event.serial & 0xff;
+    if (lastSerial === null) {
+      deliver(event);
+      return;
+    }
+    const newest = pending.length ? pending[pending.length - 1].serial & 0xff : lastSerial;
+    const distance = serialDistance(newest, serial);
+    if (distance === 0 || distance > MAX_SERIAL_JUMP) return; // duplicate or stale
+    if (!pending.length && distance === 1) {
+      deliver(event);
+      return;
+    }
+    pending.push(event);
+    if (timer) return;
+    const skipped = serialDistance(lastSerial, serial) - 1;
+    const requested = typeof requestHistory === "function" && requestHistory(serial, skipped + 1);
+    if (!requested) {
+      finishGap();
+      return;
+    }
+    timer = setTimeout(finishGap, historyTimeout);
+  }
+
+  function addHistory({ moves }) {
+    if (!pending.length) return;
+    moves.forEach((move) => {
+      const serial = move.serial & 0xff;
+      // only the moves between the last delivered one and the held-back ones
+      if (serialDistance(lastSerial, serial) < serialDistance(lastSerial, pending[0].serial & 0xff)) {
+        if (serial !== lastSerial) recovered.set(serial, move);
+      }
+    });
+    if (drain()) finishGap();
+  }
+
+  function seed(serial) {
+    if (lastSerial === null) lastSerial = serial & 0xff;
+  }
+
+  function isInSync(serial) {
+    return !pending.length && lastSerial === (serial & 0xff);
+  }
+
+  function reset() {
+    clearTimer();
+    lastSerial = null;
+    pending = [];
+    recovered = new Map();
+    recoveredCount = 0;
+  }
+
+  return { push, addHistory, seed, isInSync, reset };
+}
@@ -0,0 +1,224 @@
+// Shared building blocks for the GAN protocol drivers.
+// References:
+// - GAN cube protocol (reverse-engineered): https://github.com/cubing/gancube
+// - gan-web-bluetooth protocol drivers: https://github.com/afedotov/gan-web-bluetooth
+//
+// This module exports:
+// - GAN_ENCRYPTION_KEYS: base AES key/iv pairs (salted per device with its MAC)
+// - createGanEncrypter(macAddress, keyIndex) => { encrypt(bytes), decrypt(bytes) }
+// - createSaltedEncrypter({ key, iv }, macAddress): the same scheme for any base key
+// - createBitReader(bytes) => { getBitWord(startBit, bitLength, littleEndian) }
+// - decodeQuaternion(raw16): signed-magnitude 16-bit component -> float in [-1, 1]
+// - toFacelets({ cp, co, ep, eo }) => 54-char facelet string (cubejs/Kociemba order)
+// - decodeCubieState(cp, co, ep, eo, puzzleSize) => { state, facelets } of a 3x3 or a GAN 2x2
+// - moveHistoryWindow(serial, count) / decodeMoveHistory(...) for Gen3/Gen4 move history
+
+import Cube from "cubejs";
+import { createAes128 } from "../aes128.js";
+
+export const FACES = "URFDLB";
+
+export const GAN_ENCRYPTION_KEYS = [
+  {
+    // GAN Gen2, Gen3 and Gen4 cubes
+    key: [0x01, 0x02, 0x42, 0x28, 0x31, 0x91, 0x16, 0x07, 0x20, 0x05, 0x18, 0x54, 0x42, 0x11, 0x12, 0x53],
+    iv: [0x11, 0x03, 0x32, 0x28, 0x21, 0x01, 0x76, 0x27, 0x20, 0x95, 0x78, 0x14, 0x32, 0x12, 0x02, 0x43],
+  },
+  {
+    // MoYu AI 2023 (speaks the GAN Gen2 protocol with its own key)
+    key: [0x05, 0x12, 0x02, 0x45, 0x02, 0x01, 0x29, 0x56, 0x12, 0x78, 0x12, 0x76, 0x81, 0x01, 0x08, 0x03],
+    iv: [0x01, 0x44, 0x28, 0x06, 0x86, 0x21, 0x22, 0x28, 0x51, 0x05, 0x08, 0x31, 0x82, 0x02, 0x21, 0x06],
+  },
+];
+
+// Parse "AB:12:..." (or "-" / space separated) into bytes, in the order written.
+export function parseMacAddress(macAddress) {
+  const bytes = String(macAddress || "")
+    .trim()
+    .split(/[:\-\s]+/)
+    .filter(Boolean)
+    .map((b) => parseInt(b, 16));
+  if (bytes.length !== 6 || bytes.some((b) => Number.isNaN(b) || b < 0 || b > 0xff)) {
+    throw new Error(`Invalid MAC address: ${macAddress}`);
+  }
+  return bytes;
+}
+
+/*
+  Key derivation: the first 6 bytes of the base key and IV are salted with the
+  device MAC address in reversed byte order. Each 16-byte chunk is AES-128-CBC
+  with the (salted) IV; packets longer than 16 bytes are encrypted twice, first
+  the leading chunk, then the trailing chunk (the two overlap).
+  MoYu's own protocol (WCU_MY32) uses the same scheme with another base key.
+*/
+export function createSaltedEncrypter({ key: baseKey, iv: baseIv }, macAddress) {
+  const salt = parseMacAddress(macAddress).reverse();
+  const key = baseKey.slice();
+  const iv = baseIv.slice();
+  for (let i = 0; i < 6; i++) {
+    key[i] = (key[i] + salt[i]) % 0xff;
+    iv[i] = (iv[i] + salt[i]) % 0xff;
+  }
+  const aes = createAes128(key);
+
+  const encryptChunk = (buf, offset) => {
+    const block = buf.slice(offset, offset + 16);
+    for (let i = 0; i < 16; i++) block[i] ^= iv[i];
+    buf.set(aes.encryptBlock(block), offset);
+  };
+
+  const decryptChunk = (buf, offset) => {
+    const block = aes.decryptBlock(buf.slice(offset, offset + 16));
+    for (let i = 0; i < 16; i++) block[i] ^= iv[i];
+    buf.set(block, offset);
+  };
+
+  return {
+    encrypt(data) {
+      if (data.length < 16) throw new Error("Encrypted packets must be at least 16 bytes");
+      const buf = Uint8Array.from(data);
+      encryptChunk(buf, 0);
+      if (buf.length > 16) encryptChunk(buf, buf.length - 16);
+      return buf;
+    },
+    decrypt(data) {
+      if (data.length < 16) throw new Error("Encrypted packets must be at least 16 bytes");
+      const buf = Uint8Array.from(data);
+      if (buf.length > 16) decryptChunk(buf, buf.length - 16);
+      decryptChunk(buf, 0);
+      return buf;
+    },
+  };
+}
+
+export function createGanEncrypter(macAddress, keyIndex = 0) {
+  const base = GAN_ENCRYPTION_KEYS[keyIndex];
+  if (!base) throw new Error(`Unknown GAN key index: ${keyIndex}`);
+  return createSaltedEncrypter(base, macAddress);
+}
+
+/*
+  GAN packets are bit-packed MSB first. getBitWord reads `bitLength` bits
+  starting at `startBit`; multi-byte words are big-endian unless
+  `littleEndian` is set (Gen3/Gen4 timestamps and serials).
+*/
+export function createBitReader(bytes) {
+  const bits = Array.from(bytes, (b) => b.toString(2).padStart(8, "0")).join("");
+  return {
+    length: bits.length,
+    getBitWord(startBit, bitLength, littleEndian = false) {
+      if (startBit + bitLength > bits.length) {
+        throw new RangeError(`Bit range ${startBit}+${bitLength} out of packet bounds`);
+      }
+      if (bitLength <= 8 || !littleEndian) {
+        return parseInt(bits.slice(startBit, startBit + bitLength), 2);
+      }
+      // little-endian: reverse the byte order of the extracted word
+      let value = 0;
+      for (let i = bitLength / 8 - 1; i >= 0; i--) {
+        value = value * 256 + parseInt(bits.slice(startBit + i * 8, startBit + i * 8 + 8), 2);
+      }
+      return value;
+    },
+  };
+}
+
+// Quaternion components are 1 sign bit + 15 magnitude bits.
+export function decodeQuaternion(raw) {
+  return ((1 - (raw >> 15) * 2) * (raw & 0x7fff)) / 0x7fff;
+}
+
+// Angular velocity components are 1 sign bit + 3 magnitude bits.
+export function decodeVelocity(raw) {
+  return (1 - (raw >> 3) * 2) * (raw & 0x7);
+}
+
+/*
+  Packets carry only 7 of 8 corners and 11 of 12 edges; the last piece is
+  implied by the permutation sum and the orientation parity.
+*/
+export function completeCubieState(cp, co, ep, eo) {
+  cp.push(28 - cp.reduce((a, b) => a + b, 0));
+  co.push((3 - (co.reduce((a, b) => a + b, 0) % 3)) % 3);
+  ep.push(66 - ep.reduce((a, b) => a + b, 0));
+  eo.push((2 - (eo.reduce((a, b) => a + b, 0) % 2)) % 2);
+  return { cp, co, ep, eo };
+}
+
+// GAN corner/edge indexes use the same Kociemba ordering as cubejs.
+export function toFacelets({ cp, co, ep, eo }) {
+  return new Cube({ center: [0, 1, 2, 3, 4, 5], cp, co, ep, eo }).asString();
+}
+
+/*
+  GAN's smart 2x2 speaks the protocol of its 3x3 generation but only fills
+  the corner fields: its facelets are the corner stickers of a 3x3 with the
+  same corners (24 chars, U1..U4 R1..R4 ...), and the edge fields are ignored.
+*/
+const CORNER_FACELETS = [0, 2, 6, 8];
+
+export function decodeCubieState(cp, co, ep, eo, puzzleSize = 3) {
+  if (puzzleSize !== 2) {
+    const state = completeCubieState(cp, co, ep, eo);
+    return { state, facelets: toFacelets(state) };
+  }
+  const solvedEdges = Array.from({ length: 11 }, (_, i) => i);
+  const state = completeCubieState(cp, co, solvedEdges, new Array(11).fill(0));
+  const facelets = toFacelets(state);
+  return {
+    state: { cp: state.cp, co: state.co },
+    facelets: Array.from({ length: 24 }, (_, i) => facelets[Math.floor(i / 4) * 9 + CORNER_FACELETS[i % 4]]).join(""),
+  };
+}
+
+// Fixed-size command buffer, zero padded, ready for encryption.
+export function makeCommand(size, bytes) {
+  const buf = new Uint8Array(size);
+  buf.set(bytes);
+  return buf;
+}
+
+export function readAscii(reader, startBit, count) {
+  let s = "";
+  for (let i = 0; i < count; i++) {
+    const c = reader.getBitWord(startBit + i * 8, 8);
+    if (c > 0) s += String.fromCharCode(c);
+  }
+  return s;
+}
+
+/*
+  Gen3/Gen4 move history: the cube keeps its last moves in a ring buffer
+  indexed by the 8-bit move serial. Responses are byte aligned and always
+  start at an odd serial, so the requested window is widened to an odd
+  serial and an even count; it never crosses the 255 -> 0 edge because some
+  firmware pads past it with zero bytes (which would decode as D moves).
+*/
+export function moveHistoryWindow(serial, count) {
+  let start = serial & 0xff;
+  let n = count;
+  if (start % 2 === 0) start = (start - 1) & 0xff;
+  if (n % 2 === 1) n++;
+  return { serial: start, count: Math.min(n, start + 1) };
+}
+
+// Face order of the 3-bit face codes used in history packets
+const HISTORY_FACES = [1, 5, 3, 0, 4, 2];
+
+// 4 bits per move, newest (startSerial) first; returned oldest first
+export function decodeMoveHistory(reader, startSerial, firstMoveBit, count) {
+  const moves = [];
+  for (let i = 0; i < count; i++) {
+    const code = reader.getBitWord(firstMoveBit + 4 * i, 3);
+    const direction = reader.getBitWord(firstMoveBit + 4 * i + 3, 1);
+    const face = HISTORY_FACES[code];
+    if (face === undefined) continue;
+    moves.unshift({
+      serial: (startSerial - i) & 0xff,
+      face,
+      direction,
+      move: FACES[face] + (direction ? "'" : ""),
+    });
+  }
+  return moves;
+}
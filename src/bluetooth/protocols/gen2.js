@@ -0,0 +1,138 @@
+// GAN Gen2 protocol (GAN 356i 3, Monster Go 3Ai, MoYu AI 2023)
+// Reference: https://github.com/afedotov/gan-web-bluetooth (gen2 driver)
+//
+// Decrypted 20-byte packets, event type in the first nibble:
+//   0x1 gyro      0x2 move      0x4 facelets
+//   0x5 hardware  0x9 battery   0xD disconnect
+
+import {
+  FACES,
+  createBitReader,
+  decodeQuaternion,
+  decodeVelocity,
+  decodeCubieState,
+  makeCommand,
+  readAscii,
+} from "./common.js";
+
+const PACKET_SIZE = 20;
+
+export const gen2 = {
+  name: "Gen2",
+  serviceUuid: "6e400001-b5a3-f393-e0a9-e50e24dc4179",
+  commandCharacteristicUuid: "28be4a4a-cd67-11e9-a32f-2a2ae2dbcce4",
+  stateCharacteristicUuid: "28be4cb6-cd67-11e9-a32f-2a2ae2dbcce4",
+  commands: {
+    facelets: [makeCommand(PACKET_SIZE, [0x04])],
+    hardware: [makeCommand(PACKET_SIZE, [0x05])],
+    battery: [makeCommand(PACKET_SIZE, [0x09])],
+    reset: [makeCommand(PACKET_SIZE, [0x0a, 0x05, 0x39, 0x77, 0x00, 0x00, 0x01, 0x23, 0x45, 0x67, 0x89, 0xab])],
+  },
+  createDecoder,
+};
+
+// `puzzleSize` 2 decodes the facelets of GAN's 2x2 (see decodeCubieState)
+function createDecoder({ puzzleSize = 3 } = {}) {
+  // Gen2 move packets carry the last 7 moves plus a rolling 8-bit counter;
+  // the counter delta tells us how many of them are new.
+  let lastMoveCounter = -1;
+  let cubeClock = 0;
+
+  function decode(bytes, localTimestamp = Date.now()) {
+    const msg = createBitReader(bytes);
+    const eventType = msg.getBitWord(0, 4);
+
+    if (eventType === 0x01) {
+      return [
+        {
+          type: "GYRO",
+          localTimestamp,
+          quaternion: {
+            x: decodeQuaternion(msg.getBitWord(20, 16)),
+            y: decodeQuaternion(msg.getBitWord(36, 16)),
+            z: decodeQuaternion(msg.getBitWord(52, 16)),
+            w: decodeQuaternion(msg.getBitWord(4, 16)),
+          },
+          velocity: {
+            x: decodeVelocity(msg.getBitWord(68, 4)),
+            y: decodeVelocity(msg.getBitWord(72, 4)),
+            z: decodeVelocity(msg.getBitWord(76, 4)),
+          },
+        },
+      ];
+    }
+
+    if (eventType === 0x02) {
+      const moveCounter = msg.getBitWord(4, 8);
+      const diff = lastMoveCounter === -1 ? 1 : Math.min((moveCounter - lastMoveCounter) & 0xff, 7);
+      lastMoveCounter = moveCounter;
+      const events = [];
+      // oldest first: slot 0 is the most recent move
+      for (let i = diff - 1; i >= 0; i--) {
+        const face = msg.getBitWord(12 + 5 * i, 4);
+        const direction = msg.getBitWord(16 + 5 * i, 1);
+        const elapsed = msg.getBitWord(47 + 16 * i, 16);
+        if (face >= FACES.length) continue;
+        cubeClock += elapsed;
+        events.push({
+          type: "MOVE",
+          localTimestamp,
+          cubeTimestamp: cubeClock,
+          serial: (moveCounter - i) & 0xff,
+          face,
+          direction,
+          move: FACES[face] + (direction ? "'" : ""),
+        });
+      }
+      return events;
+    }
+
+    if (eventType === 0x04) {
+      const moveCounter = msg.getBitWord(4, 8);
+      const cp = [];
+      const co = [];
+      const ep = [];
+      const eo = [];
+      for (let i = 0; i < 7; i++) {
+        cp.push(msg.getBitWord(12 + i * 3, 3));
+        co.push(msg.getBitWord(33 + i * 2, 2));
+      }
+      for (let i = 0; i < 11; i++) {
+        ep.push(msg.getBitWord(47 + i * 4, 4));
+        eo.push(msg.getBitWord(91 + i, 1));
+      }
+      if (lastMoveCounter === -1) lastMoveCounter = moveCounter;
+      const { state, facelets } = decodeCubieState(cp, co, ep, eo, puzzleSize);
+      return [{ type: "FACELETS", localTimestamp, serial: moveCounter, state, facelets }];
+    }
+
+    if (eventType === 0x05) {
+      const hwMajor = msg.getBitWord(8, 8);
+      const hwMinor = msg.getBitWord(16, 8);
+      const swMajor = msg.getBitWord(24, 8);
+      const swMinor = msg.getBitWord(32, 8);
+      return [
+        {
+          type: "HARDWARE",
+          localTimestamp,
+          hardwareName: readAscii(msg, 40, 8),
+          hardwareVersion: `${hwMajor}.${hwMinor}`,
+          softwareVersion: `${swMajor}.${swMinor}`,
+          gyroSupported: !!msg.getBitWord(104, 1),
+        },
+      ];
+    }
+
+    if (eventType === 0x09) {
+      return [{ type: "BATTERY", localTimestamp, batteryLevel: Math.min(msg.getBitWord(8, 8), 100) }];
+    }
+
+    if (eventType === 0x0d) {
+      return [{ type: "DISCONNECT", localTimestamp }];
+    }
+
+    return [];
+  }
+
+  return { decode };
+}
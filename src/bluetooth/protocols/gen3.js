@@ -0,0 +1,116 @@
+// GAN Gen3 protocol (GAN 356i Carry 2)
+// Reference: https://github.com/afedotov/gan-web-bluetooth (gen3 driver)
+//
+// Decrypted packets start with magic 0x55, then event type and payload length:
+//   0x01 move   0x02 facelets   0x06 move history   0x07 hardware   0x10 battery
+//   0x11 disconnect
+
+import {
+  FACES,
+  createBitReader,
+  decodeCubieState,
+  makeCommand,
+  readAscii,
+  moveHistoryWindow,
+  decodeMoveHistory,
+} from "./common.js";
+
+const PACKET_SIZE = 16;
+
+// Gen3/Gen4 encode the turned face as a one-hot bitmask.
+export const FACE_MASKS = [2, 32, 8, 1, 16, 4];
+
+export const gen3 = {
+  name: "Gen3",
+  serviceUuid: "8653000a-43e6-47b7-9cb0-5fc21d4ae340",
+  commandCharacteristicUuid: "8653000c-43e6-47b7-9cb0-5fc21d4ae340",
+  stateCharacteristicUuid: "8653000b-43e6-47b7-9cb0-5fc21d4ae340",
+  commands: {
+    facelets: [makeCommand(PACKET_SIZE, [0x68, 0x01])],
+    hardware: [makeCommand(PACKET_SIZE, [0x68, 0x04])],
+    battery: [makeCommand(PACKET_SIZE, [0x68, 0x07])],
+    reset: [makeCommand(PACKET_SIZE, [0x68, 0x05, 0x05, 0x39, 0x77, 0x00, 0x00, 0x01, 0x23, 0x45, 0x67, 0x89, 0xab])],
+    // `count` moves ending at `serial` (see moveHistoryWindow)
+    moveHistory: (serial, count) => {
+      const window = moveHistoryWindow(serial, count);
+      return [makeCommand(PACKET_SIZE, [0x68, 0x03, window.serial, 0x00, window.count, 0x00])];
+    },
+  },
+  createDecoder,
+};
+
+// `puzzleSize` 2 decodes the facelets of GAN's 2x2 (see decodeCubieState)
+function createDecoder({ puzzleSize = 3 } = {}) {
+  function decode(bytes, localTimestamp = Date.now()) {
+    const msg = createBitReader(bytes);
+    if (msg.getBitWord(0, 8) !== 0x55) return [];
+    const eventType = msg.getBitWord(8, 8);
+    const dataLength = msg.getBitWord(16, 8);
+
+    if (eventType === 0x01) {
+      const face = FACE_MASKS.indexOf(msg.getBitWord(74, 6));
+      if (face < 0) return [];
+      const direction = msg.getBitWord(72, 2);
+      return [
+        {
+          type: "MOVE",
+          localTimestamp,
+          cubeTimestamp: msg.getBitWord(24, 32, true),
+          serial: msg.getBitWord(56, 16, true),
+          face,
+          direction,
+          move: FACES[face] + (direction ? "'" : ""),
+        },
+      ];
+    }
+
+    if (eventType === 0x02) {
+      const serial = msg.getBitWord(24, 16, true);
+      const cp = [];
+      const co = [];
+      const ep = [];
+      const eo = [];
+      for (let i = 0; i < 7; i++) {
+        cp.push(msg.getBitWord(40 + i * 3, 3));
+        co.push(msg.getBitWord(61 + i * 2, 2));
+      }
+      for (let i = 0; i < 11; i++) {
+        ep.push(msg.getBitWord(77 + i * 4, 4));
+        eo.push(msg.getBitWord(121 + i, 1));
+      }
+      const { state, facelets } = decodeCubieState(cp, co, ep, eo, puzzleSize);
+      return [{ type: "FACELETS", localTimestamp, serial, state, facelets }];
+    }
+
+    if (eventType === 0x06) {
+      const startSerial = msg.getBitWord(24, 8);
+      const moves = decodeMoveHistory(msg, startSerial, 32, (dataLength - 1) * 2);
+      return [{ type: "MOVE_HISTORY", localTimestamp, startSerial, moves }];
+    }
+
+    if (eventType === 0x07) {
+      return [
+        {
+          type: "HARDWARE",
+          localTimestamp,
+          hardwareName: readAscii(msg, 24, 5),
+          softwareVersion: `${msg.getBitWord(72, 4)}.${msg.getBitWord(76, 4)}`,
+          hardwareVersion: `${msg.getBitWord(80, 4)}.${msg.getBitWord(84, 4)}`,
+          gyroSupported: false,
+        },
+      ];
+    }
+
+    if (eventType === 0x10) {
+      return [{ type: "BATTERY", localTimestamp, batteryLevel: Math.min(msg.getBitWord(8 + dataLength * 8, 8), 100) }];
+    }
+
+    if (eventType === 0x11) {
+      return [{ type: "DISCONNECT", localTimestamp }];
+    }
+
+    return [];
+  }
+
+  return { decode };
+}
@@ -0,0 +1,147 @@
+// GAN Gen4 protocol (GAN 12 ui Maglev, GAN 14 Maglev)
+// Reference: https://github.com/afedotov/gan-web-bluetooth (gen4 driver)
+//
+// Decrypted 20-byte packets start with event type and payload length:
+//   0x01 move   0xED facelets   0xEC gyro   0xEF battery   0xEA disconnect
+//   0xD1 move history
+//   0xFC/0xFD/0xFE hardware name / software version / hardware version
+
+import {
+  FACES,
+  createBitReader,
+  decodeQuaternion,
+  decodeVelocity,
+  decodeCubieState,
+  makeCommand,
+  readAscii,
+  moveHistoryWindow,
+  decodeMoveHistory,
+} from "./common.js";
+import { FACE_MASKS } from "./gen3.js";
+
+const PACKET_SIZE = 20;
+
+export const gen4 = {
+  name: "Gen4",
+  serviceUuid: "00000010-0000-fff7-fff6-fff5fff4fff0",
+  commandCharacteristicUuid: "0000fff5-0000-1000-8000-00805f9b34fb",
+  stateCharacteristicUuid: "0000fff6-0000-1000-8000-00805f9b34fb",
+  commands: {
+    facelets: [makeCommand(PACKET_SIZE, [0xdd, 0x04, 0x00, 0xed, 0x00, 0x00])],
+    hardware: [
+      makeCommand(PACKET_SIZE, [0xdf, 0x03, 0x00, 0x00, 0x00]),
+      makeCommand(PACKET_SIZE, [0xdd, 0x04, 0x00, 0xfc, 0x00, 0x00]),
+      makeCommand(PACKET_SIZE, [0xdd, 0x04, 0x00, 0xfd, 0x00, 0x00]),
+      makeCommand(PACKET_SIZE, [0xdd, 0x04, 0x00, 0xfe, 0x00, 0x00]),
+    ],
+    battery: [makeCommand(PACKET_SIZE, [0xdd, 0x04, 0x00, 0xef, 0x00, 0x00])],
+    reset: [
+      makeCommand(PACKET_SIZE, [
+        0xd2, 0x0d, 0x05, 0x39, 0x77, 0x00, 0x00, 0x01, 0x23, 0x45, 0x67, 0x89, 0xab, 0x00, 0x00, 0x00,
+      ]),
+    ],
+    // `count` moves ending at `serial` (see moveHistoryWindow)
+    moveHistory: (serial, count) => {
+      const window = moveHistoryWindow(serial, count);
+      return [makeCommand(PACKET_SIZE, [0xd1, 0x04, window.serial, 0x00, window.count, 0x00])];
+    },
+  },
+  createDecoder,
+};
+
+// `puzzleSize` 2 decodes the facelets of GAN's 2x2 (see decodeCubieState)
+function createDecoder({ puzzleSize = 3 } = {}) {
+  // Hardware info arrives as one packet per field; emit once all are in.
+  let hardware = {};
+
+  function decode(bytes, localTimestamp = Date.now()) {
+    const msg = createBitReader(bytes);
+    const eventType = msg.getBitWord(0, 8);
+    const dataLength = msg.getBitWord(8, 8);
+
+    if (eventType === 0x01) {
+      const face = FACE_MASKS.indexOf(msg.getBitWord(66, 6));
+      if (face < 0) return [];
+      const direction = msg.getBitWord(64, 2);
+      return [
+        {
+          type: "MOVE",
+          localTimestamp,
+          cubeTimestamp: msg.getBitWord(16, 32, true),
+          serial: msg.getBitWord(48, 16, true),
+          face,
+          direction,
+          move: FACES[face] + (direction ? "'" : ""),
+        },
+      ];
+    }
+
+    if (eventType === 0xd1) {
+      const startSerial = msg.getBitWord(16, 8);
+      const moves = decodeMoveHistory(msg, startSerial, 24, (dataLength - 1) * 2);
+      return [{ type: "MOVE_HISTORY", localTimestamp, startSerial, moves }];
+    }
+
+    if (eventType === 0xed) {
+      const serial = msg.getBitWord(16, 16, true);
+      const cp = [];
+      const co = [];
+      const ep = [];
+      const eo = [];
+      for (let i = 0; i < 7; i++) {
+        cp.push(msg.getBitWord(32 + i * 3, 3));
+        co.push(msg.getBitWord(53 + i * 2, 2));
+      }
+      for (let i = 0; i < 11; i++) {
+        ep.push(msg.getBitWord(69 + i * 4, 4));
+        eo.push(msg.getBitWord(113 + i, 1));
+      }
+      const { state, facelets } = decodeCubieState(cp, co, ep, eo, puzzleSize);
+      return [{ type: "FACELETS", localTimestamp, serial, state, facelets }];
+    }
+
+    if (eventType === 0xec) {
+      return [
+        {
+          type: "GYRO",
+          localTimestamp,
+          quaternion: {
+            x: decodeQuaternion(msg.getBitWord(32, 16)),
+            y: decodeQuaternion(msg.getBitWord(48, 16)),
+            z: decodeQuaternion(msg.getBitWord(64, 16)),
+            w: decodeQuaternion(msg.getBitWord(16, 16)),
+          },
+          velocity: {
+            x: decodeVelocity(msg.getBitWord(80, 4)),
+            y: decodeVelocity(msg.getBitWord(84, 4)),
+            z: decodeVelocity(msg.getBitWord(88, 4)),
+          },
+        },
+      ];
+    }
+
+    if (eventType === 0xef) {
+      return [{ type: "BATTERY", localTimestamp, batteryLevel: Math.min(msg.getBitWord(8 + dataLength * 8, 8), 100) }];
+    }
+
+    if (eventType === 0xea) {
+      return [{ type: "DISCONNECT", localTimestamp }];
+    }
+
+    if (eventType === 0xfc || eventType === 0xfd || eventType === 0xfe) {
+      const text = readAscii(msg, 24, Math.min(Math.max(dataLength - 1, 0), 17));
+      if (eventType === 0xfc) hardware.hardwareName = text;
+      if (eventType === 0xfd) hardware.softwareVersion = text;
+      if (eventType === 0xfe) hardware.hardwareVersion = text;
+      if (hardware.hardwareName && hardware.softwareVersion && hardware.hardwareVersion) {
+        const event = { type: "HARDWARE", localTimestamp, gyroSupported: null, ...hardware };
+        hardware = {};
+        return [event];
+      }
+    }
+
+    return [];
+  }
+
+  return { decode };
+}
@@ -0,0 +1,61 @@
+// GAN protocol driver registry.
+//
+// Each driver describes one protocol generation:
+// - name, serviceUuid, commandCharacteristicUuid, stateCharacteristicUuid
+// - commands: { facelets, hardware, battery, reset } as arrays of plaintext packets,
+//   plus moveHistory(serial, count) => packets on Gen3/Gen4
+// - createDecoder({ puzzleSize }) => { decode(decryptedBytes, localTimestamp) => events[] }
+//   (puzzleSize 2 for GAN's 2x2, whose facelets are 24 chars; 3 by default)
+//
+// Events are plain objects with a `type` of MOVE, MOVE_HISTORY, FACELETS, GYRO,
+// BATTERY, HARDWARE or DISCONNECT, so decoders can be exercised offline against
+// recorded (decrypted or encrypted) packet captures.
+
+import { gen2 } from "./gen2.js";
+import { gen3 } from "./gen3.js";
+import { gen4 } from "./gen4.js";
+
+export { createGanEncrypter, toFacelets } from "./common.js";
+
+export const GAN_PROTOCOLS = [gen2, gen3, gen4];
+
+export const GAN_SERVICE_UUIDS = GAN_PROTOCOLS.map((p) => p.serviceUuid);
+
+// Company identifier codes GAN cubes advertise their MAC address under
+// (0x0001, 0x0101, ... 0xFF01).
+export const GAN_CIC_LIST = Array.from({ length: 256 }, (_, i) => (i << 8) | 0x01);
+
+// Pick the protocol whose primary service the device exposes.
+export function detectGanProtocol(serviceUuids) {
+  const uuids = new Set((serviceUuids || []).map((u) => String(u).toLowerCase()));
+  return GAN_PROTOCOLS.find((p) => uuids.has(p.serviceUuid)) || null;
+}
+
+// MoYu AI 2023 cubes speak Gen2 with a different base key.
+export function getGanKeyIndex(deviceName) {
+  return /^AiCube/i.test(deviceName || "") ? 1 : 0;
+}
+
+// GAN 251 i (2x2) cubes advertise as "GAN251…"; every other GAN cube is a 3x3.
+export function getGanPuzzleSize(deviceName) {
+  return /^GAN251/i.test(deviceName || "") ? 2 : 3;
+}
+
+/*
+  Extract the MAC address from advertisement manufacturer data. The last 6
+  bytes of the payload hold it in reversed byte order.
+*/
+export function macFromManufacturerData(manufacturerData) {
+  if (!manufacturerData) return null;
+  for (const cic of GAN_CIC_LIST) {
+    if (!manufacturerData.has(cic)) continue;
+    const view = manufacturerData.get(cic);
+    if (view.byteLength < 6) continue;
+    const mac = [];
+    for (let i = 1; i <= 6; i++) {
+      mac.push(view.getUint8(view.byteLength - i).toString(16).padStart(2, "0").toUpperCase());
+    }
+    return mac.join(":");
+  }
+  return null;
+}
@@ -1,18 +1,103 @@
-import React, { useEffect, useRef, useState, useCallback } from 'react';
+import React, { forwardRef, useEffect, useImperativeHandle, useRef, useState, useCallback } from 'react';
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { faceletCount, faceletToSticker, gridKey } from './faceletGeometry.js';
+import {
+  AXIS_VECTORS,
+  applyTurn,
+  getCubieSlots,
+  getLayerCubies,
+  initCubie,
+  moveToTurn,
+  normalKey,
+  readFacelets,
+  snapCubie,
+  stickerFaceletAt,
+} from './cubieModel.js';
+import { applyCubieAppearance, buildCubieMeshes, getStickerMeshes, paintStickers } from './cubieMeshes.js';
+import { netLayout } from './cubeDiagrams.js';
+import CubeDiagram from './CubeDiagram';
+import { formatMove, parseAlgorithm, parseMove } from './notation.js';
+import { THEMES, faceletColors, loadAppearanceSettings, subscribeToAppearanceSettings } from '../appearance/appearance.js';
 import './Cube3D.css';
 
-const Cube3D = ({ moves = [], onMoveComplete = null, autoRotate = true, showStats = false }) => {
+/*
+  Imperative API (via ref):
+  - enqueueMove(notation) => Promise<boolean>
+      Queue a single WCA move (faces, wide moves, slices, rotations). Resolves
+      true once the move has been applied, false if it was skipped
+      (unparseable notation, or dropped by reset/setState).
+  - enqueueSequence(algorithm) => Promise<boolean>
+      Queue an algorithm (string in full notation, see notation.js, or array of
+      moves); resolves when the last one has been applied (true only if every
+      move was applied, false without queueing anything if it does not parse).
+  - reset() / setState(facelets)
+      Drop the queue and show the solved cube / a facelet string (cubejs
+      order, as returned by session.getState(); 6·size² characters) instantly.
+  - setOrientation({ x, y, z, w })
+      Orient the whole cube with a quaternion.
+  - setTargetOrientation({ x, y, z, w }, smoothing = 0.25)
+      Turn the whole cube towards a quaternion a little every frame (gyro
+      data); `smoothing` is the fraction of the remaining angle per frame.
+  - setAnimationSpeed(msPerQuarterTurn)
+      Duration of a quarter turn; 0 applies moves without animation.
+  - flushQueue() => Promise<void>
+      Apply every queued move instantly, skipping the remaining animations.
+  - whenIdle() => Promise<void>
+      Resolves once the queue has drained (immediately if already idle).
+  - getRenderedState() => string
+      Facelet string read back from the rendered cubies (compare with session.getState()).
+  - isAnimating() / getQueueLength()
+
+  The `size` prop (2..7, default 3) picks the puzzle; changing it drops the
+  queue and shows the solved puzzle of the new size. Moves the size lacks
+  (M on a 2x2, 4Rw on a 3x3) are skipped.
+  The `onMoveComplete` prop fires each time the queue drains.
+  With `onStickerClick(faceletIndex)` the cube is in paint mode: a click (not
+  a drag, which still orbits) on a sticker reports its facelet index.
+  Colors, sticker style, cubie shape and background follow the saved
+  appearance settings (see appearance.js), or the `appearance` prop when
+  given; changes recolor the cubies in place.
+  Without WebGL (THREE.WebGLRenderer cannot be created) the same API keeps
+  working without animations and an SVG net of the cube is shown instead.
+  With `orbitControls={false}` the camera is fixed at its home position so the
+  cube's own orientation (e.g. from the gyroscope) is what the user sees;
+  switching back restores orbiting and the default orientation.
+*/
+
+const DEFAULT_QUARTER_TURN_MS = 300;
+
+const DEFAULT_CAMERA_POSITION = [5, 5, 5];
+
+const Cube3D = forwardRef(({ size = 3, moves = [], onMoveComplete = null, onStickerClick = null, autoRotate = true, orbitControls = true, showStats = false, appearance = null }, ref) => {
   const containerRef = useRef(null);
   const sceneRef = useRef(null);
   const cameraRef = useRef(null);
   const rendererRef = useRef(null);
   const controlsRef = useRef(null);
+  const cubeGroupRef = useRef(null);
   const cubiesRef = useRef([]);
   const isAnimatingRef = useRef(false);
   const moveQueueRef = useRef([]);
+  const idleWaitersRef = useRef([]);
+  const quarterTurnMsRef = useRef(DEFAULT_QUARTER_TURN_MS);
+  const flushingRef = useRef(false);
+  const stateVersionRef = useRef(0);
+  const onMoveCompleteRef = useRef(onMoveComplete);
+  const targetOrientationRef = useRef(null); // { quaternion, smoothing }
+  const sizeRef = useRef(size);
   const [isReady, setIsReady] = useState(false);
+  // No WebGL: the cubies still track the state, drawn as a net
+  const fallbackRef = useRef(false);
+  const [fallbackFacelets, setFallbackFacelets] = useState(null);
+  const [savedAppearance, setSavedAppearance] = useState(() => loadAppearanceSettings());
+  const settings = appearance || savedAppearance;
+  const appearanceRef = useRef(settings);
+  appearanceRef.current = settings;
+
+  const onStickerClickRef = useRef(onStickerClick);
+  onMoveCompleteRef.current = onMoveComplete;
+  onStickerClickRef.current = onStickerClick;
 
   // Initialize Three.js scene
   useEffect(() => {
@@ -20,7 +105,7 @@ const Cube3D = ({ moves = [], onMoveComplete = null, autoRotate = true, showStat
 
     // Scene setup
     const scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x1a1a1a);
+    scene.background = new THREE.Color((THEMES[appearanceRef.current.theme] || THEMES.dark).sceneBackground);
     sceneRef.current = scene;
 
     // Camera setup
@@ -30,12 +115,31 @@ const Cube3D = ({ moves = [], onMoveComplete = null, autoRotate = true, showStat
       0.1,
       1000
     );
-    camera.position.set(5, 5, 5);
+    camera.position.set(...DEFAULT_CAMERA_POSITION);
     camera.lookAt(0, 0, 0);
     cameraRef.current = camera;
 
+    // Create the cube inside a group so it can be oriented as a whole
+    const cubeGroup = new THREE.Group();
+    scene.add(cubeGroup);
+    cubeGroupRef.current = cubeGroup;
+    createCube(cubeGroup, sizeRef.current);
+
     // Renderer setup
-    const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+    let renderer;
+    try {
+      renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+    } catch (e) {
+      console.warn('Cube3D: WebGL is not available, showing a 2D net instead', e);
+      fallbackRef.current = true;
+      rendererRef.current = null;
+      controlsRef.current = null;
+      setFallbackFacelets(readFacelets(cubiesRef.current, sizeRef.current));
+      setIsReady(true);
+      return () => setIsReady(false);
+    }
+    fallbackRef.current = false;
+    setFallbackFacelets(null);
     renderer.setSize(containerRef.current.clientWidth, containerRef.current.clientHeight);
     renderer.setPixelRatio(window.devicePixelRatio);
     renderer.shadowMap.enabled = true;
@@ -64,9 +168,6 @@ const Cube3D = ({ moves = [], onMoveComplete = null, autoRotate = true, showStat
     controls.maxDistance = 15;
     controlsRef.current = controls;
 
-    // Create the 3x3x3 cube
-    createCube(scene);
-
     // Handle window resize
     const handleResize = () => {
       if (!containerRef.current) return;
@@ -80,8 +181,11 @@ const Cube3D = ({ moves = [], onMoveComplete = null, autoRotate = true, showStat
     window.addEventListener('resize', handleResize);
 
     // Animation loop
+    let frameId = null;
     const animate = () => {
-      requestAnimationFrame(animate);
+      frameId = requestAnimationFrame(animate);
+      const target = targetOrientationRef.current;
+      if (target) cubeGroup.quaternion.slerp(target.quaternion, target.smoothing);
       controls.update();
       renderer.render(scene, camera);
     };
@@ -91,176 +195,235 @@ const Cube3D = ({ moves = [], onMoveComplete = null, autoRotate = true, showStat
 
     // Cleanup
     return () => {
+      cancelAnimationFrame(frameId);
       window.removeEventListener('resize', handleResize);
+      controls.dispose();
       renderer.dispose();
       containerRef.current?.removeChild(renderer.domElement);
+      setIsReady(false);
     };
   }, [autoRotate]);
 
-  // Create 3x3x3 cube with individual cubies
-  const createCube = (scene) => {
-    const cubeSize = 1;
-    const spacing = 0.05;
-    const cubies = [];
+  // Fixed camera while the cube follows an external orientation
+  useEffect(() => {
+    const controls = controlsRef.current;
+    if (!isReady || !controls) return;
+    controls.enabled = orbitControls;
+    controls.autoRotate = autoRotate && orbitControls;
+    if (!orbitControls) {
+      cameraRef.current.position.set(...DEFAULT_CAMERA_POSITION);
+      controls.target.set(0, 0, 0);
+      controls.update();
+    } else {
+      targetOrientationRef.current = null;
+      cubeGroupRef.current.quaternion.identity();
+    }
+  }, [orbitControls, autoRotate, isReady]);
 
-    const colors = {
-      white: 0xffffff,
-      yellow: 0xffff00,
-      red: 0xff0000,
-      orange: 0xffa500,
-      blue: 0x0000ff,
-      green: 0x00aa00,
-      black: 0x222222,
+  // Paint mode: raycast clicks onto the stickers
+  const paintMode = Boolean(onStickerClick);
+  useEffect(() => {
+    const renderer = rendererRef.current;
+    if (!isReady || !renderer || !paintMode) return;
+    const canvas = renderer.domElement;
+    const raycaster = new THREE.Raycaster();
+    let down = null;
+
+    const handlePointerDown = (e) => {
+      down = { x: e.clientX, y: e.clientY };
+    };
+    const handlePointerUp = (e) => {
+      // moved too far: the user was orbiting
+      if (!down || Math.hypot(e.clientX - down.x, e.clientY - down.y) > 5) return;
+      down = null;
+      const rect = canvas.getBoundingClientRect();
+      const pointer = new THREE.Vector2(
+        ((e.clientX - rect.left) / rect.width) * 2 - 1,
+        -((e.clientY - rect.top) / rect.height) * 2 + 1
+      );
+      raycaster.setFromCamera(pointer, cameraRef.current);
+      const hit = raycaster.intersectObjects(getStickerMeshes(cubiesRef.current), false)[0];
+      if (!hit || isAnimatingRef.current) return;
+      const index = stickerFaceletAt(hit.object.parent, hit.object.userData.normal, sizeRef.current);
+      if (index >= 0 && onStickerClickRef.current) onStickerClickRef.current(index);
     };
 
-    // Create each cubie (1x1x1 cube)
-    for (let x = -1; x <= 1; x++) {
-      for (let y = -1; y <= 1; y++) {
-        for (let z = -1; z <= 1; z++) {
-          const cubie = createCubie(cubeSize, colors);
-          
-          // Position the cubie
-          const posX = x * (cubeSize + spacing);
-          const posY = y * (cubeSize + spacing);
-          const posZ = z * (cubeSize + spacing);
-          
-          cubie.position.set(posX, posY, posZ);
-          cubie.userData = {
-            originalPosition: { x: posX, y: posY, z: posZ },
-            gridPosition: { x, y, z },
-            index: cubies.length,
-          };
-
-          scene.add(cubie);
-          cubies.push(cubie);
-        }
-      }
-    }
+    canvas.addEventListener('pointerdown', handlePointerDown);
+    canvas.addEventListener('pointerup', handlePointerUp);
+    canvas.style.cursor = 'crosshair';
+    return () => {
+      canvas.removeEventListener('pointerdown', handlePointerDown);
+      canvas.removeEventListener('pointerup', handlePointerUp);
+      canvas.style.cursor = '';
+    };
+  }, [isReady, paintMode, autoRotate]);
 
+  useEffect(() => subscribeToAppearanceSettings(setSavedAppearance), []);
+
+  // New colors, sticker style or theme: restyle the existing meshes
+  useEffect(() => {
+    if (!isReady) return;
+    cubiesRef.current.forEach((cubie) => applyCubieAppearance(cubie, settings));
+    const theme = THEMES[settings.theme] || THEMES.dark;
+    sceneRef.current.background.set(theme.sceneBackground);
+  }, [settings, isReady]);
+
+  // Create a size×size×size cube with individual cubies, scaled to the size of a 3x3
+  const createCube = (parent, cubeSize) => {
+    const cubies = [];
+
+    // Create each visible cubie (1x1x1 cube)
+    getCubieSlots(cubeSize).forEach(({ x, y, z }) => {
+      const cubie = initCubie(new THREE.Group(), x, y, z, cubeSize);
+      buildCubieMeshes(cubie, appearanceRef.current);
+      cubie.userData.index = cubies.length;
+      parent.add(cubie);
+      cubies.push(cubie);
+    });
+
+    parent.scale.setScalar(3 / cubeSize);
     cubiesRef.current = cubies;
   };
 
-  // Create individual cubie with stickers
-  const createCubie = (size, colors) => {
-    const group = new THREE.Group();
-    const geometry = new THREE.BoxGeometry(size, size, size);
-    
-    const materials = [
-      new THREE.MeshStandardMaterial({ color: colors.orange }), // right (red side)
-      new THREE.MeshStandardMaterial({ color: colors.red }), // left
-      new THREE.MeshStandardMaterial({ color: colors.white }), // top
-      new THREE.MeshStandardMaterial({ color: colors.yellow }), // bottom
-      new THREE.MeshStandardMaterial({ color: colors.blue }), // front
-      new THREE.MeshStandardMaterial({ color: colors.green }), // back
-    ];
-
-    materials.forEach((mat) => {
-      mat.roughness = 0.4;
-      mat.metalness = 0.1;
+  const removeCubies = (parent) => {
+    cubiesRef.current.forEach((cubie) => {
+      parent.remove(cubie);
+      cubie.traverse((node) => {
+        if (node.geometry) node.geometry.dispose();
+        [].concat(node.material || []).forEach((mat) => mat.dispose());
+      });
     });
+    cubiesRef.current = [];
+  };
 
-    const cube = new THREE.Mesh(geometry, materials);
-    cube.castShadow = true;
-    cube.receiveShadow = true;
+  // Another puzzle: drop whatever was queued for the old one and rebuild
+  useEffect(() => {
+    if (sizeRef.current === size) return;
+    sizeRef.current = size;
+    if (!cubeGroupRef.current) return;
+    dropQueue();
+    stateVersionRef.current += 1;
+    removeCubies(cubeGroupRef.current);
+    createCube(cubeGroupRef.current, size);
+    refreshFallback();
+  }, [size]);
+
+  // Drain the move queue one animation at a time
+  const processQueue = useCallback(async () => {
+    if (isAnimatingRef.current || !cubiesRef.current.length) return;
+    isAnimatingRef.current = true;
+
+    while (moveQueueRef.current.length > 0) {
+      const { notation, resolve } = moveQueueRef.current.shift();
+      try {
+        const applied = await animateMove(notation, flushingRef.current ? 0 : quarterTurnMsRef.current);
+        resolve(applied);
+      } catch (error) {
+        console.error('Error executing move:', error);
+        resolve(false);
+      }
+    }
 
-    // Add black outline/edge
-    const edges = new THREE.EdgesGeometry(geometry);
-    const wireframe = new THREE.LineSegments(
-      edges,
-      new THREE.LineBasicMaterial({ color: colors.black, linewidth: 2 })
-    );
-    cube.add(wireframe);
+    isAnimatingRef.current = false;
+    notifyIdle();
+  }, []);
 
-    group.add(cube);
-    return group;
+  const notifyIdle = () => {
+    const waiters = idleWaitersRef.current;
+    idleWaitersRef.current = [];
+    waiters.forEach((resolve) => resolve());
+    refreshFallback();
+    if (onMoveCompleteRef.current) onMoveCompleteRef.current();
   };
 
-  // Execute a move on the cube
-  const executeMove = useCallback(
-    async (moveNotation) => {
-      if (isAnimatingRef.current || !isReady) {
-        moveQueueRef.current.push(moveNotation);
-        return;
-      }
-
-      isAnimatingRef.current = true;
+  // Redraw the net shown without WebGL
+  const refreshFallback = () => {
+    if (fallbackRef.current) setFallbackFacelets(readFacelets(cubiesRef.current, sizeRef.current));
+  };
 
-      try {
-        await animateMove(moveNotation);
-      } catch (error) {
-        console.error('Error executing move:', error);
-      } finally {
-        isAnimatingRef.current = false;
-
-        // Process queued moves
-        if (moveQueueRef.current.length > 0) {
-          const nextMove = moveQueueRef.current.shift();
-          executeMove(nextMove);
-        } else if (onMoveComplete) {
-          onMoveComplete();
-        }
+  // Queue a move; resolves true once applied, false if skipped
+  const enqueueMove = useCallback(
+    (moveNotation) => {
+      const move = typeof moveNotation === 'string' ? parseMove(moveNotation) : moveNotation;
+      if (!move || !moveToTurn(move, sizeRef.current)) {
+        console.warn('Cube3D: ignoring unsupported move', moveNotation);
+        return Promise.resolve(false);
       }
+      const promise = new Promise((resolve) => {
+        moveQueueRef.current.push({ notation: formatMove(move), resolve });
+      });
+      processQueue();
+      return promise;
     },
-    [isReady, onMoveComplete]
+    [processQueue]
   );
 
-  // Animate a single move
-  const animateMove = (moveNotation) => {
-    return new Promise((resolve) => {
-      const {
-        axis,
-        direction,
-        layer,
-        duration = 600,
-      } = parseMoveNotation(moveNotation);
+  // Drop pending moves, resolving their promises with false
+  const dropQueue = () => {
+    const pending = moveQueueRef.current;
+    moveQueueRef.current = [];
+    pending.forEach(({ resolve }) => resolve(false));
+  };
+
+  /*
+    Animate a single move: the turning cubies are attached to a temporary
+    pivot group which is rotated about the layer axis. At the end they are
+    re-attached to the cube group, so the pivot rotation is baked into each
+    cubie's position and quaternion, then snapped back onto the grid.
+  */
+  const animateMove = (moveNotation, quarterTurnMs = DEFAULT_QUARTER_TURN_MS) => {
+    return new Promise((resolve, reject) => {
+      const turn = moveToTurn(moveNotation, sizeRef.current);
+      if (!turn) {
+        reject(new Error(`Unsupported move: ${moveNotation}`));
+        return;
+      }
+      const cubeGroup = cubeGroupRef.current;
+      const duration = quarterTurnMs * turn.rotations;
+
+      if (duration <= 0 || flushingRef.current || fallbackRef.current) {
+        applyTurn(cubiesRef.current, turn);
+        resolve(true);
+        return;
+      }
+
+      const version = stateVersionRef.current;
+      const affectedCubies = getLayerCubies(cubiesRef.current, turn.axis, turn.layers);
+      const pivot = new THREE.Group();
+      cubeGroup.add(pivot);
+      affectedCubies.forEach((cubie) => pivot.attach(cubie));
+
+      const finish = () => {
+        pivot.updateMatrixWorld(true);
+        affectedCubies.forEach((cubie) => {
+          cubeGroup.attach(cubie);
+          snapCubie(cubie);
+        });
+        cubeGroup.remove(pivot);
+      };
 
       const startTime = Date.now();
-      const targetRotation = direction * (Math.PI / 2);
 
       const animate = () => {
+        // reset()/setState() replaced the cube underneath this move
+        if (version !== stateVersionRef.current) {
+          pivot.quaternion.identity();
+          finish();
+          resolve(false);
+          return;
+        }
         const elapsed = Date.now() - startTime;
-        const progress = Math.min(elapsed / duration, 1);
-        
+        const progress = flushingRef.current ? 1 : Math.min(elapsed / duration, 1);
+
         // Easing function for smooth animation
         const easeProgress = smoothstep(0, 1, progress);
-
-        // Get affected cubies and rotate them
-        const affectedCubies = getAffectedCubies(axis, layer);
-        const rotationAmount = targetRotation * easeProgress;
-
-        affectedCubies.forEach((cubie) => {
-          const originalPos = cubie.userData.originalPosition;
-          
-          // Create a temporary group for rotation
-          if (!cubie.userData.rotationGroup) {
-            cubie.userData.rotationAxis = axis;
-            cubie.userData.rotationAmount = 0;
-          }
-
-          // Apply rotation based on axis
-          switch (axis) {
-            case 'x':
-              cubie.rotation.x = rotationAmount;
-              break;
-            case 'y':
-              cubie.rotation.y = rotationAmount;
-              break;
-            case 'z':
-              cubie.rotation.z = rotationAmount;
-              break;
-          }
-        });
+        pivot.quaternion.setFromAxisAngle(AXIS_VECTORS[turn.axis], turn.angle * easeProgress);
 
         if (progress < 1) {
           requestAnimationFrame(animate);
         } else {
-          // Finalize positions after animation
-          affectedCubies.forEach((cubie) => {
-            updateCubiePosition(cubie, axis, layer, direction);
-            cubie.rotation.set(0, 0, 0);
-          });
-
-          resolve();
+          finish();
+          resolve(true);
         }
       };
 
@@ -268,128 +431,124 @@ const Cube3D = ({ moves = [], onMoveComplete = null, autoRotate = true, showStat
     });
   };
 
-  // Parse move notation (e.g., "R", "L'", "U2")
-  const parseMoveNotation = (notation) => {
-    const match = notation.match(/^([RLUDFB])(['2]?)$/);
-    if (!match) return null;
-
-    const faceMap = {
-      R: { axis: 'x', direction: 1, layer: 1 },
-      L: { axis: 'x', direction: -1, layer: -1 },
-      U: { axis: 'y', direction: 1, layer: 1 },
-      D: { axis: 'y', direction: -1, layer: -1 },
-      F: { axis: 'z', direction: 1, layer: 1 },
-      B: { axis: 'z', direction: -1, layer: -1 },
-    };
-
-    const move = faceMap[notation[0]];
-    let direction = move.direction;
-    let rotations = 1;
-
-    if (match[2] === "'") {
-      direction *= -1;
-    } else if (match[2] === "2") {
-      rotations = 2;
-    }
-
-    return {
-      axis: move.axis,
-      direction,
-      layer: move.layer,
-      duration: 300 * rotations,
-    };
-  };
-
-  // Get cubies affected by a move
-  const getAffectedCubies = (axis, layer) => {
-    return cubiesRef.current.filter((cubie) => {
-      const gridPos = cubie.userData.gridPosition;
-      switch (axis) {
-        case 'x':
-          return gridPos.x === layer;
-        case 'y':
-          return gridPos.y === layer;
-        case 'z':
-          return gridPos.z === layer;
-        default:
-          return false;
-      }
-    });
-  };
-
-  // Update cubie position and grid position after rotation
-  const updateCubiePosition = (cubie, axis, layer, direction) => {
-    const gridPos = cubie.userData.gridPosition;
-    const { x, y, z } = gridPos;
-    let newGridPos = { x, y, z };
-
-    // Rotate grid position
-    if (axis === 'x') {
-      newGridPos = {
-        x,
-        y: direction > 0 ? -z : z,
-        z: direction > 0 ? y : -y,
-      };
-    } else if (axis === 'y') {
-      newGridPos = {
-        x: direction > 0 ? z : -z,
-        y,
-        z: direction > 0 ? -x : x,
-      };
-    } else if (axis === 'z') {
-      newGridPos = {
-        x: direction > 0 ? y : -y,
-        y: direction > 0 ? -x : x,
-        z,
-      };
-    }
-
-    // Update grid position
-    cubie.userData.gridPosition = newGridPos;
-
-    // Update physical position
-    const cubeSize = 1;
-    const spacing = 0.05;
-    const newPosX = newGridPos.x * (cubeSize + spacing);
-    const newPosY = newGridPos.y * (cubeSize + spacing);
-    const newPosZ = newGridPos.z * (cubeSize + spacing);
-
-    cubie.position.set(newPosX, newPosY, newPosZ);
-    cubie.userData.originalPosition = { x: newPosX, y: newPosY, z: newPosZ };
-  };
-
   // Smoothstep easing function
   const smoothstep = (edge0, edge1, x) => {
     const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
     return t * t * (3 - 2 * t);
   };
 
+  // Start draining anything queued before the scene was ready
+  useEffect(() => {
+    if (isReady) processQueue();
+  }, [isReady, processQueue]);
+
   // Apply moves from props
   useEffect(() => {
     if (isReady && moves && moves.length > 0) {
       moves.forEach((move) => {
-        executeMove(move);
+        enqueueMove(move);
       });
     }
-  }, [moves, isReady, executeMove]);
+  }, [moves, isReady, enqueueMove]);
+
+  // Put every cubie back at its home slot with identity rotation
+  const resetCubies = () => {
+    stateVersionRef.current += 1;
+    cubiesRef.current.forEach((cubie) => {
+      const { x, y, z } = cubie.userData.homeGridPosition;
+      initCubie(cubie, x, y, z, sizeRef.current);
+    });
+  };
 
   // Reset cube to solved state
   const resetCube = useCallback(() => {
-    cubiesRef.current.forEach((cubie) => {
-      cubie.position.set(
-        cubie.userData.originalPosition.x,
-        cubie.userData.originalPosition.y,
-        cubie.userData.originalPosition.z
+    dropQueue();
+    resetCubies();
+    paintCubies(null);
+    refreshFallback();
+  }, []);
+
+  // Recolor stickers from a facelet string (null: the solved colors initCubie restored)
+  const paintCubies = (facelets) => {
+    if (facelets) {
+      // Cubies are at home with identity rotation, so grid slot == home slot
+      const bySlot = new Map(
+        cubiesRef.current.map((c) => [gridKey(c.userData.homeGridPosition), c])
       );
-      cubie.rotation.set(0, 0, 0);
-      cubie.userData.gridPosition = {
-        x: Math.round(cubie.userData.originalPosition.x / 1.05),
-        y: Math.round(cubie.userData.originalPosition.y / 1.05),
-        z: Math.round(cubie.userData.originalPosition.z / 1.05),
-      };
-    });
+      for (let index = 0; index < facelets.length; index++) {
+        const { position, normal } = faceletToSticker(index, sizeRef.current);
+        const cubie = bySlot.get(gridKey(position));
+        const letter = facelets[index];
+        if (cubie && 'URFDLB'.includes(letter)) cubie.userData.stickers[normalKey(normal)] = letter;
+      }
+    }
+    cubiesRef.current.forEach((cubie) => paintStickers(cubie, appearanceRef.current));
+  };
+
+  const setCubeState = useCallback((facelets) => {
+    const count = faceletCount(sizeRef.current);
+    if (typeof facelets !== 'string' || facelets.length !== count) {
+      throw new Error(`Cube3D.setState expects a ${count}-character facelet string`);
+    }
+    dropQueue();
+    resetCubies();
+    paintCubies(facelets);
+    refreshFallback();
   }, []);
 
+  useImperativeHandle(
+    ref,
+    () => ({
+      enqueueMove,
+      enqueueSequence: (sequence) => {
+        let list;
+        try {
+          list = Array.isArray(sequence) ? sequence : parseAlgorithm(sequence);
+        } catch (err) {
+          console.warn('Cube3D: ignoring unparseable algorithm', err.message);
+          return Promise.resolve(false);
+        }
+        return Promise.all(list.map((m) => enqueueMove(m))).then((results) => results.every(Boolean));
+      },
+      reset: resetCube,
+      setState: setCubeState,
+      setOrientation: (quaternion) => {
+        if (!cubeGroupRef.current || !quaternion) return;
+        const { x, y, z, w } = quaternion;
+        targetOrientationRef.current = null;
+        cubeGroupRef.current.quaternion.set(x, y, z, w).normalize();
+      },
+      setTargetOrientation: (quaternion, smoothing = 0.25) => {
+        if (!quaternion) return;
+        const { x, y, z, w } = quaternion;
+        targetOrientationRef.current = {
+          quaternion: new THREE.Quaternion(x, y, z, w).normalize(),
+          smoothing: Math.max(0.01, Math.min(1, smoothing)),
+        };
+      },
+      setAnimationSpeed: (msPerQuarterTurn) => {
+        const ms = Number(msPerQuarterTurn);
+        quarterTurnMsRef.current = Number.isFinite(ms) && ms >= 0 ? ms : DEFAULT_QUARTER_TURN_MS;
+      },
+      flushQueue: () => {
+        if (!isAnimatingRef.current && !moveQueueRef.current.length) return Promise.resolve();
+        // Remaining moves (including the one animating) complete on the next frame
+        flushingRef.current = true;
+        return new Promise((resolve) => idleWaitersRef.current.push(resolve)).then(() => {
+          flushingRef.current = false;
+        });
+      },
+      whenIdle: () =>
+        isAnimatingRef.current || moveQueueRef.current.length
+          ? new Promise((resolve) => idleWaitersRef.current.push(resolve))
+          : Promise.resolve(),
+      getRenderedState: () => readFacelets(cubiesRef.current, sizeRef.current),
+      isAnimating: () => isAnimatingRef.current,
+      getQueueLength: () => moveQueueRef.current.length,
+    }),
+    [enqueueMove, resetCube, setCubeState]
+  );
+
   return (
     <div className="cube-3d-container" ref={containerRef}>
       <div className="cube-controls">
@@ -397,9 +556,19 @@ const Cube3D = ({ moves = [], onMoveComplete = null, autoRotate = true, showStat
           Reset
         </button>
       </div>
+      {fallbackFacelets && (
+        <CubeDiagram
+          className="cube-3d-fallback"
+          layout={netLayout(fallbackFacelets)}
+          colors={faceletColors(settings)}
+          onStickerClick={onStickerClick}
+        />
+      )}
       {!isReady && <div className="loading">Loading 3D Cube...</div>}
     </div>
   );
-};
+});
+
+Cube3D.displayName = 'Cube3D';
 
 export default Cube3D;
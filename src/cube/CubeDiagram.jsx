@@ -0,0 +1,33 @@
+import React from "react";
+import { diagramShapes } from "./cubeDiagrams";
+
+/*
+  SVG drawing of a cube diagram layout (netLayout() or lastLayerLayout(), see
+  cubeDiagrams.js). `colors` maps facelet letters to CSS colors. With
+  `onStickerClick(faceletIndex)` the stickers are clickable.
+*/
+export default function CubeDiagram({ layout, colors, onStickerClick = null, className = "" }) {
+  return (
+    <svg
+      className={"cube-diagram " + className}
+      viewBox={`0 0 ${layout.width} ${layout.height}`}
+      role="img"
+    >
+      {diagramShapes(layout, colors).map((r) => (
+        <rect
+          key={r.key}
+          x={r.x}
+          y={r.y}
+          width={r.width}
+          height={r.height}
+          rx={r.rx}
+          fill={r.fill}
+          stroke="#000"
+          strokeWidth={0.04}
+          onClick={onStickerClick ? () => onStickerClick(r.index) : undefined}
+          style={onStickerClick ? { cursor: "crosshair" } : undefined}
+        />
+      ))}
+    </svg>
+  );
+}
@@ -0,0 +1,126 @@
+// 2D cube diagrams: the unfolded net and the top-down last-layer view
+//
+// This module exports:
+// - netLayout(facelets) => layout        every face, unfolded as a cross
+//                                         (U above L F R B, D below F)
+// - lastLayerLayout(facelets, { top = "U", style = "pll" }) => layout
+//     the `top` face seen from above with the top row of the four side faces
+//     around it (F at the bottom); style "oll" dims every sticker that is not
+//     the top color
+// - diagramShapes(layout, colors) => [{ key, index, x, y, width, height, rx, fill }]
+// - diagramToSvg(layout, colors, { unit }) => standalone SVG markup
+// - LAST_LAYER_STYLES, DIAGRAM_TOPS
+//
+// layout = { width, height, stickers: [{ index, letter, x, y, width, height, dim }] }
+// in sticker units, where `index` is the sticker's facelet index (in the
+// rotated string for a last-layer view with another face on top). Works for
+// any facelet string of a 2x2 to 7x7; `colors` maps facelet letters to CSS
+// colors (see faceletColors() in ../appearance/appearance.js).
+
+import { FACE_ORDER, puzzleSizeOf } from "./faceletGeometry.js";
+import { createNxNCube } from "./nxnCube.js";
+
+export const LAST_LAYER_STYLES = ["pll", "oll"];
+
+// Whole-cube rotation bringing each face to U
+const TO_TOP = { U: "", D: "x2", F: "x", B: "x'", R: "z'", L: "z" };
+export const DIAGRAM_TOPS = Object.keys(TO_TOP);
+
+const FACE_GAP = 0.25;
+// Side stickers of the last-layer view: thickness and distance from the top face
+const SIDE_DEPTH = 0.35;
+const SIDE_GAP = 0.12;
+const DIM_COLOR = "#8a8a8a";
+const UNKNOWN_COLOR = "#444444";
+
+const faceStart = (face, n) => FACE_ORDER.indexOf(face) * n * n;
+
+export function netLayout(facelets) {
+  const n = puzzleSizeOf(facelets);
+  const block = n + FACE_GAP;
+  // column and row of each face block
+  const blocks = { U: [1, 0], L: [0, 1], F: [1, 1], R: [2, 1], B: [3, 1], D: [1, 2] };
+  const stickers = [];
+  Object.entries(blocks).forEach(([face, [col, row]]) => {
+    for (let i = 0; i < n * n; i++) {
+      const index = faceStart(face, n) + i;
+      stickers.push({
+        index,
+        letter: facelets[index],
+        x: col * block + (i % n),
+        y: row * block + Math.floor(i / n),
+        width: 1,
+        height: 1,
+        dim: false,
+      });
+    }
+  });
+  return { width: 4 * block - FACE_GAP, height: 3 * block - FACE_GAP, stickers };
+}
+
+function topColor(facelets, n) {
+  const face = facelets.slice(0, n * n);
+  if (n % 2) return face[(n * n - 1) / 2];
+  // no fixed center on even cubes: the color most of the face shows
+  const counts = {};
+  let best = face[0];
+  for (const letter of face) {
+    counts[letter] = (counts[letter] || 0) + 1;
+    if (counts[letter] > counts[best]) best = letter;
+  }
+  return best;
+}
+
+export function lastLayerLayout(facelets, { top = "U", style = "pll" } = {}) {
+  if (!(top in TO_TOP)) throw new Error(`Unknown top face: ${top}`);
+  const n = puzzleSizeOf(facelets);
+  const state = TO_TOP[top] ? createNxNCube(n, facelets).move(TO_TOP[top]).asString() : facelets;
+  const color = topColor(state, n);
+  const offset = SIDE_DEPTH + SIDE_GAP;
+  const stickers = [];
+  const add = (index, x, y, width, height) => {
+    const letter = state[index];
+    stickers.push({ index, letter, x, y, width, height, dim: style === "oll" && letter !== color });
+  };
+
+  for (let i = 0; i < n * n; i++) add(i, offset + (i % n), offset + Math.floor(i / n), 1, 1);
+  // top row of each side face, read left to right when facing it
+  for (let c = 0; c < n; c++) {
+    add(faceStart("F", n) + c, offset + c, offset + n + SIDE_GAP, 1, SIDE_DEPTH);
+    add(faceStart("B", n) + c, offset + n - 1 - c, 0, 1, SIDE_DEPTH);
+    add(faceStart("R", n) + c, offset + n + SIDE_GAP, offset + n - 1 - c, SIDE_DEPTH, 1);
+    add(faceStart("L", n) + c, 0, offset + c, SIDE_DEPTH, 1);
+  }
+  return { width: n + 2 * offset, height: n + 2 * offset, stickers };
+}
+
+// Rectangles to draw, with a small gap around each sticker
+export function diagramShapes(layout, colors) {
+  const gap = 0.06;
+  return layout.stickers.map((s) => ({
+    key: `${s.index}:${s.x}:${s.y}`,
+    index: s.index,
+    x: s.x + gap,
+    y: s.y + gap,
+    width: s.width - 2 * gap,
+    height: s.height - 2 * gap,
+    rx: 0.1,
+    fill: s.dim ? DIM_COLOR : colors[s.letter] || UNKNOWN_COLOR,
+  }));
+}
+
+const round = (v) => Math.round(v * 1000) / 1000;
+
+export function diagramToSvg(layout, colors, { unit = 40 } = {}) {
+  const rects = diagramShapes(layout, colors).map(
+    (r) =>
+      `<rect x="${round(r.x)}" y="${round(r.y)}" width="${round(r.width)}" height="${round(r.height)}" ` +
+      `rx="${r.rx}" fill="${r.fill}" stroke="#000" stroke-width="0.04"/>`
+  );
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${round(layout.width)} ${round(layout.height)}" ` +
+    `width="${Math.round(layout.width * unit)}" height="${Math.round(layout.height * unit)}">` +
+    rects.join("") +
+    "</svg>"
+  );
+}
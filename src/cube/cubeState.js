@@ -1,55 +1,52 @@
-// Cube state logic using cubejs
-// Reference: https://github.com/ldez/cubejs
-import Cube from "cubejs";
+// Notation and state helpers shared by the 3x3 solver, scrambler and analysis
+// Reference: https://github.com/ldez/cubejs (3x3 solver; its facelet order is used throughout)
+//
+// This module exports:
+// - toCubejsMove(move) / toCubejsAlgorithm(algorithm): cubejs spelling of moves
+// - getSequenceStates({ moves, startFacelets, scramble, size }) => facelets after each move
+// - getCubeNotation(token) => canonical notation of a single move
+//
+// The state of the cube being turned lives in a session (../session/cubeSession.js).
 
-/*
-  This module maintains a single cubejs instance to track logical cube state.
-  It exposes `applyMoveToCubeJS(moveNotation)` which accepts a string like "R", "R'", "F2".
-  It also exposes a helper to normalize/validate notation.
-*/
-
-const cube = new Cube(); // default solved state
+import { puzzleSizeOf } from "./faceletGeometry.js";
+import { createNxNCube } from "./nxnCube.js";
+import { formatMove, normalizeAmount, parseAlgorithm, parseMove } from "./notation.js";
 
-export function applyMoveToCubeJS(move) {
-  // cubejs accepts a space-separated sequence like "R U R'"
-  try {
-    cube.move(move);
-  } catch (e) {
-    // if cubejs throws, attempt to normalize
-    const normalized = getCubeNotation(move);
-    try {
-      cube.move(normalized);
-    } catch (er) {
-      console.warn("Failed to apply move to cubejs:", move, er);
-    }
-  }
+// cubejs spells wide moves in lowercase and only knows "", "2" and "'" suffixes
+export function toCubejsMove({ family, amount, layer }) {
+  if (layer) throw new Error(`${formatMove({ family, amount, layer })} is not a 3x3 move`);
+  const n = normalizeAmount(amount);
+  if (n === 0) return "";
+  const base = family.length === 2 ? family[0].toLowerCase() : family;
+  return base + (n === 2 ? "2" : n === -1 ? "'" : "");
 }
 
-export function getCubeState() {
-  return cube.asString(); // e.g. "UUUUUUUUURRRRRRRRRFFFFFFFFFDDDDDDDDDLLLLLLLLLBBBBBBBBB"
+export function toCubejsAlgorithm(algorithm) {
+  return parseAlgorithm(algorithm).map(toCubejsMove).filter(Boolean).join(" ");
 }
 
-export function resetCubeState() {
-  // cubejs exposes init to reset to solved
-  try {
-    if (typeof cube.init === "function") cube.init();
-  } catch (e) {
-    // ignore
-  }
+/*
+  Facelets after each move of a recorded sequence: states[i] is the state
+  after the first i moves. Starts from `startFacelets` (whose length gives the
+  puzzle size), or from `scramble` applied to a solved cube of `size`.
+  `moves` are notation strings or { move } records.
+*/
+export function getSequenceStates({ moves = [], startFacelets = null, scramble = "", size = 3 } = {}) {
+  const replay = startFacelets ? createNxNCube(puzzleSizeOf(startFacelets), startFacelets) : createNxNCube(size);
+  if (!startFacelets && scramble) replay.move(scramble);
+  const states = [replay.asString()];
+  moves.forEach((m) => {
+    replay.move(typeof m === "string" ? m : m.move);
+    states.push(replay.asString());
+  });
+  return states;
 }
 
-// Normalizes simple move notations to a cubejs-friendly token
+// Normalizes a single move token to canonical WCA form ("r" => "Rw", "U3" => "U'").
+// Returns the trimmed token unchanged if it is not a single move.
 export function getCubeNotation(token) {
-  // Accept R, R', R2. Return token unchanged if it looks valid.
   if (typeof token !== "string") return "";
   const clean = token.trim();
-  if (/^[URFDLBurfdlb][2']?$/.test(clean)) {
-    // uppercase face
-    const face = clean[0].toUpperCase();
-    const suffix = clean.slice(1);
-    return face + suffix;
-  }
-  return clean;
+  const move = parseMove(clean);
+  return move ? formatMove(move) : clean;
 }
-
-export default cube;
\ No newline at end of file
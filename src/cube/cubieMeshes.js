@@ -0,0 +1,107 @@
+// Cubie meshes for Cube3D: a plain body plus one sticker mesh per outer face
+//
+// This module exports:
+// - buildCubieMeshes(cubie, settings)       adds the body and the stickers to an initCubie() cubie
+// - applyCubieAppearance(cubie, settings)   sticker style, body shape and colors, in place
+// - paintStickers(cubie, settings)          recolor the stickers from userData.stickers
+// - getStickerMeshes(cubies) => sticker meshes (userData.normal = local face normal)
+//
+// Only faces on the outside of the puzzle get a sticker, so inner faces show
+// the body's plastic. `settings` are appearance settings (see
+// ../appearance/appearance.js). Like cubieModel.js this needs no WebGL context.
+
+import * as THREE from 'three';
+import { RoundedBoxGeometry } from 'three/examples/jsm/geometries/RoundedBoxGeometry.js';
+import { STICKER_STYLES, DEFAULT_APPEARANCE, faceletColors } from '../appearance/appearance.js';
+import { CUBIE_SIZE } from './cubieModel.js';
+
+const ROUNDED_RADIUS = 0.12;
+const STICKER_RADIUS = 0.08;
+// Stickers float just above the body so they never z-fight with it
+const STICKER_LIFT = 0.002;
+
+const FRONT = new THREE.Vector3(0, 0, 1);
+
+function styleOf(settings) {
+  return STICKER_STYLES[settings.stickerStyle] || STICKER_STYLES[DEFAULT_APPEARANCE.stickerStyle];
+}
+
+function bodyGeometry(rounded) {
+  return rounded
+    ? new RoundedBoxGeometry(CUBIE_SIZE, CUBIE_SIZE, CUBIE_SIZE, 3, ROUNDED_RADIUS)
+    : new THREE.BoxGeometry(CUBIE_SIZE, CUBIE_SIZE, CUBIE_SIZE);
+}
+
+// Unit square with rounded corners, facing +z; scaled to the sticker size
+function stickerGeometry() {
+  const h = CUBIE_SIZE / 2;
+  const r = STICKER_RADIUS;
+  const shape = new THREE.Shape();
+  shape.moveTo(-h + r, -h);
+  shape.lineTo(h - r, -h);
+  shape.quadraticCurveTo(h, -h, h, -h + r);
+  shape.lineTo(h, h - r);
+  shape.quadraticCurveTo(h, h, h - r, h);
+  shape.lineTo(-h + r, h);
+  shape.quadraticCurveTo(-h, h, -h, h - r);
+  shape.lineTo(-h, -h + r);
+  shape.quadraticCurveTo(-h, -h, -h + r, -h);
+  return new THREE.ShapeGeometry(shape, 4);
+}
+
+export function buildCubieMeshes(cubie, settings) {
+  const body = new THREE.Mesh(
+    bodyGeometry(settings.rounded),
+    new THREE.MeshStandardMaterial({ roughness: 0.6, metalness: 0.1 })
+  );
+  body.castShadow = true;
+  body.receiveShadow = true;
+  body.userData.body = true;
+  body.userData.rounded = Boolean(settings.rounded);
+  cubie.add(body);
+
+  const geometry = stickerGeometry();
+  Object.keys(cubie.userData.stickers).forEach((key) => {
+    const [x, y, z] = key.split(',').map(Number);
+    const normal = new THREE.Vector3(x, y, z);
+    const sticker = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({ roughness: 0.4, metalness: 0.1 }));
+    sticker.quaternion.setFromUnitVectors(FRONT, normal);
+    sticker.position.copy(normal).multiplyScalar(CUBIE_SIZE / 2 + STICKER_LIFT);
+    sticker.receiveShadow = true;
+    sticker.userData.normal = { x, y, z };
+    sticker.userData.normalKey = key;
+    cubie.add(sticker);
+  });
+  applyCubieAppearance(cubie, settings);
+  return cubie;
+}
+
+export function paintStickers(cubie, settings) {
+  const colors = faceletColors(settings);
+  cubie.children.forEach((child) => {
+    if (!child.userData.normalKey) return;
+    const letter = cubie.userData.stickers[child.userData.normalKey];
+    child.material.color.set(colors[letter] || '#000000');
+  });
+}
+
+export function applyCubieAppearance(cubie, settings) {
+  const style = styleOf(settings);
+  cubie.children.forEach((child) => {
+    if (child.userData.body) {
+      child.material.color.set(style.body);
+      if (child.userData.rounded !== Boolean(settings.rounded)) {
+        child.geometry.dispose();
+        child.geometry = bodyGeometry(settings.rounded);
+        child.userData.rounded = Boolean(settings.rounded);
+      }
+    } else if (child.userData.normalKey) {
+      child.scale.set(style.stickerSize, style.stickerSize, 1);
+    }
+  });
+  paintStickers(cubie, settings);
+}
+
+export function getStickerMeshes(cubies) {
+  return cubies.flatMap((cubie) => cubie.children.filter((child) => child.userData.normalKey));
+}
@@ -0,0 +1,149 @@
+// Headless cubie model for Cube3D: grid bookkeeping, layer turns and sticker
+// readback. Only uses Three.js math/scene-graph classes, so it runs without a
+// WebGL context (e.g. in Node) as well as inside the renderer.
+//
+// Each cubie is an Object3D whose
+// - position sits on the grid (multiples of CUBIE_STEP centered on the origin;
+//   half steps on even sizes, see faceletGeometry.js)
+// - quaternion accumulates every turn it took part in
+// - userData.stickers maps a local face normal ("1,0,0") to its facelet letter
+
+import * as THREE from 'three';
+import { FACE_ORDER, FACE_NORMALS, faceletCount, stickerToFacelet } from './faceletGeometry.js';
+import { getMoveLayers } from './nxnCube.js';
+
+export const CUBIE_SIZE = 1;
+export const CUBIE_SPACING = 0.05;
+export const CUBIE_STEP = CUBIE_SIZE + CUBIE_SPACING;
+
+export const AXIS_VECTORS = {
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1),
+};
+
+const QUARTER = Math.PI / 2;
+
+export const normalKey = (v) => `${Math.round(v.x)},${Math.round(v.y)},${Math.round(v.z)}`;
+
+// Turn a single move (token or parsed move) into a layer turn on a size×size cube
+export function moveToTurn(move, size = 3) {
+  const turn = getMoveLayers(move, size);
+  if (!turn) return null;
+  return {
+    axis: turn.axis,
+    layers: turn.layers,
+    angle: turn.direction * QUARTER * turn.quarterTurns,
+    rotations: Math.abs(turn.quarterTurns),
+  };
+}
+
+// Grid slots of the visible cubies of a size×size cube (the core is left out)
+export function getCubieSlots(size) {
+  const h = (size - 1) / 2;
+  const coords = Array.from({ length: size }, (_, i) => i - h);
+  const slots = [];
+  coords.forEach((x) =>
+    coords.forEach((y) =>
+      coords.forEach((z) => {
+        if (Math.abs(x) === h || Math.abs(y) === h || Math.abs(z) === h) slots.push({ x, y, z });
+      })
+    )
+  );
+  return slots;
+}
+
+// Place a cubie at grid slot (x, y, z) of a size×size cube in the solved orientation.
+export function initCubie(cubie, x, y, z, size = 3) {
+  cubie.position.set(x * CUBIE_STEP, y * CUBIE_STEP, z * CUBIE_STEP);
+  cubie.quaternion.identity();
+  const h = (size - 1) / 2;
+  const stickers = {};
+  for (const face of FACE_ORDER) {
+    const n = FACE_NORMALS[face];
+    if ((n.x && n.x * h === x) || (n.y && n.y * h === y) || (n.z && n.z * h === z)) {
+      stickers[normalKey(n)] = face;
+    }
+  }
+  cubie.userData = {
+    ...cubie.userData,
+    gridPosition: { x, y, z },
+    homeGridPosition: { x, y, z },
+    stickers,
+  };
+  return cubie;
+}
+
+// Nearest grid slot, to the half step
+const snapToGrid = (value) => Math.round((value / CUBIE_STEP) * 2) / 2;
+
+export function getGridPosition(cubie) {
+  return {
+    x: snapToGrid(cubie.position.x),
+    y: snapToGrid(cubie.position.y),
+    z: snapToGrid(cubie.position.z),
+  };
+}
+
+export function getLayerCubies(cubies, axis, layers) {
+  return cubies.filter((cubie) => layers.includes(getGridPosition(cubie)[axis]));
+}
+
+/*
+  Remove float drift after a turn: position back onto the grid and the
+  rotation to the nearest of the 24 axis-aligned orientations.
+*/
+export function snapCubie(cubie) {
+  const grid = getGridPosition(cubie);
+  cubie.position.set(grid.x * CUBIE_STEP, grid.y * CUBIE_STEP, grid.z * CUBIE_STEP);
+  const m = new THREE.Matrix4().makeRotationFromQuaternion(cubie.quaternion);
+  const e = m.elements;
+  for (const i of [0, 1, 2, 4, 5, 6, 8, 9, 10]) e[i] = Math.round(e[i]);
+  cubie.quaternion.setFromRotationMatrix(m);
+  cubie.userData.gridPosition = grid;
+}
+
+// Apply a whole turn without animation (used for instant moves and replays).
+export function applyTurn(cubies, { axis, layers, angle }) {
+  const q = new THREE.Quaternion().setFromAxisAngle(AXIS_VECTORS[axis], angle);
+  getLayerCubies(cubies, axis, layers).forEach((cubie) => {
+    cubie.position.applyQuaternion(q);
+    cubie.quaternion.premultiply(q);
+    snapCubie(cubie);
+  });
+}
+
+/*
+  Read the sticker colors back as a facelet string (cubejs order, 54 chars on
+  a 3x3), by rotating each sticker's local normal with the cubie orientation.
+  Positions are relative to the cubies' parent, so whole-cube orientation is ignored.
+*/
+export function readFacelets(cubies, size = 3) {
+  const result = new Array(faceletCount(size)).fill('?');
+  const normal = new THREE.Vector3();
+  cubies.forEach((cubie) => {
+    const grid = getGridPosition(cubie);
+    Object.entries(cubie.userData.stickers || {}).forEach(([key, letter]) => {
+      const [x, y, z] = key.split(',').map(Number);
+      normal.set(x, y, z).applyQuaternion(cubie.quaternion);
+      const index = stickerToFacelet(
+        grid,
+        { x: Math.round(normal.x), y: Math.round(normal.y), z: Math.round(normal.z) },
+        size
+      );
+      if (index >= 0) result[index] = letter;
+    });
+  });
+  return result.join('');
+}
+
+// Facelet index of the face of `cubie` with the given local normal (e.g. a
+// raycast hit's face normal), -1 for a face inside the puzzle.
+export function stickerFaceletAt(cubie, localNormal, size = 3) {
+  const normal = new THREE.Vector3(localNormal.x, localNormal.y, localNormal.z).applyQuaternion(cubie.quaternion);
+  return stickerToFacelet(
+    getGridPosition(cubie),
+    { x: Math.round(normal.x), y: Math.round(normal.y), z: Math.round(normal.z) },
+    size
+  );
+}
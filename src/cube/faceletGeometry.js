@@ -0,0 +1,69 @@
+// Mapping between facelet strings (cubejs / Kociemba order) and sticker
+// positions on the 3D cube, for any puzzle size N.
+//
+// Facelet string order is U1..Un² R1..Rn² F.. D.. L.. B.., each face read row
+// by row as seen when looking straight at it (U with F at the bottom, D with
+// F at the top, side faces with U on top). A 3x3 has the usual 54 facelets.
+//
+// 3D coordinates follow Cube3D: +x = R, +y = U, +z = F, cubies on a grid
+// centered on the origin, from -(N-1)/2 to (N-1)/2 (half-integers when N is even).
+
+export const FACE_ORDER = 'URFDLB';
+
+export const FACE_NORMALS = {
+  U: { x: 0, y: 1, z: 0 },
+  R: { x: 1, y: 0, z: 0 },
+  F: { x: 0, y: 0, z: 1 },
+  D: { x: 0, y: -1, z: 0 },
+  L: { x: -1, y: 0, z: 0 },
+  B: { x: 0, y: 0, z: -1 },
+};
+
+// Grid position of the sticker at (row, col) of each face; h = (N-1)/2.
+const FACE_LAYOUT = {
+  U: (r, c, h) => ({ x: c - h, y: h, z: r - h }),
+  R: (r, c, h) => ({ x: h, y: h - r, z: h - c }),
+  F: (r, c, h) => ({ x: c - h, y: h - r, z: h }),
+  D: (r, c, h) => ({ x: c - h, y: -h, z: h - r }),
+  L: (r, c, h) => ({ x: -h, y: h - r, z: c - h }),
+  B: (r, c, h) => ({ x: h - c, y: h - r, z: -h }),
+};
+
+// Number of facelets of an N×N×N cube, and the size a facelet string describes (0 if none)
+export const faceletCount = (size) => 6 * size * size;
+
+export function puzzleSizeOf(facelets) {
+  const size = Math.round(Math.sqrt(String(facelets || '').length / 6));
+  return size > 0 && faceletCount(size) === String(facelets).length ? size : 0;
+}
+
+// Facelet index (0..6N²-1) => { face, position, normal }
+export function faceletToSticker(index, size = 3) {
+  const perFace = size * size;
+  const face = FACE_ORDER[Math.floor(index / perFace)];
+  const i = index % perFace;
+  return {
+    face,
+    position: FACE_LAYOUT[face](Math.floor(i / size), i % size, (size - 1) / 2),
+    normal: FACE_NORMALS[face],
+  };
+}
+
+// Positions are whole or half grid steps: key them by their doubled coordinates
+export const gridKey = (v) => `${Math.round(v.x * 2)},${Math.round(v.y * 2)},${Math.round(v.z * 2)}`;
+
+const stickerIndexes = new Map(); // size => Map("position|normal" => facelet index)
+
+// Inverse of faceletToSticker; returns -1 for a non-visible (inner) face.
+export function stickerToFacelet(position, normal, size = 3) {
+  if (!stickerIndexes.has(size)) {
+    const indexes = new Map();
+    for (let index = 0; index < faceletCount(size); index++) {
+      const s = faceletToSticker(index, size);
+      indexes.set(`${gridKey(s.position)}|${gridKey(s.normal)}`, index);
+    }
+    stickerIndexes.set(size, indexes);
+  }
+  const index = stickerIndexes.get(size).get(`${gridKey(position)}|${gridKey(normal)}`);
+  return index === undefined ? -1 : index;
+}
@@ -0,0 +1,114 @@
+// Is a 3x3 facelet string a state the cube can actually reach?
+// Reference: Kociemba's cubie definitions (http://kociemba.org/cube.htm), as used by cubejs
+//
+// This module exports:
+// - relabelByCenters(facelets) => the same state with each color named after
+//   the face whose center has it, so the centers read URFDLB again
+// - findFaceletErrors(facelets) => [message], empty for a solvable state
+//
+// Checks, in order: 54 stickers, 9 of each color, six different centers,
+// pieces that exist (no corner with two white stickers), each piece once,
+// then the three invariants a legal state keeps: corner twist (sum of corner
+// orientations divisible by 3), edge flip (even number of flipped edges) and
+// permutation parity (corners and edges swapped an equal number of times).
+// Whole-cube orientation does not matter: facelets are read relative to
+// their centers.
+
+const FACES = "URFDLB";
+
+// Facelet indexes of each corner and edge position, U/D sticker first
+const CORNER_FACELETS = [
+  [8, 9, 20], [6, 18, 38], [0, 36, 47], [2, 45, 11],
+  [29, 26, 15], [27, 44, 24], [33, 53, 42], [35, 17, 51],
+];
+const CORNER_COLORS = ["URF", "UFL", "ULB", "UBR", "DFR", "DLF", "DBL", "DRB"];
+const EDGE_FACELETS = [
+  [5, 10], [7, 19], [3, 37], [1, 46], [32, 16], [28, 25],
+  [30, 43], [34, 52], [23, 12], [21, 41], [50, 39], [48, 14],
+];
+const EDGE_COLORS = ["UR", "UF", "UL", "UB", "DR", "DF", "DL", "DB", "FR", "FL", "BL", "BR"];
+
+const CENTERS = [4, 13, 22, 31, 40, 49];
+
+export function relabelByCenters(facelets) {
+  const relabel = {};
+  CENTERS.forEach((index, face) => {
+    relabel[facelets[index]] = FACES[face];
+  });
+  return Array.from(facelets, (c) => relabel[c] || c).join("");
+}
+
+// Number of swaps needed to sort a permutation, mod 2
+function parity(permutation) {
+  let swaps = 0;
+  const seen = new Array(permutation.length).fill(false);
+  permutation.forEach((_, start) => {
+    let length = 0;
+    for (let i = start; !seen[i]; i = permutation[i]) {
+      seen[i] = true;
+      length++;
+    }
+    if (length) swaps += length - 1;
+  });
+  return swaps % 2;
+}
+
+export function findFaceletErrors(facelets) {
+  const text = String(facelets || "");
+  if (text.length !== 54) return [`A 3x3 has 54 stickers, got ${text.length}`];
+
+  const counts = {};
+  Array.from(text).forEach((c) => {
+    counts[c] = (counts[c] || 0) + 1;
+  });
+  const colors = Object.keys(counts);
+  const wrongCounts = colors.filter((c) => counts[c] !== 9);
+  if (colors.length !== 6 || wrongCounts.length) {
+    return [
+      `Each of the 6 colors needs 9 stickers (${colors
+        .sort()
+        .map((c) => `${c}: ${counts[c]}`)
+        .join(", ")})`,
+    ];
+  }
+  if (new Set(CENTERS.map((i) => text[i])).size !== 6) return ["Two centers have the same color"];
+
+  const state = relabelByCenters(text);
+  const errors = [];
+
+  const cp = [];
+  const co = [];
+  CORNER_FACELETS.forEach((stickers) => {
+    const colorsHere = stickers.map((i) => state[i]);
+    const twist = colorsHere.findIndex((c) => c === "U" || c === "D");
+    const piece = twist < 0 ? -1 : CORNER_COLORS.indexOf(colorsHere[twist] + colorsHere[(twist + 1) % 3] + colorsHere[(twist + 2) % 3]);
+    if (piece < 0) errors.push(`No corner has the colors ${colorsHere.join("")}`);
+    cp.push(piece);
+    co.push(twist);
+  });
+
+  const ep = [];
+  const eo = [];
+  EDGE_FACELETS.forEach((stickers) => {
+    const [a, b] = stickers.map((i) => state[i]);
+    let piece = EDGE_COLORS.indexOf(a + b);
+    let flip = 0;
+    if (piece < 0) {
+      piece = EDGE_COLORS.indexOf(b + a);
+      flip = 1;
+    }
+    if (piece < 0) errors.push(`No edge has the colors ${a}${b}`);
+    ep.push(piece);
+    eo.push(flip);
+  });
+  if (errors.length) return errors;
+
+  if (new Set(cp).size !== 8) errors.push("A corner appears twice");
+  if (new Set(ep).size !== 12) errors.push("An edge appears twice");
+  if (errors.length) return errors;
+
+  if (co.reduce((a, b) => a + b, 0) % 3) errors.push("A corner is twisted");
+  if (eo.reduce((a, b) => a + b, 0) % 2) errors.push("An edge is flipped");
+  if (parity(cp) !== parity(ep)) errors.push("Two pieces are swapped (parity)");
+  return errors;
+}
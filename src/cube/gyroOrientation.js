@@ -0,0 +1,41 @@
+// Gyroscope orientation for the 3D cube
+// Reference: gan-web-bluetooth example (https://github.com/afedotov/gan-web-bluetooth)
+//
+// This module exports:
+// - createGyroOrientation() => gyro
+//     gyro.update(rawQuaternion) => { x, y, z, w } to pass to Cube3D.setTargetOrientation
+//     gyro.calibrate()  the current physical orientation becomes the home view
+//     gyro.reset()      forget the calibration (next update calibrates again)
+//
+// GAN sensors report quaternions in their own frame (z up, y towards the
+// back); Three.js uses y up and z towards the viewer, so (x, y, z) maps to
+// (x, z, -y). The first packet after connecting (or reset) is taken as home.
+
+import * as THREE from "three";
+
+export function createGyroOrientation() {
+  let basis = null;
+  let last = null;
+
+  function toSceneFrame({ x, y, z, w }) {
+    return new THREE.Quaternion(x, z, -y, w).normalize();
+  }
+
+  function update(raw) {
+    last = toSceneFrame(raw);
+    if (!basis) basis = last.clone().invert();
+    const q = last.clone().premultiply(basis);
+    return { x: q.x, y: q.y, z: q.z, w: q.w };
+  }
+
+  function calibrate() {
+    if (last) basis = last.clone().invert();
+  }
+
+  function reset() {
+    basis = null;
+    last = null;
+  }
+
+  return { update, calibrate, reset };
+}
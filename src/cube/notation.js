@@ -0,0 +1,180 @@
+// Shared WCA move notation parser / serializer
+// Reference: WCA Regulations, article 12 (https://www.worldcubeassociation.org/regulations/#article-12-notation)
+//
+// This module exports:
+// - parseMove(token) => { family, amount, layer? } | null e.g. "Rw2'" => { family: "Rw", amount: -2 }
+// - formatMove(move) => canonical token                   e.g. { family: "r", amount: 3 } => "Rw'"
+// - parseAlgorithm(text) => moves[]   (brackets, [A, B], [A: B], (A)n, comments expanded)
+// - formatAlgorithm(moves) => "R U R' U'"
+// - invertAlgorithm(moves) => moves[]
+// - normalizeAmount(amount) => 1 | 2 | -1 (net quarter turns, clockwise positive)
+// - MAX_REPEAT   largest group repeat count parseAlgorithm() accepts
+// - MAX_ALGORITHM_MOVES   most moves parseAlgorithm() expands an algorithm to
+//
+// Move families: faces R L U D F B, wide moves Rw..Bw (lowercase r..b are
+// accepted as aliases), slices M E S and rotations x y z.
+// Big cubes prefix faces and wide moves with a layer number: "2R" turns only
+// the second layer from R, "3Rw" the three outer layers. The prefix is kept as
+// `layer` when it differs from the default (1 for faces, 2 for wide moves).
+
+const FACE_FAMILIES = ["R", "L", "U", "D", "F", "B"];
+const WIDE_ALIASES = { r: "Rw", l: "Lw", u: "Uw", d: "Dw", f: "Fw", b: "Bw" };
+export const MOVE_FAMILIES = [
+  ...FACE_FAMILIES,
+  ...FACE_FAMILIES.map((f) => f + "w"),
+  "M", "E", "S",
+  "x", "y", "z",
+];
+
+const MOVE_PATTERN = /^(\d*)(?:([RLUDFB])w|([RLUDFBrludfbMESxyz]))(\d*)(['’]?)/;
+
+// Layers a face or wide move turns without a prefix
+const defaultLayer = (family) => (family.length === 2 ? 2 : 1);
+
+function readMove(text, pos) {
+  const match = MOVE_PATTERN.exec(text.slice(pos));
+  if (!match) return null;
+  const family = match[2] ? match[2] + "w" : WIDE_ALIASES[match[3]] || match[3];
+  let amount = match[4] ? parseInt(match[4], 10) : 1;
+  if (match[5]) amount = -amount;
+  const move = { family, amount };
+  if (match[1]) {
+    const layer = parseInt(match[1], 10);
+    // slices and rotations take no layer number
+    if (!FACE_FAMILIES.includes(family[0]) || layer < 1) return null;
+    if (layer !== defaultLayer(family)) move.layer = layer;
+  }
+  return { move, length: match[0].length };
+}
+
+export function parseMove(token) {
+  if (typeof token !== "string") return null;
+  const clean = token.trim();
+  const read = readMove(clean, 0);
+  if (!read || read.length !== clean.length || read.move.amount === 0) return null;
+  return read.move;
+}
+
+// Reduce any amount to the equivalent net turn: 1, 2 or -1 (0 if it cancels out).
+export function normalizeAmount(amount) {
+  const a = ((amount % 4) + 4) % 4;
+  if (a === 3) return -1;
+  return a;
+}
+
+export function formatMove({ family, amount, layer }) {
+  const n = normalizeAmount(amount);
+  if (n === 0) return "";
+  const prefix = layer && layer !== defaultLayer(family) ? String(layer) : "";
+  return prefix + family + (n === 2 ? "2" : n === -1 ? "'" : "");
+}
+
+export function formatAlgorithm(moves) {
+  return moves.map(formatMove).filter(Boolean).join(" ");
+}
+
+export function invertAlgorithm(moves) {
+  return moves
+    .slice()
+    .reverse()
+    .map((move) => ({ ...move, amount: -move.amount }));
+}
+
+/*
+  Recursive descent over:
+    sequence  := item*
+    item      := move | "(" sequence ")" repeat? | "[" sequence ("," | ":") sequence "]" repeat?
+    repeat    := digits "'"? | "'"
+  Commutator [A, B] = A B A' B', conjugate [A: B] = A B A'. Comments run from
+  "//" to end of line, or between "/*" and "*\/". Whitespace between moves is optional.
+  Group repeats are capped at MAX_REPEAT and the expanded algorithm at
+  MAX_ALGORITHM_MOVES, so neither "(R U)999999" nor nested repeats like
+  "(((R)99)99)99" can blow up memory.
+*/
+export const MAX_REPEAT = 99;
+export const MAX_ALGORITHM_MOVES = 10000;
+
+export function parseAlgorithm(text) {
+  if (Array.isArray(text)) return text.slice();
+  const src = String(text || "");
+  let pos = 0;
+
+  const fail = (msg) => {
+    throw new Error(`Invalid algorithm at position ${pos}: ${msg}`);
+  };
+
+  const skipSpace = () => {
+    for (;;) {
+      while (pos < src.length && /[\s.]/.test(src[pos])) pos++;
+      if (src.startsWith("//", pos)) {
+        const end = src.indexOf("\n", pos);
+        pos = end === -1 ? src.length : end + 1;
+      } else if (src.startsWith("/*", pos)) {
+        const end = src.indexOf("*/", pos + 2);
+        if (end === -1) fail("unterminated comment");
+        pos = end + 2;
+      } else {
+        return;
+      }
+    }
+  };
+
+  // Appends one by one: spreading a long group into push() overflows the call stack
+  const append = (target, moves) => {
+    if (target.length + moves.length > MAX_ALGORITHM_MOVES) fail(`more than ${MAX_ALGORITHM_MOVES} moves`);
+    for (const move of moves) target.push(move);
+  };
+
+  const readRepeat = (moves) => {
+    const match = /^(\d*)(['’]?)/.exec(src.slice(pos));
+    if (match[1] && parseInt(match[1], 10) > MAX_REPEAT) fail(`repeat count above ${MAX_REPEAT}`);
+    const count = match[1] ? parseInt(match[1], 10) : 1;
+    if (count * moves.length > MAX_ALGORITHM_MOVES) fail(`more than ${MAX_ALGORITHM_MOVES} moves`);
+    pos += match[0].length;
+    const result = match[2] ? invertAlgorithm(moves) : moves;
+    const out = [];
+    for (let i = 0; i < count; i++) append(out, result);
+    return out;
+  };
+
+  const parseSequence = (terminators) => {
+    const moves = [];
+    for (;;) {
+      skipSpace();
+      if (pos >= src.length || terminators.includes(src[pos])) return moves;
+      const c = src[pos];
+      if (c === "(") {
+        pos++;
+        const inner = parseSequence([")"]);
+        if (src[pos] !== ")") fail("missing ')'");
+        pos++;
+        append(moves, readRepeat(inner));
+      } else if (c === "[") {
+        pos++;
+        const a = parseSequence([",", ":", "]"]);
+        let group = a;
+        if (src[pos] === "," || src[pos] === ":") {
+          const op = src[pos];
+          pos++;
+          const b = parseSequence(["]"]);
+          group =
+            op === ","
+              ? [...a, ...b, ...invertAlgorithm(a), ...invertAlgorithm(b)]
+              : [...a, ...b, ...invertAlgorithm(a)];
+        }
+        if (src[pos] !== "]") fail("missing ']'");
+        pos++;
+        append(moves, readRepeat(group));
+      } else {
+        const read = readMove(src, pos);
+        if (!read) fail(`unexpected '${c}'`);
+        pos += read.length;
+        append(moves, [read.move]);
+      }
+    }
+  };
+
+  const moves = parseSequence([]);
+  if (pos < src.length) fail(`unexpected '${src[pos]}'`);
+  return moves;
+}
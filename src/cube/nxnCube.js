@@ -0,0 +1,151 @@
+// N×N×N cube state as a facelet string, for every size the app offers
+//
+// This module exports:
+// - MIN_PUZZLE_SIZE / MAX_PUZZLE_SIZE: 2 and 7
+// - getMoveLayers(move, size) => { axis, layers, direction, quarterTurns } | null
+//     grid layers turned by a move (coordinates as in faceletGeometry.js);
+//     `direction` is the sign of one clockwise quarter turn about the +axis,
+//     null if the move does not exist on that size (e.g. M on a 2x2, 4Rw on a 3x3)
+// - solvedFacelets(size) => "UUUU…BBBB"
+// - createNxNCube(size, facelets = solved) => cube
+//     cube.move(algorithm) applies moves (notation or parsed moves) and returns the cube;
+//       throws on moves the size does not have
+//     cube.asString() / cube.isSolved() / cube.clone() / cube.size
+//
+// Stickers move as a whole, centers included, so a 3x3 reads exactly like
+// cubejs: after a slice or a rotation the string shows where each color went.
+// Slices are every inner layer (the middle one on a 3x3), following their WCA
+// reference face: M like L, E like D, S like F.
+
+import { FACE_ORDER, faceletCount, faceletToSticker, stickerToFacelet } from "./faceletGeometry.js";
+import { formatMove, normalizeAmount, parseAlgorithm, parseMove } from "./notation.js";
+
+export const MIN_PUZZLE_SIZE = 2;
+export const MAX_PUZZLE_SIZE = 7;
+
+// Axis of each face, which end of it the face sits on, and the sign of its clockwise turn
+const FACE_TURNS = {
+  R: { axis: "x", side: 1, direction: -1 },
+  L: { axis: "x", side: -1, direction: 1 },
+  U: { axis: "y", side: 1, direction: -1 },
+  D: { axis: "y", side: -1, direction: 1 },
+  F: { axis: "z", side: 1, direction: -1 },
+  B: { axis: "z", side: -1, direction: 1 },
+};
+const SLICE_FACES = { M: "L", E: "D", S: "F" };
+const ROTATION_FACES = { x: "R", y: "U", z: "F" };
+
+const range = (from, to) => Array.from({ length: Math.max(0, to - from + 1) }, (_, i) => from + i);
+
+export function getMoveLayers(move, size = 3) {
+  const parsed = typeof move === "string" ? parseMove(move) : move;
+  if (!parsed) return null;
+  const { family } = parsed;
+  let face;
+  let depths; // 1 = the outer layer of `face`
+  if (FACE_TURNS[family]) {
+    face = family;
+    depths = [parsed.layer || 1];
+  } else if (family.length === 2 && FACE_TURNS[family[0]]) {
+    face = family[0];
+    depths = range(1, parsed.layer || 2);
+  } else if (SLICE_FACES[family]) {
+    face = SLICE_FACES[family];
+    depths = range(2, size - 1);
+  } else if (ROTATION_FACES[family]) {
+    face = ROTATION_FACES[family];
+    depths = range(1, size);
+  } else {
+    return null;
+  }
+  if (!depths.length || depths[depths.length - 1] > size) return null;
+  const { axis, side, direction } = FACE_TURNS[face];
+  const h = (size - 1) / 2;
+  return {
+    axis,
+    layers: depths.map((d) => side * (h - d + 1)),
+    direction,
+    quarterTurns: normalizeAmount(parsed.amount),
+  };
+}
+
+export function solvedFacelets(size) {
+  return Array.from(FACE_ORDER, (face) => face.repeat(size * size)).join("");
+}
+
+// Quarter turn of a vector about an axis, counterclockwise (seen from +axis) for direction 1
+function rotateQuarter({ x, y, z }, axis, direction) {
+  const d = direction;
+  if (axis === "x") return { x, y: -d * z, z: d * y };
+  if (axis === "y") return { x: d * z, y, z: -d * x };
+  return { x: -d * y, y: d * x, z };
+}
+
+// size => Map("axis|layer|direction" => target facelet index of each facelet)
+const layerPermutations = new Map();
+
+function layerPermutation(size, axis, layer, direction) {
+  if (!layerPermutations.has(size)) layerPermutations.set(size, new Map());
+  const cache = layerPermutations.get(size);
+  const key = `${axis}|${layer}|${direction}`;
+  if (!cache.has(key)) {
+    const targets = [];
+    for (let index = 0; index < faceletCount(size); index++) {
+      const { position, normal } = faceletToSticker(index, size);
+      targets.push(
+        position[axis] === layer
+          ? stickerToFacelet(rotateQuarter(position, axis, direction), rotateQuarter(normal, axis, direction), size)
+          : index
+      );
+    }
+    cache.set(key, targets);
+  }
+  return cache.get(key);
+}
+
+export function createNxNCube(size, facelets = null) {
+  if (!Number.isInteger(size) || size < MIN_PUZZLE_SIZE) throw new Error(`Unsupported puzzle size: ${size}`);
+  const start = facelets == null ? solvedFacelets(size) : String(facelets);
+  if (start.length !== faceletCount(size)) {
+    throw new Error(`A ${size}x${size} needs ${faceletCount(size)} facelets, got ${start.length}`);
+  }
+  let stickers = start.split("");
+
+  const turnLayer = (axis, layer, direction) => {
+    const targets = layerPermutation(size, axis, layer, direction);
+    const next = new Array(stickers.length);
+    targets.forEach((target, i) => {
+      next[target] = stickers[i];
+    });
+    stickers = next;
+  };
+
+  const cube = {
+    size,
+    move(algorithm) {
+      parseAlgorithm(algorithm).forEach((m) => {
+        const move = typeof m === "string" ? parseMove(m) : m;
+        const turn = move && getMoveLayers(move, size);
+        if (!turn) throw new Error(`"${move ? formatMove(move) : m}" cannot be turned on a ${size}x${size}`);
+        const direction = turn.quarterTurns === -1 ? -turn.direction : turn.direction;
+        const quarters = Math.abs(turn.quarterTurns);
+        turn.layers.forEach((layer) => {
+          for (let q = 0; q < quarters; q++) turnLayer(turn.axis, layer, direction);
+        });
+      });
+      return cube;
+    },
+    asString: () => stickers.join(""),
+    // Every face one color: solved in any orientation
+    isSolved() {
+      const perFace = size * size;
+      for (let f = 0; f < 6; f++) {
+        const first = stickers[f * perFace];
+        for (let i = 1; i < perFace; i++) if (stickers[f * perFace + i] !== first) return false;
+      }
+      return true;
+    },
+    clone: () => createNxNCube(size, stickers.join("")),
+  };
+  return cube;
+}
@@ -0,0 +1,100 @@
+import React, { useEffect, useState } from "react";
+import { cubeDisplayName, forgetCube, listKnownCubes, setCubeNickname, subscribeToKnownCubes } from "./knownCubes";
+
+export const LOW_BATTERY_LEVEL = 20;
+
+// Nickname field that saves when it loses focus or on Enter
+function NicknameInput({ cube }) {
+  const [value, setValue] = useState(cube.nickname || "");
+  useEffect(() => setValue(cube.nickname || ""), [cube.nickname]);
+  const commit = () => {
+    if (value.trim() !== (cube.nickname || "")) setCubeNickname(cube.mac, value);
+  };
+  return (
+    <input
+      className="device-nickname"
+      value={value}
+      placeholder={cube.deviceName || "Nickname"}
+      onChange={(e) => setValue(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+    />
+  );
+}
+
+/*
+  Connected cube details (nickname, model, firmware, battery with a
+  low-battery warning) and the list of cubes seen before.
+  `info` is { mac, brand, deviceName, hardwareName, hardwareVersion, softwareVersion,
+  batteryLevel } for the connected cube, or null.
+*/
+export default function DevicePanel({ info, connected = false }) {
+  const [knownCubes, setKnownCubes] = useState(() => listKnownCubes());
+  const [showKnown, setShowKnown] = useState(false);
+
+  useEffect(() => subscribeToKnownCubes(setKnownCubes), []);
+
+  const current = info && info.mac ? knownCubes.find((c) => c.mac === info.mac) : null;
+  const battery = info ? info.batteryLevel : null;
+  const low = battery != null && battery <= LOW_BATTERY_LEVEL;
+
+  return (
+    <div className="device-panel">
+      {info ? (
+        <div className="device-current">
+          <div className="device-name">
+            <strong>{cubeDisplayName(current) || info.deviceName}</strong>
+            {!connected && <span className="device-offline">offline</span>}
+          </div>
+          {current && <NicknameInput cube={current} />}
+          <dl className="device-details">
+            <dt>Brand</dt>
+            <dd>{info.brand || "-"}</dd>
+            <dt>Model</dt>
+            <dd>{info.hardwareName || info.deviceName || "-"}</dd>
+            <dt>Firmware</dt>
+            <dd>{info.softwareVersion || "-"}</dd>
+            <dt>Hardware</dt>
+            <dd>{info.hardwareVersion || "-"}</dd>
+            <dt>MAC</dt>
+            <dd>{info.mac || "-"}</dd>
+          </dl>
+          <div className={"device-battery" + (low ? " low" : "")}>
+            <div className="device-battery-bar">
+              <div style={{ width: `${battery || 0}%` }} />
+            </div>
+            <span>{battery != null ? `${battery}%` : "Battery -"}</span>
+            {low && <span className="device-warning">Low battery — charge the cube soon</span>}
+          </div>
+        </div>
+      ) : (
+        <div className="device-empty">No cube connected</div>
+      )}
+
+      {knownCubes.length > 0 && (
+        <div className="device-known">
+          <button className="control-button" onClick={() => setShowKnown(!showKnown)}>
+            {showKnown ? "Hide" : "Show"} known cubes ({knownCubes.length})
+          </button>
+          {showKnown && (
+            <ul>
+              {knownCubes.map((cube) => (
+                <li key={cube.mac}>
+                  <NicknameInput cube={cube} />
+                  <span className="device-known-meta">
+                    {cube.deviceName} · {cube.mac}
+                    {cube.softwareVersion ? ` · fw ${cube.softwareVersion}` : ""}
+                    {cube.lastSeen ? ` · ${new Date(cube.lastSeen).toLocaleDateString()}` : ""}
+                  </span>
+                  <button className="control-button" onClick={() => forgetCube(cube.mac)}>
+                    Forget
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+// Cubes this browser has connected to, keyed by MAC address (localStorage)
+//
+// This module exports:
+// - normalizeMac(mac) => "AB:12:CD:34:EF:56"
+// - listKnownCubes() => cubes, most recently seen first
+// - getKnownCube(mac) / findKnownCubeByDeviceId(deviceId)
+// - rememberCube(mac, info) => cube   (merges info, updates lastSeen)
+// - setCubeNickname(mac, nickname) / forgetCube(mac)
+// - cubeDisplayName(cube) => nickname, else advertised name, else MAC
+// - subscribeToKnownCubes(listener): called after every change
+//
+// Entries: { mac, brand, deviceId, deviceName, nickname, hardwareName, hardwareVersion,
+//            softwareVersion, batteryLevel, lastSeen }
+// Several cubes advertise the same "GAN..." name; the MAC address (needed for
+// decryption anyway) tells them apart, and the nickname is what the UI shows.
+
+import { parseMacAddress } from "../bluetooth/protocols/common.js";
+
+const STORAGE_KEY = "gan-cube-app:cubes";
+
+let listeners = [];
+
+export function normalizeMac(mac) {
+  return parseMacAddress(mac)
+    .map((b) => b.toString(16).padStart(2, "0").toUpperCase())
+    .join(":");
+}
+
+function load() {
+  try {
+    const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return data && typeof data === "object" ? data : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function save(cubes) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(cubes));
+  const list = listKnownCubes();
+  listeners.forEach((l) => {
+    try {
+      l(list);
+    } catch (e) {
+      console.warn("known cubes listener error", e);
+    }
+  });
+}
+
+export function subscribeToKnownCubes(listener) {
+  listeners.push(listener);
+  return () => {
+    listeners = listeners.filter((l) => l !== listener);
+  };
+}
+
+export function listKnownCubes() {
+  return Object.values(load()).sort((a, b) => (b.lastSeen || 0) - (a.lastSeen || 0));
+}
+
+export function getKnownCube(mac) {
+  if (!mac) return null;
+  return load()[normalizeMac(mac)] || null;
+}
+
+// Web Bluetooth device ids are stable per origin, so a known id gives back the MAC
+export function findKnownCubeByDeviceId(deviceId) {
+  if (!deviceId) return null;
+  return Object.values(load()).find((c) => c.deviceId === deviceId) || null;
+}
+
+export function rememberCube(mac, info = {}) {
+  const key = normalizeMac(mac);
+  const cubes = load();
+  const cube = { nickname: "", ...cubes[key], ...info, mac: key, lastSeen: Date.now() };
+  cubes[key] = cube;
+  save(cubes);
+  return cube;
+}
+
+export function setCubeNickname(mac, nickname) {
+  const key = normalizeMac(mac);
+  const cubes = load();
+  if (!cubes[key]) throw new Error(`Unknown cube: ${key}`);
+  cubes[key] = { ...cubes[key], nickname: String(nickname || "").trim() };
+  save(cubes);
+}
+
+export function forgetCube(mac) {
+  const key = normalizeMac(mac);
+  const cubes = load();
+  delete cubes[key];
+  save(cubes);
+}
+
+export function cubeDisplayName(cube) {
+  if (!cube) return "";
+  return cube.nickname || cube.deviceName || cube.mac;
+}
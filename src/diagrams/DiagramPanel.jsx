@@ -0,0 +1,91 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { faceletColors } from "../appearance/appearance";
+import CubeDiagram from "../cube/CubeDiagram";
+import { DIAGRAM_TOPS, diagramToSvg, lastLayerLayout, netLayout } from "../cube/cubeDiagrams";
+import { CUBE_EVENTS } from "../session/eventBus";
+import { downloadPng, downloadSvg } from "./diagramExport";
+
+/*
+  2D views of the app's cube next to the 3D one: the unfolded net (all six
+  faces at once) and a top-down last-layer diagram, PLL style (every color)
+  or OLL style (only the top color). Both are drawn from `session.getState()`
+  and follow every move live while shown; each view exports as SVG or PNG in
+  the `appearance` colors.
+*/
+export default function DiagramPanel({ session, appearance }) {
+  const [open, setOpen] = useState(false);
+  const [facelets, setFacelets] = useState(() => session.getState());
+  const [top, setTop] = useState("U");
+  const [style, setStyle] = useState("pll");
+  const [error, setError] = useState(null);
+  const colors = faceletColors(appearance);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const update = () => setFacelets(session.getState());
+    update();
+    const offs = [session.bus.on(CUBE_EVENTS.MOVE, update), session.bus.on(CUBE_EVENTS.STATE, update)];
+    return () => offs.forEach((off) => off());
+  }, [session, open]);
+
+  const net = useMemo(() => netLayout(facelets), [facelets]);
+  const lastLayer = useMemo(() => lastLayerLayout(facelets, { top, style }), [facelets, top, style]);
+
+  const handleExport = (layout, name, format) => {
+    const svg = diagramToSvg(layout, colors);
+    setError(null);
+    if (format === "svg") downloadSvg(svg, `${name}.svg`);
+    else downloadPng(svg, `${name}.png`).catch((err) => setError(err.message));
+  };
+
+  const exportButtons = (layout, name) => (
+    <div className="diagram-export">
+      <button className="control-button" onClick={() => handleExport(layout, name, "svg")}>
+        SVG
+      </button>
+      <button className="control-button" onClick={() => handleExport(layout, name, "png")}>
+        PNG
+      </button>
+    </div>
+  );
+
+  return (
+    <div className="diagram-panel">
+      <div className="diagram-header">
+        <strong>2D views</strong>
+        <button className="control-button" onClick={() => setOpen(!open)}>
+          {open ? "Hide" : "Show"}
+        </button>
+      </div>
+      {open && (
+        <div className="diagram-views">
+          <div className="diagram-view">
+            <CubeDiagram layout={net} colors={colors} className="diagram-net" />
+            {exportButtons(net, "cube-net")}
+          </div>
+          <div className="diagram-view">
+            <CubeDiagram layout={lastLayer} colors={colors} className="diagram-last-layer" />
+            <div className="diagram-options">
+              <label className="timer-option">
+                Top{" "}
+                <select value={top} onChange={(e) => setTop(e.target.value)}>
+                  {DIAGRAM_TOPS.map((face) => (
+                    <option key={face} value={face}>
+                      {face}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="timer-option">
+                <input type="checkbox" checked={style === "oll"} onChange={(e) => setStyle(e.target.checked ? "oll" : "pll")} />
+                OLL style
+              </label>
+            </div>
+            {exportButtons(lastLayer, style === "oll" ? "last-layer-oll" : "last-layer")}
+          </div>
+        </div>
+      )}
+      {error && <div className="algorithm-error">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+// Save cube diagrams as files (browser only)
+//
+// This module exports:
+// - downloadSvg(svg, filename)
+// - downloadPng(svg, filename) => Promise   rasterized at the SVG's own width/height
+//
+// `svg` is standalone markup as built by diagramToSvg() (../cube/cubeDiagrams.js).
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function downloadSvg(svg, filename) {
+  downloadBlob(new Blob([svg], { type: "image/svg+xml" }), filename);
+}
+
+export function downloadPng(svg, filename) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = image.naturalWidth || image.width;
+      canvas.height = image.naturalHeight || image.height;
+      canvas.getContext("2d").drawImage(image, 0, 0);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => {
+        if (!blob) {
+          reject(new Error("Could not create the PNG"));
+          return;
+        }
+        downloadBlob(blob, filename);
+        resolve();
+      }, "image/png");
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not render the diagram"));
+    };
+    image.src = url;
+  });
+}
@@ -0,0 +1,142 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { faceletColorName, faceletColors } from "../appearance/appearance";
+import Cube3D from "../cube/Cube3D";
+import { findFaceletErrors } from "../cube/faceletValidation";
+import { solvedFacelets } from "../cube/nxnCube";
+import { EDITOR_FACES, paintFacelet, parseFaceletText } from "./faceletEditor";
+
+/*
+  Sets up an arbitrary 3x3 position by painting stickers on a Cube3D.
+  Pick a color from the palette, click stickers (drag to look around), or
+  paste a facelet string. The state is checked as it is edited (piece counts,
+  twisted corners, flipped edges, parity); only a legal one can be loaded
+  onto the app's cube with `onLoad(facelets)`. `getCurrent()` returns the
+  app's cube state to start from. Loading is off while `canLoad` is false
+  (a smart cube reports its own state). The palette shows the colors of the
+  `appearance` settings.
+*/
+export default function StateEditor({ getCurrent, onLoad, canLoad = true, appearance }) {
+  const cubeRef = useRef(null);
+  const [open, setOpen] = useState(false);
+  const [facelets, setFacelets] = useState(() => solvedFacelets(3));
+  const [face, setFace] = useState("U");
+  const [text, setText] = useState("");
+  const [importError, setImportError] = useState(null);
+  const errors = useMemo(() => findFaceletErrors(facelets), [facelets]);
+  const colors = faceletColors(appearance);
+
+  useEffect(() => {
+    if (open && cubeRef.current) cubeRef.current.setState(facelets);
+  }, [open, facelets]);
+
+  const handleOpen = () => {
+    setFacelets(getCurrent());
+    setOpen(true);
+  };
+
+  const handleImport = (e) => {
+    e.preventDefault();
+    try {
+      setFacelets(parseFaceletText(text));
+      setImportError(null);
+      setText("");
+    } catch (err) {
+      setImportError(err.message);
+    }
+  };
+
+  const handleCopy = () => {
+    if (navigator.clipboard) navigator.clipboard.writeText(facelets).catch(() => {});
+  };
+
+  if (!open) {
+    return (
+      <div className="editor-panel">
+        <div className="editor-header">
+          <strong>State editor</strong>
+          <button className="control-button" onClick={handleOpen}>
+            Edit state
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="editor-panel">
+      <div className="editor-header">
+        <strong>State editor</strong>
+        <button className="control-button" onClick={() => setFacelets(getCurrent())}>
+          From cube
+        </button>
+        <button className="control-button" onClick={() => setFacelets(solvedFacelets(3))}>
+          Solved
+        </button>
+        <button className="control-button" onClick={() => setOpen(false)}>
+          Close
+        </button>
+      </div>
+
+      <div className="editor-body">
+        <div className="editor-cube">
+          <Cube3D
+            ref={cubeRef}
+            autoRotate={false}
+            onStickerClick={(index) => setFacelets((current) => paintFacelet(current, index, face))}
+          />
+        </div>
+
+        <div className="editor-side">
+          <div className="editor-palette">
+            {Array.from(EDITOR_FACES).map((f) => (
+              <button
+                key={f}
+                className={"editor-swatch" + (f === face ? " selected" : "")}
+                style={{ background: colors[f] }}
+                title={`${f} (${faceletColorName(appearance, f)})`}
+                onClick={() => setFace(f)}
+              >
+                {f}
+              </button>
+            ))}
+          </div>
+
+          {errors.length ? (
+            <ul className="editor-errors">
+              {errors.map((message) => (
+                <li key={message}>{message}</li>
+              ))}
+            </ul>
+          ) : (
+            <div className="scramble-ready">Legal, solvable state</div>
+          )}
+
+          <button className="btn" onClick={() => onLoad(facelets)} disabled={errors.length > 0 || !canLoad}>
+            Load onto cube
+          </button>
+          {!canLoad && <div className="trainer-hint">Disconnect the smart cube to load a position.</div>}
+
+          <div className="editor-export">
+            <code>{facelets}</code>
+            <button className="control-button" onClick={handleCopy}>
+              Copy
+            </button>
+          </div>
+
+          <form className="editor-import" onSubmit={handleImport}>
+            <input
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              placeholder="Paste 54 facelets (URFDLB)"
+              spellCheck={false}
+            />
+            <button type="submit" className="control-button">
+              Import
+            </button>
+          </form>
+          {importError && <div className="algorithm-error">{importError}</div>}
+        </div>
+      </div>
+    </div>
+  );
+}
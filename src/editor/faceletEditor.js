@@ -0,0 +1,30 @@
+// Editing a 3x3 state sticker by sticker, and reading one back from text
+//
+// This module exports:
+// - EDITOR_FACES: "URFDLB", the letters a sticker can be painted with
+// - paintFacelet(facelets, index, face) => facelets with one sticker changed
+// - parseFaceletText(text) => 54-character facelet string (as session.getState() returns);
+//     whitespace and case are ignored so a net pasted row by row works; throws on anything else
+//
+// Whether the result can be reached by turning is faceletValidation.js' job.
+
+export const EDITOR_FACES = "URFDLB";
+
+const FACELETS = 54;
+
+export function paintFacelet(facelets, index, face) {
+  if (!EDITOR_FACES.includes(face) || face.length !== 1) throw new Error(`Unknown face: ${face}`);
+  if (!Number.isInteger(index) || index < 0 || index >= facelets.length) {
+    throw new Error(`No sticker ${index} on this cube`);
+  }
+  return facelets.slice(0, index) + face + facelets.slice(index + 1);
+}
+
+export function parseFaceletText(text) {
+  const facelets = String(text || "").replace(/\s+/g, "").toUpperCase();
+  if (!facelets) throw new Error("Nothing to import");
+  const unknown = Array.from(facelets).find((c) => !EDITOR_FACES.includes(c));
+  if (unknown) throw new Error(`"${unknown}" is not a face letter (use ${EDITOR_FACES.split("").join(" ")})`);
+  if (facelets.length !== FACELETS) throw new Error(`Expected ${FACELETS} facelets, got ${facelets.length}`);
+  return facelets;
+}
@@ -0,0 +1,252 @@
+import React, { useEffect, useRef, useState } from "react";
+import { formatTime } from "../timer/solveTimer";
+import { computeStats, AVERAGE_SIZES } from "./stats";
+import CfopBreakdown from "../analysis/CfopBreakdown";
+import ExecutionBreakdown from "../analysis/ExecutionBreakdown";
+import ReplayPlayer from "../replay/ReplayPlayer";
+import { EXPORT_FORMATS, exportHistory, formatSolveTime, parseHistoryFile } from "./formats";
+import {
+  addSession,
+  deleteSession,
+  deleteSolve,
+  importSolves,
+  listSessions,
+  listSolves,
+  renameSession,
+  subscribeToStore,
+  updateSolve,
+} from "./solveStore";
+
+const RECENT_SOLVES = 50;
+
+// null => "-", Infinity => "DNF"
+function formatStat(ms) {
+  if (ms == null) return "-";
+  if (!Number.isFinite(ms)) return "DNF";
+  return formatTime(Math.round(ms));
+}
+
+function download(text, filename, mimeType) {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/*
+  Solve history for the selected session: statistics (mean, best, SD,
+  current/best ao5/ao12/ao100), recent solves with penalty editing, a CFOP
+  split and replay of the selected solve, and csTimer / Twisty Timer import
+  and export.
+  The selected session is owned by the parent so new solves land in it;
+  `appearance` names colors in the CFOP split.
+*/
+export default function HistoryPanel({ sessionId, onSessionChange, appearance }) {
+  const [sessions, setSessions] = useState([]);
+  const [solves, setSolves] = useState([]);
+  const [exportFormat, setExportFormat] = useState(EXPORT_FORMATS[0].id);
+  const [message, setMessage] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [replaying, setReplaying] = useState(false);
+  const fileInputRef = useRef(null);
+
+  // Reload sessions and solves after every store write
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const all = await listSessions();
+        if (cancelled) return;
+        setSessions(all);
+        const current = all.find((s) => s.id === sessionId) ? sessionId : all[0].id;
+        if (current !== sessionId) {
+          onSessionChange(current);
+          return;
+        }
+        const list = await listSolves(current);
+        if (!cancelled) setSolves(list);
+      } catch (err) {
+        console.error("Failed to load solve history:", err);
+        if (!cancelled) setMessage(err.message);
+      }
+    };
+    load();
+    const unsubscribe = subscribeToStore(load);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [sessionId, onSessionChange]);
+
+  const stats = computeStats(solves);
+  const session = sessions.find((s) => s.id === sessionId);
+
+  const handleNewSession = async () => {
+    const id = await addSession(`Session ${sessions.length + 1}`);
+    onSessionChange(id);
+  };
+
+  const handleRenameSession = async () => {
+    if (!session) return;
+    const name = window.prompt("Session name", session.name);
+    if (name && name.trim()) await renameSession(session.id, name.trim());
+  };
+
+  const handleDeleteSession = async () => {
+    if (!session || !window.confirm(`Delete "${session.name}" and its ${solves.length} solves?`)) return;
+    await deleteSession(session.id);
+    onSessionChange(null);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { format, sessions: imported } = parseHistoryFile(await file.text());
+      const ids = await importSolves(imported);
+      const count = imported.reduce((n, s) => n + s.solves.length, 0);
+      const label = EXPORT_FORMATS.find((f) => f.id === format).label;
+      setMessage(`Imported ${count} solves from ${label} into ${ids.length} session(s)`);
+      if (ids.length) onSessionChange(ids[0]);
+    } catch (err) {
+      setMessage(`Import failed: ${err.message}`);
+    }
+  };
+
+  const handleExport = () => {
+    if (!session) return;
+    const format = EXPORT_FORMATS.find((f) => f.id === exportFormat);
+    const text = exportHistory(format.id, [{ name: session.name, solves }]);
+    download(text, `${session.name}.${format.extension}`, format.mimeType);
+  };
+
+  const recent = solves.slice(-RECENT_SOLVES).reverse();
+  const selected = solves.find((s) => s.id === selectedId);
+
+  return (
+    <div className="history-panel">
+      <div className="history-header">
+        <strong>History</strong>
+        <select value={sessionId || ""} onChange={(e) => onSessionChange(Number(e.target.value))}>
+          {sessions.map((s) => (
+            <option key={s.id} value={s.id}>
+              {s.name}
+            </option>
+          ))}
+        </select>
+        <button className="control-button" onClick={handleNewSession}>New</button>
+        <button className="control-button" onClick={handleRenameSession} disabled={!session}>Rename</button>
+        <button className="control-button" onClick={handleDeleteSession} disabled={!session}>Delete</button>
+      </div>
+
+      <div className="history-stats">
+        <div>
+          <span>Solves</span>
+          {stats.count - stats.dnfCount}/{stats.count}
+        </div>
+        <div>
+          <span>Best</span>
+          {formatStat(stats.best)}
+        </div>
+        <div>
+          <span>Mean</span>
+          {formatStat(stats.mean)}
+        </div>
+        <div>
+          <span>SD</span>
+          {formatStat(stats.standardDeviation)}
+        </div>
+        {AVERAGE_SIZES.map((n) => (
+          <div key={n}>
+            <span>ao{n}</span>
+            {formatStat(stats.averages[n].current)}
+            <small> best {formatStat(stats.averages[n].best)}</small>
+          </div>
+        ))}
+      </div>
+
+      <ol className="history-solves" reversed start={solves.length}>
+        {recent.map((s) => (
+          <li
+            key={s.id}
+            title={s.scramble}
+            className={s.id === selectedId ? "selected" : ""}
+            onClick={() => {
+              setSelectedId(s.id === selectedId ? null : s.id);
+              setReplaying(false);
+            }}
+          >
+            <span className="history-time">{formatSolveTime(s)}</span>
+            <span className="history-date">{new Date(s.date).toLocaleString()}</span>
+            <button
+              className={"control-button" + (s.penalty === "+2" ? " active" : "")}
+              onClick={(e) => {
+                e.stopPropagation();
+                updateSolve(s.id, { penalty: s.penalty === "+2" ? null : "+2" });
+              }}
+            >
+              +2
+            </button>
+            <button
+              className={"control-button" + (s.penalty === "DNF" ? " active" : "")}
+              onClick={(e) => {
+                e.stopPropagation();
+                updateSolve(s.id, { penalty: s.penalty === "DNF" ? null : "DNF" });
+              }}
+            >
+              DNF
+            </button>
+            <button
+              className="control-button"
+              onClick={(e) => {
+                e.stopPropagation();
+                deleteSolve(s.id);
+              }}
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      {selected && (
+        <div className="history-detail">
+          <div className="history-scramble">{selected.scramble || "No scramble recorded"}</div>
+          <CfopBreakdown solve={selected} appearance={appearance} />
+          <ExecutionBreakdown solve={selected} />
+          <button
+            className="control-button"
+            onClick={() => setReplaying(!replaying)}
+            disabled={!selected.moves || !selected.moves.length}
+          >
+            {replaying ? "Close replay" : "Replay"}
+          </button>
+          {replaying && <ReplayPlayer solve={selected} />}
+        </div>
+      )}
+
+      <div className="history-actions">
+        <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)}>
+          {EXPORT_FORMATS.map((f) => (
+            <option key={f.id} value={f.id}>
+              {f.label}
+            </option>
+          ))}
+        </select>
+        <button className="control-button" onClick={handleExport} disabled={!solves.length}>Export</button>
+        <button className="control-button" onClick={() => fileInputRef.current.click()}>Import…</button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,.csv,.txt"
+          style={{ display: "none" }}
+          onChange={handleImport}
+        />
+        {message && <span className="history-message">{message}</span>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,280 @@
+// Import / export of solve histories in csTimer and Twisty Timer formats
+// References:
+// - csTimer export (JSON backup and session CSV): https://github.com/cs0x7f/cstimer
+// - Twisty Timer backup CSV: https://github.com/aricneto/TwistyTimer
+//
+// This module exports:
+// - parseHistoryFile(text) => { format, sessions: [{ name, solves }] }   (format auto-detected)
+// - exportCsTimerJson(sessions) / exportCsTimerCsv(solves) / exportTwistyTimerCsv(solves)
+// - EXPORT_FORMATS: [{ id, label, extension, mimeType }]
+//
+// Solves use the store shape { time, penalty, scramble, comment, date, moves }
+// (see solveStore.js). Twisty Timer has no JSON format, only its CSV backup.
+
+import { PLUS_TWO_MS, formatTime } from "../timer/solveTimer.js";
+
+export const EXPORT_FORMATS = [
+  { id: "cstimer-json", label: "csTimer (JSON)", extension: "json", mimeType: "application/json" },
+  { id: "cstimer-csv", label: "csTimer (CSV)", extension: "csv", mimeType: "text/csv" },
+  { id: "twisty-csv", label: "Twisty Timer (CSV)", extension: "txt", mimeType: "text/plain" },
+];
+
+// csTimer encodes penalties as 0, 2000 (+2) or -1 (DNF)
+const CSTIMER_DNF = -1;
+
+function toCsTimerPenalty(penalty) {
+  if (penalty === "DNF") return CSTIMER_DNF;
+  return penalty === "+2" ? PLUS_TWO_MS : 0;
+}
+
+function fromCsTimerPenalty(value) {
+  if (value === CSTIMER_DNF) return "DNF";
+  return value > 0 ? "+2" : null;
+}
+
+// csTimer smart-cube solutions are stored as "R@0 U'@183 ..." (ms from start)
+function movesToCsTimer(moves) {
+  return (moves || []).map((m) => `${m.move}@${Math.round(m.time || 0)}`).join(" ");
+}
+
+function movesFromCsTimer(text) {
+  if (typeof text !== "string") return [];
+  return text
+    .trim()
+    .split(/\s+/)
+    .filter((t) => t.includes("@"))
+    .map((t) => {
+      const [move, time] = t.split("@");
+      return { move, time: Number(time) || 0 };
+    });
+}
+
+export function exportCsTimerJson(sessions) {
+  const data = {};
+  const sessionData = {};
+  sessions.forEach(({ name, solves }, i) => {
+    const key = i + 1;
+    data[`session${key}`] = solves.map((s) => {
+      const entry = [[toCsTimerPenalty(s.penalty), Math.round(s.time)], s.scramble || "", s.comment || "", Math.floor((s.date || 0) / 1000)];
+      if (s.moves && s.moves.length) entry.push([movesToCsTimer(s.moves), "333"]);
+      return entry;
+    });
+    sessionData[key] = { name, opt: {}, rank: key };
+  });
+  data.properties = { sessionData: JSON.stringify(sessionData) };
+  return JSON.stringify(data);
+}
+
+function parseCsTimerJson(data) {
+  let sessionData = {};
+  try {
+    const raw = data.properties && data.properties.sessionData;
+    sessionData = typeof raw === "string" ? JSON.parse(raw) : raw || {};
+  } catch (e) {
+    sessionData = {};
+  }
+  return Object.keys(data)
+    .filter((k) => /^session\d+$/.test(k) && Array.isArray(data[k]))
+    .sort((a, b) => parseInt(a.slice(7), 10) - parseInt(b.slice(7), 10))
+    .map((k) => {
+      const n = k.slice(7);
+      return {
+        name: (sessionData[n] && sessionData[n].name) || `csTimer ${n}`,
+        solves: data[k]
+          .filter((entry) => Array.isArray(entry) && Array.isArray(entry[0]))
+          .map((entry) => ({
+            time: Number(entry[0][1]),
+            penalty: fromCsTimerPenalty(Number(entry[0][0])),
+            scramble: entry[1] || "",
+            comment: entry[2] || "",
+            date: Number(entry[3]) * 1000 || Date.now(),
+            moves: Array.isArray(entry[4]) ? movesFromCsTimer(entry[4][0]) : [],
+          })),
+      };
+    });
+}
+
+// Minimal delimited-text reader: quoted fields, doubled quotes, CRLF.
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      if (row.some((f) => f !== "")) rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  row.push(field);
+  if (row.some((f) => f !== "")) rows.push(row);
+  return rows;
+}
+
+const quote = (v) => `"${String(v == null ? "" : v).replace(/"/g, '""')}"`;
+
+function formatCsTimerTime(solve) {
+  const t = (solve.time / 1000).toFixed(3);
+  if (solve.penalty === "DNF") return `DNF(${t})`;
+  if (solve.penalty === "+2") return `${((solve.time + PLUS_TWO_MS) / 1000).toFixed(3)}+`;
+  return t;
+}
+
+// "1:02.345" / "62.345" => ms
+function parseClockTime(text) {
+  const parts = String(text).trim().split(":");
+  let seconds = 0;
+  parts.forEach((p) => {
+    seconds = seconds * 60 + parseFloat(p);
+  });
+  return Math.round(seconds * 1000);
+}
+
+function parseCsTimerTime(text) {
+  const t = String(text).trim();
+  const dnf = /^DNF\((.*)\)$/i.exec(t);
+  if (dnf) return { time: parseClockTime(dnf[1]), penalty: "DNF" };
+  if (/^DNF$/i.test(t)) return { time: 0, penalty: "DNF" };
+  if (t.endsWith("+")) return { time: parseClockTime(t.slice(0, -1)) - PLUS_TWO_MS, penalty: "+2" };
+  return { time: parseClockTime(t), penalty: null };
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+function formatLocalDate(ms) {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+export function exportCsTimerCsv(solves) {
+  const lines = ["No.;Time;Comment;Scramble;Date;P.1"];
+  solves.forEach((s, i) => {
+    lines.push(
+      [i + 1, formatCsTimerTime(s), quote(s.comment), quote(s.scramble), formatLocalDate(s.date || 0), formatCsTimerTime(s)].join(";")
+    );
+  });
+  return lines.join("\n");
+}
+
+function parseCsTimerCsv(rows) {
+  const header = rows[0].map((h) => h.trim().toLowerCase());
+  const col = (name) => header.indexOf(name);
+  const iTime = col("time");
+  const iComment = col("comment");
+  const iScramble = col("scramble");
+  const iDate = col("date");
+  return [
+    {
+      name: "csTimer import",
+      solves: rows.slice(1).map((r) => {
+        const date = iDate >= 0 && r[iDate] ? Date.parse(r[iDate].replace(" ", "T")) : NaN;
+        return {
+          ...parseCsTimerTime(r[iTime]),
+          comment: iComment >= 0 ? r[iComment] : "",
+          scramble: iScramble >= 0 ? r[iScramble] : "",
+          date: Number.isFinite(date) ? date : Date.now(),
+          moves: [],
+        };
+      }),
+    },
+  ];
+}
+
+/*
+  Twisty Timer backup: header line, then one row per solve:
+    "Puzzle";"Category";"Time(millis)";"Date(millis)";"Scramble";"Penalty";"Comment"
+  Penalty is 0 (none), 1 (+2) or 2 (DNF); the stored time already includes a +2.
+*/
+const TWISTY_HEADER = "Puzzle,Category,Time(millis),Date(millis),Scramble,Penalty,Comment";
+const TWISTY_PENALTY = { null: 0, "+2": 1, DNF: 2 };
+
+export function exportTwistyTimerCsv(solves, { puzzle = "333", category = "Normal" } = {}) {
+  const lines = [TWISTY_HEADER];
+  solves.forEach((s) => {
+    const time = Math.round(s.time + (s.penalty === "+2" ? PLUS_TWO_MS : 0));
+    lines.push(
+      [puzzle, category, time, s.date || 0, s.scramble, TWISTY_PENALTY[s.penalty || null], s.comment].map(quote).join(";")
+    );
+  });
+  return lines.join("\n");
+}
+
+function parseTwistyTimer(rows) {
+  const byCategory = new Map();
+  rows.forEach((r) => {
+    const [puzzle, category, time, date, scramble, penalty, comment] = r;
+    const p = Number(penalty);
+    const key = `${puzzle} ${category}`;
+    if (!byCategory.has(key)) byCategory.set(key, []);
+    byCategory.get(key).push({
+      time: Number(time) - (p === 1 ? PLUS_TWO_MS : 0),
+      penalty: p === 2 ? "DNF" : p === 1 ? "+2" : null,
+      scramble: scramble || "",
+      comment: comment || "",
+      date: Number(date) || Date.now(),
+      moves: [],
+    });
+  });
+  return Array.from(byCategory, ([name, solves]) => ({ name: `Twisty Timer ${name}`, solves }));
+}
+
+export function parseHistoryFile(text) {
+  const trimmed = String(text || "").trim();
+  if (!trimmed) throw new Error("File is empty");
+
+  if (trimmed[0] === "{") {
+    const data = JSON.parse(trimmed);
+    const sessions = parseCsTimerJson(data);
+    if (!sessions.length) throw new Error("JSON file has no csTimer sessions");
+    return { format: "cstimer-json", sessions };
+  }
+
+  const firstLine = trimmed.split(/\r?\n/, 1)[0];
+  if (/^No\.;/i.test(firstLine)) {
+    return { format: "cstimer-csv", sessions: parseCsTimerCsv(parseDelimited(trimmed, ";")) };
+  }
+  // Twisty Timer: comma-separated header, semicolon-separated quoted rows
+  const hasHeader = /^"?puzzle/i.test(firstLine);
+  const body = hasHeader ? trimmed.slice(firstLine.length).trim() : trimmed;
+  const delimiter = body.split(/\r?\n/, 1)[0].includes(";") ? ";" : ",";
+  const rows = parseDelimited(body, delimiter);
+  if (rows.length && (hasHeader || rows[0].length >= 7)) {
+    return { format: "twisty-csv", sessions: parseTwistyTimer(rows) };
+  }
+  throw new Error("Unrecognized history format (expected csTimer JSON/CSV or Twisty Timer CSV)");
+}
+
+export function exportHistory(formatId, sessions) {
+  if (formatId === "cstimer-json") return exportCsTimerJson(sessions);
+  const solves = sessions.flatMap((s) => s.solves);
+  if (formatId === "cstimer-csv") return exportCsTimerCsv(solves);
+  if (formatId === "twisty-csv") return exportTwistyTimerCsv(solves);
+  throw new Error(`Unknown export format: ${formatId}`);
+}
+
+// Human-readable time including penalty, e.g. "12.345+" / "DNF"
+export function formatSolveTime(solve) {
+  if (solve.penalty === "DNF") return "DNF";
+  if (solve.penalty === "+2") return `${formatTime(solve.time + PLUS_TWO_MS)}+`;
+  return formatTime(solve.time);
+}
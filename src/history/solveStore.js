@@ -0,0 +1,182 @@
+// Persistent solve history backed by IndexedDB
+//
+// This module exports:
+// - listSessions() / addSession(name) / renameSession(id, name) / deleteSession(id)
+// - listSolves(sessionId) => solves ordered oldest first
+// - addSolve(solve) => id, updateSolve(id, changes), deleteSolve(id)
+// - importSolves(sessions) where sessions = [{ name, solves }], each imported as a new session
+// - subscribeToStore(listener): called after every write
+//
+// Solve records:
+// { id, sessionId, time, penalty, scramble, moves: [{ move, time, localTimestamp, cubeTimestamp }],
+//   startFacelets, deviceName, date, comment }
+// `startFacelets` is the cube state when the solve started (used to replay and split it).
+// `time` is the raw solve time in ms; `penalty` is null, "+2" or "DNF".
+
+const DB_NAME = "gan-cube-app";
+const DB_VERSION = 1;
+const SOLVES = "solves";
+const SESSIONS = "sessions";
+
+let dbPromise = null;
+let listeners = [];
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available in this environment"));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SESSIONS)) {
+          db.createObjectStore(SESSIONS, { keyPath: "id", autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains(SOLVES)) {
+          const solves = db.createObjectStore(SOLVES, { keyPath: "id", autoIncrement: true });
+          solves.createIndex("sessionId", "sessionId", { unique: false });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run `fn(stores...)` in one transaction; resolves with fn's result once committed.
+async function withStores(names, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, mode);
+    let result;
+    Promise.resolve(fn(...names.map((n) => tx.objectStore(n))))
+      .then((r) => {
+        result = r;
+      })
+      .catch((err) => {
+        tx.abort();
+        reject(err);
+      });
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
+
+function notifyChange(change) {
+  listeners.forEach((l) => {
+    try {
+      l(change);
+    } catch (e) {
+      console.warn("solve store listener error", e);
+    }
+  });
+}
+
+export function subscribeToStore(listener) {
+  listeners.push(listener);
+  return () => {
+    listeners = listeners.filter((l) => l !== listener);
+  };
+}
+
+export async function listSessions() {
+  const sessions = await withStores([SESSIONS], "readonly", (store) => promisify(store.getAll()));
+  if (sessions.length) return sessions;
+  // First run: create a default session
+  await addSession("Session 1");
+  return withStores([SESSIONS], "readonly", (store) => promisify(store.getAll()));
+}
+
+export async function addSession(name) {
+  const id = await withStores([SESSIONS], "readwrite", (store) =>
+    promisify(store.add({ name, createdAt: Date.now() }))
+  );
+  notifyChange({ type: "session", id });
+  return id;
+}
+
+export async function renameSession(id, name) {
+  await withStores([SESSIONS], "readwrite", async (store) => {
+    const session = await promisify(store.get(id));
+    if (!session) throw new Error(`Unknown session: ${id}`);
+    return promisify(store.put({ ...session, name }));
+  });
+  notifyChange({ type: "session", id });
+}
+
+export async function deleteSession(id) {
+  await withStores([SESSIONS, SOLVES], "readwrite", async (sessions, solves) => {
+    const keys = await promisify(solves.index("sessionId").getAllKeys(id));
+    keys.forEach((key) => solves.delete(key));
+    return promisify(sessions.delete(id));
+  });
+  notifyChange({ type: "session", id });
+}
+
+export async function listSolves(sessionId) {
+  const solves = await withStores([SOLVES], "readonly", (store) =>
+    promisify(store.index("sessionId").getAll(sessionId))
+  );
+  return solves.sort((a, b) => a.date - b.date || a.id - b.id);
+}
+
+export async function addSolve(solve) {
+  if (solve.sessionId == null) throw new Error("Solve needs a sessionId");
+  const record = {
+    time: solve.time,
+    penalty: solve.penalty || null,
+    scramble: solve.scramble || "",
+    moves: solve.moves || [],
+    startFacelets: solve.startFacelets || null,
+    deviceName: solve.deviceName || null,
+    date: solve.date || Date.now(),
+    comment: solve.comment || "",
+    sessionId: solve.sessionId,
+  };
+  const id = await withStores([SOLVES], "readwrite", (store) => promisify(store.add(record)));
+  notifyChange({ type: "solve", id, sessionId: record.sessionId });
+  return id;
+}
+
+export async function updateSolve(id, changes) {
+  const updated = await withStores([SOLVES], "readwrite", async (store) => {
+    const solve = await promisify(store.get(id));
+    if (!solve) throw new Error(`Unknown solve: ${id}`);
+    const next = { ...solve, ...changes, id };
+    await promisify(store.put(next));
+    return next;
+  });
+  notifyChange({ type: "solve", id, sessionId: updated.sessionId });
+  return updated;
+}
+
+export async function deleteSolve(id) {
+  await withStores([SOLVES], "readwrite", (store) => promisify(store.delete(id)));
+  notifyChange({ type: "solve", id });
+}
+
+// Each imported session becomes a new session; returns the created session ids.
+export async function importSolves(sessions) {
+  const ids = await withStores([SESSIONS, SOLVES], "readwrite", async (sessionStore, solveStore) => {
+    const created = [];
+    for (const { name, solves } of sessions) {
+      const sessionId = await promisify(sessionStore.add({ name, createdAt: Date.now() }));
+      created.push(sessionId);
+      solves.forEach(({ id, ...solve }) => solveStore.add({ ...solve, sessionId }));
+    }
+    return created;
+  });
+  notifyChange({ type: "import", ids });
+  return ids;
+}
@@ -0,0 +1,95 @@
+// Solve statistics with WCA trimming rules
+// Reference: WCA Regulations 9f (https://www.worldcubeassociation.org/regulations/#9f)
+//
+// This module exports:
+// - effectiveTime(solve) => ms including +2, Infinity for DNF
+// - averageOf(solves, n) => trimmed mean of the last n solves (Infinity = DNF, null = not enough solves)
+// - bestAverageOf(solves, n)
+// - mean(solves) / best(solves) / standardDeviation(solves)
+// - computeStats(solves) => summary used by the history panel
+//
+// `solves` are ordered oldest first and look like { time, penalty } where
+// penalty is null, "+2" or "DNF".
+
+import { PLUS_TWO_MS } from "../timer/solveTimer.js";
+
+export function effectiveTime(solve) {
+  if (!solve || solve.penalty === "DNF" || !Number.isFinite(solve.time)) return Infinity;
+  return solve.time + (solve.penalty === "+2" ? PLUS_TWO_MS : 0);
+}
+
+// Number of results dropped at each end: 5% rounded up (1 for ao5/ao12, 5 for ao100)
+export function trimCount(n) {
+  return Math.ceil(n * 0.05);
+}
+
+function trimmedAverage(times) {
+  const trim = trimCount(times.length);
+  const sorted = times.slice().sort((a, b) => a - b);
+  const kept = sorted.slice(trim, sorted.length - trim);
+  // more DNFs than the trimmed worst results => the average is a DNF
+  if (kept.some((t) => !Number.isFinite(t))) return Infinity;
+  return kept.reduce((a, b) => a + b, 0) / kept.length;
+}
+
+export function averageOf(solves, n) {
+  if (solves.length < n) return null;
+  return trimmedAverage(solves.slice(solves.length - n).map(effectiveTime));
+}
+
+export function bestAverageOf(solves, n) {
+  if (solves.length < n) return null;
+  const times = solves.map(effectiveTime);
+  let bestAvg = Infinity;
+  for (let i = 0; i + n <= times.length; i++) {
+    bestAvg = Math.min(bestAvg, trimmedAverage(times.slice(i, i + n)));
+  }
+  return bestAvg;
+}
+
+function finiteTimes(solves) {
+  return solves.map(effectiveTime).filter(Number.isFinite);
+}
+
+// Mean of all non-DNF solves
+export function mean(solves) {
+  const times = finiteTimes(solves);
+  if (!times.length) return null;
+  return times.reduce((a, b) => a + b, 0) / times.length;
+}
+
+export function best(solves) {
+  const times = finiteTimes(solves);
+  return times.length ? Math.min(...times) : null;
+}
+
+export function worst(solves) {
+  const times = finiteTimes(solves);
+  return times.length ? Math.max(...times) : null;
+}
+
+// Population standard deviation of non-DNF solves
+export function standardDeviation(solves) {
+  const times = finiteTimes(solves);
+  if (times.length < 2) return null;
+  const m = times.reduce((a, b) => a + b, 0) / times.length;
+  return Math.sqrt(times.reduce((acc, t) => acc + (t - m) * (t - m), 0) / times.length);
+}
+
+export const AVERAGE_SIZES = [5, 12, 100];
+
+export function computeStats(solves) {
+  const stats = {
+    count: solves.length,
+    dnfCount: solves.filter((s) => s.penalty === "DNF").length,
+    mean: mean(solves),
+    best: best(solves),
+    worst: worst(solves),
+    standardDeviation: standardDeviation(solves),
+    averages: {},
+  };
+  AVERAGE_SIZES.forEach((n) => {
+    stats.averages[n] = { current: averageOf(solves, n), best: bestAverageOf(solves, n) };
+  });
+  return stats;
+}
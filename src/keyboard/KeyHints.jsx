@@ -0,0 +1,37 @@
+import React from "react";
+import { KEYBOARD_ROWS, keyLabel } from "./keymap";
+
+/*
+  Keyboard diagram with the move bound to each key. `activeCode` is
+  highlighted (last key pressed, or the key being edited); with `onSelect`
+  the keys become buttons.
+*/
+export default function KeyHints({ keymap, activeCode = null, onSelect = null, className = "" }) {
+  return (
+    <div className={"key-hints " + className}>
+      {KEYBOARD_ROWS.map((row, r) => (
+        <div key={r} className="key-hints-row" style={{ marginLeft: r * 12 }}>
+          {row.map((code) => {
+            const move = keymap[code];
+            const classes = "key-hint" + (move ? "" : " unbound") + (code === activeCode ? " active" : "");
+            const content = (
+              <>
+                <span className="key-hint-key">{keyLabel(code)}</span>
+                <span className="key-hint-move">{move || ""}</span>
+              </>
+            );
+            return onSelect ? (
+              <button key={code} type="button" className={classes} onClick={() => onSelect(code)}>
+                {content}
+              </button>
+            ) : (
+              <div key={code} className={classes}>
+                {content}
+              </div>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+}
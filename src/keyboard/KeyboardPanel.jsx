@@ -0,0 +1,85 @@
+import React, { useState } from "react";
+import KeyHints from "./KeyHints";
+import { DEFAULT_KEYMAP, assignKey, keyLabel, saveKeyboardSettings } from "./keymap";
+
+/*
+  Virtual cube settings: turn the keyboard cube on or off, show the key
+  overlay, rebind keys (click a key, type a move) and scramble the virtual cube
+  straight into inspection. `settings` comes from loadKeyboardSettings();
+  changes are saved (and broadcast) through saveKeyboardSettings().
+*/
+export default function KeyboardPanel({ settings, onScramble = null }) {
+  const [editing, setEditing] = useState(false);
+  const [code, setCode] = useState(null);
+  const [move, setMove] = useState("");
+  const [error, setError] = useState(null);
+
+  const update = (changes) => saveKeyboardSettings({ ...settings, ...changes });
+
+  const selectKey = (selected) => {
+    setCode(selected);
+    setMove(settings.keymap[selected] || "");
+    setError(null);
+  };
+
+  const handleAssign = (e) => {
+    e.preventDefault();
+    try {
+      update({ keymap: assignKey(settings.keymap, code, move) });
+      setCode(null);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="keyboard-panel">
+      <div className="keyboard-header">
+        <strong>Keyboard cube</strong>
+        <label className="timer-option">
+          <input type="checkbox" checked={settings.enabled} onChange={(e) => update({ enabled: e.target.checked })} />
+          Turn with the keyboard
+        </label>
+        <label className="timer-option">
+          <input type="checkbox" checked={settings.showHints} onChange={(e) => update({ showHints: e.target.checked })} />
+          Show keys
+        </label>
+        {onScramble && settings.enabled && (
+          <button className="control-button" onClick={onScramble}>
+            Scramble &amp; inspect
+          </button>
+        )}
+        <button className="control-button" onClick={() => setEditing(!editing)}>
+          {editing ? "Done" : "Customize keys"}
+        </button>
+      </div>
+
+      {editing && (
+        <div className="keyboard-editor">
+          <KeyHints keymap={settings.keymap} activeCode={code} onSelect={selectKey} />
+          {code && (
+            <form className="keyboard-assign" onSubmit={handleAssign}>
+              <span>
+                Move for <strong>{keyLabel(code)}</strong>
+              </span>
+              <input
+                autoFocus
+                value={move}
+                placeholder="e.g. R2, Uw', M (empty to unbind)"
+                onChange={(e) => setMove(e.target.value)}
+              />
+              <button type="submit" className="control-button">
+                Set
+              </button>
+              {error && <span className="algorithm-error">{error}</span>}
+            </form>
+          )}
+          <button className="control-button" onClick={() => update({ keymap: DEFAULT_KEYMAP })}>
+            Restore csTimer layout
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
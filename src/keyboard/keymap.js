@@ -0,0 +1,126 @@
+// Virtual cube keymap: keyboard keys to moves (csTimer / qqtimer layout by default)
+// Reference: https://cstimer.net (virtual cube key bindings)
+//
+// This module exports:
+// - DEFAULT_KEYMAP: { [KeyboardEvent.code]: move }
+// - KEYBOARD_ROWS: key codes of the letter block, for the on-screen overlay
+// - keyLabel(code) => "I", ";", "5"...
+// - isTypingTarget(target) => true for inputs, textareas, selects and editable elements
+// - moveForKey(keymap, event) => move | null (null with Ctrl/Alt/Meta, auto-repeat or while typing)
+// - assignKey(keymap, code, move) => new keymap (an empty move unbinds the key; throws on bad notation)
+// - loadKeyboardSettings() / saveKeyboardSettings(settings) / subscribeToKeyboardSettings(listener)
+//
+// Keys are matched by physical position (KeyboardEvent.code), so the layout
+// stays the same on AZERTY or Dvorak keyboards, and Shift does not change the
+// move. Settings: { enabled, showHints, keymap }.
+
+import { formatMove, parseMove } from "../cube/notation.js";
+
+const STORAGE_KEY = "gan-cube-app:keyboard";
+
+export const DEFAULT_KEYMAP = {
+  KeyI: "R",
+  KeyK: "R'",
+  KeyD: "L",
+  KeyE: "L'",
+  KeyJ: "U",
+  KeyF: "U'",
+  KeyS: "D",
+  KeyL: "D'",
+  KeyH: "F",
+  KeyG: "F'",
+  KeyW: "B",
+  KeyO: "B'",
+  KeyU: "Rw",
+  KeyM: "Rw'",
+  KeyV: "Lw",
+  KeyR: "Lw'",
+  Comma: "Uw",
+  KeyC: "Uw'",
+  KeyZ: "Dw",
+  Slash: "Dw'",
+  Digit5: "M",
+  Digit6: "M",
+  KeyX: "M'",
+  Period: "M'",
+  KeyT: "x",
+  KeyY: "x",
+  KeyB: "x'",
+  KeyN: "x'",
+  Semicolon: "y",
+  KeyA: "y'",
+  KeyP: "z",
+  KeyQ: "z'",
+};
+
+export const KEYBOARD_ROWS = [
+  ["Digit1", "Digit2", "Digit3", "Digit4", "Digit5", "Digit6", "Digit7", "Digit8", "Digit9", "Digit0"],
+  ["KeyQ", "KeyW", "KeyE", "KeyR", "KeyT", "KeyY", "KeyU", "KeyI", "KeyO", "KeyP"],
+  ["KeyA", "KeyS", "KeyD", "KeyF", "KeyG", "KeyH", "KeyJ", "KeyK", "KeyL", "Semicolon"],
+  ["KeyZ", "KeyX", "KeyC", "KeyV", "KeyB", "KeyN", "KeyM", "Comma", "Period", "Slash"],
+];
+
+const PUNCTUATION = { Semicolon: ";", Comma: ",", Period: ".", Slash: "/", Quote: "'", BracketLeft: "[", BracketRight: "]" };
+
+export function keyLabel(code) {
+  if (PUNCTUATION[code]) return PUNCTUATION[code];
+  const match = /^(?:Key|Digit|Numpad)(.+)$/.exec(code);
+  return match ? match[1] : code;
+}
+
+export function isTypingTarget(target) {
+  if (!target) return false;
+  return /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName) || !!target.isContentEditable;
+}
+
+export function moveForKey(keymap, event) {
+  if (event.ctrlKey || event.altKey || event.metaKey || event.repeat) return null;
+  if (isTypingTarget(event.target)) return null;
+  return keymap[event.code] || null;
+}
+
+export function assignKey(keymap, code, move) {
+  const next = { ...keymap };
+  const text = String(move || "").trim();
+  if (!text) {
+    delete next[code];
+    return next;
+  }
+  const parsed = parseMove(text);
+  if (!parsed) throw new Error(`"${text}" is not a single move`);
+  next[code] = formatMove(parsed);
+  return next;
+}
+
+let listeners = [];
+
+export function loadKeyboardSettings() {
+  try {
+    const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return {
+      enabled: data.enabled !== false,
+      showHints: data.showHints === true,
+      keymap: data.keymap && typeof data.keymap === "object" ? data.keymap : DEFAULT_KEYMAP,
+    };
+  } catch (e) {
+    return { enabled: true, showHints: false, keymap: DEFAULT_KEYMAP };
+  }
+}
+
+export function saveKeyboardSettings(settings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  listeners.forEach((l) => {
+    try {
+      l(settings);
+    } catch (e) {
+      console.warn("keyboard settings listener error", e);
+    }
+  });
+}
+
+export function subscribeToKeyboardSettings(listener) {
+  listeners.push(listener);
+  return () => {
+    listeners = listeners.filter((l) => l !== listener);
+  };
+}
@@ -3,5 +3,21 @@ import { createRoot } from "react-dom/client";
 import App from "./App";
 import "./styles.css";
 
+// Offline development: `?mockCube=Gen3` (or Gen2/Gen4) replaces Web Bluetooth
+// with a simulated cube, turned from the console: mockCube.turn("R U R' U'")
+if (import.meta.env.DEV) {
+  const mockProtocol = new URLSearchParams(window.location.search).get("mockCube");
+  if (mockProtocol) {
+    Promise.all([import("./bluetooth/mock/mockBluetooth.js"), import("./bluetooth/mock/mockGanDevice.js")]).then(
+      ([{ createMockBluetooth, installMockBluetooth }, { createMockGanDevice }]) => {
+        const device = createMockGanDevice({ protocol: mockProtocol, latency: 20 });
+        installMockBluetooth(createMockBluetooth({ devices: [device] }), window);
+        window.mockCube = device;
+        console.info(`Simulated ${mockProtocol} cube installed as window.mockCube`);
+      }
+    );
+  }
+}
+
 const root = createRoot(document.getElementById("root"));
-root.render(<App />);
\ No newline at end of file
+root.render(<App />);
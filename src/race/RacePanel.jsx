@@ -0,0 +1,166 @@
+import React, { useEffect, useRef, useState } from "react";
+import Cube3D from "../cube/Cube3D";
+import { formatTime } from "../timer/solveTimer";
+import { DEFAULT_RELAY_URL, RACE_PHASES } from "./raceProtocol";
+
+/*
+  Head-to-head races against players in the same relay room.
+  Join a room, draw a scramble for everyone ("New round"), scramble your
+  cube (the scramble panel guides you; the app reports "ready" once it
+  matches), then race after the countdown. Every opponent gets a Cube3D
+  mirroring their live moves. `client` is a race client (see raceClient.js),
+  `state` its latest snapshot, `getFacelets()` my cube state for joining.
+*/
+export default function RacePanel({ client, state, getFacelets }) {
+  const [url, setUrl] = useState(DEFAULT_RELAY_URL);
+  const [room, setRoom] = useState("");
+  const [name, setName] = useState("");
+  const connected = state.status === "connected";
+  const opponents = state.players.filter((p) => p.id !== state.playerId);
+  const me = state.players.find((p) => p.id === state.playerId);
+
+  const handleJoin = (e) => {
+    e.preventDefault();
+    if (room.trim()) client.join(url.trim(), room.trim(), name.trim(), getFacelets());
+  };
+
+  return (
+    <div className="race-panel">
+      <div className="race-header">
+        <strong>Race</strong>
+        {connected && (
+          <>
+            <span className="race-room">Room “{state.room}”</span>
+            <button
+              className="control-button"
+              onClick={client.newRound}
+              disabled={state.phase !== RACE_PHASES.LOBBY || opponents.length === 0}
+            >
+              New round
+            </button>
+            {state.phase === RACE_PHASES.RACING && me && me.racing && !state.result && (
+              <button className="control-button" onClick={client.giveUp}>
+                Give up
+              </button>
+            )}
+            <button className="control-button" onClick={client.leave}>
+              Leave
+            </button>
+          </>
+        )}
+      </div>
+
+      {!connected && (
+        <form className="race-join" onSubmit={handleJoin}>
+          <input value={url} onChange={(e) => setUrl(e.target.value)} placeholder="Relay URL" />
+          <input value={room} onChange={(e) => setRoom(e.target.value)} placeholder="Room" />
+          <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Your name" />
+          <button type="submit" className="btn" disabled={state.status === "connecting" || !room.trim()}>
+            {state.status === "connecting" ? "Joining…" : "Join"}
+          </button>
+        </form>
+      )}
+      {state.error && <div className="algorithm-error">{state.error}</div>}
+
+      {connected && (
+        <>
+          <RaceStatus state={state} me={me} />
+          <div className="race-opponents">
+            {opponents.map((player) => (
+              <OpponentCube key={player.id} client={client} player={player} />
+            ))}
+            {!opponents.length && <div className="trainer-hint">Waiting for someone to join this room…</div>}
+          </div>
+          {state.rounds.length > 0 && <RaceResults rounds={state.rounds} playerId={state.playerId} />}
+        </>
+      )}
+    </div>
+  );
+}
+
+function RaceStatus({ state, me }) {
+  const [, setTick] = useState(0);
+  useEffect(() => {
+    if (state.phase !== RACE_PHASES.COUNTDOWN && state.phase !== RACE_PHASES.RACING) return undefined;
+    const id = setInterval(() => setTick((t) => t + 1), 100);
+    return () => clearInterval(id);
+  }, [state.phase]);
+
+  if (state.phase === RACE_PHASES.SCRAMBLING) {
+    return (
+      <div className="race-status">
+        Round {state.round}: {me && me.racing ? (me.ready ? "ready, waiting for the others…" : "scramble your cube") : "watching"}
+      </div>
+    );
+  }
+  if (state.phase === RACE_PHASES.COUNTDOWN) {
+    const seconds = Math.max(0, Math.ceil((state.countdownEndsAt - Date.now()) / 1000));
+    return <div className="race-status race-countdown">{seconds || "Go!"}</div>;
+  }
+  if (state.phase === RACE_PHASES.RACING) {
+    const elapsed = state.result ? state.result.time : Date.now() - state.goAt;
+    return (
+      <div className="race-status race-countdown">
+        {state.result && state.result.dnf ? "DNF" : formatTime(elapsed)}
+        {state.result && <small> — waiting for the others</small>}
+      </div>
+    );
+  }
+  return null;
+}
+
+// Mirrors one opponent's cube: their reported state, then each move they stream
+function OpponentCube({ client, player }) {
+  const cubeRef = useRef(null);
+  const initialFacelets = useRef(player.facelets);
+
+  useEffect(() => {
+    if (cubeRef.current) cubeRef.current.setState(initialFacelets.current);
+    return client.subscribeToOpponents((event) => {
+      const cube = cubeRef.current;
+      if (event.playerId !== player.id || !cube) return;
+      if (event.type === "state") cube.setState(event.facelets);
+      else cube.enqueueMove(event.move);
+    });
+  }, [client, player.id]);
+
+  return (
+    <div className="race-opponent">
+      <div className="race-opponent-name">
+        {player.name}
+        {player.racing && player.ready && !player.result && <small> ready</small>}
+        {player.result && <small> {player.result.dnf ? "DNF" : formatTime(player.result.time)}</small>}
+      </div>
+      <Cube3D ref={cubeRef} autoRotate={false} />
+    </div>
+  );
+}
+
+function RaceResults({ rounds, playerId }) {
+  return (
+    <table className="race-results">
+      <thead>
+        <tr>
+          <th>Round</th>
+          <th>Scramble</th>
+          <th>Results</th>
+        </tr>
+      </thead>
+      <tbody>
+        {[...rounds].reverse().map(({ round, scramble, results }) => (
+          <tr key={round}>
+            <td>{round}</td>
+            <td className="race-scramble">{scramble}</td>
+            <td>
+              {results.map((r, i) => (
+                <span key={r.playerId} className={"race-result" + (r.playerId === playerId ? " mine" : "")}>
+                  {i + 1}. {r.name} {r.dnf ? "DNF" : formatTime(r.time)}
+                </span>
+              ))}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
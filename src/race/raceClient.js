@@ -0,0 +1,191 @@
+// Browser side of a race: one WebSocket to the relay (see raceProtocol.js)
+//
+// This module exports:
+// - createRaceClient({ createSocket, now }) => client
+//     client.join(url, room, name, facelets)  connect and enter a room; `facelets` is my cube now
+//     client.leave()
+//     client.newRound() / client.ready(facelets) / client.sendState(facelets)
+//     client.handleMove(notation, { solved })  streams my moves; while racing,
+//                                              a solved cube finishes my round
+//     client.giveUp()                          DNF for this round
+//     client.getState() / client.subscribe(listener)
+//     client.subscribeToOpponents(listener)    { type: "state" | "move", playerId, facelets | move }
+//
+// State: { status, error, room, playerId, players, phase, round, scramble,
+// countdownEndsAt, goAt, result, lastResults, rounds }; status is
+// "disconnected" | "connecting" | "connected". My solve time runs from the
+// moment "go" arrives to the move that solves the cube, on this machine's clock.
+// `result` is my result once the relay has accepted it (it may answer "finish"
+// with an error instead, e.g. when it saw a move that never reached the app).
+
+import { RACE_PHASES, encodeMessage, parseMessage } from "./raceProtocol.js";
+
+const INITIAL_STATE = {
+  status: "disconnected",
+  error: null,
+  room: null,
+  playerId: null,
+  players: [],
+  phase: RACE_PHASES.LOBBY,
+  round: 0,
+  scramble: null,
+  countdownEndsAt: null,
+  goAt: null,
+  result: null,
+  lastResults: null,
+  rounds: [],
+};
+
+export function createRaceClient({ createSocket = (url) => new WebSocket(url), now = Date.now } = {}) {
+  let socket = null;
+  let state = { ...INITIAL_STATE };
+  let listeners = [];
+  let opponentListeners = [];
+
+  function update(patch) {
+    state = { ...state, ...patch };
+    listeners.forEach((l) => l(state));
+  }
+
+  function emitOpponent(event) {
+    opponentListeners.forEach((l) => l(event));
+  }
+
+  function send(message) {
+    if (socket && state.status === "connected") socket.send(encodeMessage(message));
+  }
+
+  function handleMessage(message) {
+    switch (message.type) {
+      case "welcome":
+        update({
+          status: "connected",
+          error: null,
+          room: message.room,
+          playerId: message.playerId,
+          players: message.players,
+          phase: message.phase,
+          round: message.round,
+          scramble: message.scramble,
+          rounds: message.rounds,
+        });
+        break;
+      case "players": {
+        const me = message.players.find((p) => p.id === state.playerId);
+        update({ players: message.players, result: (me && me.result) || null });
+        break;
+      }
+      case "round":
+        update({
+          phase: RACE_PHASES.SCRAMBLING,
+          round: message.round,
+          scramble: message.scramble,
+          countdownEndsAt: null,
+          goAt: null,
+          result: null,
+        });
+        break;
+      case "countdown":
+        update({ phase: RACE_PHASES.COUNTDOWN, countdownEndsAt: now() + message.startsIn });
+        break;
+      case "go":
+        update({ phase: RACE_PHASES.RACING, countdownEndsAt: null, goAt: now() });
+        break;
+      case "state":
+        emitOpponent({ type: "state", playerId: message.playerId, facelets: message.facelets });
+        break;
+      case "move":
+        emitOpponent({ type: "move", playerId: message.playerId, move: message.move });
+        break;
+      case "results": {
+        const entry = { round: message.round, scramble: message.scramble, results: message.results };
+        update({ phase: RACE_PHASES.LOBBY, lastResults: entry, rounds: [...state.rounds, entry] });
+        break;
+      }
+      case "error":
+        update({ error: message.message });
+        break;
+      default:
+        break;
+    }
+  }
+
+  function join(url, room, name, facelets) {
+    leave();
+    update({ ...INITIAL_STATE, status: "connecting" });
+    let ws;
+    try {
+      ws = createSocket(url);
+    } catch (err) {
+      update({ status: "disconnected", error: err.message });
+      return;
+    }
+    socket = ws;
+    ws.onopen = () => {
+      ws.send(encodeMessage({ type: "join", room, name }));
+    };
+    ws.onmessage = (event) => {
+      if (socket !== ws) return;
+      const message = parseMessage(event.data);
+      if (!message) return;
+      handleMessage(message);
+      if (message.type === "welcome" && facelets) send({ type: "state", facelets });
+    };
+    ws.onerror = () => {
+      if (socket === ws) update({ error: `Cannot reach the race relay at ${url}` });
+    };
+    ws.onclose = () => {
+      if (socket !== ws) return;
+      socket = null;
+      update({ status: "disconnected" });
+    };
+  }
+
+  function leave() {
+    if (!socket) return;
+    const ws = socket;
+    socket = null;
+    ws.close();
+    update({ ...INITIAL_STATE });
+  }
+
+  function finish(result) {
+    if (state.phase !== RACE_PHASES.RACING || state.result || !isRacing()) return;
+    send({ type: "finish", ...result });
+  }
+
+  function isRacing() {
+    const me = state.players.find((p) => p.id === state.playerId);
+    return Boolean(me && me.racing);
+  }
+
+  function handleMove(notation, { solved = false } = {}) {
+    if (state.status !== "connected") return;
+    const racing = state.phase === RACE_PHASES.RACING && state.goAt != null;
+    send({ type: "move", move: notation, time: racing ? now() - state.goAt : null });
+    if (racing && solved) finish({ time: now() - state.goAt, dnf: false });
+  }
+
+  return {
+    join,
+    leave,
+    newRound: () => send({ type: "newRound" }),
+    ready: (facelets) => send({ type: "ready", facelets }),
+    sendState: (facelets) => send({ type: "state", facelets }),
+    handleMove,
+    giveUp: () => finish({ time: null, dnf: true }),
+    getState: () => state,
+    subscribe(listener) {
+      listeners.push(listener);
+      return () => {
+        listeners = listeners.filter((l) => l !== listener);
+      };
+    },
+    subscribeToOpponents(listener) {
+      opponentListeners.push(listener);
+      return () => {
+        opponentListeners = opponentListeners.filter((l) => l !== listener);
+      };
+    },
+  };
+}
@@ -0,0 +1,56 @@
+// Messages between race clients and the relay (server/raceRelay.js), shared by both sides
+//
+// This module exports:
+// - DEFAULT_RELAY_PORT / DEFAULT_RELAY_URL: the relay listens on localhost:8787
+// - COUNTDOWN_MS: countdown between "everyone scrambled" and "go"
+// - RACE_PHASES: lobby -> scrambling -> countdown -> racing -> lobby
+// - encodeMessage(message) / parseMessage(data) => message | null
+// - rankResults(results) => results sorted fastest first, DNFs last
+//
+// Client -> relay:
+//   { type: "join", room, name }         first message; creates the room if needed
+//   { type: "newRound" }                 lobby only: draw a scramble for everyone in the room
+//   { type: "ready", facelets }          my cube matches the scramble
+//   { type: "state", facelets }          my cube's whole state (after joining, resyncs)
+//   { type: "move", move, time }         a turn; `time` is ms since "go" while racing
+//   { type: "finish", time, dnf }        solved (or gave up) this round
+// Relay -> client:
+//   { type: "welcome", room, playerId, players, phase, round, scramble, rounds }
+//   { type: "players", players }         [{ id, name, ready, racing, result, facelets }]
+//   { type: "round", round, scramble }   everyone scrambles; racing = players in the room now
+//   { type: "countdown", startsIn }      ms until "go"
+//   { type: "go" }
+//   { type: "state", playerId, facelets } / { type: "move", playerId, move, time }
+//   { type: "results", round, scramble, results }  [{ playerId, name, time, dnf, moves }], ranked
+//   { type: "error", message }
+
+export const DEFAULT_RELAY_PORT = 8787;
+export const DEFAULT_RELAY_URL = `ws://localhost:${DEFAULT_RELAY_PORT}`;
+export const COUNTDOWN_MS = 3000;
+
+export const RACE_PHASES = {
+  LOBBY: "lobby",
+  SCRAMBLING: "scrambling",
+  COUNTDOWN: "countdown",
+  RACING: "racing",
+};
+
+export function encodeMessage(message) {
+  return JSON.stringify(message);
+}
+
+export function parseMessage(data) {
+  try {
+    const message = JSON.parse(typeof data === "string" ? data : String(data));
+    return message && typeof message.type === "string" ? message : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+export function rankResults(results) {
+  return [...results].sort((a, b) => {
+    if (a.dnf !== b.dnf) return a.dnf ? 1 : -1;
+    return (a.time ?? Infinity) - (b.time ?? Infinity);
+  });
+}
@@ -0,0 +1,188 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import Cube3D from "../cube/Cube3D";
+import { getSequenceStates } from "../cube/cubeState";
+import { puzzleSizeOf } from "../cube/faceletGeometry";
+import { analyzeCfop } from "../analysis/cfop";
+import { formatTime } from "../timer/solveTimer";
+import { advanceCursor, cursorAtIndex, cursorAtTime } from "./replayCursor";
+
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+// Replayed turns never animate slower than live ones
+const MAX_QUARTER_TURN_MS = 300;
+
+/*
+  Plays back a recorded solve on its own Cube3D.
+  The cursor holds the shown move index and the clock position in ms (see
+  replayCursor.js): stepping and jumping set the index, scrubbing and
+  playing move the clock. Moving forward by one move animates it, anything
+  else (scrubbing, stepping back, jumping) sets the state instantly from
+  states precomputed with getSequenceStates().
+  `solve` is a history record ({ moves: [{ move, time }], startFacelets, scramble }).
+*/
+export default function ReplayPlayer({ solve }) {
+  const cubeRef = useRef(null);
+  const shownIndexRef = useRef(0);
+  const [cursor, setCursor] = useState({ index: 0, position: 0 });
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  const moves = solve.moves || [];
+  const states = useMemo(
+    () => getSequenceStates({ moves, startFacelets: solve.startFacelets, scramble: solve.scramble }),
+    [solve]
+  );
+  const analysis = useMemo(
+    () => analyzeCfop({ moves, startFacelets: solve.startFacelets, scramble: solve.scramble }),
+    [solve]
+  );
+  const duration = moves.length ? moves[moves.length - 1].time : 0;
+  const { index: currentIndex, position } = cursor;
+
+  // Bring the rendered cube to `index`, animating a single step forward
+  const show = useCallback(
+    (index) => {
+      const cube = cubeRef.current;
+      if (!cube) return;
+      const shown = shownIndexRef.current;
+      if (index === shown) return;
+      if (index === shown + 1 && !cube.getQueueLength()) {
+        const gap = index < moves.length ? moves[index].time - moves[index - 1].time : MAX_QUARTER_TURN_MS;
+        cube.setAnimationSpeed(Math.min(MAX_QUARTER_TURN_MS, gap / speed));
+        cube.enqueueMove(moves[index - 1].move);
+      } else {
+        cube.setState(states[index]);
+      }
+      shownIndexRef.current = index;
+    },
+    [moves, states, speed]
+  );
+
+  // New solve: start from its first frame
+  useEffect(() => {
+    setPlaying(false);
+    setCursor({ index: 0, position: 0 });
+    shownIndexRef.current = 0;
+    if (cubeRef.current) cubeRef.current.setState(states[0]);
+  }, [states]);
+
+  useEffect(() => {
+    show(currentIndex);
+  }, [currentIndex, show]);
+
+  // Advance the clock while playing
+  useEffect(() => {
+    if (!playing) return undefined;
+    let frame = null;
+    let last = performance.now();
+    const tick = (now) => {
+      const dt = (now - last) * speed;
+      last = now;
+      setCursor((c) => advanceCursor(c, moves, dt));
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [playing, speed, moves]);
+
+  const atEnd = currentIndex === moves.length && position >= duration;
+  useEffect(() => {
+    if (playing && atEnd) setPlaying(false);
+  }, [playing, atEnd]);
+
+  const seekIndex = (index) => {
+    setPlaying(false);
+    setCursor(cursorAtIndex(moves, index));
+  };
+
+  const togglePlay = () => {
+    if (!playing && atEnd) setCursor(cursorAtIndex(moves, 0));
+    setPlaying(!playing);
+  };
+
+  const boundaries = analysis.steps.map((s) => s.endIndex);
+  const previousBoundary = [...boundaries].reverse().find((b) => b < currentIndex);
+  const nextBoundary = boundaries.find((b) => b > currentIndex);
+  const currentStep = analysis.steps.find((s) => currentIndex <= s.endIndex && s.endIndex > 0);
+
+  if (!moves.length) {
+    return <div className="replay-empty">No moves recorded for this solve.</div>;
+  }
+
+  return (
+    <div className="replay-player">
+      <div className="replay-cube">
+        <Cube3D ref={cubeRef} size={puzzleSizeOf(states[0])} autoRotate={false} />
+      </div>
+
+      <div className="replay-timeline">
+        <input
+          type="range"
+          min={0}
+          max={duration}
+          step={1}
+          value={position}
+          onChange={(e) => {
+            setPlaying(false);
+            setCursor(cursorAtTime(moves, Number(e.target.value)));
+          }}
+        />
+        <div className="replay-marks">
+          {analysis.steps.map((s) => (
+            <button
+              key={s.id}
+              className="replay-mark"
+              style={{ left: `${(100 * s.endTime) / (duration || 1)}%` }}
+              title={`${s.label} ${formatTime(s.endTime)}`}
+              onClick={() => seekIndex(s.endIndex)}
+            />
+          ))}
+        </div>
+      </div>
+
+      <div className="replay-status">
+        <span className="replay-clock">
+          {formatTime(Math.round(position))} / {formatTime(duration)}
+        </span>
+        <span>
+          move {currentIndex}/{moves.length}
+          {currentIndex > 0 ? ` (${moves[currentIndex - 1].move})` : ""}
+        </span>
+        {currentStep && <span>{currentStep.label}</span>}
+      </div>
+
+      <div className="replay-controls">
+        <button className="control-button" onClick={() => seekIndex(previousBoundary ?? 0)} title="Previous step">
+          ⏮
+        </button>
+        <button className="control-button" onClick={() => seekIndex(currentIndex - 1)} title="Previous move">
+          ◀
+        </button>
+        <button className="btn" onClick={togglePlay}>
+          {playing ? "Pause" : "Play"}
+        </button>
+        <button className="control-button" onClick={() => seekIndex(currentIndex + 1)} title="Next move">
+          ▶
+        </button>
+        <button
+          className="control-button"
+          onClick={() => seekIndex(nextBoundary ?? moves.length)}
+          title="Next step"
+        >
+          ⏭
+        </button>
+        <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))}>
+          {SPEEDS.map((s) => (
+            <option key={s} value={s}>
+              {s}×
+            </option>
+          ))}
+        </select>
+        {analysis.steps.map((s) => (
+          <button key={s.id} className="control-button" onClick={() => seekIndex(s.endIndex)}>
+            {s.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+// Replay position: which move is shown and where the clock is
+//
+// This module exports:
+// - indexAtTime(moves, time) => number of moves recorded at or before `time`
+// - timeOfIndex(moves, index) => time of the last move shown at `index` (0 for the start)
+// - cursorAtIndex(moves, index) => cursor at a move, clamped to [0, moves.length]
+// - cursorAtTime(moves, time) => cursor at a clock position (scrubbing)
+// - advanceCursor(cursor, moves, dt) => cursor `dt` ms later (playing)
+//
+// A cursor is { index, position }: `index` moves are shown and the clock reads
+// `position` ms. The two are kept apart because the clock alone can't name
+// every move: the first move is recorded at 0 ms, so the scrambled start
+// (index 0) has no time of its own, and moves sharing a timestamp would all
+// land on the last of them. Stepping sets the index and moves the clock to
+// match; scrubbing and playing set the clock and derive the index from it.
+// `moves` is the timer's move list [{ move, time }], ordered by time.
+
+export function indexAtTime(moves, time) {
+  let i = 0;
+  while (i < moves.length && moves[i].time <= time) i++;
+  return i;
+}
+
+export function timeOfIndex(moves, index) {
+  return index === 0 ? 0 : moves[index - 1].time;
+}
+
+export function cursorAtIndex(moves, index) {
+  const clamped = Math.max(0, Math.min(moves.length, index));
+  return { index: clamped, position: timeOfIndex(moves, clamped) };
+}
+
+export function cursorAtTime(moves, time) {
+  return { index: indexAtTime(moves, time), position: time };
+}
+
+export function advanceCursor(cursor, moves, dt) {
+  const duration = moves.length ? moves[moves.length - 1].time : 0;
+  return cursorAtTime(moves, Math.min(duration, cursor.position + dt));
+}
@@ -0,0 +1,51 @@
+import React from "react";
+
+/*
+  Shows the current scramble with the next move highlighted, any correction
+  moves needed after a mistake, and a "ready" marker once the cube matches.
+  `state` is a scramble tracker snapshot (see scrambleTracker.js).
+*/
+export default function ScramblePanel({ state, preparing = false, onNewScramble }) {
+  return (
+    <div className="scramble-panel">
+      <div className="scramble-header">
+        <strong>Scramble</strong>
+        <button className="control-button" onClick={onNewScramble} disabled={preparing}>
+          {preparing ? "Preparing scrambler…" : "New scramble"}
+        </button>
+        {state && state.ready && <span className="scramble-ready">Ready — cube matches the scramble</span>}
+      </div>
+
+      {state && (
+        <>
+          <div className="scramble-moves">
+            {state.scrambleMoves.map((m, i) => (
+              <span
+                key={i}
+                className={
+                  "scramble-move" +
+                  (i < state.progress ? " done" : "") +
+                  (i === state.progress && !state.corrections.length && !state.ready ? " next" : "")
+                }
+              >
+                {i === state.progress && state.nextMove && !state.corrections.length ? state.nextMove : m}
+              </span>
+            ))}
+          </div>
+          {state.corrections.length > 0 && (
+            <div className="scramble-correction">
+              {state.replanned ? "Off track — follow instead: " : "Undo with: "}
+              {state.plan
+                .filter((m) => m.correction)
+                .map((m, i) => (
+                  <span key={i} className={"scramble-move" + (i === 0 ? " next" : "")}>
+                    {m.move}
+                  </span>
+                ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+// Guided "scramble-to-state" tracker
+//
+// Follows the moves coming from the cube and keeps a plan of the moves still
+// needed to reach the scrambled state:
+// - a move matching the next planned face consumes it (R then R completes R2,
+//   R' against a planned R leaves R2)
+// - any other move pushes its inverse to the front of the plan as a correction
+// - when the corrections pile up past `maxCorrection`, the rest of the plan is
+//   recomputed with the two-phase solver (shortest way to the target state)
+// The tracker is "ready" once the cube state equals the scrambled state.
+// With `relative`, the target is the scramble applied to `startFacelets`
+// rather than to a solved cube (e.g. setting up a case on top of whatever the
+// last layer looks like).
+//
+// This module exports:
+// - createScrambleTracker({ scramble, startFacelets, relative, solve, maxCorrection }) => tracker
+//     tracker.handleMove(notation) / tracker.getState() / tracker.subscribe(listener)
+
+import Cube from "cubejs";
+import { formatMove, normalizeAmount, parseAlgorithm, parseMove } from "../cube/notation.js";
+import { toCubejsAlgorithm, toCubejsMove } from "../cube/cubeState.js";
+import { isScramblerReady, solveToScramble } from "./scrambler.js";
+
+const SOLVED = new Cube().asString();
+
+export function createScrambleTracker({
+  scramble,
+  startFacelets = SOLVED,
+  relative = false,
+  solve = (facelets, alg) => (isScramblerReady() ? solveToScramble(facelets, alg) : null),
+  maxCorrection = 4,
+} = {}) {
+  const scrambleMoves = parseAlgorithm(scramble);
+  const target = (relative ? Cube.fromString(startFacelets) : new Cube()).move(toCubejsAlgorithm(scrambleMoves)).asString();
+  const current = Cube.fromString(startFacelets);
+  let listeners = [];
+  let replanned = false;
+  let plan;
+
+  if (relative || startFacelets === SOLVED) {
+    plan = scrambleMoves.map((m, index) => ({ ...m, index, correction: false }));
+  } else {
+    // Cube not solved at the start: go straight to the scrambled state
+    plan = planFromSolver();
+  }
+
+  function planFromSolver() {
+    const path = solve(current.asString(), scrambleMoves);
+    if (path == null) return [];
+    replanned = true;
+    return parseAlgorithm(path).map((m) => ({ ...m, index: -1, correction: true }));
+  }
+
+  function isReady() {
+    return current.asString() === target;
+  }
+
+  function handleMove(notation) {
+    const move = typeof notation === "string" ? parseMove(notation) : notation;
+    if (!move || isReady()) return;
+    current.move(toCubejsMove(move));
+
+    const next = plan[0];
+    if (next && next.family === move.family) {
+      const remaining = normalizeAmount(next.amount - move.amount);
+      if (remaining === 0) plan.shift();
+      else plan[0] = { ...next, amount: remaining };
+    } else {
+      plan.unshift({ family: move.family, amount: -move.amount, index: -1, correction: true, mistake: true });
+    }
+
+    let mistakes = 0;
+    while (mistakes < plan.length && plan[mistakes].mistake) mistakes++;
+    if (mistakes > maxCorrection) {
+      const solved = planFromSolver();
+      if (solved.length || isReady()) plan = solved;
+    }
+    if (isReady()) plan = [];
+    emit();
+  }
+
+  function getState() {
+    const nextScramble = plan.find((m) => !m.correction);
+    return {
+      scramble: scrambleMoves.map(formatMove).join(" "),
+      scrambleMoves: scrambleMoves.map(formatMove),
+      // index of the first scramble move not yet completed
+      progress: replanned ? scrambleMoves.length : nextScramble ? nextScramble.index : scrambleMoves.length,
+      plan: plan.map((m) => ({ move: formatMove(m), correction: m.correction })),
+      nextMove: plan.length ? formatMove(plan[0]) : null,
+      corrections: plan.filter((m) => m.correction).map(formatMove),
+      replanned,
+      ready: isReady(),
+      targetFacelets: target,
+    };
+  }
+
+  function emit() {
+    const snapshot = getState();
+    listeners.forEach((l) => l(snapshot));
+  }
+
+  function subscribe(listener) {
+    listeners.push(listener);
+    return () => {
+      listeners = listeners.filter((l) => l !== listener);
+    };
+  }
+
+  return { handleMove, getState, subscribe };
+}
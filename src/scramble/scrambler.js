@@ -0,0 +1,70 @@
+// Random-state 3x3 scrambles using the Kociemba two-phase solver bundled with cubejs
+// Reference: https://github.com/ldez/cubejs (solve.js)
+//
+// This module exports:
+// - initScrambler() => Promise<void>   builds the solver tables once (takes a few seconds)
+// - isScramblerReady() => boolean
+// - generateScramble() => { scramble, moves, facelets }
+// - solveToScramble(facelets, scramble) => algorithm taking the cube state
+//   `facelets` to the state reached by applying `scramble` to a solved cube
+//
+// A random-state scramble is the inverse of the solution of a uniformly random
+// cube, so every legal state is equally likely (as required by WCA 4b3).
+
+import Cube from "cubejs";
+import { formatMove, parseAlgorithm } from "../cube/notation.js";
+import { toCubejsAlgorithm } from "../cube/cubeState.js";
+
+let solverReady = false;
+let initPromise = null;
+
+// Scrambles this short are rejected, like WCA's "at least 2 moves away from solved" filter
+const MIN_SCRAMBLE_MOVES = 2;
+
+export function isScramblerReady() {
+  return solverReady;
+}
+
+export function initScrambler() {
+  if (!initPromise) {
+    // Yield first so callers can render a "preparing" state before the
+    // synchronous table computation blocks the thread.
+    initPromise = new Promise((resolve) => setTimeout(resolve, 0)).then(() => {
+      Cube.initSolver();
+      solverReady = true;
+    });
+  }
+  return initPromise;
+}
+
+function requireSolver() {
+  if (!solverReady) throw new Error("Scrambler not initialized; await initScrambler() first");
+}
+
+export function generateScramble() {
+  requireSolver();
+  let solution = "";
+  do {
+    solution = Cube.random().solve();
+  } while (solution.trim().split(/\s+/).filter(Boolean).length < MIN_SCRAMBLE_MOVES);
+  const moves = parseAlgorithm(Cube.inverse(solution));
+  return {
+    scramble: moves.map(formatMove).join(" "),
+    moves,
+    facelets: new Cube().move(toCubejsAlgorithm(moves)).asString(),
+  };
+}
+
+/*
+  Shortest (two-phase) sequence X with C·X = T, where C is the cube described
+  by `facelets` and T = solved·scramble. X solves T⁻¹·C, and T⁻¹ is just the
+  inverted scramble, so no state inversion is needed.
+*/
+export function solveToScramble(facelets, scramble) {
+  requireSolver();
+  const target = toCubejsAlgorithm(scramble);
+  const cube = new Cube();
+  if (target) cube.move(Cube.inverse(target));
+  cube.multiply(Cube.fromString(facelets));
+  return cube.isSolved() ? "" : cube.solve();
+}
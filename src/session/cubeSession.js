@@ -0,0 +1,127 @@
+// One cube session: the puzzle's logical state, its event bus and the plugins following it
+//
+// This module exports:
+// - createCubeSession({ size, facelets, bus }) => session
+//     session.bus                              see eventBus.js
+//     session.applyMove(move, event) => normalized notation, null if the move cannot be applied;
+//       emits "move" (and "solved" when it solves the cube)
+//     session.applyAlgorithm(algorithm) => true if applied; emits "state" (reason "algorithm")
+//     session.getState() / session.getPuzzleSize() / session.isSolved()
+//     session.getStateBefore(algorithm)        facelets before `algorithm` was applied
+//     session.setState(facelets, reason = "set")  its length picks the puzzle size
+//     session.setPuzzleSize(size) / session.reset()   solved puzzle; emit "state"
+//     session.use(plugin) => unmount           plugin: { name, mount(session) => cleanup }
+//     session.unmount(name) / session.getPlugins() => names / session.dispose()
+// - connectionCallbacks(session) => options for createCubeConnection() that feed the session
+//
+// Every feature following the cube (renderer, timer, trainer, recorder...) is
+// a plugin subscribing to the bus, mounted and unmounted on its own; mounting
+// a plugin under a name already in use replaces the old one. Several sessions
+// can live side by side (e.g. a second cube, a replay), each with its own state.
+
+import { createEventBus, CUBE_EVENTS } from "./eventBus.js";
+import { puzzleSizeOf } from "../cube/faceletGeometry.js";
+import { createNxNCube } from "../cube/nxnCube.js";
+import { getCubeNotation } from "../cube/cubeState.js";
+import { formatMove, invertAlgorithm, parseAlgorithm, parseMove } from "../cube/notation.js";
+
+export function createCubeSession({ size = 3, facelets = null, bus = createEventBus() } = {}) {
+  let cube = facelets ? createNxNCube(puzzleSizeOf(facelets), facelets) : createNxNCube(size);
+  const plugins = new Map(); // name => { cleanup }
+
+  function replaceState(next, reason, moves = []) {
+    cube = next;
+    bus.emit(CUBE_EVENTS.STATE, { facelets: cube.asString(), size: cube.size, reason, moves });
+  }
+
+  function applyMove(move, event = {}) {
+    const notation = typeof move === "string" ? getCubeNotation(move) : formatMove(move);
+    const wasSolved = cube.isSolved();
+    if (!parseMove(notation)) {
+      console.warn("Not a single move:", move);
+      return null;
+    }
+    try {
+      // on a copy, so a move the puzzle lacks changes nothing
+      cube = cube.clone().move(notation);
+    } catch (e) {
+      console.warn("Failed to apply move to the cube state:", move, e);
+      return null;
+    }
+    const facelets = cube.asString();
+    const solved = cube.isSolved();
+    bus.emit(CUBE_EVENTS.MOVE, { source: "cube", ...event, move: notation, facelets, solved });
+    if (solved && !wasSolved) {
+      const { localTimestamp, cubeTimestamp } = event;
+      bus.emit(CUBE_EVENTS.SOLVED, { move: notation, facelets, localTimestamp, cubeTimestamp });
+    }
+    return notation;
+  }
+
+  function applyAlgorithm(algorithm) {
+    try {
+      const moves = parseAlgorithm(algorithm);
+      replaceState(cube.clone().move(moves), "algorithm", moves.map(formatMove));
+      return true;
+    } catch (e) {
+      console.warn("Failed to apply algorithm to the cube state:", algorithm, e);
+      return false;
+    }
+  }
+
+  function unmount(name) {
+    const mounted = plugins.get(name);
+    if (!mounted) return;
+    plugins.delete(name);
+    if (typeof mounted.cleanup === "function") mounted.cleanup();
+  }
+
+  const session = {
+    bus,
+    applyMove,
+    applyAlgorithm,
+    getState: () => cube.asString(),
+    getPuzzleSize: () => cube.size,
+    // Solved in any orientation (whole-cube rotations are ignored)
+    isSolved: () => cube.isSolved(),
+    getStateBefore: (algorithm) => cube.clone().move(invertAlgorithm(parseAlgorithm(algorithm))).asString(),
+    setState: (next, reason = "set") => replaceState(createNxNCube(puzzleSizeOf(next), next), reason),
+    setPuzzleSize: (next) => replaceState(createNxNCube(next), "size"),
+    reset: () => replaceState(createNxNCube(cube.size), "reset"),
+    use(plugin) {
+      if (!plugin || !plugin.name || typeof plugin.mount !== "function") {
+        throw new Error("A plugin needs a name and a mount(session) function");
+      }
+      unmount(plugin.name);
+      const mounted = { cleanup: plugin.mount(session) };
+      plugins.set(plugin.name, mounted);
+      return () => {
+        // only if it was not replaced in the meantime
+        if (plugins.get(plugin.name) === mounted) unmount(plugin.name);
+      };
+    },
+    unmount,
+    getPlugins: () => [...plugins.keys()],
+    dispose() {
+      [...plugins.keys()].forEach(unmount);
+    },
+  };
+  return session;
+}
+
+// Connection callbacks that apply the cube's moves to `session` and put
+// everything else it reports on the session's bus
+export function connectionCallbacks(session) {
+  const { bus } = session;
+  return {
+    onMove: (move, event) => session.applyMove(move, { ...event, source: "cube" }),
+    onFacelets: (facelets) => bus.emit(CUBE_EVENTS.FACELETS, { facelets }),
+    onResync: (facelets) => bus.emit(CUBE_EVENTS.RESYNC, { facelets }),
+    onOrientation: (quaternion) => bus.emit(CUBE_EVENTS.ORIENTATION, { quaternion }),
+    onBattery: (level) => bus.emit(CUBE_EVENTS.BATTERY, { level }),
+    onHardware: (info) => bus.emit(CUBE_EVENTS.HARDWARE, info),
+    onStateChange: (state) => bus.emit(CUBE_EVENTS.CONNECTION, { state }),
+    onStatus: (message) => bus.emit(CUBE_EVENTS.STATUS, { message }),
+    onMoveGap: (gap) => bus.emit(CUBE_EVENTS.MOVE_GAP, gap),
+  };
+}
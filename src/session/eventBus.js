@@ -0,0 +1,80 @@
+// Typed event bus for everything a cube session reports
+//
+// This module exports:
+// - CUBE_EVENTS: the event types and their payloads (below)
+// - createEventBus(types = every CUBE_EVENTS type) => bus
+//     bus.on(type, listener) => unsubscribe
+//     bus.once(type, listener) => unsubscribe
+//     bus.emit(type, payload)
+//     bus.listenerCount(type)
+//
+// Event types are checked: subscribing to or emitting an unknown type throws,
+// so a typo fails at once instead of never firing. A listener that throws is
+// logged and does not keep the others from running.
+//
+// Payloads (see cubeSession.js for who emits what):
+//   move         { move, facelets, solved, source, localTimestamp, cubeTimestamp, backfilled }
+//                after the move was applied; `move` is normalized notation,
+//                `source` "cube" | "keyboard" | ..., timestamps as decoded from the cube
+//   solved       { move, facelets, localTimestamp, cubeTimestamp }  a move left the cube solved
+//   state        { facelets, size, reason, moves }  the state was replaced: reason is
+//                "set" | "resync" | "scramble" | "reset" | "size" | "algorithm" (then `moves` were applied at once)
+//   facelets     { facelets }       state reported by the cube itself
+//   resync       { facelets }       first state reported after a reconnect
+//   orientation  { quaternion }     gyro quaternion { x, y, z, w } (sensor frame)
+//   battery      { level }          percent
+//   hardware     { hardwareName, hardwareVersion, softwareVersion, gyroSupported }
+//   connection   { state }          one of CONNECTION_STATES (../bluetooth/connection.js)
+//   status       { message }        human-readable connection progress
+//   moveGap      { missing, recovered }
+
+export const CUBE_EVENTS = {
+  MOVE: "move",
+  SOLVED: "solved",
+  STATE: "state",
+  FACELETS: "facelets",
+  RESYNC: "resync",
+  ORIENTATION: "orientation",
+  BATTERY: "battery",
+  HARDWARE: "hardware",
+  CONNECTION: "connection",
+  STATUS: "status",
+  MOVE_GAP: "moveGap",
+};
+
+export function createEventBus(types = Object.values(CUBE_EVENTS)) {
+  const listeners = new Map(types.map((type) => [type, []]));
+
+  function listenersOf(type) {
+    if (!listeners.has(type)) throw new Error(`Unknown event type: ${type}`);
+    return listeners.get(type);
+  }
+
+  function on(type, listener) {
+    listenersOf(type).push(listener);
+    return () => {
+      listeners.set(type, listenersOf(type).filter((l) => l !== listener));
+    };
+  }
+
+  function once(type, listener) {
+    const unsubscribe = on(type, (payload) => {
+      unsubscribe();
+      listener(payload);
+    });
+    return unsubscribe;
+  }
+
+  function emit(type, payload = {}) {
+    // a copy: listeners may unsubscribe while we go through them
+    [...listenersOf(type)].forEach((listener) => {
+      try {
+        listener(payload);
+      } catch (e) {
+        console.warn(`"${type}" listener error`, e);
+      }
+    });
+  }
+
+  return { on, once, emit, listenerCount: (type) => listenersOf(type).length };
+}
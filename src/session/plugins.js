@@ -0,0 +1,78 @@
+// Session plugins for the app's features (see cubeSession.js for the plugin API)
+//
+// This module exports:
+// - rendererPlugin(getRenderer)        animates moves on a Cube3D, shows replaced states
+// - timerPlugin(timer)                 drives the solve timer (first move starts, solved stops)
+// - followerPlugin(name, getFollower)  hands each move to follower.handleMove(move, event):
+//                                      scramble tracker, trainer, solver guide...
+// - racePlugin(getRace)                streams moves and replaced states to race opponents
+//
+// Getters are read on every event, so a plugin can be mounted once while the
+// app swaps what it drives (any getter may return null).
+
+import { CUBE_EVENTS } from "./eventBus.js";
+
+export function rendererPlugin(getRenderer) {
+  return {
+    name: "renderer",
+    mount: ({ bus }) => {
+      const offMove = bus.on(CUBE_EVENTS.MOVE, ({ move }) => {
+        const renderer = getRenderer();
+        if (renderer) renderer.enqueueMove(move);
+      });
+      const offState = bus.on(CUBE_EVENTS.STATE, ({ facelets, reason, moves }) => {
+        const renderer = getRenderer();
+        // another puzzle: Cube3D rebuilds itself from its `size` prop
+        if (!renderer || reason === "size") return;
+        // an algorithm applied at once still animates
+        if (moves.length) renderer.enqueueSequence(moves);
+        else renderer.setState(facelets);
+      });
+      return () => {
+        offMove();
+        offState();
+      };
+    },
+  };
+}
+
+export function timerPlugin(timer) {
+  return {
+    name: "timer",
+    mount: ({ bus }) =>
+      bus.on(CUBE_EVENTS.MOVE, ({ move, solved, localTimestamp, cubeTimestamp }) => {
+        timer.handleMove(move, { localTimestamp, cubeTimestamp, solved });
+      }),
+  };
+}
+
+export function followerPlugin(name, getFollower) {
+  return {
+    name,
+    mount: ({ bus }) =>
+      bus.on(CUBE_EVENTS.MOVE, (event) => {
+        const follower = getFollower();
+        if (follower) follower.handleMove(event.move, event);
+      }),
+  };
+}
+
+export function racePlugin(getRace) {
+  return {
+    name: "race",
+    mount: ({ bus }) => {
+      const offMove = bus.on(CUBE_EVENTS.MOVE, ({ move, solved }) => {
+        const race = getRace();
+        if (race) race.handleMove(move, { solved });
+      });
+      const offState = bus.on(CUBE_EVENTS.STATE, ({ facelets }) => {
+        const race = getRace();
+        if (race) race.sendState(facelets);
+      });
+      return () => {
+        offMove();
+        offState();
+      };
+    },
+  };
+}
@@ -0,0 +1,95 @@
+import React, { useEffect, useRef, useState } from "react";
+import Cube3D from "../cube/Cube3D";
+
+/*
+  Solves the current cube and walks through the solution.
+  A small Cube3D plays the solution from the state it was found for; the
+  move list below follows the real cube, highlighting the next move and
+  any corrections after a mistake (the guide solves again when too many pile up).
+  `state` is a solve guide snapshot (see solveGuide.js), null before solving.
+*/
+export default function SolverPanel({ state, solving = false, error = null, onSolve, onStop }) {
+  const previewRef = useRef(null);
+  // State the shown solution starts from, taken when a (new) solution arrives
+  const [preview, setPreview] = useState(null);
+  const solutionKey = state ? `${state.resolves}|${state.solution}` : null;
+
+  useEffect(() => {
+    setPreview(state ? { facelets: state.facelets, solution: state.solution } : null);
+  }, [solutionKey]);
+
+  const playPreview = () => {
+    const cube = previewRef.current;
+    if (!cube || !preview) return;
+    cube.setState(preview.facelets);
+    if (preview.solution) cube.enqueueSequence(preview.solution);
+  };
+
+  useEffect(playPreview, [preview]);
+
+  return (
+    <div className="solver-panel">
+      <div className="solver-header">
+        <strong>Solver</strong>
+        <button className="control-button" onClick={onSolve} disabled={solving}>
+          {solving ? "Solving…" : state ? "Solve again" : "Solve"}
+        </button>
+        {state && (
+          <button className="control-button" onClick={onStop}>
+            Close
+          </button>
+        )}
+        {state && state.done && <span className="scramble-ready">Solved</span>}
+        {state && state.resolving && <span className="solver-note">Off track — finding a new solution…</span>}
+      </div>
+
+      {error && <div className="algorithm-error">{error}</div>}
+      {state && state.error && <div className="algorithm-error">{state.error}</div>}
+
+      {state && (
+        <div className="solver-body">
+          <div className="solver-preview">
+            <Cube3D ref={previewRef} autoRotate={false} />
+            <button className="control-button" onClick={playPreview} disabled={!preview || !preview.solution}>
+              Play again
+            </button>
+          </div>
+          <div className="solver-steps">
+            <div className="solver-note">
+              {state.solutionMoves.length
+                ? `${Math.min(state.progress, state.solutionMoves.length)} / ${state.solutionMoves.length} moves`
+                : "Already solved"}
+              {state.resolves > 0 && ` · new solution after ${state.resolves} detour${state.resolves > 1 ? "s" : ""}`}
+            </div>
+            <div className="scramble-moves">
+              {state.solutionMoves.map((m, i) => (
+                <span
+                  key={i}
+                  className={
+                    "scramble-move" +
+                    (i < state.progress ? " done" : "") +
+                    (i === state.progress && !state.corrections.length && !state.done ? " next" : "")
+                  }
+                >
+                  {i === state.progress && state.nextMove && !state.corrections.length ? state.nextMove : m}
+                </span>
+              ))}
+            </div>
+            {state.corrections.length > 0 && (
+              <div className="scramble-correction">
+                Undo with:{" "}
+                {state.plan
+                  .filter((m) => m.correction)
+                  .map((m, i) => (
+                    <span key={i} className={"scramble-move" + (i === 0 ? " next" : "")}>
+                      {m.move}
+                    </span>
+                  ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+// Move-by-move guide through a solver solution
+//
+// Works like the scramble tracker (../scramble/scrambleTracker.js):
+// - a move matching the next planned face consumes it (R then R completes R2,
+//   R' against a planned R leaves R2)
+// - any other move pushes its inverse to the front of the plan as a correction
+// - when the corrections pile up past `maxCorrection`, the cube is solved again
+//   from where it is and the new solution replaces the plan
+// The solver is asynchronous (it runs in a worker), so a re-solve answer is
+// dropped if the cube moved in the meantime, and asked again if still needed.
+// The guide is "done" once every face is one color.
+//
+// This module exports:
+// - createSolveGuide({ facelets, solution, solve, maxCorrection }) => guide
+//     solve(facelets) => Promise<algorithm>
+//     guide.handleMove(notation) / guide.getState() / guide.subscribe(listener)
+
+import { formatMove, normalizeAmount, parseAlgorithm, parseMove } from "../cube/notation.js";
+import { createNxNCube } from "../cube/nxnCube.js";
+
+export function createSolveGuide({ facelets, solution = "", solve = null, maxCorrection = 4 } = {}) {
+  const current = createNxNCube(3, facelets);
+  let listeners = [];
+  let solutionMoves = [];
+  let plan = [];
+  let resolves = 0;
+  let resolving = false;
+  let error = null;
+  // bumped on every move, so a late re-solve answer can tell it is stale
+  let version = 0;
+
+  function usePlan(algorithm) {
+    solutionMoves = parseAlgorithm(algorithm);
+    plan = solutionMoves.map((m, index) => ({ ...m, index, correction: false }));
+  }
+  usePlan(solution);
+
+  function countMistakes() {
+    let mistakes = 0;
+    while (mistakes < plan.length && plan[mistakes].mistake) mistakes++;
+    return mistakes;
+  }
+
+  function resolveIfLost() {
+    if (!solve || resolving || current.isSolved() || countMistakes() <= maxCorrection) return;
+    resolving = true;
+    const askedAt = version;
+    Promise.resolve()
+      .then(() => solve(current.asString()))
+      .then(
+        (algorithm) => {
+          resolving = false;
+          if (askedAt !== version) {
+            resolveIfLost();
+          } else {
+            usePlan(algorithm);
+            resolves++;
+            error = null;
+          }
+          emit();
+        },
+        (err) => {
+          resolving = false;
+          error = err.message;
+          emit();
+        }
+      );
+  }
+
+  function handleMove(notation) {
+    const move = typeof notation === "string" ? parseMove(notation) : notation;
+    if (!move || current.isSolved()) return;
+    current.move([move]);
+    version++;
+
+    const next = plan[0];
+    if (next && next.family === move.family) {
+      const remaining = normalizeAmount(next.amount - move.amount);
+      if (remaining === 0) plan.shift();
+      else plan[0] = { ...next, amount: remaining };
+    } else {
+      plan.unshift({ family: move.family, amount: -move.amount, index: -1, correction: true, mistake: true });
+    }
+
+    if (current.isSolved()) plan = [];
+    resolveIfLost();
+    emit();
+  }
+
+  function getState() {
+    const nextSolutionMove = plan.find((m) => !m.correction);
+    return {
+      solution: solutionMoves.map(formatMove).join(" "),
+      solutionMoves: solutionMoves.map(formatMove),
+      // index of the first solution move not yet completed
+      progress: nextSolutionMove ? nextSolutionMove.index : solutionMoves.length,
+      plan: plan.map((m) => ({ move: formatMove(m), correction: m.correction })),
+      nextMove: plan.length ? formatMove(plan[0]) : null,
+      corrections: plan.filter((m) => m.correction).map(formatMove),
+      resolves,
+      resolving,
+      error,
+      done: current.isSolved(),
+      facelets: current.asString(),
+    };
+  }
+
+  function emit() {
+    const snapshot = getState();
+    listeners.forEach((l) => l(snapshot));
+  }
+
+  function subscribe(listener) {
+    listeners.push(listener);
+    return () => {
+      listeners = listeners.filter((l) => l !== listener);
+    };
+  }
+
+  return { handleMove, getState, subscribe };
+}
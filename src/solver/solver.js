@@ -0,0 +1,51 @@
+// Two-phase (Kociemba) 3x3 solver on top of cubejs, shared by the worker and tests
+// Reference: https://github.com/ldez/cubejs (solve.js)
+//
+// This module exports:
+// - initSolver(): builds the pruning tables once (a few seconds; blocks the thread it runs on)
+// - solveFacelets(facelets, { maxDepth }) => algorithm ("" when already solved);
+//     throws with the reason when the state cannot be solved
+// - handleSolverMessage(message) => reply, the protocol spoken by ./solverWorker.js:
+//     { id, type: "init" }                    => { id, ready: true }
+//     { id, type: "solve", facelets, maxDepth } => { id, solution } | { id, error }
+//
+// Facelets are read relative to their centers (see faceletValidation.js), so
+// a cube turned with rotations or slices is solved in the orientation it is
+// held in: the solution only turns the six faces, like a smart cube reports.
+
+import Cube from "cubejs";
+import { findFaceletErrors, relabelByCenters } from "../cube/faceletValidation.js";
+
+// cubejs' default search depth: near-optimal (about 20 moves) in well under a second
+const DEFAULT_MAX_DEPTH = 22;
+
+let solverReady = false;
+
+export function initSolver() {
+  if (solverReady) return;
+  Cube.initSolver();
+  solverReady = true;
+}
+
+export function solveFacelets(facelets, { maxDepth = DEFAULT_MAX_DEPTH } = {}) {
+  const errors = findFaceletErrors(facelets);
+  if (errors.length) throw new Error(errors.join("; "));
+  const cube = Cube.fromString(relabelByCenters(facelets));
+  // the search does not stop at the solved state by itself
+  if (cube.isSolved()) return "";
+  initSolver();
+  return cube.solve(maxDepth).trim();
+}
+
+export function handleSolverMessage({ id, type, facelets, maxDepth } = {}) {
+  try {
+    if (type === "init") {
+      initSolver();
+      return { id, ready: true };
+    }
+    if (type === "solve") return { id, solution: solveFacelets(facelets, { maxDepth }) };
+    return { id, error: `Unknown solver request: ${type}` };
+  } catch (err) {
+    return { id, error: err.message };
+  }
+}
@@ -0,0 +1,63 @@
+// Page side of the solver worker: request/response over postMessage
+//
+// This module exports:
+// - createSolverClient({ createWorker }) => client
+//     client.init() => Promise<void>          builds the solver tables in the worker
+//     client.solve(facelets) => Promise<algorithm>  rejects with the reason the state is unsolvable
+//     client.terminate()                      stops the worker, rejecting pending requests
+//
+// The worker is started on the first request. `createWorker` is injectable so
+// tests can answer in-process with handleSolverMessage instead of a real Worker.
+
+function defaultCreateWorker() {
+  return new Worker(new URL("./solverWorker.js", import.meta.url), { type: "module" });
+}
+
+export function createSolverClient({ createWorker = defaultCreateWorker } = {}) {
+  let worker = null;
+  let nextId = 1;
+  const pending = new Map();
+
+  function rejectAll(error) {
+    pending.forEach(({ reject }) => reject(error));
+    pending.clear();
+  }
+
+  function getWorker() {
+    if (!worker) {
+      worker = createWorker();
+      worker.onmessage = (event) => {
+        const { id, error, ...reply } = event.data || {};
+        const request = pending.get(id);
+        if (!request) return;
+        pending.delete(id);
+        if (error) request.reject(new Error(error));
+        else request.resolve(reply);
+      };
+      worker.onerror = (event) => {
+        rejectAll(new Error(`Solver worker failed: ${event.message || "unknown error"}`));
+        worker.terminate();
+        worker = null;
+      };
+    }
+    return worker;
+  }
+
+  function request(message) {
+    return new Promise((resolve, reject) => {
+      const id = nextId++;
+      pending.set(id, { resolve, reject });
+      getWorker().postMessage({ ...message, id });
+    });
+  }
+
+  return {
+    init: () => request({ type: "init" }).then(() => undefined),
+    solve: (facelets) => request({ type: "solve", facelets }).then(({ solution }) => solution),
+    terminate() {
+      if (worker) worker.terminate();
+      worker = null;
+      rejectAll(new Error("Solver stopped"));
+    },
+  };
+}
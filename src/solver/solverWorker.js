@@ -0,0 +1,8 @@
+// Web Worker entry: runs the two-phase solver off the UI thread (see ./solver.js
+// for the messages it answers, and ./solverClient.js for the page side).
+
+import { handleSolverMessage } from "./solver.js";
+
+self.onmessage = (event) => {
+  self.postMessage(handleSolverMessage(event.data));
+};
@@ -0,0 +1,111 @@
+import React, { useEffect, useState } from "react";
+import { PHASES, INSPECTION_MS, PLUS_TWO_MS, DNF_MS, formatTime, inspectionPenalty } from "./solveTimer";
+
+/*
+  Timer display for a timer created with createSolveTimer().
+  - Smart cube: "Start inspection", then the first turn starts the clock and
+    solving the cube stops it.
+  - Keyboard: hold and release space to start inspection, release again to
+    start, press to stop.
+*/
+export default function TimerPanel({ timer, connected = false }) {
+  const [state, setState] = useState(() => timer.getState());
+  const [display, setDisplay] = useState(0);
+
+  useEffect(() => timer.subscribe(setState), [timer]);
+
+  // Refresh the display every frame while the clock is live
+  useEffect(() => {
+    let frame = null;
+    const tick = () => {
+      setDisplay(timer.elapsed());
+      if (state.phase === PHASES.INSPECTION || state.phase === PHASES.RUNNING) {
+        frame = requestAnimationFrame(tick);
+      }
+    };
+    tick();
+    return () => frame && cancelAnimationFrame(frame);
+  }, [timer, state.phase]);
+
+  useEffect(() => {
+    const isTyping = (e) => e.target && /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName);
+    const onDown = (e) => {
+      if (e.repeat || isTyping(e)) return;
+      if (timer.handleKeyDown(e.key)) e.preventDefault();
+    };
+    const onUp = (e) => {
+      if (isTyping(e)) return;
+      if (timer.handleKeyUp(e.key)) e.preventDefault();
+    };
+    window.addEventListener("keydown", onDown);
+    window.addEventListener("keyup", onUp);
+    return () => {
+      window.removeEventListener("keydown", onDown);
+      window.removeEventListener("keyup", onUp);
+    };
+  }, [timer]);
+
+  let main;
+  let hint;
+  if (state.phase === PHASES.INSPECTION && state.inspectionEnabled) {
+    const remaining = INSPECTION_MS - display;
+    const pending = inspectionPenalty(display);
+    main = pending || String(Math.max(0, Math.ceil(remaining / 1000)));
+    hint = connected ? "Inspecting — first turn starts the timer" : "Inspecting — release space to start";
+  } else if (state.phase === PHASES.INSPECTION) {
+    main = "Ready";
+    hint = "First turn starts the timer";
+  } else if (state.phase === PHASES.RUNNING) {
+    main = formatTime(display);
+    hint = connected ? "Solve the cube to stop" : "Press space to stop";
+  } else if (state.phase === PHASES.STOPPED && state.result) {
+    const { time, penalty } = state.result;
+    main = penalty === "DNF" ? `DNF (${formatTime(time)})` : formatTime(time + (penalty === "+2" ? PLUS_TWO_MS : 0));
+    if (penalty === "+2") main += "+";
+    hint = `${state.result.moves.length} moves, timed on ${state.result.timingSource} clock`;
+  } else {
+    main = formatTime(0);
+    hint = connected ? "Start inspection, then turn the cube" : "Hold and release space to start inspection";
+  }
+
+  const warning =
+    state.phase === PHASES.INSPECTION && state.inspectionEnabled && display > INSPECTION_MS - 7000
+      ? display > DNF_MS - 2000
+        ? "timer-critical"
+        : "timer-warning"
+      : "";
+
+  return (
+    <div className="timer-panel">
+      <div className={`timer-display ${warning}`}>{main}</div>
+      <div className="timer-hint">{hint}</div>
+      <div className="timer-actions">
+        <button
+          className="btn"
+          onClick={() => timer.startInspection()}
+          disabled={state.phase === PHASES.RUNNING || state.phase === PHASES.INSPECTION}
+        >
+          {state.inspectionEnabled ? "Start inspection" : "Arm timer"}
+        </button>
+        <label className="timer-option">
+          <input
+            type="checkbox"
+            checked={state.inspectionEnabled}
+            onChange={(e) => timer.setInspectionEnabled(e.target.checked)}
+          />
+          15s inspection
+        </label>
+        {state.phase === PHASES.STOPPED && state.result && (
+          <>
+            <button className="control-button" onClick={() => timer.setPenalty(null)}>OK</button>
+            <button className="control-button" onClick={() => timer.setPenalty("+2")}>+2</button>
+            <button className="control-button" onClick={() => timer.setPenalty("DNF")}>DNF</button>
+          </>
+        )}
+        <button className="control-button" onClick={() => timer.reset()}>
+          Reset
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,245 @@
+// Competition-style solve timer driven by smart-cube moves
+// Reference: WCA Regulations A3 (inspection) and 10e/10f (penalties)
+// (https://www.worldcubeassociation.org/regulations/#article-A-speedsolving)
+//
+// This module exports:
+// - createSolveTimer({ inspection, now }) => timer
+//     timer.startInspection()        idle/stopped -> inspection (15 s countdown)
+//     timer.handleMove(move, info)   first turn during inspection starts the solve
+//                                    (whole-cube rotations don't), info.solved on a
+//                                    later move stops it
+//     timer.handleKeyDown(key) / timer.handleKeyUp(key)
+//                                    spacebar fallback for non-smart cubes
+//     timer.setPenalty(penalty)      override the last result's penalty
+//     timer.reset() / timer.getState() / timer.subscribe(listener)
+// - formatTime(ms) => "1:02.345"
+// - INSPECTION_MS, PLUS_TWO_MS, DNF_MS
+//
+// Timestamps: `now()` defaults to Date.now (the same clock as the GAN
+// `localTimestamp`). When moves carry a device `cubeTimestamp`, the solve time
+// is measured on the cube's own clock, which is not affected by Bluetooth or
+// UI-thread latency.
+
+import { parseMove } from "../cube/notation.js";
+
+export const INSPECTION_MS = 15000;
+export const PLUS_TWO_MS = 2000;
+// Starting after 17 s of inspection is a DNF
+export const DNF_MS = 17000;
+
+const ROTATIONS = ["x", "y", "z"];
+
+function isRotation(move) {
+  const parsed = parseMove(move);
+  return parsed != null && ROTATIONS.includes(parsed.family);
+}
+
+export const PHASES = {
+  IDLE: "idle",
+  INSPECTION: "inspection",
+  RUNNING: "running",
+  STOPPED: "stopped",
+};
+
+export function formatTime(ms) {
+  if (ms == null || !Number.isFinite(ms)) return "--";
+  const total = Math.max(0, Math.round(ms));
+  const minutes = Math.floor(total / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const millis = total % 1000;
+  const frac = String(millis).padStart(3, "0");
+  return minutes > 0
+    ? `${minutes}:${String(seconds).padStart(2, "0")}.${frac}`
+    : `${seconds}.${frac}`;
+}
+
+export function inspectionPenalty(inspectionMs) {
+  if (inspectionMs > DNF_MS) return "DNF";
+  if (inspectionMs > INSPECTION_MS) return "+2";
+  return null;
+}
+
+export function createSolveTimer({ inspection = true, now = () => Date.now() } = {}) {
+  let listeners = [];
+  let state = initialState();
+  let spaceHeldSince = null;
+
+  function initialState() {
+    return {
+      phase: PHASES.IDLE,
+      inspectionEnabled: inspection,
+      inspectionStart: null,
+      startLocal: null,
+      startDevice: null,
+      lastDevice: null,
+      startedBy: null,
+      moves: [],
+      penalty: null,
+      result: null,
+    };
+  }
+
+  function emit() {
+    const snapshot = getState();
+    listeners.forEach((l) => {
+      try {
+        l(snapshot);
+      } catch (e) {
+        console.warn("timer listener error", e);
+      }
+    });
+  }
+
+  function getState() {
+    return { ...state, moves: state.moves.slice() };
+  }
+
+  function subscribe(listener) {
+    listeners.push(listener);
+    return () => {
+      listeners = listeners.filter((l) => l !== listener);
+    };
+  }
+
+  // Milliseconds shown on the display right now
+  function elapsed(at = now()) {
+    if (state.phase === PHASES.INSPECTION) return at - state.inspectionStart;
+    if (state.phase === PHASES.RUNNING) return at - state.startLocal;
+    if (state.phase === PHASES.STOPPED && state.result) return state.result.time;
+    return 0;
+  }
+
+  function setInspectionEnabled(enabled) {
+    state = { ...state, inspectionEnabled: !!enabled };
+    emit();
+  }
+
+  function startInspection(at = now()) {
+    if (state.phase === PHASES.RUNNING || state.phase === PHASES.INSPECTION) return;
+    state = { ...initialState(), inspectionEnabled: state.inspectionEnabled, phase: PHASES.INSPECTION, inspectionStart: at };
+    emit();
+  }
+
+  function startSolve({ localTimestamp = now(), cubeTimestamp = null, startedBy }) {
+    const inspectionMs = state.inspectionEnabled ? localTimestamp - state.inspectionStart : 0;
+    state = {
+      ...state,
+      phase: PHASES.RUNNING,
+      startLocal: localTimestamp,
+      startDevice: cubeTimestamp,
+      lastDevice: cubeTimestamp,
+      startedBy,
+      inspectionMs,
+      penalty: state.inspectionEnabled ? inspectionPenalty(inspectionMs) : null,
+    };
+  }
+
+  function stopSolve({ localTimestamp = now(), cubeTimestamp = null }) {
+    const useDevice = state.startDevice != null && cubeTimestamp != null && cubeTimestamp >= state.startDevice;
+    const time = useDevice ? cubeTimestamp - state.startDevice : localTimestamp - state.startLocal;
+    state = {
+      ...state,
+      phase: PHASES.STOPPED,
+      result: {
+        time,
+        penalty: state.penalty,
+        inspectionMs: state.inspectionMs,
+        startedBy: state.startedBy,
+        timingSource: useDevice ? "device" : "local",
+        moves: state.moves.slice(),
+        finishedAt: localTimestamp,
+      },
+    };
+  }
+
+  /*
+    `move` is the notation string; `info` carries { localTimestamp,
+    cubeTimestamp, solved } (solved = logical cube state after this move).
+  */
+  function handleMove(move, info = {}) {
+    const localTimestamp = info.localTimestamp != null ? info.localTimestamp : now();
+    const cubeTimestamp = info.cubeTimestamp != null ? info.cubeTimestamp : null;
+
+    if (state.phase === PHASES.INSPECTION) {
+      // looking the cube over (keyboard x/y/z) is part of inspection
+      if (isRotation(move)) return;
+      startSolve({ localTimestamp, cubeTimestamp, startedBy: "cube" });
+    } else if (state.phase !== PHASES.RUNNING) {
+      return;
+    }
+
+    state.moves.push({
+      move,
+      time: state.startDevice != null && cubeTimestamp != null
+        ? cubeTimestamp - state.startDevice
+        : localTimestamp - state.startLocal,
+      localTimestamp,
+      cubeTimestamp,
+    });
+
+    if (info.solved) stopSolve({ localTimestamp, cubeTimestamp });
+    emit();
+  }
+
+  /*
+    Spacebar fallback, stackmat style: press starts inspection, releasing it
+    during inspection starts the solve, pressing while running stops it.
+    Returns true when the key was consumed.
+  */
+  function handleKeyDown(key, at = now()) {
+    if (key !== " ") return false;
+    if (state.phase === PHASES.RUNNING) {
+      stopSolve({ localTimestamp: at });
+      emit();
+      spaceHeldSince = null;
+      return true;
+    }
+    if (spaceHeldSince == null) spaceHeldSince = at;
+    return true;
+  }
+
+  function handleKeyUp(key, at = now()) {
+    if (key !== " ") return false;
+    const wasHeld = spaceHeldSince != null;
+    spaceHeldSince = null;
+    if (!wasHeld) return true;
+    if (state.phase === PHASES.IDLE || state.phase === PHASES.STOPPED) {
+      if (state.inspectionEnabled) {
+        startInspection(at);
+      } else {
+        state = { ...initialState(), inspectionEnabled: false, phase: PHASES.INSPECTION, inspectionStart: at };
+        startSolve({ localTimestamp: at, startedBy: "keyboard" });
+        emit();
+      }
+    } else if (state.phase === PHASES.INSPECTION) {
+      startSolve({ localTimestamp: at, startedBy: "keyboard" });
+      emit();
+    }
+    return true;
+  }
+
+  function setPenalty(penalty) {
+    if (!state.result) return;
+    state = { ...state, penalty, result: { ...state.result, penalty } };
+    emit();
+  }
+
+  function reset() {
+    spaceHeldSince = null;
+    state = { ...initialState(), inspectionEnabled: state.inspectionEnabled };
+    emit();
+  }
+
+  return {
+    getState,
+    subscribe,
+    elapsed,
+    setInspectionEnabled,
+    startInspection,
+    handleMove,
+    handleKeyDown,
+    handleKeyUp,
+    setPenalty,
+    reset,
+  };
+}
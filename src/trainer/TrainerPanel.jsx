@@ -0,0 +1,228 @@
+import React, { useEffect, useRef, useState } from "react";
+import Cube3D from "../cube/Cube3D";
+import { formatTime } from "../timer/solveTimer";
+import { TRAINER_PHASES } from "./trainer";
+import {
+  getAlgorithmSets,
+  getCaseStats,
+  getSelectedCases,
+  resetAlgorithmSet,
+  resetCaseStats,
+  saveAlgorithmSet,
+  setSelectedCases,
+  subscribeToTrainerStore,
+} from "./trainerStore";
+
+// Editor text: one case per line, "name | algorithm | alternative ..."
+const casesToText = (cases) => cases.map((c) => [c.name, ...c.algorithms].join(" | ")).join("\n");
+
+function textToCases(text) {
+  return text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [name, ...algorithms] = line.split("|").map((part) => part.trim());
+      return { name, algorithms };
+    });
+}
+
+const average = (times) => (times && times.length ? times.reduce((a, b) => a + b, 0) / times.length : null);
+
+const PHASE_HINTS = {
+  [TRAINER_PHASES.SETUP]: "Set up the case",
+  [TRAINER_PHASES.READY]: "Ready — the first turn starts the clock",
+  [TRAINER_PHASES.SOLVING]: "Solving…",
+};
+
+// Edits the cases of a set as text; saving validates every algorithm
+function CaseEditor({ set, onClose }) {
+  const [text, setText] = useState(() => casesToText(set.cases));
+  const [error, setError] = useState(null);
+
+  const handleSave = () => {
+    try {
+      saveAlgorithmSet(set.id, textToCases(text));
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleReset = () => {
+    resetAlgorithmSet(set.id);
+    onClose();
+  };
+
+  return (
+    <div className="trainer-editor">
+      <div className="trainer-hint">One case per line: name | algorithm | alternative algorithms…</div>
+      <textarea className="algorithm-input" rows={12} value={text} onChange={(e) => setText(e.target.value)} />
+      {error && <div className="algorithm-error">{error}</div>}
+      <div className="trainer-actions">
+        <button className="control-button" onClick={handleSave}>
+          Save
+        </button>
+        <button className="control-button" onClick={onClose}>
+          Cancel
+        </button>
+        {set.edited && (
+          <button className="control-button" onClick={handleReset}>
+            Restore bundled cases
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/*
+  Algorithm trainer: pick a set and the cases to drill, then follow the setup
+  moves on the cube; the panel shows the case, the clock result and which
+  algorithm was recognized. `state` is a trainer snapshot (see trainer.js), or
+  null when not training; onStart(set, caseNames) starts a session.
+*/
+export default function TrainerPanel({ state, onStart, onStop, onSkip, onRetry }) {
+  const [sets, setSets] = useState(() => getAlgorithmSets());
+  const [setId, setSetId] = useState(sets[0].id);
+  const [selected, setSelected] = useState(() => getSelectedCases(setId));
+  const [stats, setStats] = useState(() => getCaseStats(setId));
+  const [editing, setEditing] = useState(false);
+  const previewRef = useRef(null);
+
+  const set = sets.find((s) => s.id === setId);
+  const running = state != null && state.phase !== TRAINER_PHASES.IDLE;
+  const isSelected = (name) => !selected || selected.includes(name);
+
+  useEffect(
+    () =>
+      subscribeToTrainerStore(() => {
+        setSets(getAlgorithmSets());
+        setSelected(getSelectedCases(setId));
+        setStats(getCaseStats(setId));
+      }),
+    [setId],
+  );
+
+  useEffect(() => {
+    setSelected(getSelectedCases(setId));
+    setStats(getCaseStats(setId));
+  }, [setId]);
+
+  const caseFacelets = state ? state.caseFacelets : null;
+  useEffect(() => {
+    if (caseFacelets && previewRef.current) previewRef.current.setState(caseFacelets);
+  }, [caseFacelets]);
+
+  const toggleCase = (name) => {
+    const names = set.cases.map((c) => c.name).filter((n) => (n === name ? !isSelected(n) : isSelected(n)));
+    setSelectedCases(setId, names.length === set.cases.length ? null : names);
+  };
+
+  const handleStart = () => onStart(set, set.cases.filter((c) => isSelected(c.name)).map((c) => c.name));
+
+  const result = state && state.lastResult;
+
+  return (
+    <div className="trainer-panel">
+      <div className="trainer-header">
+        <strong>Trainer</strong>
+        <select value={setId} onChange={(e) => setSetId(e.target.value)} disabled={running}>
+          {sets.map((s) => (
+            <option key={s.id} value={s.id}>
+              {s.name}
+              {s.edited ? " (edited)" : ""}
+            </option>
+          ))}
+        </select>
+        {running ? (
+          <button className="control-button" onClick={onStop}>
+            Stop
+          </button>
+        ) : (
+          <button className="control-button" onClick={handleStart} disabled={!set.cases.some((c) => isSelected(c.name))}>
+            Start
+          </button>
+        )}
+        {!running && (
+          <button className="control-button" onClick={() => setEditing(!editing)}>
+            Edit cases
+          </button>
+        )}
+      </div>
+
+      {editing && !running && <CaseEditor key={set.id} set={set} onClose={() => setEditing(false)} />}
+
+      {!running && !editing && (
+        <>
+          <div className="trainer-actions">
+            <button className="control-button" onClick={() => setSelectedCases(setId, null)}>
+              All
+            </button>
+            <button className="control-button" onClick={() => setSelectedCases(setId, [])}>
+              None
+            </button>
+            <button className="control-button" onClick={() => resetCaseStats(setId)}>
+              Clear results
+            </button>
+          </div>
+          <div className="trainer-cases">
+            {set.cases.map((c) => {
+              const s = stats[c.name];
+              return (
+                <label key={c.name} className={"trainer-case" + (s ? ` box-${s.box}` : "")} title={c.algorithms[0]}>
+                  <input type="checkbox" checked={isSelected(c.name)} onChange={() => toggleCase(c.name)} />
+                  {c.name}
+                  {s && s.times.length > 0 && <small>{formatTime(average(s.times))}</small>}
+                </label>
+              );
+            })}
+          </div>
+        </>
+      )}
+
+      {running && (
+        <div className="trainer-session">
+          <div className="trainer-preview">
+            <Cube3D ref={previewRef} autoRotate={false} />
+          </div>
+          <div className="trainer-status">
+            <div className="trainer-case-name">{state.caseName}</div>
+            <div className="trainer-hint">{PHASE_HINTS[state.phase]}</div>
+            {state.phase === TRAINER_PHASES.SETUP && state.scramble && (
+              <div className="scramble-moves">
+                {state.scramble.plan.map((m, i) => (
+                  <span key={i} className={"scramble-move" + (i === 0 ? " next" : "")}>
+                    {m.move}
+                  </span>
+                ))}
+              </div>
+            )}
+            {state.phase === TRAINER_PHASES.SOLVING && <div className="trainer-hint">{state.moves.join(" ")}</div>}
+            {result && (
+              <div className={"trainer-result" + (result.solved ? "" : " missed")}>
+                <strong>{result.name}</strong>{" "}
+                {result.solved ? formatTime(result.time) : "missed"}
+                {result.solved && (
+                  <span>
+                    {" "}
+                    · recognition {formatTime(result.recognitionTime)} · {result.moveCount} moves ·{" "}
+                    {result.algorithm || "own solution"}
+                  </span>
+                )}
+              </div>
+            )}
+            <div className="trainer-actions">
+              <button className="control-button" onClick={onRetry}>
+                Set up again
+              </button>
+              <button className="control-button" onClick={onSkip}>
+                Skip
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
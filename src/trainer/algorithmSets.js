@@ -0,0 +1,115 @@
+// Algorithm sets bundled with the trainer
+//
+// This module exports:
+// - BUNDLED_SETS: [{ id, name, start, goal, cases: [{ name, algorithms }] }]
+//     (see trainerCases.js for `start` / `goal`)
+//
+// OLL and PLL reuse the tables of the CFOP analysis. F2L covers the 41 cases
+// of the front-right pair with the other slots solved, grouped by where the
+// corner and edge are. COLL and ZBLL are small starter subsets: users extend
+// them (or replace any algorithm) from the trainer's editor.
+
+import { OLL_CASES, PLL_CASES } from "../analysis/lastLayerCases.js";
+
+const numbered = (prefix, algorithms) =>
+  algorithms.map((algorithm, i) => ({ name: `${prefix} ${i + 1}`, algorithms: [algorithm] }));
+
+const F2L_CASES = [
+  ...numbered("Pair in U", [
+    "U R U' R'",
+    "U' F' U F",
+    "F' U' F",
+    "R U R'",
+    "U' R U R' U2 R U' R'",
+    "U F' U' F U2 F' U F",
+    "U' R U2 R' U2 R U' R'",
+    "U F' U2 F U2 F' U F",
+    "U' R U' R' U F' U' F",
+    "U' R U R' U R U R'",
+    "U' R U2 R' U F' U' F",
+    "R U' R' U R U' R' U2 R U' R'",
+    "U F' U F U' F' U' F",
+    "U' R U' R' U R U R'",
+    "R U2 R' U' R U R'",
+    "F' U2 F U F' U' F",
+    "U R U2 R' U R U' R'",
+    "U' F' U2 F U' F' U F",
+    "R U R' U2 R U R' U' R U R'",
+    "F' U' F U2 F' U' F U F' U' F",
+    "U2 R U R' U R U' R'",
+    "U2 F' U' F U' F' U F",
+    "F' U F U2 R U R'",
+    "R U' R' U2 F' U' F",
+  ]),
+  ...numbered("Corner in slot", [
+    "U' F' U F U R U' R'",
+    "U R U' R' U' F' U F",
+    "R U R' U' R U R'",
+    "F' U F U' F' U F",
+    "R U' R' U R U' R'",
+    "F' U' F U F' U' F",
+  ]),
+  ...numbered("Edge in slot", [
+    "R U R' U' R U R' U' R U R'",
+    "U R U R' U2 R U R'",
+    "U' R U' R' U2 R U' R'",
+    "U' R' F R F' R U' R'",
+    "U F' U' F U' R U R'",
+    "U' R U R' U F' U' F",
+  ]),
+  ...numbered("Pair in slot", [
+    "R U' R' U' R U R' U2 R U' R'",
+    "R U' R' U R U2 R' U R U' R'",
+    "R U2 R' U R U2 R' U F' U' F",
+    "R U' R' U' R U' R' U F' U' F",
+    "R U R' U' R U' R' U2 F' U' F",
+  ]),
+];
+
+// One case of each corner-orientation shape, solved with its 2-look OCLL algorithm
+const COLL_CASES = [
+  ["Sune", "R U R' U R U2 R'"],
+  ["Antisune", "R U2 R' U' R U' R'"],
+  ["H (Double Sune)", "R U R' U R U' R' U R U2 R'"],
+  ["Pi (Bruno)", "R U2 R2 U' R2 U' R2 U2 R"],
+  ["T (Chameleon)", "r U R' U' r' F R F'"],
+  ["U (Headlights)", "R2 D R' U2 R D' R' U2 R'"],
+  ["L (Bowtie)", "F R' F' r U R U' r'"],
+  ["Niklas", "R U' L' U R' U' L"],
+].map(([name, algorithm]) => ({ name, algorithms: [algorithm] }));
+
+// Last layers solved by two Sunes / Antisunes in a row
+const SUNE = "R U R' U R U2 R'";
+const ANTISUNE = "R U2 R' U' R U' R'";
+const ZBLL_CASES = [
+  ["Sune, Sune", `${SUNE} ${SUNE}`],
+  ["Sune, U, Sune", `${SUNE} U ${SUNE}`],
+  ["Sune, U2, Sune", `${SUNE} U2 ${SUNE}`],
+  ["Sune, U', Sune", `${SUNE} U' ${SUNE}`],
+  ["Sune, U, Antisune", `${SUNE} U ${ANTISUNE}`],
+  ["Sune, U', Antisune", `${SUNE} U' ${ANTISUNE}`],
+  ["Antisune, Antisune", `${ANTISUNE} ${ANTISUNE}`],
+  ["Antisune, U2, Antisune", `${ANTISUNE} U2 ${ANTISUNE}`],
+  ["Antisune, U, Sune", `${ANTISUNE} U ${SUNE}`],
+  ["Antisune, U', Sune", `${ANTISUNE} U' ${SUNE}`],
+].map(([name, algorithm]) => ({ name, algorithms: [algorithm] }));
+
+export const BUNDLED_SETS = [
+  { id: "f2l", name: "F2L", start: "cross", goal: "f2l", cases: F2L_CASES },
+  {
+    id: "oll",
+    name: "OLL",
+    start: "f2l",
+    goal: "oll",
+    cases: OLL_CASES.map(({ name, algorithm }) => ({ name, algorithms: [algorithm] })),
+  },
+  {
+    id: "pll",
+    name: "PLL",
+    start: "oll",
+    goal: "solved",
+    cases: PLL_CASES.map(({ name, algorithm }) => ({ name, algorithms: [algorithm] })),
+  },
+  { id: "coll", name: "COLL", start: "eo", goal: "coll", cases: COLL_CASES },
+  { id: "zbll", name: "ZBLL", start: "eo", goal: "solved", cases: ZBLL_CASES },
+];
@@ -0,0 +1,55 @@
+// Spaced repetition for trainer cases (Leitner boxes)
+//
+// This module exports:
+// - MAX_BOX, RECENT_TIMES
+// - updateCaseStats(stats, attempt) => new stats, attempt = { solved, time, date }
+// - caseWeight(stats) => relative chance of picking the case
+// - pickCase(names, statsByName, { random, exclude }) => name | null
+//
+// Every case sits in a box from 0 (new or missed) to MAX_BOX. A solve no
+// slower than SLOW_FACTOR times the case's recent average moves it up a box,
+// a slower one leaves it where it is and a miss sends it back to box 0. A case
+// in box n comes up 2^n times less often than one in box 0.
+//
+// Stats: { attempts, solved, box, times: [last RECENT_TIMES solve times in ms],
+//          best, lastAttempt }
+
+export const MAX_BOX = 5;
+export const RECENT_TIMES = 10;
+const SLOW_FACTOR = 1.2;
+
+const EMPTY_STATS = { attempts: 0, solved: 0, box: 0, times: [], best: null, lastAttempt: null };
+
+const average = (times) => times.reduce((sum, t) => sum + t, 0) / times.length;
+
+export function updateCaseStats(stats, { solved, time = null, date = Date.now() }) {
+  const previous = { ...EMPTY_STATS, ...stats };
+  const next = { ...previous, attempts: previous.attempts + 1, lastAttempt: date };
+  if (!solved) return { ...next, box: 0 };
+  const slow = previous.times.length > 0 && time > average(previous.times) * SLOW_FACTOR;
+  return {
+    ...next,
+    solved: previous.solved + 1,
+    box: slow ? previous.box : Math.min(previous.box + 1, MAX_BOX),
+    times: [...previous.times, time].slice(-RECENT_TIMES),
+    best: previous.best == null ? time : Math.min(previous.best, time),
+  };
+}
+
+export function caseWeight(stats) {
+  const box = stats ? stats.box || 0 : 0;
+  return 1 / 2 ** box;
+}
+
+// Weighted random pick; `exclude` (the case just trained) is skipped unless it is the only one
+export function pickCase(names, statsByName = {}, { random = Math.random, exclude = null } = {}) {
+  const candidates = names.length > 1 ? names.filter((n) => n !== exclude) : names;
+  if (!candidates.length) return null;
+  const weights = candidates.map((n) => caseWeight(statsByName[n]));
+  let r = random() * weights.reduce((sum, w) => sum + w, 0);
+  for (let i = 0; i < candidates.length; i++) {
+    r -= weights[i];
+    if (r < 0) return candidates[i];
+  }
+  return candidates[candidates.length - 1];
+}
@@ -0,0 +1,201 @@
+// Algorithm trainer session: sets up cases on the cube and times their execution
+//
+// This module exports:
+// - createTrainer({ set, caseNames, getFacelets, getStats, recordAttempt, solve, random, now }) => trainer
+//     trainer.next()      set up a new case, picked by spaced repetition (repetition.js)
+//     trainer.retry()     set up the current case again
+//     trainer.skip()      give up the current attempt (counted as missed) and move on
+//     trainer.stop()
+//     trainer.handleMove(notation, event)  call after the move was applied to the session
+//       (`getFacelets()` returns the session's state, see ../session/cubeSession.js)
+//     trainer.getState() / trainer.subscribe(listener)
+// - TRAINER_PHASES
+//
+// SETUP: the scramble tracker guides the setup moves until the cube is
+// recognized in the case (any AUF) -> READY -> SOLVING from the first move
+// until the set's goal is reached (the result is recorded and the next case
+// is set up) or the attempt runs out of moves (missed: the case is set up
+// again). When the cube already meets the goal the setup is applied on top of
+// it (after an OLL the next OLL goes over whatever PLL is left); otherwise the
+// tracker leads to the exact case state.
+//
+// Results: { setId, name, solved, time, recognitionTime, moves, moveCount,
+//            algorithmIndex, algorithm, date }
+// `time` runs from the first to the last move, on the cube's clock when moves
+// carry a cubeTimestamp; `recognitionTime` from READY to the first move.
+// `algorithm` is the case algorithm the moves match, null for another solution.
+
+import { createScrambleTracker } from "../scramble/scrambleTracker.js";
+import { pickCase } from "./repetition.js";
+import { caseSetup, matchAlgorithm, meetsGoal, recognizeCase, toFaceTurns } from "./trainerCases.js";
+import { getCaseStats, recordCaseAttempt } from "./trainerStore.js";
+
+export const TRAINER_PHASES = {
+  IDLE: "idle",
+  SETUP: "setup",
+  READY: "ready",
+  SOLVING: "solving",
+};
+
+const AUF = ["", "U", "U2", "U'"];
+const RESULTS_KEPT = 50;
+
+export function createTrainer({
+  set,
+  caseNames = null,
+  getFacelets,
+  getStats = getCaseStats,
+  recordAttempt = recordCaseAttempt,
+  solve,
+  random = Math.random,
+  now = Date.now,
+}) {
+  let listeners = [];
+  let phase = TRAINER_PHASES.IDLE;
+  // { trainerCase, setup, facelets, tracker, maxMoves }
+  let current = null;
+  // { rotation, readyAt, moves: [{ move, localTimestamp, cubeTimestamp }] }
+  let attempt = null;
+  let results = [];
+
+  const activeCases = () => (caseNames ? set.cases.filter((c) => caseNames.includes(c.name)) : set.cases);
+  const pick = (list) => list[Math.floor(random() * list.length)];
+
+  function setUp(trainerCase) {
+    const algorithm = trainerCase.algorithms[0];
+    // AUF after the algorithm only shows once the whole layer is solved
+    const finalAuf = set.goal === "solved" || set.goal === "coll";
+    const { setup, facelets } = caseSetup(algorithm, { preAuf: pick(AUF), postAuf: finalAuf ? pick(AUF) : "" });
+    const startFacelets = getFacelets();
+    const length = toFaceTurns(algorithm).length;
+    current = {
+      trainerCase,
+      setup,
+      facelets,
+      tracker: createScrambleTracker({ scramble: setup, startFacelets, relative: meetsGoal(set.goal, startFacelets), solve }),
+      // longer attempts count as missed
+      maxMoves: Math.max(2 * length, length + 10),
+    };
+    phase = TRAINER_PHASES.SETUP;
+    attempt = null;
+    checkReady(now());
+    emit();
+  }
+
+  function checkReady(timestamp) {
+    const match = recognizeCase(set, getFacelets(), [current.trainerCase.name]);
+    if (!match) return;
+    phase = TRAINER_PHASES.READY;
+    attempt = { rotation: match.rotation, readyAt: timestamp, moves: [] };
+  }
+
+  function next() {
+    const names = activeCases().map((c) => c.name);
+    const name = pickCase(names, getStats(set.id), {
+      random,
+      exclude: current ? current.trainerCase.name : null,
+    });
+    if (name == null) {
+      stop();
+      return;
+    }
+    setUp(set.cases.find((c) => c.name === name));
+  }
+
+  function retry() {
+    if (current) setUp(current.trainerCase);
+  }
+
+  function skip() {
+    if (phase === TRAINER_PHASES.SOLVING) finish(false);
+    next();
+  }
+
+  function stop() {
+    phase = TRAINER_PHASES.IDLE;
+    current = null;
+    attempt = null;
+    emit();
+  }
+
+  function finish(solved) {
+    const { trainerCase } = current;
+    const { moves } = attempt;
+    const first = moves[0];
+    const last = moves[moves.length - 1];
+    const useDevice = first.cubeTimestamp != null && last.cubeTimestamp != null && last.cubeTimestamp >= first.cubeTimestamp;
+    const time = useDevice ? last.cubeTimestamp - first.cubeTimestamp : last.localTimestamp - first.localTimestamp;
+    const algorithmIndex = solved ? matchAlgorithm(moves.map((m) => m.move), trainerCase.algorithms, attempt.rotation) : -1;
+    const result = {
+      setId: set.id,
+      name: trainerCase.name,
+      solved,
+      time: solved ? time : null,
+      recognitionTime: first.localTimestamp - attempt.readyAt,
+      moves: moves.map((m) => m.move),
+      moveCount: moves.length,
+      algorithmIndex,
+      algorithm: algorithmIndex >= 0 ? trainerCase.algorithms[algorithmIndex] : null,
+      date: now(),
+    };
+    results = [...results, result].slice(-RESULTS_KEPT);
+    recordAttempt(set.id, trainerCase.name, { solved, time: result.time, date: result.date });
+    return result;
+  }
+
+  function handleMove(notation, event = {}) {
+    if (!current) return;
+    const localTimestamp = event.localTimestamp != null ? event.localTimestamp : now();
+    const cubeTimestamp = event.cubeTimestamp != null ? event.cubeTimestamp : null;
+
+    if (phase === TRAINER_PHASES.SETUP) {
+      current.tracker.handleMove(notation);
+      checkReady(localTimestamp);
+      emit();
+      return;
+    }
+
+    phase = TRAINER_PHASES.SOLVING;
+    attempt.moves.push({ move: notation, localTimestamp, cubeTimestamp });
+    if (meetsGoal(set.goal, getFacelets())) {
+      finish(true);
+      next();
+    } else if (attempt.moves.length > current.maxMoves) {
+      finish(false);
+      retry();
+    } else {
+      emit();
+    }
+  }
+
+  function getState() {
+    return {
+      setId: set.id,
+      phase,
+      caseName: current ? current.trainerCase.name : null,
+      algorithms: current ? current.trainerCase.algorithms : [],
+      setup: current ? current.setup : null,
+      // the case on a solved cube, for display
+      caseFacelets: current ? current.facelets : null,
+      scramble: current ? current.tracker.getState() : null,
+      moves: attempt ? attempt.moves.map((m) => m.move) : [],
+      lastResult: results.length ? results[results.length - 1] : null,
+      results,
+      caseCount: activeCases().length,
+    };
+  }
+
+  function emit() {
+    const snapshot = getState();
+    listeners.forEach((l) => l(snapshot));
+  }
+
+  function subscribe(listener) {
+    listeners.push(listener);
+    return () => {
+      listeners = listeners.filter((l) => l !== listener);
+    };
+  }
+
+  return { next, retry, skip, stop, handleMove, getState, subscribe };
+}
@@ -0,0 +1,252 @@
+// Case logic for the algorithm trainer
+//
+// This module exports:
+// - GOALS: { id: label } of the cube states a set starts from and ends at
+//     cross, f2l, eo (F2L + oriented last-layer edges), oll, coll (OLL +
+//     corners permuted), solved
+// - meetsGoal(goal, facelets) => boolean
+// - toFaceTurns(algorithm) => moves[]: the algorithm as outer-layer turns only
+// - caseSetup(algorithm, { preAuf, postAuf }) => { moves, setup, facelets }
+// - solvesCase(set, facelets, algorithm) => boolean
+// - validateCase(set, trainerCase): throws an Error explaining the first problem
+// - recognizeCase(set, facelets, names) => { name, rotation, auf } | null
+// - matchAlgorithm(moves, algorithms, rotation) => index of the algorithm used, -1 if none
+//
+// A set is { id, name, start, goal, cases: [{ name, algorithms: [text, ...] }] };
+// the first algorithm of a case defines it. Goals are checked against the
+// centers with the D-colored center at the bottom, so AUF and whole-cube
+// rotations around U/D never matter.
+//
+// Smart cubes report outer-layer turns only (Rw arrives as L, M as R L', and
+// rotations are invisible), so setups and algorithm matching work on face
+// turns: toFaceTurns() keeps track of where each face went after a rotation.
+
+import Cube from "cubejs";
+import { FACES } from "../bluetooth/protocols/common.js";
+import { toCubejsAlgorithm } from "../cube/cubeState.js";
+import { formatAlgorithm, invertAlgorithm, normalizeAmount, parseAlgorithm } from "../cube/notation.js";
+import { orientCrossDown } from "../analysis/cfop.js";
+
+export const GOALS = {
+  cross: "cross",
+  f2l: "first two layers",
+  eo: "last-layer edge orientation",
+  oll: "last-layer orientation",
+  coll: "last-layer corners",
+  solved: "cube",
+};
+
+const AUF = ["", "U", "U2", "U'"];
+// A first-layer-slot case can be set up in any slot: try the four y rotations
+const Y_ROTATIONS = ["", "y", "y2", "y'"];
+
+const range = (from, to) => Array.from({ length: to - from }, (_, i) => from + i);
+const faceOf = (index) => Math.floor(index / 9);
+const SIDES = [1, 2, 4, 5];
+const CROSS = [25, 28, 30, 32, 34, 16, 43, 52];
+const FIRST_TWO_LAYERS = [...range(27, 36), ...SIDES.flatMap((f) => range(f * 9 + 3, f * 9 + 9))];
+const U_EDGES = [1, 3, 5, 7];
+const U_FACE = range(0, 9);
+const TOP_CORNERS = SIDES.flatMap((f) => [f * 9, f * 9 + 2]);
+const TOP_ROW = SIDES.flatMap((f) => [f * 9, f * 9 + 1, f * 9 + 2]);
+
+const isSolvedAt = (facelets, indices) => indices.every((i) => facelets[i] === FACES[faceOf(i)]);
+const isSolvedAfterAuf = (facelets, indices) =>
+  AUF.some((auf) => isSolvedAt(auf ? Cube.fromString(facelets).move(auf).asString() : facelets, indices));
+
+const GOAL_CHECKS = {
+  cross: (f) => isSolvedAt(f, CROSS),
+  f2l: (f) => isSolvedAt(f, FIRST_TWO_LAYERS),
+  eo: (f) => isSolvedAt(f, FIRST_TWO_LAYERS) && isSolvedAt(f, U_EDGES),
+  oll: (f) => isSolvedAt(f, FIRST_TWO_LAYERS) && isSolvedAt(f, U_FACE),
+  coll: (f) => GOAL_CHECKS.oll(f) && isSolvedAfterAuf(f, TOP_CORNERS),
+  solved: (f) => GOAL_CHECKS.oll(f) && isSolvedAfterAuf(f, TOP_ROW),
+};
+
+// Facelets re-labelled by the centers, with the D-colored center at the bottom
+function standardize(facelets) {
+  const down = FACES.split("").find((face, f) => facelets[f * 9 + 4] === "D");
+  return orientCrossDown(facelets, down);
+}
+
+export function meetsGoal(goal, facelets) {
+  const check = GOAL_CHECKS[goal];
+  if (!check) throw new Error(`Unknown trainer goal: ${goal}`);
+  return check(standardize(facelets));
+}
+
+// Face each face letter is turned by after a whole-cube rotation (cycles as in x, y, z)
+const ROTATION_CYCLES = { x: ["U", "F", "D", "B"], y: ["F", "R", "B", "L"], z: ["U", "L", "D", "R"] };
+
+// Wide moves, slices and rotations as face turns plus a rotation (one quarter turn)
+const DECOMPOSITION = {
+  Rw: [["L", 1], "x"],
+  Lw: [["R", 1], "x'"],
+  Uw: [["D", 1], "y"],
+  Dw: [["U", 1], "y'"],
+  Fw: [["B", 1], "z"],
+  Bw: [["F", 1], "z'"],
+  M: [["R", 1], ["L", -1], "x'"],
+  E: [["U", 1], ["D", -1], "y'"],
+  S: [["F", -1], ["B", 1], "z"],
+  x: ["x"],
+  y: ["y"],
+  z: ["z"],
+};
+
+export function toFaceTurns(algorithm) {
+  // map[face] = physical face currently in that position
+  let map = Object.fromEntries(FACES.split("").map((f) => [f, f]));
+  const rotate = (rotation) => {
+    const cycle = ROTATION_CYCLES[rotation[0]];
+    const turns = rotation.endsWith("'") ? 3 : 1;
+    for (let t = 0; t < turns; t++) {
+      const next = { ...map };
+      cycle.forEach((face, i) => {
+        next[face] = map[cycle[(i + 1) % 4]];
+      });
+      map = next;
+    }
+  };
+  const moves = [];
+  parseAlgorithm(algorithm).forEach(({ family, amount }) => {
+    const parts = DECOMPOSITION[family] || [[family, 1]];
+    const quarterTurns = (normalizeAmount(amount) + 4) % 4;
+    for (let q = 0; q < quarterTurns; q++) {
+      parts.forEach((part) => {
+        if (typeof part === "string") rotate(part);
+        else moves.push({ family: map[part[0]], amount: part[1] });
+      });
+    }
+  });
+  return simplify(moves);
+}
+
+const AXES = { U: 0, D: 0, R: 1, L: 1, F: 2, B: 2 };
+
+/*
+  Turns of opposite faces commute, so each run of turns on one axis is summed
+  per face and written in a fixed order (R L' and L' R both become R L').
+  Returns [{ axis, amounts: { face: amount } }]; turns cancelling out vanish.
+*/
+function axisGroups(moves) {
+  const groups = [];
+  moves.forEach(({ family, amount }) => {
+    if (!(family in AXES)) return;
+    let last = groups[groups.length - 1];
+    if (!last || last.axis !== AXES[family]) {
+      last = { axis: AXES[family], amounts: {} };
+      groups.push(last);
+    }
+    last.amounts[family] = normalizeAmount((last.amounts[family] || 0) + amount);
+    if (Object.values(last.amounts).every((a) => a === 0)) groups.pop();
+  });
+  return groups;
+}
+
+const groupMoves = (groups) =>
+  groups.flatMap((g) =>
+    FACES.split("")
+      .filter((f) => g.amounts[f])
+      .map((f) => ({ family: f, amount: g.amounts[f] })),
+  );
+
+function simplify(moves) {
+  return groupMoves(axisGroups(moves));
+}
+
+/*
+  Face turns taking a solved cube to the case solved by
+  "preAuf algorithm postAuf"; `facelets` is the resulting state.
+*/
+export function caseSetup(algorithm, { preAuf = "", postAuf = "" } = {}) {
+  const solution = [...parseAlgorithm(preAuf), ...parseAlgorithm(algorithm), ...parseAlgorithm(postAuf)];
+  const moves = toFaceTurns(invertAlgorithm(solution));
+  return {
+    moves,
+    setup: formatAlgorithm(moves),
+    facelets: new Cube().move(toCubejsAlgorithm(moves)).asString(),
+  };
+}
+
+// `algorithm` (after some AUF) takes `facelets` to the set's goal
+export function solvesCase(set, facelets, algorithm) {
+  const moves = toCubejsAlgorithm(algorithm);
+  return AUF.some((auf) => {
+    const cube = Cube.fromString(facelets);
+    if (auf) cube.move(auf);
+    if (moves) cube.move(moves);
+    return meetsGoal(set.goal, cube.asString());
+  });
+}
+
+export function validateCase(set, trainerCase) {
+  const name = String((trainerCase && trainerCase.name) || "").trim();
+  if (!name) throw new Error("Every case needs a name");
+  const algorithms = (trainerCase.algorithms || []).filter((a) => String(a).trim());
+  if (!algorithms.length) throw new Error(`${name}: add at least one algorithm`);
+  algorithms.forEach((algorithm) => {
+    try {
+      parseAlgorithm(algorithm);
+    } catch (err) {
+      throw new Error(`${name}: ${err.message}`);
+    }
+  });
+  const { facelets } = caseSetup(algorithms[0]);
+  if (!meetsGoal(set.start, facelets)) {
+    throw new Error(`${name}: "${algorithms[0]}" does not keep the ${GOALS[set.start]} solved`);
+  }
+  if (meetsGoal(set.goal, facelets)) {
+    throw new Error(`${name}: "${algorithms[0]}" leaves the ${GOALS[set.goal]} as it was`);
+  }
+  algorithms.slice(1).forEach((algorithm) => {
+    if (!solvesCase(set, facelets, algorithm)) throw new Error(`${name}: "${algorithm}" solves a different case`);
+  });
+}
+
+/*
+  Case of `set` the cube is in: the first case (restricted to `names` when
+  given) whose algorithm, after an AUF, reaches the set's goal. F2L cases are
+  also recognized in the other slots; `rotation` is the y turn bringing the
+  slot to the front right.
+*/
+export function recognizeCase(set, facelets, names = null) {
+  const start = standardize(facelets);
+  if (!GOAL_CHECKS[set.start](start) || GOAL_CHECKS[set.goal](start)) return null;
+  const cases = names ? set.cases.filter((c) => names.includes(c.name)) : set.cases;
+  const rotations = set.goal === "f2l" ? Y_ROTATIONS : [""];
+  for (const rotation of rotations) {
+    const rotated = rotation ? orientCrossDown(Cube.fromString(start).move(rotation).asString(), "D") : start;
+    for (const c of cases) {
+      const moves = toCubejsAlgorithm(c.algorithms[0]);
+      for (const auf of AUF) {
+        const cube = Cube.fromString(rotated);
+        if (auf) cube.move(auf);
+        cube.move(moves);
+        if (meetsGoal(set.goal, cube.asString())) return { name: c.name, rotation, auf };
+      }
+    }
+  }
+  return null;
+}
+
+// Comparable form of a face-turn sequence, without AUF turns at either end
+function canonical(moves) {
+  const groups = axisGroups(moves);
+  const isAuf = (g) => g && g.axis === AXES.U && !g.amounts.D;
+  if (isAuf(groups[0])) groups.shift();
+  if (isAuf(groups[groups.length - 1])) groups.pop();
+  return formatAlgorithm(groupMoves(groups));
+}
+
+// `moves` are the turns the cube reported (notation strings or parsed moves)
+export function matchAlgorithm(moves, algorithms, rotation = "") {
+  const done = canonical(moves.flatMap((m) => (typeof m === "string" ? parseAlgorithm(m) : [m])));
+  return algorithms.findIndex((algorithm) => {
+    try {
+      return canonical(toFaceTurns(`${rotation} ${algorithm}`)) === done;
+    } catch (err) {
+      return false;
+    }
+  });
+}
@@ -0,0 +1,118 @@
+// Trainer data kept in localStorage: edited algorithm sets, selected cases and results
+//
+// This module exports:
+// - getAlgorithmSets() => the bundled sets with the user's edits applied (edited: true)
+// - saveAlgorithmSet(setId, cases) validates and stores the cases of a set (throws on errors)
+// - resetAlgorithmSet(setId) goes back to the bundled cases
+// - getSelectedCases(setId) => case names, or null for the whole set
+// - setSelectedCases(setId, names) (null selects the whole set)
+// - getCaseStats(setId) => { [caseName]: stats } (see repetition.js)
+// - recordCaseAttempt(setId, caseName, attempt) => updated stats
+// - resetCaseStats(setId)
+// - subscribeToTrainerStore(listener): called after every change
+//
+// Edits replace the whole case list of a set; results are keyed by case name,
+// so renaming a case starts its history over.
+
+import { BUNDLED_SETS } from "./algorithmSets.js";
+import { updateCaseStats } from "./repetition.js";
+import { validateCase } from "./trainerCases.js";
+
+const STORAGE_KEY = "gan-cube-app:trainer";
+
+let listeners = [];
+
+function load() {
+  try {
+    const data = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+    return { sets: {}, selected: {}, stats: {}, ...(data && typeof data === "object" ? data : {}) };
+  } catch (e) {
+    return { sets: {}, selected: {}, stats: {} };
+  }
+}
+
+function save(data) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+  listeners.forEach((l) => {
+    try {
+      l();
+    } catch (e) {
+      console.warn("trainer store listener error", e);
+    }
+  });
+}
+
+export function subscribeToTrainerStore(listener) {
+  listeners.push(listener);
+  return () => {
+    listeners = listeners.filter((l) => l !== listener);
+  };
+}
+
+function bundledSet(setId) {
+  const set = BUNDLED_SETS.find((s) => s.id === setId);
+  if (!set) throw new Error(`Unknown algorithm set: ${setId}`);
+  return set;
+}
+
+export function getAlgorithmSets() {
+  const { sets } = load();
+  return BUNDLED_SETS.map((set) => (sets[set.id] ? { ...set, cases: sets[set.id], edited: true } : set));
+}
+
+export function saveAlgorithmSet(setId, cases) {
+  const set = bundledSet(setId);
+  const cleaned = cases.map((c) => ({
+    name: String(c.name || "").trim(),
+    algorithms: (c.algorithms || []).map((a) => String(a).trim()).filter(Boolean),
+  }));
+  if (!cleaned.length) throw new Error("A set needs at least one case");
+  const names = new Set();
+  cleaned.forEach((c) => {
+    validateCase(set, c);
+    if (names.has(c.name)) throw new Error(`Two cases are named "${c.name}"`);
+    names.add(c.name);
+  });
+  const data = load();
+  data.sets[setId] = cleaned;
+  // drop selected cases that no longer exist
+  if (data.selected[setId]) data.selected[setId] = data.selected[setId].filter((n) => names.has(n));
+  save(data);
+}
+
+export function resetAlgorithmSet(setId) {
+  const data = load();
+  delete data.sets[setId];
+  delete data.selected[setId];
+  save(data);
+}
+
+export function getSelectedCases(setId) {
+  return load().selected[setId] || null;
+}
+
+export function setSelectedCases(setId, names) {
+  const data = load();
+  if (names == null) delete data.selected[setId];
+  else data.selected[setId] = names.slice();
+  save(data);
+}
+
+export function getCaseStats(setId) {
+  return load().stats[setId] || {};
+}
+
+export function recordCaseAttempt(setId, caseName, attempt) {
+  const data = load();
+  const setStats = data.stats[setId] || {};
+  const stats = updateCaseStats(setStats[caseName], attempt);
+  data.stats[setId] = { ...setStats, [caseName]: stats };
+  save(data);
+  return stats;
+}
+
+export function resetCaseStats(setId) {
+  const data = load();
+  delete data.stats[setId];
+  save(data);
+}
@@ -0,0 +1,87 @@
+import { afterEach, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import {
+  DEFAULT_APPEARANCE,
+  applyTheme,
+  faceletColorName,
+  faceletColors,
+  loadAppearanceSettings,
+  saveAppearanceSettings,
+  subscribeToAppearanceSettings,
+} from "../src/appearance/appearance.js";
+import { applyTurn, getCubieSlots, initCubie, moveToTurn, readFacelets } from "../src/cube/cubieModel.js";
+import { applyCubieAppearance, buildCubieMeshes, getStickerMeshes } from "../src/cube/cubieMeshes.js";
+import { createNxNCube } from "../src/cube/nxnCube.js";
+
+// In-memory localStorage for the settings round trip
+beforeEach(() => {
+  const items = new Map();
+  globalThis.localStorage = {
+    getItem: (k) => (items.has(k) ? items.get(k) : null),
+    setItem: (k, v) => items.set(k, String(v)),
+    removeItem: (k) => items.delete(k),
+  };
+});
+
+afterEach(() => {
+  delete globalThis.localStorage;
+});
+
+const hex = (mesh) => `#${mesh.material.color.getHexString()}`;
+
+test("color schemes and palettes give each face its color", () => {
+  assert.deepEqual(faceletColors(DEFAULT_APPEARANCE), {
+    U: "#ffffff", R: "#ffa500", F: "#0000ff", D: "#ffff00", L: "#ff0000", B: "#00aa00",
+  });
+  const japanese = { ...DEFAULT_APPEARANCE, scheme: "japanese", palette: "okabeIto" };
+  assert.equal(faceletColorName(japanese, "D"), "blue");
+  assert.equal(faceletColors(japanese).D, "#0072b2");
+  // every palette keeps six different colors
+  ["classic", "okabeIto", "highContrast"].forEach((palette) => {
+    assert.equal(new Set(Object.values(faceletColors({ ...DEFAULT_APPEARANCE, palette }))).size, 6);
+  });
+
+  const root = { dataset: {} };
+  applyTheme("light", root);
+  assert.equal(root.dataset.theme, "light");
+  applyTheme("sepia", root);
+  assert.equal(root.dataset.theme, "dark");
+});
+
+test("saves and validates appearance settings", () => {
+  assert.deepEqual(loadAppearanceSettings(), DEFAULT_APPEARANCE);
+  const seen = [];
+  const unsubscribe = subscribeToAppearanceSettings((s) => seen.push(s));
+  const settings = { scheme: "japanese", palette: "highContrast", stickerStyle: "stickerless", rounded: true, theme: "light" };
+  saveAppearanceSettings(settings);
+  unsubscribe();
+  assert.deepEqual(loadAppearanceSettings(), settings);
+  assert.equal(seen.length, 1);
+  localStorage.setItem("gan-cube-app:appearance", JSON.stringify({ scheme: "neon", palette: "toString", rounded: "yes" }));
+  assert.deepEqual(loadAppearanceSettings(), DEFAULT_APPEARANCE);
+});
+
+test("cubies get stickers on their outer faces only, restyled in place", () => {
+  const cubies = getCubieSlots(3).map(({ x, y, z }) => buildCubieMeshes(initCubie(new THREE.Group(), x, y, z, 3), DEFAULT_APPEARANCE));
+  assert.equal(getStickerMeshes(cubies).length, 54);
+  const corner = cubies.find((c) => Object.values(c.userData.stickers).sort().join("") === "FRU");
+  assert.equal(corner.children.length, 4);
+
+  // stickers keep their letters through turns; the readback still agrees
+  const algorithm = ["R", "U", "F'"];
+  algorithm.forEach((m) => applyTurn(cubies, moveToTurn(m, 3)));
+  assert.equal(readFacelets(cubies, 3), createNxNCube(3).move(algorithm.join(" ")).asString());
+
+  const up = getStickerMeshes([corner]).find((s) => s.userData.normalKey === "0,1,0");
+  const body = corner.children.find((c) => c.userData.body);
+  const boxGeometry = body.geometry;
+  assert.equal(hex(up), "#ffffff");
+  applyCubieAppearance(corner, { ...DEFAULT_APPEARANCE, palette: "highContrast", stickerStyle: "stickered", rounded: true });
+  assert.equal(hex(up), "#ffffff");
+  assert.equal(hex(getStickerMeshes([corner]).find((s) => corner.userData.stickers[s.userData.normalKey] === "F")), "#1e3cff");
+  assert.equal(up.scale.x, 0.84);
+  assert.notEqual(body.geometry, boxGeometry);
+  // the same meshes, nothing rebuilt
+  assert.equal(corner.children.find((c) => c.userData.body), body);
+});
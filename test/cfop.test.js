@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Cube from "cubejs";
+import { analyzeCfop, orientCrossDown } from "../src/analysis/cfop.js";
+import { formatAlgorithm, invertAlgorithm, parseAlgorithm } from "../src/cube/notation.js";
+
+const CROSS = "F2 D' R2 B2";
+const PAIRS = ["R U R'", "U' L' U' L", "U2 R' U R", "L U L'"];
+const SUNE = "R U R' U R U2 R'"; // OLL 27
+const FRURUF = "F R U R' U' F' U2"; // OLL 45 plus an AUF
+const T_PERM = "R U R' U' R' F R2 U' R' U' R U R' F'";
+
+// The same solve done upside down: U and D, F and B swap
+const upsideDown = (algorithm) => algorithm.replace(/[UDFB]/g, (c) => ({ U: "D", D: "U", F: "B", B: "F" })[c]);
+
+// Scrambles with the inverse of `steps` and times each move 100 ms apart
+function solve(steps) {
+  const solution = steps.join(" ");
+  return {
+    scramble: formatAlgorithm(invertAlgorithm(parseAlgorithm(solution))),
+    moves: solution.split(" ").map((move, i) => ({ move, time: i * 100 })),
+  };
+}
+
+const summary = (analysis) =>
+  analysis.steps.map(({ id, slot, case: name, startIndex, endIndex }) => [id, slot || name || "", startIndex, endIndex]);
+
+test("splits a D-cross solve into cross, four pairs, OLL 27 and a T-perm", () => {
+  const analysis = analyzeCfop(solve([CROSS, ...PAIRS, SUNE, T_PERM]));
+  assert.equal(analysis.crossFace, "D");
+  assert.equal(analysis.crossColor, "D");
+  assert.equal(analysis.complete, true);
+  assert.deepEqual(summary(analysis), [
+    ["cross", "", 0, 4],
+    ["f2l1", "FR", 4, 7],
+    ["f2l2", "LF", 7, 11],
+    ["f2l3", "RB", 11, 15],
+    ["f2l4", "BL", 15, 18],
+    ["oll", "OLL 27", 18, 25],
+    ["pll", "T", 25, 39],
+  ]);
+  const oll = analysis.steps[5];
+  assert.deepEqual([oll.moves, oll.time, oll.startTime, oll.endTime], [7, 700, 1700, 2400]);
+});
+
+test("recognizes the last layer of a U-cross solve after turning the cross down", () => {
+  const analysis = analyzeCfop(solve([CROSS, ...PAIRS, FRURUF, T_PERM].map(upsideDown)));
+  assert.equal(analysis.crossFace, "U");
+  assert.equal(analysis.crossColor, "U");
+  assert.deepEqual(summary(analysis), [
+    ["cross", "", 0, 4],
+    ["f2l1", "BR", 4, 7],
+    ["f2l2", "LB", 7, 11],
+    ["f2l3", "RF", 11, 15],
+    ["f2l4", "FL", 15, 18],
+    ["oll", "OLL 45", 18, 24],
+    ["pll", "T", 24, 39],
+  ]);
+});
+
+test("follows the cross color through whole-cube rotations", () => {
+  // cross on the bottom, then flipped to solve the rest with it on top
+  const steps = ["x2", upsideDown(CROSS), "x2", ...PAIRS, SUNE, T_PERM];
+  const analysis = analyzeCfop(solve(steps));
+  assert.equal(analysis.crossFace, "U");
+  assert.equal(analysis.crossColor, "D");
+  assert.equal(analysis.complete, true);
+  assert.deepEqual(summary(analysis), [
+    ["cross", "", 0, 5],
+    ["f2l1", "FR", 5, 9],
+    ["f2l2", "LF", 9, 13],
+    ["f2l3", "RB", 13, 17],
+    ["f2l4", "BL", 17, 20],
+    ["oll", "OLL 27", 20, 27],
+    ["pll", "T", 27, 41],
+  ]);
+});
+
+test("orientCrossDown relabels the cube so the cross sits on D", () => {
+  const solved = new Cube().asString();
+  ["U", "R", "F", "D", "L", "B"].forEach((face) => assert.equal(orientCrossDown(solved, face), solved));
+
+  // a U-cross state with an unsolved last layer on D reads as the standard case
+  const lastLayer = new Cube().move(Cube.inverse(SUNE)).asString();
+  const upside = new Cube().move("x2").move(Cube.inverse(SUNE)).move("x2").asString();
+  assert.equal(orientCrossDown(upside, "U"), lastLayer);
+});
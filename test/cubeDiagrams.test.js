@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_APPEARANCE, faceletColors } from "../src/appearance/appearance.js";
+import { diagramShapes, diagramToSvg, lastLayerLayout, netLayout } from "../src/cube/cubeDiagrams.js";
+import { createNxNCube, solvedFacelets } from "../src/cube/nxnCube.js";
+
+// Letter drawn at a spot of a layout (sticker whose box contains it)
+function letterAt(layout, x, y) {
+  const s = layout.stickers.find((s) => x >= s.x && x < s.x + s.width && y >= s.y && y < s.y + s.height);
+  return s ? s.letter : null;
+}
+
+test("the net shows every facelet once, faces in a cross", () => {
+  const facelets = createNxNCube(3).move("R U F'").asString();
+  const net = netLayout(facelets);
+  assert.equal(net.stickers.length, 54);
+  assert.deepEqual(
+    net.stickers.map((s) => s.index).sort((a, b) => a - b),
+    Array.from({ length: 54 }, (_, i) => i)
+  );
+  net.stickers.forEach((s) => assert.equal(s.letter, facelets[s.index]));
+  // F in the middle with U above it, L and R beside it
+  const block = 3.25;
+  assert.equal(letterAt(netLayout(solvedFacelets(3)), block + 1.5, 1.5), "U");
+  assert.deepEqual([0, 1, 2, 3].map((col) => letterAt(netLayout(solvedFacelets(3)), col * block + 1.5, block + 1.5)), ["L", "F", "R", "B"]);
+  assert.equal(netLayout(solvedFacelets(5)).stickers.length, 150);
+});
+
+test("the last-layer view puts each side's top row next to the right edge", () => {
+  // after R: the right column of U shows F, F's top right corner shows D, B's shows U
+  const r = lastLayerLayout(createNxNCube(3).move("R").asString());
+  const o = 0.47;
+  assert.deepEqual([0, 1, 2].map((row) => letterAt(r, o + 2.5, o + row + 0.5)), ["F", "F", "F"]);
+  assert.equal(letterAt(r, o + 2.5, o + 3.2), "D");
+  assert.equal(letterAt(r, o + 2.5, 0.1), "U");
+  // after F: R's and L's stickers next to F changed
+  const f = lastLayerLayout(createNxNCube(3).move("F").asString());
+  assert.equal(letterAt(f, o + 3.2, o + 2.5), "U");
+  assert.equal(letterAt(f, 0.1, o + 2.5), "D");
+  assert.equal(letterAt(f, 0.1, o + 0.5), "L");
+  assert.equal(f.stickers.length, 21);
+
+  // another face on top, OLL style dims what is not the top color
+  const d = lastLayerLayout(createNxNCube(3).move("R").asString(), { top: "D", style: "oll" });
+  assert.equal(d.stickers.slice(0, 9).filter((s) => s.letter === "D").length, 6);
+  assert.ok(d.stickers.every((s) => s.dim === (s.letter !== "D")));
+  assert.throws(() => lastLayerLayout(solvedFacelets(3), { top: "X" }), /Unknown top face/);
+});
+
+test("diagrams render to standalone SVG in the configured colors", () => {
+  const colors = faceletColors(DEFAULT_APPEARANCE);
+  const layout = lastLayerLayout(solvedFacelets(2), { style: "oll" });
+  const shapes = diagramShapes(layout, colors);
+  assert.equal(shapes.filter((r) => r.fill === colors.U).length, 4);
+  const svg = diagramToSvg(layout, colors, { unit: 10 });
+  assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" viewBox="0 0 2.94 2.94" width="29" height="29">/);
+  assert.equal(svg.match(/<rect /g).length, 12);
+});
@@ -0,0 +1,141 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createNxNCube, solvedFacelets } from "../src/cube/nxnCube.js";
+import { CUBE_EVENTS, createEventBus } from "../src/session/eventBus.js";
+import { connectionCallbacks, createCubeSession } from "../src/session/cubeSession.js";
+import { followerPlugin, rendererPlugin } from "../src/session/plugins.js";
+
+test("the event bus checks types and survives a failing listener", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const bus = createEventBus();
+  assert.throws(() => bus.on("mvoe", () => {}), /Unknown event type: mvoe/);
+  assert.throws(() => bus.emit("mvoe"), /Unknown event type/);
+
+  const seen = [];
+  bus.on(CUBE_EVENTS.BATTERY, () => {
+    throw new Error("boom");
+  });
+  const off = bus.on(CUBE_EVENTS.BATTERY, ({ level }) => seen.push(level));
+  bus.once(CUBE_EVENTS.BATTERY, ({ level }) => seen.push(`once ${level}`));
+  bus.emit(CUBE_EVENTS.BATTERY, { level: 80 });
+  bus.emit(CUBE_EVENTS.BATTERY, { level: 75 });
+  off();
+  bus.emit(CUBE_EVENTS.BATTERY, { level: 70 });
+  assert.deepEqual(seen, [80, "once 80", 75]);
+  assert.equal(bus.listenerCount(CUBE_EVENTS.BATTERY), 1);
+  assert.equal(warn.mock.callCount(), 3);
+});
+
+test("moves, solves and replaced states reach the bus", () => {
+  const session = createCubeSession();
+  const events = [];
+  Object.values(CUBE_EVENTS).forEach((type) => session.bus.on(type, (payload) => events.push([type, payload])));
+
+  assert.equal(session.applyMove("r", { localTimestamp: 5 }), "Rw");
+  const [[type, move]] = events;
+  assert.equal(type, CUBE_EVENTS.MOVE);
+  assert.deepEqual(move, {
+    source: "cube",
+    localTimestamp: 5,
+    move: "Rw",
+    facelets: createNxNCube(3).move("Rw").asString(),
+    solved: false,
+  });
+
+  session.applyMove({ family: "Rw", amount: -1 }, { source: "keyboard", localTimestamp: 9 });
+  assert.deepEqual(
+    events.slice(1).map(([type, payload]) => [type, payload.move, payload.source]),
+    [
+      [CUBE_EVENTS.MOVE, "Rw'", "keyboard"],
+      [CUBE_EVENTS.SOLVED, "Rw'", undefined],
+    ]
+  );
+
+  events.length = 0;
+  session.applyAlgorithm("R U");
+  session.setState(solvedFacelets(2), "resync");
+  assert.deepEqual(
+    events.map(([type, { size, reason, moves }]) => [type, size, reason, moves]),
+    [
+      [CUBE_EVENTS.STATE, 3, "algorithm", ["R", "U"]],
+      [CUBE_EVENTS.STATE, 2, "resync", []],
+    ]
+  );
+});
+
+test("plugins mount, replace each other by name and clean up", () => {
+  const session = createCubeSession();
+  const log = [];
+  const plugin = (name, label) => ({
+    name,
+    mount: ({ bus }) => {
+      log.push(`mount ${label}`);
+      const off = bus.on(CUBE_EVENTS.MOVE, ({ move }) => log.push(`${label} ${move}`));
+      return () => {
+        off();
+        log.push(`cleanup ${label}`);
+      };
+    },
+  });
+  assert.throws(() => session.use({ name: "broken" }), /needs a name and a mount/);
+
+  const unmountFirst = session.use(plugin("recorder", "a"));
+  session.use(plugin("recorder", "b"));
+  session.use(plugin("stats", "c"));
+  assert.deepEqual(session.getPlugins(), ["recorder", "stats"]);
+  // a stale unmount does not remove its replacement
+  unmountFirst();
+  session.applyMove("U");
+  session.unmount("stats");
+  session.applyMove("D");
+  session.dispose();
+  session.applyMove("F");
+  assert.deepEqual(log, ["mount a", "cleanup a", "mount b", "mount c", "b U", "c U", "cleanup c", "b D", "cleanup b"]);
+  assert.deepEqual(session.getPlugins(), []);
+});
+
+test("built-in plugins follow the session", () => {
+  const session = createCubeSession();
+  const calls = [];
+  let renderer = {
+    enqueueMove: (move) => calls.push(["move", move]),
+    enqueueSequence: (moves) => calls.push(["sequence", moves]),
+    setState: (facelets) => calls.push(["state", facelets.length]),
+  };
+  session.use(rendererPlugin(() => renderer));
+  session.use(followerPlugin("tracker", () => ({ handleMove: (move, { source }) => calls.push(["tracker", move, source]) })));
+
+  session.applyMove("R", { source: "keyboard" });
+  session.applyAlgorithm("U2");
+  session.reset();
+  // Cube3D rebuilds itself for another puzzle
+  session.setPuzzleSize(4);
+  renderer = null;
+  session.applyMove("F");
+  assert.deepEqual(calls, [
+    ["move", "R"],
+    ["tracker", "R", "keyboard"],
+    ["sequence", ["U2"]],
+    ["state", 54],
+    ["tracker", "F", "cube"],
+  ]);
+});
+
+test("connection callbacks feed the session and its bus", () => {
+  const session = createCubeSession();
+  const seen = [];
+  session.bus.on(CUBE_EVENTS.MOVE, ({ move, source, cubeTimestamp }) => seen.push(["move", move, source, cubeTimestamp]));
+  session.bus.on(CUBE_EVENTS.CONNECTION, ({ state }) => seen.push(["connection", state]));
+  session.bus.on(CUBE_EVENTS.MOVE_GAP, (gap) => seen.push(["gap", gap]));
+  const callbacks = connectionCallbacks(session);
+
+  callbacks.onStateChange("connected");
+  callbacks.onMove("R'", { cubeTimestamp: 120, source: "other" });
+  callbacks.onMoveGap({ missing: 2, recovered: 2 });
+  assert.deepEqual(seen, [
+    ["connection", "connected"],
+    ["move", "R'", "cube", 120],
+    ["gap", { missing: 2, recovered: 2 }],
+  ]);
+  assert.equal(session.getState(), createNxNCube(3).move("R'").asString());
+});
@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Cube from "cubejs";
+import { getCubeNotation, getSequenceStates, toCubejsAlgorithm } from "../src/cube/cubeState.js";
+import { createNxNCube } from "../src/cube/nxnCube.js";
+import { createCubeSession } from "../src/session/cubeSession.js";
+
+const SOLVED = new Cube().asString();
+
+test("translates WCA notation to cubejs moves", () => {
+  assert.equal(toCubejsAlgorithm("Rw U2' (R U R' U')2 M"), "r U2 R U R' U' R U R' U' M");
+  assert.equal(toCubejsAlgorithm("R4 U3"), "U'");
+});
+
+test("normalizes single move tokens", () => {
+  assert.equal(getCubeNotation("r"), "Rw");
+  assert.equal(getCubeNotation(" U3 "), "U'");
+  assert.equal(getCubeNotation("not a move"), "not a move");
+  assert.equal(getCubeNotation(null), "");
+});
+
+test("applies moves and algorithms to the tracked state", () => {
+  const session = createCubeSession();
+  session.applyMove("R");
+  session.applyAlgorithm("U R' U'");
+  assert.equal(session.getState(), new Cube().move("R U R' U'").asString());
+  assert.equal(session.isSolved(), false);
+  session.applyAlgorithm("U R U' R'");
+  assert.equal(session.getState(), SOLVED);
+  assert.equal(session.isSolved(), true);
+});
+
+test("ignores unparseable moves", (t) => {
+  t.mock.method(console, "warn", () => {});
+  const session = createCubeSession();
+  assert.equal(session.applyAlgorithm("R Q"), false);
+  assert.equal(session.applyMove("R U"), null);
+  assert.equal(session.getState(), SOLVED);
+});
+
+test("reconstructs the state before a sequence", () => {
+  const session = createCubeSession();
+  session.applyAlgorithm("F2 D");
+  const before = session.getState();
+  session.applyAlgorithm("R U R' U'");
+  assert.equal(session.getStateBefore("R U R' U'"), before);
+});
+
+test("replays a recorded sequence state by state", () => {
+  const states = getSequenceStates({ scramble: "R", moves: ["U", { move: "R'" }] });
+  assert.equal(states.length, 3);
+  assert.equal(states[0], new Cube().move("R").asString());
+  assert.equal(states[2], new Cube().move("R U R'").asString());
+  const fromFacelets = getSequenceStates({ startFacelets: states[1], moves: ["R'"] });
+  assert.deepEqual(fromFacelets, [states[1], states[2]]);
+});
+
+test("adopts facelets reported by the cube", () => {
+  const session = createCubeSession();
+  const facelets = new Cube().move("L D2 B'").asString();
+  session.setState(facelets);
+  assert.equal(session.getState(), facelets);
+  session.reset();
+  assert.equal(session.getState(), SOLVED);
+});
+
+test("tracks other puzzle sizes", (t) => {
+  t.mock.method(console, "warn", () => {});
+  const session = createCubeSession();
+  session.setPuzzleSize(4);
+  assert.equal(session.getPuzzleSize(), 4);
+  session.applyAlgorithm("Rw U 2R'");
+  const facelets = createNxNCube(4).move("Rw U 2R'").asString();
+  assert.equal(session.getState(), facelets);
+  assert.equal(session.getStateBefore("2R'"), createNxNCube(4).move("Rw U").asString());
+  assert.equal(getSequenceStates({ startFacelets: facelets, moves: ["2R"] })[1], createNxNCube(4).move("Rw U").asString());
+  session.reset();
+  assert.equal(session.isSolved(), true);
+  assert.equal(session.getState().length, 96);
+  // a reported facelet string brings its own size; moves a 2x2 lacks change nothing
+  session.setState(createNxNCube(2).move("R").asString());
+  assert.equal(session.getPuzzleSize(), 2);
+  assert.equal(session.applyMove("U"), "U");
+  assert.equal(session.applyMove("M"), null);
+  assert.equal(session.getState(), createNxNCube(2).move("R U").asString());
+});
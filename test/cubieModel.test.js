@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import {
+  AXIS_VECTORS,
+  applyTurn,
+  getCubieSlots,
+  getLayerCubies,
+  initCubie,
+  moveToTurn,
+  readFacelets,
+  snapCubie,
+} from "../src/cube/cubieModel.js";
+import { createCubeSession } from "../src/session/cubeSession.js";
+
+const MOVES = ["U", "D", "R", "L", "F", "B", "M", "E", "S", "Rw", "Uw", "x", "y", "z"].flatMap((m) => [m, `${m}'`, `${m}2`]);
+
+// Small seeded generator (mulberry32) so failures can be replayed
+function seededRandom(seed) {
+  let a = seed;
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function createCubies() {
+  const group = new THREE.Group();
+  const cubies = getCubieSlots(3).map(({ x, y, z }) => {
+    const cubie = initCubie(new THREE.Object3D(), x, y, z, 3);
+    group.add(cubie);
+    return cubie;
+  });
+  return { group, cubies };
+}
+
+// Cube3D's animated path: the layer turns on a pivot group in steps, then is
+// re-attached to the cube group and snapped back onto the grid
+function animateTurn(group, cubies, turn, steps = 5) {
+  const pivot = new THREE.Group();
+  group.add(pivot);
+  const affected = getLayerCubies(cubies, turn.axis, turn.layers);
+  affected.forEach((cubie) => pivot.attach(cubie));
+  for (let i = 1; i <= steps; i++) {
+    pivot.quaternion.setFromAxisAngle(AXIS_VECTORS[turn.axis], (turn.angle * i) / steps);
+  }
+  pivot.updateMatrixWorld(true);
+  affected.forEach((cubie) => {
+    group.attach(cubie);
+    snapCubie(cubie);
+  });
+  group.remove(pivot);
+}
+
+for (const [label, turnCubies] of [
+  ["instant turns", (group, cubies, turn) => applyTurn(cubies, turn)],
+  ["pivot animations", animateTurn],
+]) {
+  test(`rendered stickers match the cube state after random sequences (${label})`, () => {
+    for (let seed = 1; seed <= 5; seed++) {
+      const random = seededRandom(seed);
+      const { group, cubies } = createCubies();
+      const session = createCubeSession();
+      for (let i = 0; i < 40; i++) {
+        const move = MOVES[Math.floor(random() * MOVES.length)];
+        turnCubies(group, cubies, moveToTurn(move, 3));
+        session.applyMove(move);
+        assert.equal(readFacelets(cubies, 3), session.getState(), `seed ${seed}, move ${i + 1} (${move})`);
+      }
+    }
+  });
+}
@@ -0,0 +1,290 @@
+import { afterEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import Cube from "cubejs";
+import { CONNECTION_STATES, createCubeConnection } from "../src/bluetooth/connection.js";
+import {
+  SMART_CUBE_DRIVERS,
+  findDriverByName,
+  findDriverByServices,
+  getRequestOptions,
+} from "../src/bluetooth/drivers/index.js";
+import { decodeGiikerPacket, giikerToFacelets } from "../src/bluetooth/drivers/giiker.js";
+import { MOYU_KEY, createMoyuDecoder, moyuDriver, moyuMacCandidates } from "../src/bluetooth/drivers/moyu.js";
+import { createQiyiDecoder, qiyiDriver, qiyiPacket, readQiyiPacket } from "../src/bluetooth/drivers/qiyi.js";
+import { createSaltedEncrypter } from "../src/bluetooth/protocols/common.js";
+import { createBitWriter } from "../src/bluetooth/mock/ganPackets.js";
+import { createMockBluetooth, installMockBluetooth } from "../src/bluetooth/mock/mockBluetooth.js";
+
+const SOLVED = new Cube().asString();
+
+// Minimal GATT characteristic: records writes, notify(bytes) raises a notification
+function fakeCharacteristic({ read = () => new Uint8Array(20), onWrite } = {}) {
+  const characteristic = new EventTarget();
+  characteristic.written = [];
+  characteristic.startNotifications = async () => characteristic;
+  characteristic.stopNotifications = async () => characteristic;
+  characteristic.readValue = async () => new DataView(Uint8Array.from(read()).buffer);
+  characteristic.writeValue = async (data) => {
+    characteristic.written.push(Uint8Array.from(data));
+    if (onWrite) onWrite(Uint8Array.from(data));
+  };
+  characteristic.notify = (bytes) => {
+    characteristic.value = new DataView(Uint8Array.from(bytes).buffer);
+    characteristic.dispatchEvent(new Event("characteristicvaluechanged"));
+  };
+  return characteristic;
+}
+
+function fakeService(uuid, characteristics) {
+  return {
+    uuid,
+    getCharacteristic: async (characteristicUuid) => {
+      if (!characteristics[characteristicUuid]) throw new Error(`No characteristic ${characteristicUuid}`);
+      return characteristics[characteristicUuid];
+    },
+  };
+}
+
+function fakeDevice(name, services) {
+  const device = new EventTarget();
+  device.id = `${name}-id`;
+  device.name = name;
+  device.serviceUuids = services.map((s) => s.uuid);
+  device.gatt = {
+    connected: false,
+    connect: async () => {
+      device.gatt.connected = true;
+      return { getPrimaryServices: async () => services };
+    },
+    disconnect: () => {
+      device.gatt.connected = false;
+    },
+  };
+  return device;
+}
+
+test("the chooser offers every brand and drivers are found by name or service", () => {
+  const options = getRequestOptions(SMART_CUBE_DRIVERS);
+  const prefixes = options.filters.map((f) => f.namePrefix);
+  for (const prefix of ["GAN", "WCU_MY32", "QY-QYSC", "Gi"]) assert.ok(prefixes.includes(prefix));
+  assert.ok(options.optionalServices.includes("0000aadb-0000-1000-8000-00805f9b34fb"));
+  assert.equal(new Set(options.optionalServices).size, options.optionalServices.length);
+  assert.ok(options.optionalManufacturerData.length > 0);
+
+  assert.equal(findDriverByName(SMART_CUBE_DRIVERS, "GAN356 i3").name, "GAN");
+  assert.equal(findDriverByName(SMART_CUBE_DRIVERS, "GiC12345").name, "Giiker");
+  assert.equal(findDriverByName(SMART_CUBE_DRIVERS, "WCU_MY32_1A2B").name, "MoYu");
+  assert.equal(findDriverByName(SMART_CUBE_DRIVERS, "Rubiks"), null);
+  assert.equal(findDriverByServices(SMART_CUBE_DRIVERS, ["0000FFF0-0000-1000-8000-00805F9B34FB"]).name, "QiYi");
+});
+
+describe("Giiker", () => {
+  // The well-known solved-state packet: corners 1-8 twist 3, edges 1-12 unflipped
+  const solved = Uint8Array.from([
+    0x12, 0x34, 0x56, 0x78, 0x33, 0x33, 0x33, 0x33, 0x12, 0x34, 0x56, 0x78, 0x9a, 0xbc, 0x00, 0x00, 0x00, 0x00, 0x00,
+    0x00,
+  ]);
+
+  test("decodes the solved state", () => {
+    assert.equal(giikerToFacelets(decodeGiikerPacket(solved)), SOLVED);
+  });
+
+  test("removes the lookup-table obfuscation of newer firmware", () => {
+    const lookup = [176, 81, 104, 224, 86, 137, 237, 119, 38, 26, 193, 161, 210, 126, 150, 81, 93, 13, 236, 249, 89, 235];
+    const [o1, o2] = [2, 3];
+    const packet = solved.map((b, i) => (b - lookup[o1 + i] - lookup[o2 + i]) & 0xff);
+    packet[18] = 0xa7;
+    packet[19] = (o1 << 4) | o2;
+    assert.deepEqual(decodeGiikerPacket(packet).subarray(0, 18), solved.subarray(0, 18));
+  });
+
+  describe("connected", () => {
+    let connection = null;
+    let uninstall = null;
+
+    afterEach(async () => {
+      await connection.disconnect();
+      uninstall();
+    });
+
+    test("streams moves without a MAC address or move counter", async () => {
+      const state = fakeCharacteristic({ read: () => solved });
+      const device = fakeDevice("GiC1A2B3", [
+        fakeService("0000aadb-0000-1000-8000-00805f9b34fb", { "0000aadc-0000-1000-8000-00805f9b34fb": state }),
+      ]);
+      uninstall = installMockBluetooth(createMockBluetooth({ devices: [device] }));
+      const moves = [];
+      const facelets = [];
+      connection = createCubeConnection({
+        onMove: (move) => moves.push(move),
+        onFacelets: (f) => facelets.push(f),
+        onMacAddressRequest: () => assert.fail("no MAC address needed"),
+      });
+      await connection.connect();
+      assert.equal(connection.getState(), CONNECTION_STATES.CONNECTED);
+      assert.equal(connection.getDriver().name, "Giiker");
+      assert.equal(connection.getMacAddress(), null);
+      assert.deepEqual(facelets, [SOLVED]);
+
+      const withMove = (face, amount) => {
+        const packet = Uint8Array.from(solved);
+        packet[16] = (face << 4) | amount;
+        return packet;
+      };
+      state.notify(solved); // repeats the value read on connect
+      state.notify(withMove(5, 1));
+      state.notify(withMove(4, 3));
+      state.notify(withMove(6, 2));
+      assert.deepEqual(moves, ["R", "U'", "F", "F"]);
+      await assert.rejects(connection.sendCommand("moveHistory", 1, 2), /Unsupported Giiker command/);
+    });
+  });
+});
+
+describe("MoYu", () => {
+  const MAC = "CF:30:16:01:1A:2B";
+
+  function moyuPacket(opcode, fields = []) {
+    const writer = createBitWriter(20);
+    writer.setBitWord(0, 8, opcode);
+    fields.forEach(([start, length, value]) => writer.setBitWord(start, length, value));
+    return writer.bytes;
+  }
+
+  function moyuMove(step, moves) {
+    // moves newest first: [moveId, interval]
+    const fields = [[88, 8, step]];
+    moves.forEach(([id, interval], i) => fields.push([96 + 5 * i, 5, id], [8 + 16 * i, 16, interval]));
+    return moyuPacket(0xa5, fields);
+  }
+
+  test("derives both MAC variants from the device name", () => {
+    assert.equal(moyuDriver.macFromDeviceName("WCU_MY32_1a2b"), "CF:30:16:00:1A:2B");
+    assert.deepEqual(moyuMacCandidates("CF:30:16:00:1A:2B"), ["CF:30:16:00:1A:2B", MAC]);
+    assert.deepEqual(moyuMacCandidates("AB:12:CD:34:EF:56"), ["AB:12:CD:34:EF:56"]);
+  });
+
+  test("decodes moves and recovers the ones missed between packets", () => {
+    const decoder = createMoyuDecoder();
+    const first = decoder.decode(moyuMove(10, [[10, 300]]), 1000);
+    assert.deepEqual(first.map((e) => [e.serial, e.move, e.cubeTimestamp]), [[10, "R", 300]]);
+    // steps 11 and 12 were lost; slot 0 is the newest move
+    const next = decoder.decode(moyuMove(13, [[4, 100], [3, 80], [9, 50], [10, 300]]));
+    assert.deepEqual(
+      next.map((e) => [e.serial, e.move, e.cubeTimestamp]),
+      [[11, "L'", 350], [12, "B'", 430], [13, "U", 530]]
+    );
+  });
+
+  test("decodes facelets, info and battery", () => {
+    const facelets = new Cube().move("R U R' F2 D'").asString();
+    const fields = [[152, 8, 42]];
+    // 8 stickers per packet face (centre left out), faces in FBUDLR order
+    [2, 5, 0, 3, 4, 1].forEach((face, i) => {
+      const stickers = facelets.slice(i * 9, i * 9 + 9);
+      [...stickers.slice(0, 4), ...stickers.slice(5)].forEach((s, j) => {
+        fields.push([8 + (face * 8 + j) * 3, 3, "FBUDLR".indexOf(s)]);
+      });
+    });
+    const decoder = createMoyuDecoder();
+    const [state] = decoder.decode(moyuPacket(0xa3, fields));
+    assert.equal(state.type, "FACELETS");
+    assert.equal(state.serial, 42);
+    assert.equal(state.facelets, facelets);
+
+    const name = [..."WCU_MY32"].map((c, i) => [8 + i * 8, 8, c.charCodeAt(0)]);
+    const [info] = decoder.decode(moyuPacket(0xa1, [...name, [72, 8, 1], [80, 8, 2], [88, 8, 3], [96, 8, 4]]));
+    assert.deepEqual(
+      [info.type, info.hardwareName, info.hardwareVersion, info.softwareVersion],
+      ["HARDWARE", "WCU_MY32", "1.2", "3.4"]
+    );
+    assert.equal(decoder.decode(moyuPacket(0xa4, [[8, 8, 77]]))[0].batteryLevel, 77);
+  });
+
+  test("keeps the MAC variant the cube answers to", async () => {
+    const encrypter = createSaltedEncrypter(MOYU_KEY, MAC);
+    const read = fakeCharacteristic();
+    const write = fakeCharacteristic({
+      // only packets encrypted with the real MAC make sense to the cube
+      onWrite: (data) => {
+        if (encrypter.decrypt(data)[0] === 0xa1) read.notify(encrypter.encrypt(moyuPacket(0xa1)));
+      },
+    });
+    const services = [
+      fakeService("0783b03e-7735-b5a0-1760-a305d2795cb0", {
+        "0783b03e-7735-b5a0-1760-a305d2795cb1": read,
+        "0783b03e-7735-b5a0-1760-a305d2795cb2": write,
+      }),
+    ];
+    const events = [];
+    const session = await moyuDriver.openSession({
+      services,
+      macAddress: moyuDriver.macFromDeviceName("WCU_MY32_1A2B"),
+      emit: (e) => events.push(...e),
+    });
+    assert.equal(session.macAddress, MAC);
+    assert.equal(write.written.length, 2);
+    assert.deepEqual(events.map((e) => e.type), ["HARDWARE"]);
+
+    read.notify(encrypter.encrypt(moyuMove(0, [[6, 120]])));
+    assert.equal(events[events.length - 1].move, "D");
+    await session.sendCommand("battery");
+    assert.equal(encrypter.decrypt(write.written[2])[0], 0xa4);
+    await session.close();
+  });
+});
+
+describe("QiYi", () => {
+  const MOVE_CODES = { "L'": 1, L: 2, "R'": 3, R: 4, "D'": 5, D: 6, "U'": 7, U: 8, "F'": 9, F: 10, "B'": 11, B: 12 };
+
+  // Cube message: opcode, timestamp, 27 state bytes, move, battery, previous moves
+  function qiyiMessage(opcode, timestamp, { facelets = SOLVED, move, battery = 90, previous = [] } = {}) {
+    const message = new Uint8Array(opcode === 0x03 ? 92 : 36);
+    message[0] = opcode;
+    message.set([timestamp >>> 24, (timestamp >> 16) & 0xff, (timestamp >> 8) & 0xff, timestamp & 0xff], 1);
+    for (let i = 0; i < 27; i++) {
+      message[5 + i] = "LRDUFB".indexOf(facelets[2 * i]) | ("LRDUFB".indexOf(facelets[2 * i + 1]) << 4);
+    }
+    if (move) message[32] = MOVE_CODES[move];
+    message[33] = battery;
+    if (opcode === 0x03) {
+      message.fill(0xff, 34, 89);
+      // newest last
+      previous.forEach(([ts, m], i) => {
+        const offset = 34 + (11 - previous.length + i) * 5;
+        message.set([ts >>> 24, (ts >> 16) & 0xff, (ts >> 8) & 0xff, ts & 0xff, MOVE_CODES[m]], offset);
+      });
+    }
+    return readQiyiPacket(qiyiPacket(message));
+  }
+
+  test("frames packets with a checksum and rejects corrupted ones", () => {
+    const packet = qiyiPacket([5, 5, 5, 5, 5]);
+    assert.equal(packet.length, 16);
+    assert.deepEqual(Array.from(readQiyiPacket(packet).subarray(2, 7)), [5, 5, 5, 5, 5]);
+    const corrupted = Uint8Array.from(packet);
+    corrupted[3] ^= 1;
+    assert.equal(readQiyiPacket(corrupted), null);
+    assert.equal(qiyiDriver.macFromDeviceName("QY-QYSC-S-9F3E"), "CC:A3:00:00:9F:3E");
+  });
+
+  test("decodes the hello state and moves, recovering missed ones by timestamp", () => {
+    const decoder = createQiyiDecoder();
+    const facelets = new Cube().move("R U").asString();
+    const hello = decoder.decode(qiyiMessage(0x02, 1000, { facelets }));
+    assert.deepEqual(hello.map((e) => e.type), ["FACELETS", "BATTERY"]);
+    assert.equal(hello[0].facelets, facelets);
+
+    const first = decoder.decode(qiyiMessage(0x03, 1200, { move: "U'", previous: [[900, "R"]] }));
+    assert.deepEqual(first.map((e) => [e.move, e.cubeTimestamp]), [["U'", 1200]]);
+    // 1500 and 1700 were never received
+    const previous = [[1200, "U'"], [1500, "R'"], [1700, "D"]];
+    const next = decoder.decode(qiyiMessage(0x03, 1900, { move: "F", battery: 89, previous }));
+    assert.deepEqual(next.filter((e) => e.type === "MOVE").map((e) => [e.move, e.cubeTimestamp]), [
+      ["R'", 1500],
+      ["D", 1700],
+      ["F", 1900],
+    ]);
+    assert.equal(next.find((e) => e.type === "BATTERY").batteryLevel, 89);
+  });
+});
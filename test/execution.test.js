@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { INTERVAL_KINDS, analyzeExecution } from "../src/analysis/execution.js";
+
+// [move, ms since the solve started] as the timer records them, on the cube's clock
+function recorded(sequence, { cubeClock = true } = {}) {
+  return sequence.map(([move, time]) => ({
+    move,
+    time,
+    localTimestamp: 90000 + time,
+    cubeTimestamp: cubeClock ? 5000 + time : null,
+  }));
+}
+
+test("measures TPS, pauses, regrips and cancellations from move timestamps", () => {
+  const moves = recorded([
+    ["F", 0], ["F'", 120],
+    ["U'", 900], ["R", 1000], ["U", 1100], ["U'", 1200], ["R'", 1300],
+    ["R'", 1700],
+  ]);
+  const analysis = analyzeExecution({ moves, scramble: "R U" });
+
+  assert.equal(analysis.timingSource, "device");
+  assert.equal(analysis.moves, 8);
+  assert.equal(analysis.time, 1700);
+  assert.equal(analysis.medianInterval, 100);
+  assert.deepEqual(
+    analysis.intervals.map((i) => [i.move, i.interval, i.kind]),
+    [
+      ["F", 0, INTERVAL_KINDS.TURN],
+      ["F'", 120, INTERVAL_KINDS.TURN],
+      ["U'", 780, INTERVAL_KINDS.PAUSE],
+      ["R", 100, INTERVAL_KINDS.TURN],
+      ["U", 100, INTERVAL_KINDS.TURN],
+      ["U'", 100, INTERVAL_KINDS.TURN],
+      ["R'", 100, INTERVAL_KINDS.TURN],
+      ["R'", 400, INTERVAL_KINDS.REGRIP],
+    ]
+  );
+  assert.equal(analysis.recognitionTime, 780);
+  assert.equal(analysis.executionTime, 920);
+  assert.equal(analysis.tps, 8 / 1.7);
+  assert.equal(analysis.executionTps, 8 / 0.92);
+  // nested pairs count too: R (U U') R'
+  assert.deepEqual(
+    analysis.cancellations.map((c) => [c.moves, c.undoneIndex, c.index]),
+    [
+      ["F F'", 0, 1],
+      ["U U'", 4, 5],
+      ["R R'", 3, 6],
+    ]
+  );
+
+  // per CFOP step: the pause belongs to the step it precedes
+  const cross = analysis.steps.find((s) => s.id === "cross");
+  assert.deepEqual([cross.moves, cross.recognitionTime, cross.executionTime, cross.cancellations.length], [3, 780, 120, 1]);
+  const pll = analysis.steps.find((s) => s.id === "pll");
+  assert.deepEqual([pll.moves, pll.regrips.length, pll.cancellations.length], [5, 1, 2]);
+  assert.equal(analysis.steps.reduce((sum, s) => sum + s.moves, 0), 8);
+});
+
+test("falls back to the recorded times and copes with empty solves", () => {
+  const moves = recorded([["R", 0], ["R'", 700]], { cubeClock: false });
+  const analysis = analyzeExecution({ moves, pauseMs: 1000 });
+  assert.equal(analysis.timingSource, "local");
+  assert.deepEqual(analysis.intervals.map((i) => i.kind), [INTERVAL_KINDS.TURN, INTERVAL_KINDS.TURN]);
+  assert.equal(analysis.cancellations.length, 1);
+
+  const empty = analyzeExecution({ moves: [] });
+  assert.deepEqual([empty.moves, empty.time, empty.tps, empty.intervals], [0, 0, null, []]);
+});
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { findFaceletErrors } from "../src/cube/faceletValidation.js";
+import { applyTurn, getCubieSlots, initCubie, moveToTurn, stickerFaceletAt } from "../src/cube/cubieModel.js";
+import { createNxNCube, solvedFacelets } from "../src/cube/nxnCube.js";
+import { paintFacelet, parseFaceletText } from "../src/editor/faceletEditor.js";
+
+const SOLVED = solvedFacelets(3);
+
+test("paints stickers one at a time", () => {
+  const painted = paintFacelet(SOLVED, 7, "F");
+  assert.equal(painted[7], "F");
+  assert.equal(painted.length, 54);
+  assert.match(findFaceletErrors(painted)[0], /9 stickers/);
+  // swapping the two colors back and forth flips the UF edge
+  assert.deepEqual(findFaceletErrors(paintFacelet(painted, 19, "U")), ["An edge is flipped"]);
+  assert.throws(() => paintFacelet(SOLVED, 54, "U"), /No sticker 54/);
+  assert.throws(() => paintFacelet(SOLVED, 0, "W"), /Unknown face/);
+});
+
+test("imports facelet strings the way getCubeState() exports them", () => {
+  const scrambled = createNxNCube(3).move("R U F' L2 D").asString();
+  assert.equal(parseFaceletText(scrambled), scrambled);
+  // a net pasted face by face, in lower case
+  const rows = scrambled.toLowerCase().match(/.{9}/g).join("\n");
+  assert.equal(parseFaceletText(`  ${rows}\n`), scrambled);
+  assert.throws(() => parseFaceletText(""), /Nothing to import/);
+  assert.throws(() => parseFaceletText(SOLVED.slice(1)), /Expected 54 facelets, got 53/);
+  assert.throws(() => parseFaceletText(SOLVED.replace("U", "W")), /"W" is not a face letter/);
+});
+
+test("a clicked face maps to the sticker now in that place", () => {
+  const cubies = getCubieSlots(3).map(({ x, y, z }) => initCubie(new THREE.Object3D(), x, y, z));
+  const at = (x, y, z) => cubies.find((c) => {
+    const p = c.userData.gridPosition;
+    return p.x === x && p.y === y && p.z === z;
+  });
+  // URF corner: its top face is U9 (index 8), its inside face is no sticker
+  assert.equal(stickerFaceletAt(at(1, 1, 1), { x: 0, y: 1, z: 0 }), 8);
+  assert.equal(stickerFaceletAt(at(1, 1, 1), { x: -1, y: 0, z: 0 }), -1);
+  // after R the cubie that was at DRF sits at URF with its old front face on top
+  applyTurn(cubies, moveToTurn("R"));
+  assert.equal(stickerFaceletAt(at(1, 1, 1), { x: 0, y: 0, z: 1 }), 8);
+});
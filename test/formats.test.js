@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import {
+  exportCsTimerCsv,
+  exportCsTimerJson,
+  exportTwistyTimerCsv,
+  parseHistoryFile,
+} from "../src/history/formats.js";
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+
+// Only the fields every format carries
+const portable = ({ time, penalty, scramble, comment, date }) => ({ time, penalty, scramble, comment, date });
+
+test("reads a csTimer JSON backup", () => {
+  const { format, sessions } = parseHistoryFile(fixture("cstimer-backup.json"));
+  assert.equal(format, "cstimer-json");
+  assert.deepEqual(sessions.map((s) => [s.name, s.solves.length]), [["3x3 OH", 4], ["4x4", 1]]);
+
+  const [clean, plusTwo, dnf, smart] = sessions[0].solves;
+  assert.deepEqual(portable(clean), {
+    time: 11432,
+    penalty: null,
+    scramble: "D2 R2 B2 U' F2 U L2 U2 B2 U' R2 F' L' D2 R U' F2 R' D' B' U'",
+    comment: "",
+    date: 1697462135000,
+  });
+  assert.equal(plusTwo.penalty, "+2");
+  assert.equal(plusTwo.time, 12874);
+  assert.equal(plusTwo.comment, "+2 on the AUF");
+  assert.equal(dnf.penalty, "DNF");
+  assert.deepEqual(smart.moves, [
+    { move: "R", time: 0 },
+    { move: "U", time: 180 },
+    { move: "R'", time: 341 },
+    { move: "U'", time: 520 },
+  ]);
+});
+
+test("csTimer JSON round-trips", () => {
+  const { sessions } = parseHistoryFile(fixture("cstimer-backup.json"));
+  const again = parseHistoryFile(exportCsTimerJson(sessions));
+  assert.equal(again.format, "cstimer-json");
+  assert.deepEqual(again.sessions, sessions);
+});
+
+test("reads a csTimer session CSV, including a row without a date", () => {
+  const before = Date.now();
+  const { format, sessions } = parseHistoryFile(fixture("cstimer-session.csv"));
+  assert.equal(format, "cstimer-csv");
+  const [clean, plusTwo, dnf, long] = sessions[0].solves;
+  assert.equal(clean.time, 11432);
+  assert.equal(clean.date, new Date(2023, 9, 16, 13, 15, 35).getTime());
+  assert.deepEqual([plusTwo.time, plusTwo.penalty, plusTwo.comment], [12874, "+2", "+2 on the AUF; slow"]);
+  assert.deepEqual([dnf.time, dnf.penalty, dnf.comment], [9981, "DNF", 'said "oops"']);
+  assert.ok(dnf.date >= before);
+  assert.equal(long.time, 62050);
+});
+
+test("csTimer CSV round-trips", () => {
+  const { sessions } = parseHistoryFile(fixture("cstimer-session.csv"));
+  // the undated row gets an import time with milliseconds, which CSV dates drop
+  const solves = sessions[0].solves.filter((s, i) => i !== 2);
+  const again = parseHistoryFile(exportCsTimerCsv(solves));
+  assert.deepEqual(again.sessions[0].solves.map(portable), solves.map(portable));
+});
+
+test("reads a Twisty Timer backup grouped by category", () => {
+  const { format, sessions } = parseHistoryFile(fixture("twistytimer-backup.txt"));
+  assert.equal(format, "twisty-csv");
+  assert.deepEqual(sessions.map((s) => [s.name, s.solves.length]), [["Twisty Timer 333 Normal", 3], ["Twisty Timer 333 OH", 1]]);
+  const [clean, plusTwo, dnf] = sessions[0].solves;
+  assert.deepEqual(portable(clean), { time: 11432, penalty: null, scramble: "D2 R2 B2 U' F2 U L2", comment: "", date: 1697462135000 });
+  // Twisty Timer stores +2 solves with the penalty included
+  assert.deepEqual([plusTwo.time, plusTwo.penalty], [12874, "+2"]);
+  assert.deepEqual([dnf.time, dnf.penalty], [9981, "DNF"]);
+  assert.equal(sessions[1].solves[0].comment, 'first OH; "warm-up"');
+});
+
+test("Twisty Timer CSV round-trips", () => {
+  const { sessions } = parseHistoryFile(fixture("twistytimer-backup.txt"));
+  const solves = sessions[0].solves;
+  const again = parseHistoryFile(exportTwistyTimerCsv(solves));
+  assert.deepEqual(again.sessions[0].solves.map(portable), solves.map(portable));
+});
+
+test("rejects files it does not recognize", () => {
+  assert.throws(() => parseHistoryFile(""), /File is empty/);
+  assert.throws(() => parseHistoryFile('{"foo": 1}'), /no csTimer sessions/);
+  assert.throws(() => parseHistoryFile("hello"), /Unrecognized history format/);
+});
@@ -0,0 +1,241 @@
+import { afterEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import Cube from "cubejs";
+import { CONNECTION_STATES, createGanConnection } from "../src/bluetooth/gan.js";
+import { createMockBluetooth, installMockBluetooth } from "../src/bluetooth/mock/mockBluetooth.js";
+import { createMockGanDevice } from "../src/bluetooth/mock/mockGanDevice.js";
+import { createNxNCube } from "../src/cube/nxnCube.js";
+import { CUBE_EVENTS } from "../src/session/eventBus.js";
+import { connectionCallbacks, createCubeSession } from "../src/session/cubeSession.js";
+import { rendererPlugin, timerPlugin } from "../src/session/plugins.js";
+import { PHASES, createSolveTimer } from "../src/timer/solveTimer.js";
+
+const capture = JSON.parse(readFileSync(new URL("./fixtures/gen3-sexy-move.json", import.meta.url), "utf8"));
+
+// Lets queued notifications and timers run
+const tick = (ms = 0) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let uninstall = null;
+let connection = null;
+let session = null;
+
+// A connection feeding a cube session like the app's, with a recording stand-in for Cube3D
+function setup(deviceOptions, connectionOptions = {}) {
+  const device = createMockGanDevice(deviceOptions);
+  const bluetooth = createMockBluetooth({ devices: [device] });
+  uninstall = installMockBluetooth(bluetooth);
+  const rendered = [];
+  const timer = createSolveTimer();
+  session = createCubeSession();
+  session.use(timerPlugin(timer));
+  session.use(rendererPlugin(() => ({ enqueueMove: (move) => rendered.push(move), setState: () => {} })));
+  const log = { events: [], states: [], gaps: [], facelets: [], resyncs: [], battery: [], hardware: [], orientation: [] };
+  const { bus } = session;
+  bus.on(CUBE_EVENTS.MOVE, (event) => log.events.push(event));
+  bus.on(CUBE_EVENTS.CONNECTION, ({ state }) => log.states.push(state));
+  bus.on(CUBE_EVENTS.MOVE_GAP, (gap) => log.gaps.push(gap));
+  bus.on(CUBE_EVENTS.FACELETS, ({ facelets }) => log.facelets.push(facelets));
+  bus.on(CUBE_EVENTS.RESYNC, ({ facelets }) => log.resyncs.push(facelets));
+  bus.on(CUBE_EVENTS.BATTERY, ({ level }) => log.battery.push(level));
+  bus.on(CUBE_EVENTS.HARDWARE, (info) => log.hardware.push(info));
+  bus.on(CUBE_EVENTS.ORIENTATION, ({ quaternion }) => log.orientation.push(quaternion));
+  connection = createGanConnection({ ...connectionCallbacks(session), ...connectionOptions });
+  return { device, bluetooth, timer, rendered, log };
+}
+
+afterEach(async () => {
+  if (connection) await connection.disconnect();
+  connection = null;
+  session = null;
+  if (uninstall) uninstall();
+  uninstall = null;
+});
+
+for (const protocol of ["Gen2", "Gen3", "Gen4"]) {
+  describe(`${protocol} cube end to end`, () => {
+    test("connects, reads device info and follows moves into the app state", async () => {
+      const { device, bluetooth, rendered, log } = setup({ protocol });
+      assert.equal(await connection.connect(), device);
+      await tick();
+      assert.equal(connection.getState(), CONNECTION_STATES.CONNECTED);
+      assert.equal(connection.getMacAddress(), device.macAddress);
+      assert.equal(connection.getProtocol().name, protocol);
+      assert.ok(bluetooth.requests[0].filters.some((f) => f.namePrefix === "GAN"));
+      assert.deepEqual(log.battery, [80]);
+      assert.equal(log.hardware.length, 1);
+
+      device.turn("R U R' U2");
+      assert.deepEqual(rendered, ["R", "U", "R'", "U", "U"]);
+      assert.equal(session.getState(), device.getFacelets());
+      assert.ok(log.events.every((e) => e.cubeTimestamp != null && !e.backfilled));
+
+      // periodic check: the cube agrees with the app
+      await connection.sendCommand("facelets");
+      assert.equal(log.facelets[log.facelets.length - 1], session.getState());
+    });
+
+    test("the first move starts the timer and solving stops it", async () => {
+      const { device, timer } = setup({ protocol, facelets: new Cube().move("R U").asString() });
+      await connection.connect();
+      session.setState(device.getFacelets());
+
+      timer.startInspection();
+      device.turn("U' R'", { interval: 400 });
+      const state = timer.getState();
+      assert.equal(state.phase, PHASES.STOPPED);
+      assert.equal(state.result.timingSource, "device");
+      assert.equal(state.result.time, 400);
+      assert.deepEqual(state.result.moves.map((m) => m.move), ["U'", "R'"]);
+    });
+  });
+}
+
+test("a GAN 2x2 reports itself and its 24 facelets", async () => {
+  const { device, log } = setup({ protocol: "Gen2", name: "GAN251-1A2B" });
+  await connection.connect();
+  assert.equal(connection.getPuzzleSize(), 2);
+  session.setPuzzleSize(connection.getPuzzleSize());
+  device.turn("R U' F2");
+  assert.equal(session.getState(), createNxNCube(2).move("R U' F2").asString());
+  await connection.sendCommand("facelets");
+  assert.equal(log.facelets[log.facelets.length - 1], session.getState());
+});
+
+test("Gen2 orientation packets reach the orientation event", async () => {
+  const { device, log } = setup({ protocol: "Gen2" });
+  await connection.connect();
+  assert.equal(device.setOrientation({ x: 0, y: 0.6, z: 0, w: 0.8 }), true);
+  assert.equal(log.orientation.length, 1);
+  assert.ok(Math.abs(log.orientation[0].y - 0.6) < 1e-4);
+});
+
+test("dropped Gen3 moves are backfilled from the move history", async () => {
+  const { device, rendered, log } = setup({ protocol: "Gen3" });
+  await connection.connect();
+  device.turn("R U");
+  device.turn("F D'", { dropped: true });
+  device.turn("L");
+  await tick();
+  assert.deepEqual(rendered, ["R", "U", "F", "D'", "L"]);
+  assert.deepEqual(log.events.map((e) => !!e.backfilled), [false, false, true, true, false]);
+  assert.deepEqual(log.gaps, [{ missing: 0, recovered: 2 }]);
+  assert.equal(session.getState(), device.getFacelets());
+});
+
+test("Gen2 reports moves lost beyond its 7 move slots", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const { device, log } = setup({ protocol: "Gen2" });
+  await connection.connect();
+  const checks = log.facelets.length;
+  device.turn("R U R' U' R U R' U'", { dropped: true });
+  device.turn("F");
+  await tick();
+  assert.equal(log.events.length, 7);
+  assert.deepEqual(log.gaps, [{ missing: 2, recovered: 0 }]);
+  // the facelets query that follows a gap does not match the app: no onFacelets
+  assert.equal(log.facelets.length, checks);
+  assert.notEqual(session.getState(), device.getFacelets());
+});
+
+test("reconnects after the link drops and resyncs with the cube state", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const { device, log } = setup({ protocol: "Gen4" }, { reconnect: { baseDelay: 5, maxDelay: 20, maxAttempts: 5 } });
+  await connection.connect();
+  device.setInRange(false);
+  assert.equal(connection.getState(), CONNECTION_STATES.RECONNECTING);
+  device.turn("B L2");
+  await tick(8);
+  device.setInRange(true);
+  await tick(40);
+  assert.equal(connection.getState(), CONNECTION_STATES.CONNECTED);
+  assert.deepEqual(log.resyncs, [device.getFacelets()]);
+  assert.ok(log.states.filter((s) => s === CONNECTION_STATES.RECONNECTING).length >= 2);
+});
+
+test("disconnecting during a pending reconnect stays disconnected", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const { device } = setup({ protocol: "Gen4" }, { reconnect: { baseDelay: 5, maxDelay: 20, maxAttempts: 5 } });
+  await connection.connect();
+  device.setInRange(false);
+  const connectGatt = device.gatt.connect;
+  // a slow GATT connect: the user gives up while it is in flight
+  device.gatt.connect = async () => {
+    await tick(20);
+    return connectGatt();
+  };
+  device.setInRange(true);
+  await tick(10);
+  await connection.disconnect();
+  await tick(40);
+  assert.equal(connection.getState(), CONNECTION_STATES.DISCONNECTED);
+  assert.equal(device.gatt.connected, false);
+  assert.equal(connection.getProtocol(), null);
+});
+
+test("disconnecting during the first connect cancels it", async () => {
+  const { device } = setup({ protocol: "Gen3" });
+  const connectGatt = device.gatt.connect;
+  device.gatt.connect = async () => {
+    await tick(20);
+    return connectGatt();
+  };
+  const connecting = connection.connect();
+  await tick(5);
+  await connection.disconnect();
+  assert.equal(await connecting, null);
+  assert.equal(connection.getState(), CONNECTION_STATES.DISCONNECTED);
+  assert.equal(device.gatt.connected, false);
+  assert.equal(connection.getProtocol(), null);
+});
+
+test("gives up when the cube switches itself off", async () => {
+  const { device, log } = setup({ protocol: "Gen3" });
+  await connection.connect();
+  device.switchOff();
+  await tick(10);
+  assert.equal(connection.getState(), CONNECTION_STATES.DISCONNECTED);
+  assert.ok(!log.states.includes(CONNECTION_STATES.RECONNECTING));
+});
+
+test("cancelling the chooser leaves the connection idle", async () => {
+  setup({ protocol: "Gen3", name: "Rubiks" });
+  assert.equal(await connection.connect(), null);
+  assert.equal(connection.getState(), CONNECTION_STATES.IDLE);
+});
+
+test("a failed first connect closes the GATT link", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const { device } = setup({ protocol: "Gen3" });
+  const connectGatt = device.gatt.connect;
+  // the link comes up but the cube's service never shows
+  device.gatt.connect = async () => {
+    const server = await connectGatt();
+    return { device, getPrimaryServices: async () => [], getPrimaryService: server.getPrimaryService };
+  };
+  await assert.rejects(connection.connect());
+  assert.equal(connection.getState(), CONNECTION_STATES.FAILED);
+  assert.equal(device.gatt.connected, false);
+  assert.equal(connection.getProtocol(), null);
+});
+
+test("asks for the MAC address when the cube does not advertise it", async () => {
+  const { device } = setup(
+    { protocol: "Gen3", advertiseMacAddress: false },
+    { onMacAddressRequest: (d) => (d.id === device.id ? device.macAddress : null) }
+  );
+  // the advertisement watch waits for its timeout before falling back
+  device.watchAdvertisements = undefined;
+  await connection.connect();
+  assert.equal(connection.getMacAddress(), device.macAddress);
+});
+
+test("replays a recorded packet capture", async () => {
+  const { device, rendered, log } = setup({ protocol: capture.protocol, macAddress: capture.macAddress, serial: 100 });
+  await connection.connect();
+  await device.replay(capture, { speed: Infinity });
+  assert.deepEqual(rendered, ["R", "U", "R'", "U'"]);
+  assert.deepEqual(log.events.map((e) => e.serial), [101, 102, 103, 104]);
+  assert.deepEqual(log.battery, [80, 64]);
+  assert.equal(session.getState(), new Cube().move("R U R' U'").asString());
+});
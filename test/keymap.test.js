@@ -0,0 +1,78 @@
+import { afterEach, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { parseMove } from "../src/cube/notation.js";
+import {
+  DEFAULT_KEYMAP,
+  KEYBOARD_ROWS,
+  assignKey,
+  keyLabel,
+  loadKeyboardSettings,
+  moveForKey,
+  saveKeyboardSettings,
+  subscribeToKeyboardSettings,
+} from "../src/keyboard/keymap.js";
+
+const key = (code, extra = {}) => ({ code, target: { tagName: "BODY" }, ...extra });
+
+// In-memory localStorage for the settings round trip
+beforeEach(() => {
+  const items = new Map();
+  globalThis.localStorage = {
+    getItem: (k) => (items.has(k) ? items.get(k) : null),
+    setItem: (k, v) => items.set(k, String(v)),
+    removeItem: (k) => items.delete(k),
+  };
+});
+
+afterEach(() => {
+  delete globalThis.localStorage;
+});
+
+test("uses the csTimer layout by default", () => {
+  const moves = (codes) => codes.map((c) => moveForKey(DEFAULT_KEYMAP, key(c)));
+  assert.deepEqual(moves(["KeyI", "KeyK", "KeyJ", "KeyF", "KeyH", "KeyG"]), ["R", "R'", "U", "U'", "F", "F'"]);
+  assert.deepEqual(moves(["KeyD", "KeyE", "KeyS", "KeyL", "KeyW", "KeyO"]), ["L", "L'", "D", "D'", "B", "B'"]);
+  assert.deepEqual(moves(["KeyT", "KeyN", "Semicolon", "KeyA", "KeyP", "KeyQ"]), ["x", "x'", "y", "y'", "z", "z'"]);
+  assert.deepEqual(moves(["KeyU", "KeyM", "Digit5", "Period"]), ["Rw", "Rw'", "M", "M'"]);
+  // every binding is valid notation and every bound key is on the overlay
+  const overlay = KEYBOARD_ROWS.flat();
+  Object.entries(DEFAULT_KEYMAP).forEach(([code, move]) => {
+    assert.ok(parseMove(move), move);
+    assert.ok(overlay.includes(code), code);
+  });
+});
+
+test("ignores shortcuts, auto-repeat and typing", () => {
+  assert.equal(moveForKey(DEFAULT_KEYMAP, key("KeyI", { shiftKey: true })), "R");
+  assert.equal(moveForKey(DEFAULT_KEYMAP, key("KeyI", { ctrlKey: true })), null);
+  assert.equal(moveForKey(DEFAULT_KEYMAP, key("KeyI", { metaKey: true })), null);
+  assert.equal(moveForKey(DEFAULT_KEYMAP, key("KeyI", { repeat: true })), null);
+  assert.equal(moveForKey(DEFAULT_KEYMAP, key("KeyI", { target: { tagName: "TEXTAREA" } })), null);
+  assert.equal(moveForKey(DEFAULT_KEYMAP, key("KeyI", { target: { tagName: "DIV", isContentEditable: true } })), null);
+  assert.equal(moveForKey(DEFAULT_KEYMAP, key("Space")), null);
+});
+
+test("rebinds keys with validated notation", () => {
+  let keymap = assignKey(DEFAULT_KEYMAP, "Digit1", "r2'");
+  assert.equal(keymap.Digit1, "Rw2");
+  assert.equal(DEFAULT_KEYMAP.Digit1, undefined);
+  keymap = assignKey(keymap, "KeyI", "");
+  assert.equal("KeyI" in keymap, false);
+  assert.throws(() => assignKey(keymap, "KeyI", "R U"), /not a single move/);
+  assert.equal(keyLabel("Semicolon"), ";");
+  assert.equal(keyLabel("KeyI"), "I");
+  assert.equal(keyLabel("Digit5"), "5");
+});
+
+test("persists the settings", () => {
+  assert.deepEqual(loadKeyboardSettings(), { enabled: true, showHints: false, keymap: DEFAULT_KEYMAP });
+  const seen = [];
+  const unsubscribe = subscribeToKeyboardSettings((s) => seen.push(s));
+  const keymap = assignKey(DEFAULT_KEYMAP, "Digit1", "S");
+  saveKeyboardSettings({ enabled: false, showHints: true, keymap });
+  unsubscribe();
+  assert.deepEqual(loadKeyboardSettings(), { enabled: false, showHints: true, keymap });
+  assert.equal(seen.length, 1);
+  localStorage.setItem("gan-cube-app:keyboard", "not json");
+  assert.equal(loadKeyboardSettings().keymap, DEFAULT_KEYMAP);
+});
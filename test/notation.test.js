@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MAX_ALGORITHM_MOVES, MAX_REPEAT, formatAlgorithm, parseAlgorithm } from "../src/cube/notation.js";
+
+const expand = (text) => formatAlgorithm(parseAlgorithm(text));
+
+test("expands commutators and conjugates", () => {
+  assert.equal(expand("[R, U]"), "R U R' U'");
+  assert.equal(expand("[R U R', D]"), "R U R' D R U' R' D'");
+  assert.equal(expand("[F: R U R' U']"), "F R U R' U' F'");
+  assert.equal(expand("[R: [U, D]]"), "R U D U' D' R'");
+  assert.equal(expand("[R, U]2"), "R U R' U' R U R' U'");
+});
+
+test("repeats and inverts groups", () => {
+  assert.equal(expand("(R U)3"), "R U R U R U");
+  assert.equal(expand("(R U2)'"), "U2 R'");
+  assert.equal(expand("(R U')2'"), "U R' U R'");
+  assert.equal(expand("[R, U]'"), "U R U' R'");
+  assert.equal(expand("((R)2 U)2"), "R R U R R U");
+  assert.equal(expand("(R)0"), "");
+});
+
+test("skips comments and loose whitespace", () => {
+  assert.equal(expand("R U // insert the pair\nR' U'"), "R U R' U'");
+  assert.equal(expand("R /* setup */ U /* multi\nline */ R'"), "R U R'");
+  assert.equal(expand("RUR'U'"), "R U R' U'");
+  assert.equal(expand("R. U. R'"), "R U R'");
+  assert.throws(() => parseAlgorithm("R /* open"), /unterminated comment/);
+});
+
+test("rejects malformed groups", () => {
+  assert.throws(() => parseAlgorithm("(R U"), /missing '\)'/);
+  assert.throws(() => parseAlgorithm("[R, U"), /missing '\]'/);
+  assert.throws(() => parseAlgorithm("R Q"), /unexpected 'Q'/);
+});
+
+test("caps group repeat counts", () => {
+  assert.equal(parseAlgorithm(`(R)${MAX_REPEAT}`).length, MAX_REPEAT);
+  assert.throws(() => parseAlgorithm(`(R)${MAX_REPEAT + 1}`), /repeat count above 99/);
+  assert.throws(() => parseAlgorithm("[R, U]999999999"), /Invalid algorithm at position 6/);
+  // each repeat is allowed, the expansion is not
+  assert.equal(parseAlgorithm("((R)99)99").length, 9801);
+  assert.throws(() => parseAlgorithm("(((R)99)99)99"), /Invalid algorithm at position 11: more than 10000 moves/);
+  assert.throws(() => parseAlgorithm("[((R)99)99, U]"), /more than 10000 moves/);
+  assert.throws(() => parseAlgorithm("R ".repeat(MAX_ALGORITHM_MOVES + 1)), /more than 10000 moves/);
+});
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import Cube from "cubejs";
+import { formatMove, invertAlgorithm, parseAlgorithm, parseMove } from "../src/cube/notation.js";
+import { createNxNCube, getMoveLayers, solvedFacelets } from "../src/cube/nxnCube.js";
+import { applyTurn, getCubieSlots, initCubie, moveToTurn, readFacelets } from "../src/cube/cubieModel.js";
+import { puzzleSizeOf } from "../src/cube/faceletGeometry.js";
+import { toCubejsAlgorithm } from "../src/cube/cubeState.js";
+
+const turn = (size, algorithm) => createNxNCube(size).move(algorithm).asString();
+
+test("reads layer numbers of big-cube moves", () => {
+  assert.deepEqual(parseMove("3Rw'"), { family: "Rw", amount: -1, layer: 3 });
+  assert.deepEqual(parseMove("2R2"), { family: "R", amount: 2, layer: 2 });
+  assert.deepEqual(parseMove("2Rw"), { family: "Rw", amount: 1 });
+  assert.deepEqual(parseMove("3r"), { family: "Rw", amount: 1, layer: 3 });
+  assert.equal(parseMove("2M"), null);
+  assert.equal(parseMove("0R"), null);
+  assert.equal(formatMove({ family: "Uw", amount: 3, layer: 3 }), "3Uw'");
+  assert.equal(formatMove({ family: "F", amount: 1, layer: 1 }), "F");
+  assert.equal(formatMove(invertAlgorithm(parseAlgorithm("2L"))[0]), "2L'");
+  assert.throws(() => toCubejsAlgorithm("2R"), /not a 3x3 move/);
+});
+
+test("turns a 3x3 exactly like cubejs", () => {
+  const algorithm = "R U R' U' F2 D L' B M2 x y' E S' Rw Uw' z2 Fw Bw2 Lw' Dw";
+  assert.equal(turn(3, algorithm), new Cube().move(toCubejsAlgorithm(algorithm)).asString());
+  assert.equal(turn(3, "2R 3Rw'"), turn(3, "M' x'"));
+});
+
+test("big-cube layers: inner slices, wide moves, slices and rotations", () => {
+  assert.equal(turn(4, "Rw"), turn(4, "R 2R"));
+  assert.equal(turn(5, "3Rw'"), turn(5, "R' 2R' 3R'"));
+  assert.equal(turn(5, "M"), turn(5, "2L 3L 4L"));
+  assert.equal(turn(4, "x"), turn(4, "4Rw"));
+  assert.equal(turn(6, "y'"), turn(6, "U' 2U' 3U' 4U' 5U' 6U'"));
+  assert.deepEqual(getMoveLayers("2R", 4), { axis: "x", layers: [0.5], direction: -1, quarterTurns: 1 });
+  assert.equal(getMoveLayers("M", 2), null);
+  assert.equal(getMoveLayers("4Rw", 3), null);
+  assert.throws(() => createNxNCube(2).move("R M"), /cannot be turned on a 2x2/);
+});
+
+test("tracks any size from 2x2 to 7x7", () => {
+  const cube = createNxNCube(2);
+  for (let i = 0; i < 105; i++) cube.move("R U");
+  assert.equal(cube.isSolved(), true);
+  const seven = createNxNCube(7).move("3Rw 2U' M E S 3Fw2 y");
+  assert.equal(seven.asString().length, 294);
+  assert.equal(seven.isSolved(), false);
+  assert.equal(seven.clone().move("y' 3Fw2 S' E' M' 2U 3Rw'").asString(), solvedFacelets(7));
+  assert.equal(seven.isSolved(), false);
+  assert.equal(puzzleSizeOf(seven.asString()), 7);
+  assert.equal(puzzleSizeOf("UUU"), 0);
+  assert.throws(() => createNxNCube(4, solvedFacelets(3)), /needs 96 facelets/);
+});
+
+test("the rendered cubies agree with the state engine", () => {
+  for (const size of [2, 4, 5]) {
+    const cubies = getCubieSlots(size).map(({ x, y, z }) => initCubie(new THREE.Object3D(), x, y, z, size));
+    assert.equal(cubies.length, size ** 3 - Math.max(0, size - 2) ** 3);
+    const algorithm = ["R", "2R'", "Rw", "U2", "M", "3Fw", "z'", "Dw2"].filter((m) => moveToTurn(m, size));
+    algorithm.forEach((m) => applyTurn(cubies, moveToTurn(m, size)));
+    assert.equal(readFacelets(cubies, size), turn(size, algorithm));
+  }
+});
@@ -0,0 +1,157 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import Cube from "cubejs";
+import { _internal } from "../src/bluetooth/gan.js";
+import { GAN_PROTOCOLS, createGanEncrypter, detectGanProtocol, macFromManufacturerData } from "../src/bluetooth/protocols/index.js";
+import { createBitReader, moveHistoryWindow } from "../src/bluetooth/protocols/common.js";
+import { createBitWriter, getGanPacketEncoder } from "../src/bluetooth/mock/ganPackets.js";
+import { createNxNCube } from "../src/cube/nxnCube.js";
+
+const { parseGanNotification } = _internal;
+const MAC = "AB:12:CD:34:EF:56";
+
+// Encrypt plaintext packets the way the cube does and run them through the app's parser
+function roundTrip(protocol, packets, decoder = protocol.createDecoder()) {
+  const encrypter = createGanEncrypter(MAC);
+  return packets.flatMap((packet) => {
+    const encrypted = encrypter.encrypt(packet);
+    return parseGanNotification(new DataView(encrypted.buffer), { encrypter, decoder }, 1000);
+  });
+}
+
+function cubieState(algorithm, serial) {
+  const cube = new Cube().move(algorithm);
+  return { serial, cp: cube.cp.slice(0, 7), co: cube.co.slice(0, 7), ep: cube.ep.slice(0, 11), eo: cube.eo.slice(0, 11) };
+}
+
+test("bit writer and reader agree on big- and little-endian words", () => {
+  const writer = createBitWriter(8);
+  writer.setBitWord(3, 5, 0b10110);
+  writer.setBitWord(8, 16, 0x1234);
+  writer.setBitWord(24, 32, 0xdeadbeef, true);
+  const reader = createBitReader(writer.bytes);
+  assert.equal(reader.getBitWord(3, 5), 0b10110);
+  assert.equal(reader.getBitWord(8, 16), 0x1234);
+  assert.equal(reader.getBitWord(24, 32, true), 0xdeadbeef);
+  assert.throws(() => reader.getBitWord(60, 8), RangeError);
+});
+
+test("encrypter round-trips packets longer than one block", () => {
+  const encrypter = createGanEncrypter(MAC);
+  const packet = Uint8Array.from({ length: 20 }, (_, i) => i * 7);
+  const encrypted = encrypter.encrypt(packet);
+  assert.notDeepEqual(encrypted, packet);
+  assert.deepEqual(encrypter.decrypt(encrypted), packet);
+  assert.throws(() => encrypter.encrypt(new Uint8Array(8)), /at least 16 bytes/);
+});
+
+test("protocol detection and MAC address from advertisements", () => {
+  assert.equal(detectGanProtocol(["8653000A-43E6-47B7-9CB0-5FC21D4AE340"]).name, "Gen3");
+  assert.equal(detectGanProtocol(["0000180a-0000-1000-8000-00805f9b34fb"]), null);
+  const data = new DataView(Uint8Array.from([0x12, 0x56, 0xef, 0x34, 0xcd, 0x12, 0xab]).buffer);
+  assert.equal(macFromManufacturerData(new Map([[0x0101, data]])), MAC);
+  assert.equal(macFromManufacturerData(new Map()), null);
+});
+
+test("move history window is odd-aligned and does not wrap", () => {
+  assert.deepEqual(moveHistoryWindow(10, 3), { serial: 9, count: 4 });
+  assert.deepEqual(moveHistoryWindow(1, 6), { serial: 1, count: 2 });
+});
+
+for (const protocol of GAN_PROTOCOLS) {
+  describe(`${protocol.name} decoder`, () => {
+    const encoder = getGanPacketEncoder(protocol.name);
+
+    test("decodes moves", () => {
+      const events = roundTrip(protocol, [
+        ...encoder.facelets(cubieState("", 4)),
+        ...encoder.move({ serial: 5, face: 1, direction: 0, elapsed: 120, cubeTimestamp: 120 }),
+        ...encoder.move({ serial: 6, face: 0, direction: 1, elapsed: 80, cubeTimestamp: 200, previous: [{ face: 1, direction: 0, elapsed: 120 }] }),
+      ]);
+      const moves = events.filter((e) => e.type === "MOVE");
+      assert.deepEqual(moves.map((e) => [e.move, e.serial & 0xff]), [["R", 5], ["U'", 6]]);
+      assert.equal(moves[1].localTimestamp, 1000);
+      assert.equal(moves[1].cubeTimestamp - moves[0].cubeTimestamp, 80);
+    });
+
+    test("decodes facelets", () => {
+      const algorithm = "R U R' U' F2 D L' B";
+      const [event] = roundTrip(protocol, encoder.facelets(cubieState(algorithm, 42)));
+      assert.equal(event.type, "FACELETS");
+      assert.equal(event.serial, 42);
+      assert.equal(event.facelets, new Cube().move(algorithm).asString());
+    });
+
+    test("decodes the corners of GAN's 2x2 as 2x2 facelets", () => {
+      const algorithm = "R U2 F' D L2";
+      const [event] = roundTrip(protocol, encoder.facelets(cubieState(algorithm, 7)), protocol.createDecoder({ puzzleSize: 2 }));
+      assert.equal(event.facelets, createNxNCube(2).move(algorithm).asString());
+      assert.deepEqual(Object.keys(event.state), ["cp", "co"]);
+    });
+
+    test("decodes battery and hardware info", () => {
+      const events = roundTrip(protocol, [
+        ...encoder.battery(73),
+        ...encoder.hardware({ hardwareName: "GANtest", hardwareVersion: "1.2", softwareVersion: "3.4" }),
+      ]);
+      const battery = events.find((e) => e.type === "BATTERY");
+      const hardware = events.find((e) => e.type === "HARDWARE");
+      assert.equal(battery.batteryLevel, 73);
+      assert.equal(hardware.hardwareVersion, "1.2");
+      assert.equal(hardware.softwareVersion, "3.4");
+      assert.ok("GANtest".startsWith(hardware.hardwareName));
+    });
+
+    test("decodes the disconnect notice", () => {
+      assert.deepEqual(roundTrip(protocol, encoder.disconnect()).map((e) => e.type), ["DISCONNECT"]);
+    });
+
+    if (encoder.gyro({ quaternion: { x: 0, y: 0, z: 0, w: 1 } }).length) {
+      test("decodes gyro quaternions", () => {
+        const quaternion = { x: 0.5, y: -0.5, z: 0.5, w: -0.5 };
+        const [event] = roundTrip(protocol, encoder.gyro({ quaternion, velocity: { x: 1, y: -2, z: 0 } }));
+        assert.equal(event.type, "GYRO");
+        for (const axis of ["x", "y", "z", "w"]) assert.ok(Math.abs(event.quaternion[axis] - quaternion[axis]) < 1e-4);
+        assert.deepEqual(event.velocity, { x: 1, y: -2, z: 0 });
+      });
+    }
+
+    if (protocol.commands.moveHistory) {
+      test("decodes move history oldest first", () => {
+        const moves = [
+          { serial: 9, face: 0, direction: 0 },
+          { serial: 8, face: 5, direction: 1 },
+          null,
+          { serial: 6, face: 2, direction: 0 },
+        ];
+        const [event] = roundTrip(protocol, encoder.history({ startSerial: 9, moves }));
+        assert.equal(event.type, "MOVE_HISTORY");
+        assert.deepEqual(event.moves.map((m) => [m.serial, m.move]), [[6, "F"], [8, "B'"], [9, "U"]]);
+      });
+    }
+
+    test("drops malformed packets", (t) => {
+      t.mock.method(console, "warn", () => {});
+      const encrypter = createGanEncrypter(MAC);
+      const short = new DataView(new Uint8Array(8).buffer);
+      assert.deepEqual(parseGanNotification(short, { encrypter, decoder: protocol.createDecoder() }), []);
+    });
+  });
+}
+
+test("Gen2 recovers up to 7 moves from one packet's move slots", () => {
+  const [gen2] = GAN_PROTOCOLS;
+  const encoder = getGanPacketEncoder("Gen2");
+  const previous = [
+    { face: 2, direction: 0, elapsed: 100 },
+    { face: 1, direction: 1, elapsed: 100 },
+  ];
+  const events = roundTrip(gen2, [
+    ...encoder.facelets(cubieState("", 10)),
+    ...encoder.move({ serial: 13, face: 0, direction: 0, elapsed: 100, previous }),
+  ]);
+  assert.deepEqual(
+    events.filter((e) => e.type === "MOVE").map((e) => [e.serial, e.move]),
+    [[11, "R'"], [12, "F"], [13, "U"]]
+  );
+});
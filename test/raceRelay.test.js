@@ -0,0 +1,245 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import WebSocket from "ws";
+import { createNxNCube, solvedFacelets } from "../src/cube/nxnCube.js";
+import { RACE_PHASES, rankResults } from "../src/race/raceProtocol.js";
+import { createRaceClient } from "../src/race/raceClient.js";
+import { createRaceRelay } from "../server/raceRelay.js";
+import { createRaceRoom } from "../server/raceRoom.js";
+
+const SOLVED = solvedFacelets(3);
+
+// Resolves once the client's state passes `predicate`
+function waitFor(client, predicate, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    if (predicate(client.getState())) return resolve(client.getState());
+    const timer = setTimeout(() => {
+      unsubscribe();
+      reject(new Error(`Timed out; last state: ${JSON.stringify(client.getState())}`));
+    }, timeoutMs);
+    const unsubscribe = client.subscribe((state) => {
+      if (!predicate(state)) return;
+      clearTimeout(timer);
+      unsubscribe();
+      resolve(state);
+    });
+  });
+}
+
+const relay = createRaceRelay({ port: 0, countdownMs: 20, generateScramble: () => "R U" });
+after(() => relay.close());
+
+test("two players race the same scramble through the localhost relay", async () => {
+  const { port } = await relay.listen();
+  const url = `ws://127.0.0.1:${port}`;
+  const alice = createRaceClient({ createSocket: (u) => new WebSocket(u) });
+  const bob = createRaceClient({ createSocket: (u) => new WebSocket(u) });
+  const seenByBob = [];
+  bob.subscribeToOpponents((event) => seenByBob.push(event));
+
+  alice.join(url, "club", "Alice", SOLVED);
+  await waitFor(alice, (s) => s.status === "connected");
+  bob.join(url, "club", "Bob", SOLVED);
+  await waitFor(alice, (s) => s.players.length === 2);
+
+  alice.newRound();
+  await waitFor(bob, (s) => s.phase === RACE_PHASES.SCRAMBLING);
+  assert.equal(bob.getState().scramble, "R U");
+
+  // both scramble, then report ready: countdown, then go
+  const scrambled = createNxNCube(3).move("R U").asString();
+  ["R", "U"].forEach((m) => alice.handleMove(m));
+  alice.ready(scrambled);
+  bob.ready(scrambled);
+  await waitFor(bob, (s) => s.phase === RACE_PHASES.COUNTDOWN || s.phase === RACE_PHASES.RACING);
+  await waitFor(alice, (s) => s.phase === RACE_PHASES.RACING);
+  await waitFor(bob, (s) => s.phase === RACE_PHASES.RACING);
+
+  alice.handleMove("U'");
+  alice.handleMove("R'", { solved: true });
+  bob.giveUp();
+  const { lastResults } = await waitFor(bob, (s) => s.lastResults);
+  assert.deepEqual(
+    lastResults.results.map(({ name, dnf, moves }) => ({ name, dnf, moves })),
+    [
+      { name: "Alice", dnf: false, moves: 2 },
+      { name: "Bob", dnf: true, moves: 0 },
+    ]
+  );
+  assert.ok(lastResults.results[0].time >= 0);
+
+  // Bob saw Alice's moves live, and the relay tracked her cube back to solved
+  assert.deepEqual(
+    seenByBob.filter((e) => e.type === "move").map((e) => e.move),
+    ["R", "U", "U'", "R'"]
+  );
+  const [room] = relay.getRooms();
+  assert.equal(room.phase, RACE_PHASES.LOBBY);
+  assert.equal(room.rounds.length, 1);
+  assert.equal(room.players.find((p) => p.name === "Alice").facelets, SOLVED);
+
+  alice.leave();
+  bob.leave();
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.deepEqual(relay.getRooms(), []);
+});
+
+test("rooms need two players and rank players who leave mid-race as DNF", () => {
+  const timers = [];
+  const room = createRaceRoom({
+    id: "test",
+    generateScramble: () => "F2",
+    setTimer: (fn) => timers.push(fn),
+    clearTimer: () => {},
+  });
+  const inbox = { 1: [], 2: [] };
+  const a = room.addPlayer("A", (m) => inbox[1].push(m));
+  room.handleMessage(a, { type: "newRound" });
+  assert.deepEqual(inbox[1].at(-1), { type: "error", message: "Waiting for an opponent to join" });
+
+  const b = room.addPlayer("", (m) => inbox[2].push(m));
+  assert.equal(room.getSnapshot().players[1].name, "Player 2");
+  room.handleMessage(a, { type: "newRound" });
+  room.handleMessage(a, { type: "ready", facelets: createNxNCube(3).move("F2").asString() });
+  room.handleMessage(b, { type: "ready", facelets: createNxNCube(3).move("F2").asString() });
+  assert.equal(room.getSnapshot().phase, RACE_PHASES.COUNTDOWN);
+  timers.shift()();
+  assert.equal(room.getSnapshot().phase, RACE_PHASES.RACING);
+
+  room.handleMessage(b, { type: "move", move: "F2", time: 1234 });
+  room.handleMessage(b, { type: "finish", time: 1234, dnf: false });
+  room.removePlayer(a);
+  const results = inbox[2].find((m) => m.type === "results").results;
+  assert.deepEqual(
+    results.map(({ name, time, dnf }) => ({ name, time, dnf })),
+    [
+      { name: "Player 2", time: 1234, dnf: false },
+      { name: "A", time: null, dnf: true },
+    ]
+  );
+  assert.deepEqual(
+    rankResults([{ time: 9, dnf: false }, { time: null, dnf: true }, { time: 3, dnf: false }]).map((r) => r.time),
+    [3, 9, null]
+  );
+});
+
+test("the relay checks ready scrambles and finished solves", () => {
+  const timers = [];
+  const room = createRaceRoom({
+    id: "test",
+    generateScramble: () => "R U",
+    setTimer: (fn) => timers.push(fn),
+    clearTimer: () => {},
+  });
+  const inbox = { 1: [], 2: [] };
+  const a = room.addPlayer("A", (m) => inbox[1].push(m));
+  const b = room.addPlayer("B", (m) => inbox[2].push(m));
+  const scrambled = createNxNCube(3).move("R U").asString();
+  room.handleMessage(a, { type: "newRound" });
+
+  room.handleMessage(a, { type: "ready", facelets: createNxNCube(3).move("U R").asString() });
+  assert.deepEqual(inbox[1].at(-1), { type: "error", message: "Your cube does not match the scramble" });
+  assert.equal(room.getSnapshot().players[0].ready, false);
+  room.handleMessage(a, { type: "ready", facelets: scrambled });
+  room.handleMessage(b, { type: "ready", facelets: scrambled });
+  timers.shift()();
+  assert.equal(room.getSnapshot().phase, RACE_PHASES.RACING);
+
+  room.handleMessage(a, { type: "move", move: "U'", time: 300 });
+  room.handleMessage(a, { type: "finish", time: 300, dnf: false });
+  assert.deepEqual(inbox[1].at(-1), { type: "error", message: "Your cube is not solved" });
+  assert.equal(room.getSnapshot().players[0].result, null);
+  room.handleMessage(a, { type: "move", move: "R'", time: 500 });
+  room.handleMessage(a, { type: "finish", time: 500, dnf: false });
+
+  // giving up needs no solved cube
+  room.handleMessage(b, { type: "finish", time: null, dnf: true });
+  const results = inbox[2].find((m) => m.type === "results").results;
+  assert.deepEqual(
+    results.map(({ name, time, dnf, moves }) => ({ name, time, dnf, moves })),
+    [
+      { name: "A", time: 500, dnf: false, moves: 2 },
+      { name: "B", time: null, dnf: true, moves: 0 },
+    ]
+  );
+});
+
+test("racers can't replace their cube or send algorithms as moves", () => {
+  const timers = [];
+  const room = createRaceRoom({
+    id: "test",
+    generateScramble: () => "R U",
+    setTimer: (fn) => timers.push(fn),
+    clearTimer: () => {},
+  });
+  const inbox = { 1: [], 2: [] };
+  const a = room.addPlayer("A", (m) => inbox[1].push(m));
+  const b = room.addPlayer("B", (m) => inbox[2].push(m));
+  // lobby moves don't count
+  room.handleMessage(a, { type: "move", move: "F", time: null });
+  assert.equal(room.getSnapshot().players[0].facelets, SOLVED);
+
+  const scrambled = createNxNCube(3).move("R U").asString();
+  room.handleMessage(a, { type: "newRound" });
+  room.handleMessage(a, { type: "state", facelets: scrambled });
+  assert.deepEqual(inbox[1].at(-1), { type: "error", message: "Your cube follows your moves during a round" });
+  room.handleMessage(a, { type: "ready", facelets: scrambled });
+  room.handleMessage(b, { type: "ready", facelets: scrambled });
+  timers.shift()();
+  assert.equal(room.getSnapshot().phase, RACE_PHASES.RACING);
+
+  room.handleMessage(a, { type: "state", facelets: SOLVED });
+  assert.deepEqual(inbox[1].at(-1), { type: "error", message: "Your cube follows your moves during a round" });
+  room.handleMessage(a, { type: "ready", facelets: SOLVED });
+  assert.deepEqual(inbox[1].at(-1), { type: "error", message: "Your cube follows your moves during a round" });
+  room.handleMessage(a, { type: "move", move: "U' R'", time: 100 });
+  assert.deepEqual(inbox[1].at(-1), { type: "error", message: "Invalid move: U' R'" });
+  assert.equal(room.getSnapshot().players[0].facelets, scrambled);
+
+  room.handleMessage(a, { type: "finish", time: 100, dnf: false });
+  assert.deepEqual(inbox[1].at(-1), { type: "error", message: "Your cube is not solved" });
+  assert.equal(room.getSnapshot().players[0].result, null);
+});
+
+test("a finish the relay rejects leaves the racer free to give up", async (t) => {
+  const ownRelay = createRaceRelay({ port: 0, countdownMs: 20, generateScramble: () => "R U" });
+  t.after(() => ownRelay.close());
+  const { port } = await ownRelay.listen();
+  const url = `ws://127.0.0.1:${port}`;
+  const alice = createRaceClient({ createSocket: (u) => new WebSocket(u) });
+  const bob = createRaceClient({ createSocket: (u) => new WebSocket(u) });
+  alice.join(url, "rejected", "Alice", SOLVED);
+  await waitFor(alice, (s) => s.status === "connected");
+  bob.join(url, "rejected", "Bob", SOLVED);
+  await waitFor(alice, (s) => s.players.length === 2);
+
+  alice.newRound();
+  await waitFor(alice, (s) => s.phase === RACE_PHASES.SCRAMBLING);
+  // a ready off the scramble is refused and can be sent again
+  alice.ready(SOLVED);
+  await waitFor(alice, (s) => s.error === "Your cube does not match the scramble");
+  const scrambled = createNxNCube(3).move("R U").asString();
+  alice.ready(scrambled);
+  bob.ready(scrambled);
+  await waitFor(alice, (s) => s.phase === RACE_PHASES.RACING);
+
+  // the app thinks the cube is solved, the relay knows better
+  alice.handleMove("U'", { solved: true });
+  await waitFor(alice, (s) => s.error === "Your cube is not solved");
+  assert.equal(alice.getState().result, null);
+  alice.giveUp();
+  await waitFor(alice, (s) => s.result && s.result.dnf);
+  bob.handleMove("U'");
+  bob.handleMove("R'", { solved: true });
+  const { lastResults } = await waitFor(alice, (s) => s.lastResults);
+  assert.deepEqual(
+    lastResults.results.map(({ name, dnf }) => ({ name, dnf })),
+    [
+      { name: "Bob", dnf: false },
+      { name: "Alice", dnf: true },
+    ]
+  );
+
+  alice.leave();
+  bob.leave();
+});
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { advanceCursor, cursorAtIndex, cursorAtTime, indexAtTime } from "../src/replay/replayCursor.js";
+
+// The first move is always at 0 ms; U and D' were read from one notification
+const moves = [
+  { move: "R", time: 0 },
+  { move: "U", time: 250 },
+  { move: "D'", time: 250 },
+  { move: "R'", time: 600 },
+];
+
+test("stepping reaches the scrambled start", () => {
+  assert.equal(indexAtTime(moves, 0), 1);
+  assert.deepEqual(cursorAtIndex(moves, 0), { index: 0, position: 0 });
+  assert.deepEqual(cursorAtIndex(moves, 1), { index: 1, position: 0 });
+  assert.deepEqual(cursorAtIndex(moves, -1), { index: 0, position: 0 });
+  assert.deepEqual(cursorAtIndex(moves, 9), { index: 4, position: 600 });
+});
+
+test("stepping walks through moves that share a timestamp", () => {
+  let cursor = cursorAtIndex(moves, 1);
+  const seen = [];
+  for (let i = 0; i < 3; i++) {
+    cursor = cursorAtIndex(moves, cursor.index + 1);
+    seen.push([cursor.index, cursor.position]);
+  }
+  assert.deepEqual(seen, [[2, 250], [3, 250], [4, 600]]);
+  for (let i = 0; i < 4; i++) cursor = cursorAtIndex(moves, cursor.index - 1);
+  assert.deepEqual(cursor, { index: 0, position: 0 });
+});
+
+test("scrubbing derives the index from the clock", () => {
+  assert.deepEqual(cursorAtTime(moves, 100), { index: 1, position: 100 });
+  assert.deepEqual(cursorAtTime(moves, 250), { index: 3, position: 250 });
+});
+
+test("playing moves the clock and shows every move it passes", () => {
+  const cursor = advanceCursor(cursorAtIndex(moves, 0), moves, 16);
+  assert.deepEqual(cursor, { index: 1, position: 16 });
+  // resuming on U plays D', recorded at the same time
+  assert.deepEqual(advanceCursor(cursorAtIndex(moves, 2), moves, 16), { index: 3, position: 266 });
+  assert.deepEqual(advanceCursor(cursor, moves, 5000), { index: 4, position: 600 });
+});
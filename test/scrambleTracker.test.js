@@ -0,0 +1,97 @@
+import { before, test } from "node:test";
+import assert from "node:assert/strict";
+import Cube from "cubejs";
+import { toCubejsAlgorithm } from "../src/cube/cubeState.js";
+import { createScrambleTracker } from "../src/scramble/scrambleTracker.js";
+import { generateScramble, initScrambler, isScramblerReady, solveToScramble } from "../src/scramble/scrambler.js";
+
+const SCRAMBLE = "R U2 F' L D";
+const scrambledBy = (algorithm, start = new Cube()) => start.move(toCubejsAlgorithm(algorithm)).asString();
+
+function play(tracker, algorithm) {
+  algorithm.split(" ").forEach((move) => tracker.handleMove(move));
+  return tracker.getState();
+}
+
+// Turns the cube along the tracker's plan until it stops suggesting moves
+function followPlan(tracker) {
+  for (let i = 0; i < 60 && tracker.getState().nextMove; i++) tracker.handleMove(tracker.getState().nextMove);
+  return tracker.getState();
+}
+
+before(() => initScrambler());
+
+test("random-state scrambles lead to the state they report", () => {
+  assert.equal(isScramblerReady(), true);
+  for (let i = 0; i < 3; i++) {
+    const { scramble, moves, facelets } = generateScramble();
+    assert.ok(moves.length >= 2);
+    assert.equal(scrambledBy(scramble), facelets);
+    assert.notEqual(facelets, new Cube().asString());
+  }
+});
+
+test("solveToScramble reaches the scrambled state from any state", () => {
+  const start = scrambledBy("B2 L' U F2");
+  const path = solveToScramble(start, SCRAMBLE);
+  assert.equal(scrambledBy(path, Cube.fromString(start)), scrambledBy(SCRAMBLE));
+  assert.equal(solveToScramble(scrambledBy(SCRAMBLE), SCRAMBLE), "");
+});
+
+test("following the scramble makes the tracker ready", () => {
+  const tracker = createScrambleTracker({ scramble: SCRAMBLE });
+  assert.deepEqual([tracker.getState().nextMove, tracker.getState().progress], ["R", 0]);
+  // R2 arrives as two quarter turns
+  let state = play(tracker, "R U");
+  assert.deepEqual([state.nextMove, state.progress, state.ready], ["U", 1, false]);
+  state = play(tracker, "U F' L D");
+  assert.deepEqual([state.nextMove, state.progress, state.ready], [null, 5, true]);
+  assert.equal(state.targetFacelets, scrambledBy(SCRAMBLE));
+});
+
+test("a wrong move is undone by a correction", () => {
+  const tracker = createScrambleTracker({ scramble: SCRAMBLE });
+  let state = play(tracker, "R B");
+  assert.deepEqual(state.corrections, ["B'"]);
+  assert.equal(state.nextMove, "B'");
+  assert.deepEqual(state.plan.slice(0, 2), [
+    { move: "B'", correction: true },
+    { move: "U2", correction: false },
+  ]);
+  // turning the planned face the wrong way leaves the rest to do
+  state = play(tracker, "B' U'");
+  assert.deepEqual([state.nextMove, state.corrections], ["U'", []]);
+  state = followPlan(tracker);
+  assert.equal(state.ready, true);
+  assert.equal(state.replanned, false);
+});
+
+test("replans with the solver once the corrections pile up", () => {
+  const tracker = createScrambleTracker({ scramble: SCRAMBLE, maxCorrection: 4 });
+  let state = play(tracker, "B D' L2 F U'");
+  assert.equal(state.corrections.length, state.plan.length);
+  assert.equal(state.replanned, true);
+  state = followPlan(tracker);
+  assert.equal(state.ready, true);
+  assert.equal(state.progress, 5);
+});
+
+test("starts from an unsolved cube with a solver plan", () => {
+  const startFacelets = scrambledBy("F2 D");
+  const tracker = createScrambleTracker({ scramble: SCRAMBLE, startFacelets });
+  assert.equal(tracker.getState().replanned, true);
+  assert.equal(followPlan(tracker).ready, true);
+});
+
+test("ready only when the cube matches the scramble exactly", () => {
+  const tracker = createScrambleTracker({ scramble: "R U" });
+  assert.equal(play(tracker, "R").ready, false);
+  // one quarter turn too far
+  assert.equal(play(tracker, "U2").ready, false);
+  assert.equal(tracker.getState().nextMove, "U'");
+  assert.equal(play(tracker, "U'").ready, true);
+
+  // a cube holding the scramble's pattern turned by y is a different state
+  const turned = createScrambleTracker({ scramble: "R U" });
+  assert.equal(play(turned, "y R U").ready, false);
+});
@@ -0,0 +1,121 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCubeSession } from "../src/session/cubeSession.js";
+import { timerPlugin } from "../src/session/plugins.js";
+import { DNF_MS, INSPECTION_MS, PHASES, createSolveTimer } from "../src/timer/solveTimer.js";
+
+function createClockedTimer() {
+  const clock = { now: 0 };
+  const timer = createSolveTimer({ now: () => clock.now });
+  return { clock, timer };
+}
+
+test("whole-cube rotations during inspection don't start the solve", () => {
+  const { clock, timer } = createClockedTimer();
+  timer.startInspection();
+  ["x", "y'", "z2"].forEach((move) => {
+    clock.now += 500;
+    timer.handleMove(move);
+  });
+  assert.equal(timer.getState().phase, PHASES.INSPECTION);
+  assert.deepEqual(timer.getState().moves, []);
+
+  clock.now = 3000;
+  timer.handleMove("R");
+  const state = timer.getState();
+  assert.equal(state.phase, PHASES.RUNNING);
+  assert.equal(state.startLocal, 3000);
+  assert.equal(state.startedBy, "cube");
+  assert.deepEqual(state.moves.map((m) => [m.move, m.time]), [["R", 0]]);
+});
+
+test("rotations during the solve are recorded", () => {
+  const { clock, timer } = createClockedTimer();
+  timer.startInspection();
+  timer.handleMove("U");
+  clock.now = 400;
+  timer.handleMove("y");
+  assert.deepEqual(timer.getState().moves.map((m) => [m.move, m.time]), [["U", 0], ["y", 400]]);
+});
+
+test("the timer plugin ignores rotations before the first turn", () => {
+  const { clock, timer } = createClockedTimer();
+  const session = createCubeSession();
+  session.use(timerPlugin(timer));
+  timer.startInspection();
+  clock.now = 1000;
+  session.applyMove("x2");
+  session.applyMove("y");
+  assert.equal(timer.getState().phase, PHASES.INSPECTION);
+
+  clock.now = 2000;
+  session.applyMove("F");
+  clock.now = 2500;
+  session.applyMove("F'");
+  // y x2 leaves the cube rotated but solved, so F' ends the solve
+  const { phase, result } = timer.getState();
+  assert.equal(phase, PHASES.STOPPED);
+  assert.equal(result.time, 500);
+  assert.deepEqual(result.moves.map((m) => m.move), ["F", "F'"]);
+});
+
+test("the first turn during inspection starts the solve", () => {
+  const { clock, timer } = createClockedTimer();
+  timer.handleMove("R");
+  assert.equal(timer.getState().phase, PHASES.IDLE);
+
+  timer.startInspection();
+  clock.now = 8000;
+  timer.handleMove("R", { cubeTimestamp: 50000 });
+  const state = timer.getState();
+  assert.equal(state.phase, PHASES.RUNNING);
+  assert.deepEqual([state.startLocal, state.startDevice, state.inspectionMs, state.penalty], [8000, 50000, 8000, null]);
+});
+
+test("solving the cube stops the timer on the cube's clock", () => {
+  const { clock, timer } = createClockedTimer();
+  timer.startInspection();
+  clock.now = 1000;
+  timer.handleMove("R", { cubeTimestamp: 20000 });
+  clock.now = 1400;
+  timer.handleMove("U", { cubeTimestamp: 20350 });
+  clock.now = 2100;
+  timer.handleMove("U'", { cubeTimestamp: 21000 });
+  assert.equal(timer.getState().phase, PHASES.RUNNING);
+  clock.now = 2600;
+  timer.handleMove("R'", { cubeTimestamp: 21480, solved: true });
+
+  const { phase, result } = timer.getState();
+  assert.equal(phase, PHASES.STOPPED);
+  assert.deepEqual([result.time, result.timingSource, result.penalty], [1480, "device", null]);
+  assert.deepEqual(result.moves.map((m) => [m.move, m.time]), [["R", 0], ["U", 350], ["U'", 1000], ["R'", 1480]]);
+  // later moves don't touch the result
+  timer.handleMove("R");
+  assert.equal(timer.getState().result.moves.length, 4);
+});
+
+test("starting after 15 s of inspection is +2, after 17 s a DNF", () => {
+  const penaltyAfter = (inspectionMs) => {
+    const { clock, timer } = createClockedTimer();
+    timer.startInspection();
+    clock.now = inspectionMs;
+    timer.handleMove("F");
+    clock.now += 1000;
+    timer.handleMove("F'", { solved: true });
+    return timer.getState().result.penalty;
+  };
+  assert.equal(penaltyAfter(INSPECTION_MS), null);
+  assert.equal(penaltyAfter(INSPECTION_MS + 1), "+2");
+  assert.equal(penaltyAfter(16500), "+2");
+  assert.equal(penaltyAfter(DNF_MS), "+2");
+  assert.equal(penaltyAfter(DNF_MS + 1), "DNF");
+});
+
+test("without inspection there is no inspection penalty", () => {
+  let now = 0;
+  const timer = createSolveTimer({ inspection: false, now: () => now });
+  timer.startInspection();
+  now = 30000;
+  timer.handleMove("R");
+  assert.deepEqual([timer.getState().phase, timer.getState().penalty], [PHASES.RUNNING, null]);
+});
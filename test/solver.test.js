@@ -0,0 +1,136 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { findFaceletErrors, relabelByCenters } from "../src/cube/faceletValidation.js";
+import { createNxNCube, solvedFacelets } from "../src/cube/nxnCube.js";
+import { handleSolverMessage, solveFacelets } from "../src/solver/solver.js";
+import { createSolverClient } from "../src/solver/solverClient.js";
+import { createSolveGuide } from "../src/solver/solveGuide.js";
+
+const SOLVED = solvedFacelets(3);
+const turn = (algorithm, facelets = SOLVED) => createNxNCube(3, facelets).move(algorithm).asString();
+const swap = (text, a, b) => {
+  const chars = text.split("");
+  [chars[a], chars[b]] = [chars[b], chars[a]];
+  return chars.join("");
+};
+
+// Stands in for the Web Worker: answers on a later tick, like postMessage does
+function createInProcessWorker() {
+  const worker = {
+    onmessage: null,
+    onerror: null,
+    terminated: false,
+    postMessage(message) {
+      setTimeout(() => {
+        if (!worker.terminated) worker.onmessage({ data: handleSolverMessage(message) });
+      }, 0);
+    },
+    terminate() {
+      worker.terminated = true;
+    },
+  };
+  return worker;
+}
+
+describe("facelet validation", () => {
+  test("accepts reachable states in any orientation", () => {
+    assert.deepEqual(findFaceletErrors(SOLVED), []);
+    assert.deepEqual(findFaceletErrors(turn("R U R' U' F2 D L' B")), []);
+    assert.deepEqual(findFaceletErrors(turn("x y2 M E S")), []);
+    assert.equal(relabelByCenters(turn("x z'")), SOLVED);
+  });
+
+  test("names what makes a state unreachable", () => {
+    assert.match(findFaceletErrors("UUU")[0], /54 stickers/);
+    assert.match(findFaceletErrors(SOLVED.replace("U", "R"))[0], /9 stickers/);
+    // UF edge flipped in place
+    assert.deepEqual(findFaceletErrors(swap(SOLVED, 7, 19)), ["An edge is flipped"]);
+    // UF and UR edges exchanged
+    const edgesSwapped = swap(swap(SOLVED, 7, 5), 19, 10);
+    assert.deepEqual(findFaceletErrors(edgesSwapped), ["Two pieces are swapped (parity)"]);
+    // URF corner twisted
+    const twisted = [8, 9, 20].reduce((text, i, k, all) => {
+      const chars = text.split("");
+      chars[i] = SOLVED[all[(k + 1) % 3]];
+      return chars.join("");
+    }, SOLVED);
+    assert.deepEqual(findFaceletErrors(twisted), ["A corner is twisted"]);
+    assert.match(findFaceletErrors(swap(SOLVED, 9, 18))[0], /No corner has the colors/);
+  });
+});
+
+describe("solver", () => {
+  test("solves a scrambled cube with face turns", () => {
+    const scrambled = turn("D2 F' R2 U' L B2 R' F U2 L2 D' B R2 U F2");
+    const solution = solveFacelets(scrambled);
+    assert.ok(solution.split(" ").length <= 22);
+    assert.equal(turn(solution, scrambled), SOLVED);
+    // held in another orientation: solved relative to its centers
+    const rotated = turn("x y", scrambled);
+    assert.equal(createNxNCube(3, rotated).move(solveFacelets(rotated)).isSolved(), true);
+  });
+
+  test("returns nothing to do for a solved cube and rejects impossible ones", () => {
+    assert.equal(solveFacelets(SOLVED), "");
+    assert.equal(solveFacelets(turn("y M2")).length > 0, true);
+    assert.throws(() => solveFacelets(swap(SOLVED, 7, 19)), /edge is flipped/);
+    assert.deepEqual(handleSolverMessage({ id: 3, type: "solve", facelets: "UUU" }), {
+      id: 3,
+      error: "A 3x3 has 54 stickers, got 3",
+    });
+  });
+
+  test("the client matches replies to requests", async () => {
+    const client = createSolverClient({ createWorker: createInProcessWorker });
+    const scrambled = turn("R U F' L2");
+    const [solution, nothing] = await Promise.all([client.solve(scrambled), client.solve(SOLVED)]);
+    assert.equal(turn(solution, scrambled), SOLVED);
+    assert.equal(nothing, "");
+    await assert.rejects(client.solve(swap(SOLVED, 7, 19)), /edge is flipped/);
+    const pending = client.solve(scrambled);
+    client.terminate();
+    await assert.rejects(pending, /Solver stopped/);
+  });
+});
+
+describe("solve guide", () => {
+  test("steps through the solution and undoes mistakes", () => {
+    const facelets = turn("R2 U' F");
+    const guide = createSolveGuide({ facelets, solution: "F' U R2" });
+    assert.equal(guide.getState().nextMove, "F'");
+    guide.handleMove("F'");
+    guide.handleMove("D");
+    assert.deepEqual(guide.getState().corrections, ["D'"]);
+    assert.equal(guide.getState().progress, 1);
+    guide.handleMove("D'");
+    guide.handleMove("U");
+    guide.handleMove("R");
+    assert.equal(guide.getState().nextMove, "R");
+    guide.handleMove("R");
+    assert.equal(guide.getState().done, true);
+    assert.equal(guide.getState().progress, 3);
+  });
+
+  test("solves again once the cube is too far off the plan", async () => {
+    const facelets = turn("R U");
+    const asked = [];
+    const solve = (state) => {
+      asked.push(state);
+      return Promise.resolve(solveFacelets(state));
+    };
+    const guide = createSolveGuide({ facelets, solution: "U' R'", solve, maxCorrection: 2 });
+    const updated = new Promise((resolve) => {
+      guide.subscribe((state) => {
+        if (state.resolves) resolve(state);
+      });
+    });
+    ["F", "D", "B"].forEach((m) => guide.handleMove(m));
+    assert.equal(guide.getState().resolving, true);
+    const state = await updated;
+    assert.deepEqual(asked, [turn("F D B", facelets)]);
+    assert.equal(state.resolving, false);
+    assert.deepEqual(state.corrections, []);
+    state.solutionMoves.forEach((m) => guide.handleMove(m));
+    assert.equal(guide.getState().done, true);
+  });
+});
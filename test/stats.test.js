@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  averageOf,
+  bestAverageOf,
+  computeStats,
+  effectiveTime,
+  mean,
+  standardDeviation,
+  trimCount,
+} from "../src/history/stats.js";
+
+const solves = (...times) => times.map((t) => (t === "DNF" ? { time: 9000, penalty: "DNF" } : { time: t, penalty: null }));
+
+test("trims 5% rounded up from each end", () => {
+  assert.equal(trimCount(5), 1);
+  assert.equal(trimCount(12), 1);
+  assert.equal(trimCount(50), 3);
+  assert.equal(trimCount(100), 5);
+});
+
+test("ao5 and ao12 drop the best and worst results", () => {
+  assert.equal(averageOf(solves(10000, 14000, 11000, 30000, 12000), 5), 12333.333333333334);
+  assert.equal(averageOf(solves(10000, 14000, 11000, 12000), 5), null);
+  // only the last n solves count
+  assert.equal(averageOf(solves(1000, 10000, 14000, 11000, 30000, 12000), 5), 12333.333333333334);
+
+  const twelve = solves(8000, 9000, 9000, 9000, 9000, 9000, 9000, 9000, 9000, 9000, 9000, 20000);
+  assert.equal(averageOf(twelve, 12), 9000);
+});
+
+test("ao100 drops five results at each end", () => {
+  const times = Array.from({ length: 100 }, (_, i) => 10000 + i * 10);
+  // the 90 kept results run from 10050 to 10940
+  assert.equal(averageOf(solves(...times), 100), 10495);
+});
+
+test("one DNF is trimmed, two make the average a DNF", () => {
+  assert.equal(averageOf(solves(10000, "DNF", 11000, 12000, 13000), 5), 12000);
+  assert.equal(averageOf(solves(10000, "DNF", 11000, "DNF", 13000), 5), Infinity);
+  assert.equal(averageOf(solves(9000, 9000, "DNF", 9000, 9000, 9000, 9000, 9000, 9000, 9000, 9000, "DNF"), 12), Infinity);
+  assert.equal(bestAverageOf(solves("DNF", "DNF", 10000, 11000, 12000, 13000), 5), 12000);
+});
+
+test("+2 counts towards averages and the mean ignores DNFs", () => {
+  assert.equal(effectiveTime({ time: 10000, penalty: "+2" }), 12000);
+  assert.equal(effectiveTime({ time: 10000, penalty: "DNF" }), Infinity);
+  const withPenalty = [...solves(10000, 11000, 13000, 14000), { time: 10000, penalty: "+2" }];
+  assert.equal(averageOf(withPenalty, 5), 12000);
+  assert.equal(mean(solves(10000, "DNF", 14000)), 12000);
+  assert.equal(mean(solves("DNF")), null);
+});
+
+test("standard deviation over non-DNF solves", () => {
+  assert.equal(standardDeviation(solves(10000, 12000, 14000, "DNF")), Math.sqrt(8000000 / 3));
+  assert.equal(standardDeviation(solves(10000, "DNF")), null);
+
+  const stats = computeStats(solves(10000, 14000, 11000, "DNF", 12000));
+  assert.equal(stats.count, 5);
+  assert.equal(stats.dnfCount, 1);
+  assert.equal(stats.best, 10000);
+  assert.equal(stats.worst, 14000);
+  assert.equal(stats.averages[5].current, 12333.333333333334);
+  assert.equal(stats.averages[12].current, null);
+});
@@ -0,0 +1,210 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import Cube from "cubejs";
+import { toCubejsAlgorithm } from "../src/cube/cubeState.js";
+import { formatAlgorithm, parseAlgorithm } from "../src/cube/notation.js";
+import { createCubeSession } from "../src/session/cubeSession.js";
+import { BUNDLED_SETS } from "../src/trainer/algorithmSets.js";
+import { MAX_BOX, caseWeight, pickCase, updateCaseStats } from "../src/trainer/repetition.js";
+import { TRAINER_PHASES, createTrainer } from "../src/trainer/trainer.js";
+import {
+  caseSetup,
+  matchAlgorithm,
+  meetsGoal,
+  recognizeCase,
+  toFaceTurns,
+  validateCase,
+} from "../src/trainer/trainerCases.js";
+
+const SOLVED = new Cube().asString();
+const setById = (id) => BUNDLED_SETS.find((s) => s.id === id);
+const face = (algorithm) => formatAlgorithm(toFaceTurns(algorithm));
+
+describe("trainer cases", () => {
+  test("rewrites wide moves, slices and rotations as face turns", () => {
+    assert.equal(face("r U R'"), "L F R'");
+    assert.equal(face("M2 U M2 U2 M2 U M2"), "R2 L2 D R2 L2 U2 R2 L2 D R2 L2");
+    assert.equal(face("x R U R'"), "R F R'");
+    assert.equal(face("R U U' R'"), "");
+    // same effect on the pieces once the cube is turned back
+    ["[Uw: R U R'] [Fw: R] [E: R] [S': U] [z y: R] [x' M2: F]", "r U R' U' r' F R F'"].forEach((alg) => {
+      const expected = new Cube().move(toCubejsAlgorithm(alg)).asString();
+      assert.equal(new Cube().move(toCubejsAlgorithm(face(alg))).asString(), expected);
+    });
+  });
+
+  test("checks goals relative to the centers", () => {
+    assert.equal(meetsGoal("solved", SOLVED), true);
+    assert.equal(meetsGoal("solved", new Cube().move("U").asString()), true);
+    assert.equal(meetsGoal("solved", new Cube().move("x y2").asString()), true);
+    const tPerm = new Cube().move(Cube.inverse("R U R' U' R' F R2 U' R' U' R U R' F'")).asString();
+    assert.equal(meetsGoal("oll", tPerm), true);
+    assert.equal(meetsGoal("coll", tPerm), false);
+    const sexy = new Cube().move("R U R' U'").asString();
+    assert.equal(meetsGoal("cross", sexy), true);
+    assert.equal(meetsGoal("f2l", sexy), false);
+  });
+
+  test("every bundled case is valid and recognized as itself", () => {
+    BUNDLED_SETS.forEach((set) => {
+      set.cases.forEach((c) => {
+        validateCase(set, c);
+        const { facelets } = caseSetup(c.algorithms[0], { preAuf: "U2" });
+        assert.equal(recognizeCase(set, facelets).name, c.name, `${set.id} ${c.name}`);
+      });
+    });
+  });
+
+  test("explains invalid cases", () => {
+    const oll = setById("oll");
+    assert.throws(() => validateCase(oll, { name: "", algorithms: ["R U R'"] }), /needs a name/);
+    assert.throws(() => validateCase(oll, { name: "X", algorithms: [] }), /at least one algorithm/);
+    assert.throws(() => validateCase(oll, { name: "X", algorithms: ["R U ]"] }), /X: Invalid algorithm/);
+    assert.throws(() => validateCase(oll, { name: "X", algorithms: ["R U R'"] }), /does not keep the first two layers/);
+    assert.throws(() => validateCase(oll, { name: "X", algorithms: ["U2"] }), /leaves the last-layer orientation/);
+    assert.throws(
+      () => validateCase(oll, { name: "Sune", algorithms: ["R U R' U R U2 R'", "R U2 R' U' R U' R'"] }),
+      /solves a different case/,
+    );
+    // the same algorithm from another side needs an AUF first
+    validateCase(oll, { name: "Sune", algorithms: ["R U R' U R U2 R'", "y2 R U R' U R U2 R'"] });
+  });
+
+  test("recognizes F2L cases in any slot", () => {
+    const f2l = setById("f2l");
+    const backLeft = new Cube().move(Cube.inverse("y2 R U R' y2")).asString();
+    assert.deepEqual(recognizeCase(f2l, backLeft), { name: "Pair in U 4", rotation: "y2", auf: "" });
+    assert.equal(recognizeCase(f2l, SOLVED), null);
+    // cross broken: not an F2L case
+    assert.equal(recognizeCase(f2l, new Cube().move("D R U R'").asString()), null);
+  });
+
+  test("matches the algorithm used from the reported face turns", () => {
+    const algorithms = ["r U R' U' r' F R F'", "R U R' U' R' F R F'"];
+    // AUF before and after
+    assert.equal(matchAlgorithm(["U", "L", "F", "R'", "F'", "L'", "F", "R", "F'", "U2"], algorithms), 0);
+    assert.equal(matchAlgorithm(parseAlgorithm("R U R' U' R' F R F'"), algorithms), 1);
+    assert.equal(matchAlgorithm(["R", "U", "R'", "U", "R", "U2", "R'"], algorithms), -1);
+    assert.equal(matchAlgorithm(["F", "U", "F'"], ["R U R'"], "y'"), 0);
+    // M' is reported as R' L or L R', then U is turned on the F center
+    assert.equal(matchAlgorithm(["L", "R'", "F"], ["M' U"]), 0);
+    assert.equal(matchAlgorithm(["R'", "L", "F"], ["M' U"]), 0);
+  });
+});
+
+describe("spaced repetition", () => {
+  test("moves cases between boxes", () => {
+    let stats = updateCaseStats(undefined, { solved: true, time: 2000, date: 1 });
+    assert.deepEqual(stats, { attempts: 1, solved: 1, box: 1, times: [2000], best: 2000, lastAttempt: 1 });
+    stats = updateCaseStats(stats, { solved: true, time: 2300, date: 2 });
+    assert.equal(stats.box, 2);
+    // much slower than usual: stays
+    stats = updateCaseStats(stats, { solved: true, time: 5000, date: 3 });
+    assert.equal(stats.box, 2);
+    assert.equal(stats.best, 2000);
+    stats = updateCaseStats(stats, { solved: false, date: 4 });
+    assert.deepEqual([stats.box, stats.attempts, stats.solved], [0, 4, 3]);
+    for (let i = 0; i < 10; i++) stats = updateCaseStats(stats, { solved: true, time: 1000 });
+    assert.equal(stats.box, MAX_BOX);
+    assert.equal(stats.times.length, 10);
+  });
+
+  test("picks weak cases more often and never the same one twice", () => {
+    const stats = { A: { box: 0 }, B: { box: 3 } };
+    assert.equal(caseWeight(stats.B), 1 / 8);
+    assert.equal(caseWeight(undefined), 1);
+    assert.equal(pickCase(["A", "B"], stats, { random: () => 0.85 }), "A");
+    assert.equal(pickCase(["A", "B"], stats, { random: () => 0.95 }), "B");
+    assert.equal(pickCase(["A", "B"], stats, { random: () => 0, exclude: "A" }), "B");
+    assert.equal(pickCase(["A"], stats, { exclude: "A" }), "A");
+    assert.equal(pickCase([], stats), null);
+  });
+});
+
+describe("trainer session", () => {
+  function createSession(set, caseNames) {
+    const cube = createCubeSession();
+    const stats = {};
+    const recorded = [];
+    let clock = 1000;
+    const trainer = createTrainer({
+      set,
+      caseNames,
+      getFacelets: cube.getState,
+      getStats: () => stats,
+      recordAttempt: (setId, name, attempt) => {
+        recorded.push({ setId, name, ...attempt });
+        stats[name] = updateCaseStats(stats[name], attempt);
+      },
+      random: () => 0,
+      now: () => clock,
+    });
+    const turn = (algorithm, step = 100) => {
+      parseAlgorithm(algorithm).forEach((move) => {
+        const notation = formatAlgorithm([move]);
+        clock += step;
+        cube.applyMove(notation);
+        trainer.handleMove(notation, { localTimestamp: clock });
+      });
+    };
+    return { trainer, turn, recorded, cube };
+  }
+
+  test("sets up a case, times it and names the algorithm used", () => {
+    const set = setById("oll");
+    const { trainer, turn, recorded, cube } = createSession(set, ["OLL 27", "OLL 26"]);
+    trainer.next();
+    let state = trainer.getState();
+    assert.equal(state.phase, TRAINER_PHASES.SETUP);
+    assert.equal(state.caseName, "OLL 26");
+    assert.equal(state.setup, caseSetup("R U2 R' U' R U' R'").setup);
+    assert.equal(state.scramble.nextMove, "R");
+
+    turn(state.setup);
+    state = trainer.getState();
+    assert.equal(state.phase, TRAINER_PHASES.READY);
+
+    turn("R U2 R' U' R U' R'", 150);
+    state = trainer.getState();
+    assert.equal(state.lastResult.name, "OLL 26");
+    assert.equal(state.lastResult.solved, true);
+    assert.equal(state.lastResult.time, 6 * 150);
+    assert.equal(state.lastResult.recognitionTime, 150);
+    assert.equal(state.lastResult.algorithm, "R U2 R' U' R U' R'");
+    assert.deepEqual(recorded.map((r) => [r.name, r.solved]), [["OLL 26", true]]);
+
+    // next case, set up on top of the cube as it is
+    assert.equal(state.caseName, "OLL 27");
+    assert.equal(state.phase, TRAINER_PHASES.SETUP);
+    const start = cube.getState();
+    turn(state.setup);
+    assert.equal(trainer.getState().phase, TRAINER_PHASES.READY);
+    assert.equal(cube.getState(), Cube.fromString(start).move(toCubejsAlgorithm(state.setup)).asString());
+
+    // solved from another side: still solved, not with the case's algorithm
+    turn("U2 L U L' U L U2 L'");
+    const result = trainer.getState().lastResult;
+    assert.equal(result.name, "OLL 27");
+    assert.equal(result.solved, true);
+    assert.equal(result.algorithm, null);
+  });
+
+  test("counts a lost attempt as missed and sets the case up again", () => {
+    const { trainer, turn, recorded } = createSession(setById("pll"), ["T"]);
+    trainer.next();
+    turn(trainer.getState().setup);
+    assert.equal(trainer.getState().phase, TRAINER_PHASES.READY);
+    turn("R L R L R L R L R L R L R L R L R L R L R L R L R L R L R L");
+    const state = trainer.getState();
+    assert.equal(state.lastResult.solved, false);
+    assert.equal(state.lastResult.time, null);
+    assert.equal(state.caseName, "T");
+    assert.equal(state.phase, TRAINER_PHASES.SETUP);
+    assert.deepEqual(recorded.map((r) => r.solved), [false]);
+
+    trainer.stop();
+    assert.equal(trainer.getState().phase, TRAINER_PHASES.IDLE);
+    turn("R");
+    assert.equal(recorded.length, 1);
+  });
+});